@@ -1,4 +1,5 @@
 const mysql = require('mysql2/promise');
+const { getPendingMigrations } = require('../database/migrator');
 
 // Database configuration
 const dbConfig = {
@@ -39,6 +40,31 @@ const testConnection = async () => {
   }
 };
 
+// Check that every migration has been applied
+// MIGRATIONS_CHECK: 'strict' refuses to start, 'warn' (default) only logs, 'off' skips the check
+const checkSchemaVersion = async () => {
+  const mode = process.env.MIGRATIONS_CHECK || 'warn';
+  if (mode === 'off') {
+    return;
+  }
+
+  const pending = await getPendingMigrations(pool);
+  if (pending.length === 0) {
+    console.log('✅ Database schema is up to date');
+    return;
+  }
+
+  const names = pending.map(migration => migration.name).join(', ');
+  const message = `Database schema is behind: ${pending.length} pending migration(s) (${names}). Run "npm run migrate".`;
+
+  if (mode === 'strict') {
+    console.error(`❌ ${message} Exiting...`);
+    process.exit(1);
+  }
+
+  console.warn(`⚠️  ${message}`);
+};
+
 // Initialize database connection
 const initDatabase = async () => {
   const isConnected = await testConnection();
@@ -46,6 +72,8 @@ const initDatabase = async () => {
     console.error('Failed to connect to database. Exiting...');
     process.exit(1);
   }
+
+  await checkSchemaVersion();
 };
 
 // Execute query with error handling
@@ -59,15 +87,35 @@ const executeQuery = async (query, params = []) => {
   }
 };
 
+// Stream query results row by row (for exports that must not load everything in memory)
+const streamQuery = (query, params = []) => {
+  const command = pool.pool.query(query, params);
+  const stream = command.stream();
+
+  // A consumer that stops early (e.g. the client disconnected) leaves the connection paused mid-result; drop it
+  stream.on('close', () => {
+    if (!stream.readableEnded && command._connection) {
+      command._connection.destroy();
+    }
+  });
+
+  return stream;
+};
+
 // Execute transaction
+// A query with failIfUnchanged rolls everything back and throws that error when it changes no row
+// (e.g. a status guard that a concurrent request already moved past)
 const executeTransaction = async (queries) => {
   const connection = await pool.getConnection();
   try {
     await connection.beginTransaction();
     
     const results = [];
-    for (const { query, params } of queries) {
+    for (const { query, params, failIfUnchanged } of queries) {
       const [result] = await connection.execute(query, params || []);
+      if (failIfUnchanged && result.affectedRows === 0) {
+        throw failIfUnchanged;
+      }
       results.push(result);
     }
     
@@ -85,5 +133,6 @@ module.exports = {
   pool,
   executeQuery,
   executeTransaction,
+  streamQuery,
   initDatabase
 };
@@ -0,0 +1,93 @@
+// Initial schema: users, profiles, categories, subcategories and transactions
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE users (
+      id CHAR(36) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_users_email (email)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE profiles (
+      id CHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      email VARCHAR(255) NOT NULL,
+      phone VARCHAR(30) NULL,
+      role VARCHAR(50) NOT NULL DEFAULT 'gerente',
+      status TINYINT(1) NOT NULL DEFAULT 1,
+      avatar VARCHAR(500) NULL,
+      last_login DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_profiles_role (role),
+      CONSTRAINT fk_profiles_user FOREIGN KEY (id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE categories (
+      id VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_categories_name (name),
+      CONSTRAINT fk_categories_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE subcategories (
+      id VARCHAR(64) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      category_id VARCHAR(64) NOT NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_subcategories_category_name (category_id, name),
+      CONSTRAINT fk_subcategories_category FOREIGN KEY (category_id) REFERENCES categories (id),
+      CONSTRAINT fk_subcategories_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE transactions (
+      id VARCHAR(32) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      type ENUM('entrada', 'saida') NOT NULL,
+      description VARCHAR(500) NOT NULL,
+      date DATE NOT NULL,
+      category_id VARCHAR(64) NULL,
+      subcategory_id VARCHAR(64) NULL,
+      receipt_url VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_transactions_date (date),
+      KEY idx_transactions_type (type),
+      CONSTRAINT fk_transactions_category FOREIGN KEY (category_id) REFERENCES categories (id),
+      CONSTRAINT fk_transactions_subcategory FOREIGN KEY (subcategory_id) REFERENCES subcategories (id),
+      CONSTRAINT fk_transactions_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS transactions');
+  await db.query('DROP TABLE IF EXISTS subcategories');
+  await db.query('DROP TABLE IF EXISTS categories');
+  await db.query('DROP TABLE IF EXISTS profiles');
+  await db.query('DROP TABLE IF EXISTS users');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,28 @@
+// Server-side refresh tokens grouped by session family for rotation and revocation
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE refresh_tokens (
+      id CHAR(36) NOT NULL,
+      user_id CHAR(36) NOT NULL,
+      family_id CHAR(36) NOT NULL,
+      expires_at DATETIME NOT NULL,
+      revoked_at DATETIME NULL,
+      revoked_reason VARCHAR(50) NULL,
+      replaced_by CHAR(36) NULL,
+      ip_address VARCHAR(45) NULL,
+      user_agent VARCHAR(255) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_refresh_tokens_family (family_id),
+      KEY idx_refresh_tokens_user (user_id),
+      CONSTRAINT fk_refresh_tokens_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS refresh_tokens');
+};
+
+module.exports = { up, down };
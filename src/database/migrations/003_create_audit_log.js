@@ -0,0 +1,27 @@
+// Audit trail of every mutation performed through the API
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE audit_log (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      actor_id CHAR(36) NULL,
+      action VARCHAR(50) NOT NULL,
+      entity VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(255) NULL,
+      before_data JSON NULL,
+      after_data JSON NULL,
+      ip_address VARCHAR(45) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_audit_log_entity (entity, entity_id),
+      KEY idx_audit_log_actor (actor_id),
+      KEY idx_audit_log_created_at (created_at)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS audit_log');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,44 @@
+// Revision history of transactions (one snapshot per create/update/restore)
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE transaction_revisions (
+      id BIGINT UNSIGNED NOT NULL AUTO_INCREMENT,
+      transaction_id VARCHAR(32) NOT NULL,
+      revision INT UNSIGNED NOT NULL,
+      change_type VARCHAR(20) NOT NULL,
+      restored_from INT UNSIGNED NULL,
+      snapshot JSON NOT NULL,
+      changed_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_transaction_revisions_revision (transaction_id, revision),
+      CONSTRAINT fk_transaction_revisions_transaction FOREIGN KEY (transaction_id) REFERENCES transactions (id) ON DELETE CASCADE,
+      CONSTRAINT fk_transaction_revisions_changed_by FOREIGN KEY (changed_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Existing transactions start their history with their current state
+  await db.query(`
+    INSERT INTO transaction_revisions (transaction_id, revision, change_type, snapshot, changed_by, created_at)
+    SELECT
+      t.id, 1, 'create',
+      JSON_OBJECT(
+        'amount', t.amount,
+        'type', t.type,
+        'description', t.description,
+        'date', DATE_FORMAT(t.date, '%Y-%m-%d'),
+        'category_id', t.category_id,
+        'subcategory_id', t.subcategory_id,
+        'receipt_url', t.receipt_url
+      ),
+      t.created_by, t.created_at
+    FROM transactions t
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS transaction_revisions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,23 @@
+// Soft delete (trash) for transactions
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN deleted_at DATETIME NULL AFTER receipt_url,
+      ADD COLUMN deleted_by CHAR(36) NULL AFTER deleted_at,
+      ADD KEY idx_transactions_deleted_at (deleted_at),
+      ADD CONSTRAINT fk_transactions_deleted_by FOREIGN KEY (deleted_by) REFERENCES profiles (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_deleted_by,
+      DROP KEY idx_transactions_deleted_at,
+      DROP COLUMN deleted_by,
+      DROP COLUMN deleted_at
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,33 @@
+// Posting status and reversal links: a voided transaction is offset by a reversal entry
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN status VARCHAR(20) NOT NULL DEFAULT 'posted' AFTER receipt_url,
+      ADD COLUMN reverses_id VARCHAR(32) NULL AFTER status,
+      ADD COLUMN voided_at DATETIME NULL AFTER reverses_id,
+      ADD COLUMN voided_by CHAR(36) NULL AFTER voided_at,
+      ADD COLUMN void_reason VARCHAR(500) NULL AFTER voided_by,
+      ADD KEY idx_transactions_status (status),
+      ADD UNIQUE KEY uq_transactions_reverses_id (reverses_id),
+      ADD CONSTRAINT fk_transactions_reverses FOREIGN KEY (reverses_id) REFERENCES transactions (id),
+      ADD CONSTRAINT fk_transactions_voided_by FOREIGN KEY (voided_by) REFERENCES profiles (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_voided_by,
+      DROP FOREIGN KEY fk_transactions_reverses,
+      DROP KEY uq_transactions_reverses_id,
+      DROP KEY idx_transactions_status,
+      DROP COLUMN void_reason,
+      DROP COLUMN voided_by,
+      DROP COLUMN voided_at,
+      DROP COLUMN reverses_id,
+      DROP COLUMN status
+  `);
+};
+
+module.exports = { up, down };
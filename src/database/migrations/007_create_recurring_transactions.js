@@ -0,0 +1,52 @@
+// Recurring transaction templates and the link from generated transactions to their template
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE recurring_transactions (
+      id CHAR(36) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      type ENUM('entrada', 'saida') NOT NULL,
+      description VARCHAR(500) NOT NULL,
+      category_id VARCHAR(64) NULL,
+      subcategory_id VARCHAR(64) NULL,
+      frequency ENUM('daily', 'weekly', 'monthly', 'yearly') NOT NULL,
+      interval_count INT UNSIGNED NOT NULL DEFAULT 1,
+      day_of_month TINYINT UNSIGNED NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NULL,
+      max_occurrences INT UNSIGNED NULL,
+      last_generated_date DATE NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_recurring_transactions_active (active),
+      CONSTRAINT fk_recurring_transactions_category FOREIGN KEY (category_id) REFERENCES categories (id),
+      CONSTRAINT fk_recurring_transactions_subcategory FOREIGN KEY (subcategory_id) REFERENCES subcategories (id),
+      CONSTRAINT fk_recurring_transactions_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // One generated transaction per template and due date
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN recurring_id CHAR(36) NULL AFTER reverses_id,
+      ADD COLUMN recurring_date DATE NULL AFTER recurring_id,
+      ADD UNIQUE KEY uq_transactions_recurring_occurrence (recurring_id, recurring_date),
+      ADD CONSTRAINT fk_transactions_recurring FOREIGN KEY (recurring_id) REFERENCES recurring_transactions (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_recurring,
+      DROP KEY uq_transactions_recurring_occurrence,
+      DROP COLUMN recurring_date,
+      DROP COLUMN recurring_id
+  `);
+  await db.query('DROP TABLE IF EXISTS recurring_transactions');
+};
+
+module.exports = { up, down };
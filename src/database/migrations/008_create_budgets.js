@@ -0,0 +1,31 @@
+// Budgets per category (optionally subcategory) for a month, quarter or year
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE budgets (
+      id CHAR(36) NOT NULL,
+      category_id VARCHAR(64) NOT NULL,
+      subcategory_id VARCHAR(64) NULL,
+      period_type ENUM('month', 'quarter', 'year') NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      notes VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_budgets_period (period_start, period_end),
+      KEY idx_budgets_category (category_id, subcategory_id),
+      CONSTRAINT fk_budgets_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE,
+      CONSTRAINT fk_budgets_subcategory FOREIGN KEY (subcategory_id) REFERENCES subcategories (id) ON DELETE CASCADE,
+      CONSTRAINT fk_budgets_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS budgets');
+};
+
+module.exports = { up, down };
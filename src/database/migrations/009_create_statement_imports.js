@@ -0,0 +1,76 @@
+// Bank statement imports: per-bank column mapping profiles and preview/commit batches
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE import_profiles (
+      id CHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      bank_name VARCHAR(100) NULL,
+      delimiter VARCHAR(5) NOT NULL DEFAULT ',',
+      has_header TINYINT(1) NOT NULL DEFAULT 1,
+      skip_rows INT UNSIGNED NOT NULL DEFAULT 0,
+      date_column VARCHAR(100) NOT NULL,
+      date_format VARCHAR(20) NOT NULL DEFAULT 'DD/MM/YYYY',
+      description_column VARCHAR(100) NOT NULL,
+      amount_column VARCHAR(100) NULL,
+      debit_column VARCHAR(100) NULL,
+      credit_column VARCHAR(100) NULL,
+      decimal_separator CHAR(1) NOT NULL DEFAULT ',',
+      sign_convention ENUM('signed', 'inverted', 'split') NOT NULL DEFAULT 'signed',
+      default_category_id VARCHAR(64) NULL,
+      default_subcategory_id VARCHAR(64) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_import_profiles_name (name),
+      CONSTRAINT fk_import_profiles_category FOREIGN KEY (default_category_id) REFERENCES categories (id) ON DELETE SET NULL,
+      CONSTRAINT fk_import_profiles_subcategory FOREIGN KEY (default_subcategory_id) REFERENCES subcategories (id) ON DELETE SET NULL,
+      CONSTRAINT fk_import_profiles_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE import_batches (
+      id CHAR(36) NOT NULL,
+      profile_id CHAR(36) NULL,
+      source_format VARCHAR(20) NOT NULL DEFAULT 'csv',
+      filename VARCHAR(255) NULL,
+      status ENUM('preview', 'committed') NOT NULL DEFAULT 'preview',
+      rows_data JSON NOT NULL,
+      row_count INT UNSIGNED NOT NULL DEFAULT 0,
+      valid_count INT UNSIGNED NOT NULL DEFAULT 0,
+      error_count INT UNSIGNED NOT NULL DEFAULT 0,
+      imported_count INT UNSIGNED NOT NULL DEFAULT 0,
+      created_by CHAR(36) NULL,
+      committed_by CHAR(36) NULL,
+      committed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_import_batches_status (status),
+      CONSTRAINT fk_import_batches_profile FOREIGN KEY (profile_id) REFERENCES import_profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_import_batches_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_import_batches_committed_by FOREIGN KEY (committed_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN import_batch_id CHAR(36) NULL AFTER recurring_date,
+      ADD KEY idx_transactions_import_batch (import_batch_id),
+      ADD CONSTRAINT fk_transactions_import_batch FOREIGN KEY (import_batch_id) REFERENCES import_batches (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_import_batch,
+      DROP KEY idx_transactions_import_batch,
+      DROP COLUMN import_batch_id
+  `);
+  await db.query('DROP TABLE IF EXISTS import_batches');
+  await db.query('DROP TABLE IF EXISTS import_profiles');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Bank transaction identifiers (OFX FITID / CAMT.053 AcctSvcrRef) to prevent duplicate imports
+
+const up = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN external_source VARCHAR(150) NULL AFTER import_batch_id,
+      ADD COLUMN external_id VARCHAR(255) NULL AFTER external_source,
+      ADD UNIQUE KEY uq_transactions_external (external_source, external_id)
+  `);
+
+  await db.query(`
+    ALTER TABLE import_batches
+      ADD COLUMN duplicate_count INT UNSIGNED NOT NULL DEFAULT 0 AFTER error_count
+  `);
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE import_batches DROP COLUMN duplicate_count');
+  await db.query(`
+    ALTER TABLE transactions
+      DROP KEY uq_transactions_external,
+      DROP COLUMN external_id,
+      DROP COLUMN external_source
+  `);
+};
+
+module.exports = { up, down };
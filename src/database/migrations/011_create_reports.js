@@ -0,0 +1,28 @@
+// Generated report files (monthly cash-flow PDFs) kept for later download
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE reports (
+      id CHAR(36) NOT NULL,
+      type VARCHAR(30) NOT NULL,
+      period VARCHAR(10) NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      locale VARCHAR(20) NOT NULL,
+      filename VARCHAR(255) NOT NULL,
+      file_size INT UNSIGNED NOT NULL,
+      summary_data JSON NULL,
+      generated_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_reports_type_period (type, period),
+      CONSTRAINT fk_reports_generated_by FOREIGN KEY (generated_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS reports');
+};
+
+module.exports = { up, down };
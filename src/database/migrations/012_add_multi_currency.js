@@ -0,0 +1,52 @@
+// Currency per transaction, amount converted to the base currency and the exchange rates used
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE exchange_rates (
+      id CHAR(36) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      rate_date DATE NOT NULL,
+      rate DECIMAL(18, 8) NOT NULL,
+      source VARCHAR(20) NOT NULL DEFAULT 'manual',
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_exchange_rates_currency_date (currency, rate_date),
+      CONSTRAINT fk_exchange_rates_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN currency CHAR(3) NULL AFTER amount,
+      ADD COLUMN exchange_rate DECIMAL(18, 8) NOT NULL DEFAULT 1 AFTER currency,
+      ADD COLUMN base_amount DECIMAL(15, 2) NULL AFTER exchange_rate
+  `);
+
+  // Existing transactions were recorded in the base currency
+  await db.query(
+    'UPDATE transactions SET currency = ?, base_amount = amount',
+    [(process.env.BASE_CURRENCY || 'AOA').toUpperCase()]
+  );
+
+  await db.query(`
+    ALTER TABLE transactions
+      MODIFY COLUMN currency CHAR(3) NOT NULL,
+      MODIFY COLUMN base_amount DECIMAL(15, 2) NOT NULL,
+      ADD KEY idx_transactions_currency (currency)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP KEY idx_transactions_currency,
+      DROP COLUMN base_amount,
+      DROP COLUMN exchange_rate,
+      DROP COLUMN currency
+  `);
+  await db.query('DROP TABLE IF EXISTS exchange_rates');
+};
+
+module.exports = { up, down };
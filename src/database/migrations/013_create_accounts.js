@@ -0,0 +1,85 @@
+// Financial accounts (cash, bank, mobile money), the account of each transaction and inter-account transfers
+
+const { v4: uuidv4 } = require('uuid');
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE accounts (
+      id CHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      type ENUM('cash', 'bank', 'mobile_money') NOT NULL,
+      currency CHAR(3) NOT NULL,
+      opening_balance DECIMAL(15, 2) NOT NULL DEFAULT 0,
+      opening_date DATE NOT NULL,
+      institution VARCHAR(100) NULL,
+      account_number VARCHAR(100) NULL,
+      is_default TINYINT(1) NOT NULL DEFAULT 0,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      notes VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_accounts_name (name),
+      CONSTRAINT fk_accounts_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // Existing transactions are moved to a default account in the base currency,
+  // opened on the date of the oldest transaction
+  const [oldest] = await db.query('SELECT DATE_FORMAT(MIN(date), \'%Y-%m-%d\') as date FROM transactions');
+  const defaultAccountId = uuidv4();
+  await db.query(
+    `INSERT INTO accounts (id, name, type, currency, opening_balance, opening_date, is_default)
+     VALUES (?, 'Main account', 'bank', ?, 0, COALESCE(?, CURDATE()), 1)`,
+    [defaultAccountId, (process.env.BASE_CURRENCY || 'AOA').toUpperCase(), oldest[0].date]
+  );
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN account_id CHAR(36) NULL AFTER id,
+      ADD COLUMN transfer_id CHAR(36) NULL AFTER reverses_id,
+      ADD KEY idx_transactions_transfer (transfer_id)
+  `);
+  await db.query('UPDATE transactions SET account_id = ?', [defaultAccountId]);
+  await db.query(`
+    ALTER TABLE transactions
+      MODIFY COLUMN account_id CHAR(36) NOT NULL,
+      ADD CONSTRAINT fk_transactions_account FOREIGN KEY (account_id) REFERENCES accounts (id)
+  `);
+
+  // Templates and statement imports without an account use the default one
+  await db.query(`
+    ALTER TABLE recurring_transactions
+      ADD COLUMN account_id CHAR(36) NULL AFTER id,
+      ADD CONSTRAINT fk_recurring_transactions_account FOREIGN KEY (account_id) REFERENCES accounts (id)
+  `);
+  await db.query(`
+    ALTER TABLE import_batches
+      ADD COLUMN account_id CHAR(36) NULL AFTER profile_id,
+      ADD CONSTRAINT fk_import_batches_account FOREIGN KEY (account_id) REFERENCES accounts (id) ON DELETE SET NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE import_batches
+      DROP FOREIGN KEY fk_import_batches_account,
+      DROP COLUMN account_id
+  `);
+  await db.query(`
+    ALTER TABLE recurring_transactions
+      DROP FOREIGN KEY fk_recurring_transactions_account,
+      DROP COLUMN account_id
+  `);
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_account,
+      DROP KEY idx_transactions_transfer,
+      DROP COLUMN transfer_id,
+      DROP COLUMN account_id
+  `);
+  await db.query('DROP TABLE IF EXISTS accounts');
+};
+
+module.exports = { up, down };
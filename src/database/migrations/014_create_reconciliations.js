@@ -0,0 +1,74 @@
+// Bank reconciliation sessions per account and period, their statement lines and the lock on reconciled transactions
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE reconciliations (
+      id CHAR(36) NOT NULL,
+      account_id CHAR(36) NOT NULL,
+      period_start DATE NOT NULL,
+      period_end DATE NOT NULL,
+      statement_balance DECIMAL(15, 2) NULL,
+      status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+      reconciled_balance DECIMAL(15, 2) NULL,
+      notes VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      closed_by CHAR(36) NULL,
+      closed_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      KEY idx_reconciliations_account_period (account_id, period_start, period_end),
+      CONSTRAINT fk_reconciliations_account FOREIGN KEY (account_id) REFERENCES accounts (id),
+      CONSTRAINT fk_reconciliations_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_reconciliations_closed_by FOREIGN KEY (closed_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  // A transaction can back a single statement line, whether the match is suggested or confirmed
+  await db.query(`
+    CREATE TABLE reconciliation_lines (
+      id CHAR(36) NOT NULL,
+      reconciliation_id CHAR(36) NOT NULL,
+      line_number INT UNSIGNED NOT NULL,
+      date DATE NOT NULL,
+      description VARCHAR(500) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      type ENUM('entrada', 'saida') NOT NULL,
+      status ENUM('unmatched', 'suggested', 'confirmed') NOT NULL DEFAULT 'unmatched',
+      match_method ENUM('auto', 'manual', 'created') NULL,
+      match_score DECIMAL(4, 3) NULL,
+      transaction_id VARCHAR(32) NULL,
+      matched_by CHAR(36) NULL,
+      matched_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_reconciliation_lines_transaction (transaction_id),
+      KEY idx_reconciliation_lines_reconciliation (reconciliation_id, line_number),
+      CONSTRAINT fk_reconciliation_lines_reconciliation FOREIGN KEY (reconciliation_id) REFERENCES reconciliations (id) ON DELETE CASCADE,
+      CONSTRAINT fk_reconciliation_lines_transaction FOREIGN KEY (transaction_id) REFERENCES transactions (id) ON DELETE SET NULL,
+      CONSTRAINT fk_reconciliation_lines_matched_by FOREIGN KEY (matched_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN reconciliation_id CHAR(36) NULL AFTER transfer_id,
+      ADD COLUMN reconciled_at DATETIME NULL AFTER reconciliation_id,
+      ADD KEY idx_transactions_reconciliation (reconciliation_id),
+      ADD CONSTRAINT fk_transactions_reconciliation FOREIGN KEY (reconciliation_id) REFERENCES reconciliations (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_reconciliation,
+      DROP KEY idx_transactions_reconciliation,
+      DROP COLUMN reconciled_at,
+      DROP COLUMN reconciliation_id
+  `);
+  await db.query('DROP TABLE IF EXISTS reconciliation_lines');
+  await db.query('DROP TABLE IF EXISTS reconciliations');
+};
+
+module.exports = { up, down };
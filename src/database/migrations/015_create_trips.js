@@ -0,0 +1,46 @@
+// Trips (bookings) sold to clients and the trip each transaction belongs to
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE trips (
+      id CHAR(36) NOT NULL,
+      reference VARCHAR(50) NULL,
+      destination VARCHAR(150) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      client_name VARCHAR(150) NOT NULL,
+      client_email VARCHAR(255) NULL,
+      client_phone VARCHAR(30) NULL,
+      sale_price DECIMAL(15, 2) NOT NULL DEFAULT 0,
+      status ENUM('quoted', 'confirmed', 'completed', 'cancelled') NOT NULL DEFAULT 'quoted',
+      notes VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_trips_reference (reference),
+      KEY idx_trips_start_date (start_date),
+      KEY idx_trips_status (status),
+      CONSTRAINT fk_trips_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN trip_id CHAR(36) NULL AFTER subcategory_id,
+      ADD KEY idx_transactions_trip (trip_id),
+      ADD CONSTRAINT fk_transactions_trip FOREIGN KEY (trip_id) REFERENCES trips (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_trip,
+      DROP KEY idx_transactions_trip,
+      DROP COLUMN trip_id
+  `);
+  await db.query('DROP TABLE IF EXISTS trips');
+};
+
+module.exports = { up, down };
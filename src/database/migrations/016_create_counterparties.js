@@ -0,0 +1,45 @@
+// Clients and suppliers directory and the counterparty of each transaction
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE counterparties (
+      id CHAR(36) NOT NULL,
+      name VARCHAR(150) NOT NULL,
+      type ENUM('client', 'supplier', 'both') NOT NULL,
+      tax_id VARCHAR(50) NULL,
+      email VARCHAR(255) NULL,
+      phone VARCHAR(30) NULL,
+      contact_name VARCHAR(150) NULL,
+      address VARCHAR(255) NULL,
+      notes VARCHAR(500) NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_counterparties_tax_id (tax_id),
+      KEY idx_counterparties_name (name),
+      KEY idx_counterparties_type (type),
+      CONSTRAINT fk_counterparties_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN counterparty_id CHAR(36) NULL AFTER trip_id,
+      ADD KEY idx_transactions_counterparty (counterparty_id),
+      ADD CONSTRAINT fk_transactions_counterparty FOREIGN KEY (counterparty_id) REFERENCES counterparties (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_counterparty,
+      DROP KEY idx_transactions_counterparty,
+      DROP COLUMN counterparty_id
+  `);
+  await db.query('DROP TABLE IF EXISTS counterparties');
+};
+
+module.exports = { up, down };
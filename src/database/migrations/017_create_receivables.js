@@ -0,0 +1,51 @@
+// Receivables (client invoices and installments) and the payments (entrada transactions) that settle them
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE receivables (
+      id CHAR(36) NOT NULL,
+      reference VARCHAR(50) NULL,
+      counterparty_id CHAR(36) NOT NULL,
+      trip_id CHAR(36) NULL,
+      description VARCHAR(500) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      issue_date DATE NOT NULL,
+      due_date DATE NOT NULL,
+      notes VARCHAR(500) NULL,
+      cancelled_at DATETIME NULL,
+      cancelled_by CHAR(36) NULL,
+      cancel_reason VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_receivables_reference (reference),
+      KEY idx_receivables_due_date (due_date),
+      KEY idx_receivables_counterparty (counterparty_id),
+      CONSTRAINT fk_receivables_counterparty FOREIGN KEY (counterparty_id) REFERENCES counterparties (id),
+      CONSTRAINT fk_receivables_trip FOREIGN KEY (trip_id) REFERENCES trips (id),
+      CONSTRAINT fk_receivables_cancelled_by FOREIGN KEY (cancelled_by) REFERENCES profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_receivables_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN receivable_id CHAR(36) NULL AFTER counterparty_id,
+      ADD KEY idx_transactions_receivable (receivable_id),
+      ADD CONSTRAINT fk_transactions_receivable FOREIGN KEY (receivable_id) REFERENCES receivables (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_receivable,
+      DROP KEY idx_transactions_receivable,
+      DROP COLUMN receivable_id
+  `);
+  await db.query('DROP TABLE IF EXISTS receivables');
+};
+
+module.exports = { up, down };
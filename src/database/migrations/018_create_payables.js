@@ -0,0 +1,57 @@
+// Payables (supplier bills) and the payments (saida transactions) that settle them
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE payables (
+      id CHAR(36) NOT NULL,
+      reference VARCHAR(50) NULL,
+      counterparty_id CHAR(36) NOT NULL,
+      trip_id CHAR(36) NULL,
+      category_id VARCHAR(64) NULL,
+      subcategory_id VARCHAR(64) NULL,
+      description VARCHAR(500) NOT NULL,
+      amount DECIMAL(15, 2) NOT NULL,
+      currency CHAR(3) NOT NULL,
+      issue_date DATE NOT NULL,
+      due_date DATE NOT NULL,
+      scheduled_date DATE NULL,
+      attachment_url VARCHAR(500) NULL,
+      notes VARCHAR(500) NULL,
+      cancelled_at DATETIME NULL,
+      cancelled_by CHAR(36) NULL,
+      cancel_reason VARCHAR(500) NULL,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_payables_supplier_reference (counterparty_id, reference),
+      KEY idx_payables_due_date (due_date),
+      KEY idx_payables_scheduled_date (scheduled_date),
+      CONSTRAINT fk_payables_counterparty FOREIGN KEY (counterparty_id) REFERENCES counterparties (id),
+      CONSTRAINT fk_payables_trip FOREIGN KEY (trip_id) REFERENCES trips (id),
+      CONSTRAINT fk_payables_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE SET NULL,
+      CONSTRAINT fk_payables_subcategory FOREIGN KEY (subcategory_id) REFERENCES subcategories (id) ON DELETE SET NULL,
+      CONSTRAINT fk_payables_cancelled_by FOREIGN KEY (cancelled_by) REFERENCES profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_payables_created_by FOREIGN KEY (created_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    ALTER TABLE transactions
+      ADD COLUMN payable_id CHAR(36) NULL AFTER receivable_id,
+      ADD KEY idx_transactions_payable (payable_id),
+      ADD CONSTRAINT fk_transactions_payable FOREIGN KEY (payable_id) REFERENCES payables (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query(`
+    ALTER TABLE transactions
+      DROP FOREIGN KEY fk_transactions_payable,
+      DROP KEY idx_transactions_payable,
+      DROP COLUMN payable_id
+  `);
+  await db.query('DROP TABLE IF EXISTS payables');
+};
+
+module.exports = { up, down };
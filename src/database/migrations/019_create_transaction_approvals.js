@@ -0,0 +1,37 @@
+// Approval of large expenses: per-category threshold and the approval requests with their decisions
+
+const up = async (db) => {
+  // NULL keeps the global APPROVAL_THRESHOLD (amounts in the base currency)
+  await db.query(`
+    ALTER TABLE categories
+      ADD COLUMN approval_threshold DECIMAL(15, 2) NULL AFTER name
+  `);
+
+  await db.query(`
+    CREATE TABLE transaction_approvals (
+      id CHAR(36) NOT NULL,
+      transaction_id VARCHAR(32) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      threshold DECIMAL(15, 2) NOT NULL,
+      base_amount DECIMAL(15, 2) NOT NULL,
+      requested_by CHAR(36) NULL,
+      requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      decided_by CHAR(36) NULL,
+      decided_at DATETIME NULL,
+      comment VARCHAR(500) NULL,
+      PRIMARY KEY (id),
+      KEY idx_transaction_approvals_status (status, requested_at),
+      KEY idx_transaction_approvals_transaction (transaction_id),
+      CONSTRAINT fk_transaction_approvals_transaction FOREIGN KEY (transaction_id) REFERENCES transactions (id) ON DELETE CASCADE,
+      CONSTRAINT fk_transaction_approvals_requested_by FOREIGN KEY (requested_by) REFERENCES profiles (id) ON DELETE SET NULL,
+      CONSTRAINT fk_transaction_approvals_decided_by FOREIGN KEY (decided_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS transaction_approvals');
+  await db.query('ALTER TABLE categories DROP COLUMN approval_threshold');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,110 @@
+// Roles and their permissions, replacing the two hard-coded roles
+// (the seeded permissions match what administrador and gerente could do before)
+
+const MANAGER_PERMISSIONS = [
+  'transactions:create', 'transactions:update', 'transactions:delete', 'transactions:reverse',
+  'categories:create', 'categories:update', 'categories:delete',
+  'exchange_rates:create', 'exchange_rates:update', 'exchange_rates:delete',
+  'accounts:create', 'accounts:update',
+  'transfers:create', 'transfers:delete',
+  'trips:create', 'trips:update',
+  'counterparties:create', 'counterparties:update',
+  'receivables:create', 'receivables:update', 'receivables:pay', 'receivables:cancel',
+  'payables:create', 'payables:update', 'payables:pay', 'payables:cancel',
+  'recurring:create', 'recurring:update', 'recurring:delete',
+  'budgets:create', 'budgets:update', 'budgets:delete',
+  'reconciliations:read', 'reconciliations:manage',
+  'imports:manage',
+  'files:read', 'files:upload', 'files:delete',
+  'reports:read', 'reports:generate',
+  'profiles:read'
+];
+
+const ADMIN_ONLY_PERMISSIONS = [
+  'transactions:restore_revision',
+  'approvals:manage', 'approvals:configure',
+  'accounts:delete', 'trips:delete', 'counterparties:delete', 'receivables:delete', 'payables:delete',
+  'reports:delete',
+  'users:manage', 'roles:manage', 'audit:read'
+];
+
+const ROLES = [
+  {
+    id: 'administrador',
+    name: 'Administrador',
+    description: 'Full access, including users, roles and expense approvals',
+    permissions: [...MANAGER_PERMISSIONS, ...ADMIN_ONLY_PERMISSIONS]
+  },
+  {
+    id: 'gerente',
+    name: 'Gerente',
+    description: 'Manages the day-to-day finances',
+    permissions: MANAGER_PERMISSIONS
+  },
+  {
+    id: 'contabilista',
+    name: 'Contabilista',
+    description: 'Read-only access for the accountant',
+    permissions: ['reconciliations:read', 'reports:read', 'reports:generate', 'files:read', 'profiles:read', 'audit:read']
+  },
+  {
+    id: 'operador',
+    name: 'Operador',
+    description: 'Data entry: creates and edits records but cannot delete them',
+    permissions: [
+      'transactions:create', 'transactions:update',
+      'transfers:create',
+      'trips:create', 'trips:update',
+      'counterparties:create', 'counterparties:update',
+      'receivables:create', 'receivables:update', 'receivables:pay',
+      'payables:create', 'payables:update', 'payables:pay',
+      'files:read', 'files:upload'
+    ]
+  }
+];
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE roles (
+      id VARCHAR(50) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      description VARCHAR(255) NULL,
+      is_system TINYINT(1) NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_roles_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(`
+    CREATE TABLE role_permissions (
+      role_id VARCHAR(50) NOT NULL,
+      permission VARCHAR(100) NOT NULL,
+      PRIMARY KEY (role_id, permission),
+      CONSTRAINT fk_role_permissions_role FOREIGN KEY (role_id) REFERENCES roles (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query(
+    'INSERT INTO roles (id, name, description, is_system) VALUES ?',
+    [ROLES.map(role => [role.id, role.name, role.description, 1])]
+  );
+  await db.query(
+    'INSERT INTO role_permissions (role_id, permission) VALUES ?',
+    [ROLES.flatMap(role => role.permissions.map(permission => [role.id, permission]))]
+  );
+
+  await db.query(`
+    ALTER TABLE profiles
+      ADD CONSTRAINT fk_profiles_role FOREIGN KEY (role) REFERENCES roles (id)
+  `);
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE profiles DROP FOREIGN KEY fk_profiles_role');
+  await db.query('DROP TABLE IF EXISTS role_permissions');
+  await db.query('DROP TABLE IF EXISTS roles');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,27 @@
+// Categories each user is responsible for; users with assignments only see and post in those categories.
+// Stored reports keep the categories they were generated with, so only users with the same scope see them.
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE profile_categories (
+      profile_id CHAR(36) NOT NULL,
+      category_id VARCHAR(64) NOT NULL,
+      assigned_by CHAR(36) NULL,
+      assigned_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (profile_id, category_id),
+      KEY idx_profile_categories_category (category_id),
+      CONSTRAINT fk_profile_categories_profile FOREIGN KEY (profile_id) REFERENCES profiles (id) ON DELETE CASCADE,
+      CONSTRAINT fk_profile_categories_category FOREIGN KEY (category_id) REFERENCES categories (id) ON DELETE CASCADE,
+      CONSTRAINT fk_profile_categories_assigned_by FOREIGN KEY (assigned_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  await db.query('ALTER TABLE reports ADD COLUMN category_scope JSON NULL AFTER summary_data');
+};
+
+const down = async (db) => {
+  await db.query('ALTER TABLE reports DROP COLUMN category_scope');
+  await db.query('DROP TABLE IF EXISTS profile_categories');
+};
+
+module.exports = { up, down };
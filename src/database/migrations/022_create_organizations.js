@@ -0,0 +1,128 @@
+// Organizations (agencies or branches) sharing one deployment with separate books.
+// Existing data moves to a default organization; exchange rates and roles stay shared.
+
+const { v4: uuidv4 } = require('uuid');
+
+// Tables scoped to an organization (audit entries of background jobs may have none)
+const SCOPED_TABLES = [
+  'profiles', 'categories', 'subcategories', 'transactions', 'accounts', 'trips', 'counterparties',
+  'receivables', 'payables', 'budgets', 'recurring_transactions', 'reconciliations',
+  'import_profiles', 'import_batches', 'reports'
+];
+
+// Unique keys that now only apply within an organization
+const SCOPED_UNIQUE_KEYS = [
+  { table: 'categories', key: 'uq_categories_name', columns: 'name' },
+  { table: 'accounts', key: 'uq_accounts_name', columns: 'name' },
+  { table: 'import_profiles', key: 'uq_import_profiles_name', columns: 'name' },
+  { table: 'trips', key: 'uq_trips_reference', columns: 'reference' },
+  { table: 'counterparties', key: 'uq_counterparties_tax_id', columns: 'tax_id' },
+  { table: 'receivables', key: 'uq_receivables_reference', columns: 'reference' },
+  { table: 'transactions', key: 'uq_transactions_external', columns: 'external_source, external_id' }
+];
+
+const up = async (db) => {
+  await db.query(`
+    CREATE TABLE organizations (
+      id CHAR(36) NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      active TINYINT(1) NOT NULL DEFAULT 1,
+      created_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_organizations_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+
+  const defaultOrganizationId = uuidv4();
+  await db.query(
+    'INSERT INTO organizations (id, name) VALUES (?, ?)',
+    [defaultOrganizationId, process.env.DEFAULT_ORGANIZATION_NAME || 'Sede']
+  );
+
+  for (const table of SCOPED_TABLES) {
+    await db.query(`ALTER TABLE ${table} ADD COLUMN organization_id CHAR(36) NULL AFTER id`);
+    await db.query(`UPDATE ${table} SET organization_id = ?`, [defaultOrganizationId]);
+    await db.query(`
+      ALTER TABLE ${table}
+        MODIFY COLUMN organization_id CHAR(36) NOT NULL,
+        ADD KEY idx_${table}_organization (organization_id),
+        ADD CONSTRAINT fk_${table}_organization FOREIGN KEY (organization_id) REFERENCES organizations (id)
+    `);
+  }
+
+  await db.query(`
+    ALTER TABLE audit_log
+      ADD COLUMN organization_id CHAR(36) NULL AFTER id,
+      ADD KEY idx_audit_log_organization (organization_id, created_at),
+      ADD CONSTRAINT fk_audit_log_organization FOREIGN KEY (organization_id) REFERENCES organizations (id)
+  `);
+  await db.query('UPDATE audit_log SET organization_id = ?', [defaultOrganizationId]);
+
+  for (const { table, key, columns } of SCOPED_UNIQUE_KEYS) {
+    await db.query(`
+      ALTER TABLE ${table}
+        DROP KEY ${key},
+        ADD UNIQUE KEY ${key} (organization_id, ${columns})
+    `);
+  }
+
+  // Super admins may work in any organization and see consolidated reports;
+  // the administrators of the single-organization setup become super admins
+  await db.query(`
+    ALTER TABLE profiles
+      ADD COLUMN is_super_admin TINYINT(1) NOT NULL DEFAULT 0 AFTER role
+  `);
+  await db.query("UPDATE profiles SET is_super_admin = 1 WHERE role = 'administrador'");
+
+  // Uploaded files had no table: the organization that owns each one is recorded from now on,
+  // and the receipts and bills already referenced are assigned to the default organization
+  await db.query(`
+    CREATE TABLE uploaded_files (
+      filename VARCHAR(255) NOT NULL,
+      organization_id CHAR(36) NOT NULL,
+      original_name VARCHAR(255) NULL,
+      mimetype VARCHAR(100) NULL,
+      size INT UNSIGNED NULL,
+      uploaded_by CHAR(36) NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (filename),
+      KEY idx_uploaded_files_organization (organization_id, created_at),
+      CONSTRAINT fk_uploaded_files_organization FOREIGN KEY (organization_id) REFERENCES organizations (id),
+      CONSTRAINT fk_uploaded_files_uploaded_by FOREIGN KEY (uploaded_by) REFERENCES profiles (id) ON DELETE SET NULL
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+  await db.query(`
+    INSERT IGNORE INTO uploaded_files (filename, organization_id)
+    SELECT SUBSTRING_INDEX(receipt_url, '/', -1), organization_id FROM transactions WHERE receipt_url IS NOT NULL
+    UNION
+    SELECT SUBSTRING_INDEX(attachment_url, '/', -1), organization_id FROM payables WHERE attachment_url IS NOT NULL
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS uploaded_files');
+  await db.query('ALTER TABLE profiles DROP COLUMN is_super_admin');
+
+  for (const { table, key, columns } of SCOPED_UNIQUE_KEYS) {
+    await db.query(`
+      ALTER TABLE ${table}
+        DROP KEY ${key},
+        ADD UNIQUE KEY ${key} (${columns})
+    `);
+  }
+
+  for (const table of ['audit_log', ...SCOPED_TABLES]) {
+    await db.query(`
+      ALTER TABLE ${table}
+        DROP FOREIGN KEY fk_${table}_organization,
+        DROP KEY idx_${table}_organization,
+        DROP COLUMN organization_id
+    `);
+  }
+
+  await db.query('DROP TABLE IF EXISTS organizations');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,40 @@
+// TOTP two-factor authentication: the shared secret lives with the credentials,
+// recovery codes are stored hashed and can each be used once
+
+const up = async (db) => {
+  // The secret is stored on setup and only takes effect once a code confirms it;
+  // the last accepted time step stops a code from being replayed within its window
+  await db.query(`
+    ALTER TABLE users
+      ADD COLUMN two_factor_secret VARCHAR(64) NULL AFTER password_hash,
+      ADD COLUMN two_factor_enabled TINYINT(1) NOT NULL DEFAULT 0 AFTER two_factor_secret,
+      ADD COLUMN two_factor_enabled_at DATETIME NULL AFTER two_factor_enabled,
+      ADD COLUMN two_factor_last_step BIGINT NULL AFTER two_factor_enabled_at
+  `);
+
+  await db.query(`
+    CREATE TABLE two_factor_recovery_codes (
+      id CHAR(36) NOT NULL,
+      user_id CHAR(36) NOT NULL,
+      code_hash CHAR(64) NOT NULL,
+      used_at DATETIME NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_two_factor_recovery_codes_hash (user_id, code_hash),
+      CONSTRAINT fk_two_factor_recovery_codes_user FOREIGN KEY (user_id) REFERENCES users (id) ON DELETE CASCADE
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+const down = async (db) => {
+  await db.query('DROP TABLE IF EXISTS two_factor_recovery_codes');
+  await db.query(`
+    ALTER TABLE users
+      DROP COLUMN two_factor_last_step,
+      DROP COLUMN two_factor_enabled_at,
+      DROP COLUMN two_factor_enabled,
+      DROP COLUMN two_factor_secret
+  `);
+};
+
+module.exports = { up, down };
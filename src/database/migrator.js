@@ -0,0 +1,157 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+
+// Load migration files ordered by their numeric prefix (e.g. 001_create_initial_schema.js)
+const loadMigrations = () => {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+        throw new Error(`Migration ${file} must export "up" and "down" functions`);
+      }
+
+      return {
+        name: path.basename(file, '.js'),
+        up: migration.up,
+        down: migration.down
+      };
+    });
+};
+
+// Create the migrations history table if it does not exist yet
+const ensureMigrationsTable = async (pool) => {
+  await pool.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      id INT UNSIGNED NOT NULL AUTO_INCREMENT,
+      name VARCHAR(255) NOT NULL,
+      batch INT UNSIGNED NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      PRIMARY KEY (id),
+      UNIQUE KEY uq_schema_migrations_name (name)
+    ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4
+  `);
+};
+
+// Get applied migrations (empty when the history table has not been created yet)
+const getAppliedMigrations = async (pool) => {
+  try {
+    const [rows] = await pool.query(
+      `SELECT name, batch, applied_at FROM ${MIGRATIONS_TABLE} ORDER BY id ASC`
+    );
+    return rows;
+  } catch (error) {
+    if (error.code === 'ER_NO_SUCH_TABLE') {
+      return [];
+    }
+    throw error;
+  }
+};
+
+// Get migrations present on disk but not yet applied
+const getPendingMigrations = async (pool) => {
+  const applied = new Set((await getAppliedMigrations(pool)).map(row => row.name));
+  return loadMigrations().filter(migration => !applied.has(migration.name));
+};
+
+// Get the status of every known migration
+const getMigrationStatus = async (pool) => {
+  const applied = new Map((await getAppliedMigrations(pool)).map(row => [row.name, row]));
+
+  return loadMigrations().map(migration => {
+    const row = applied.get(migration.name);
+    return {
+      name: migration.name,
+      applied: Boolean(row),
+      batch: row ? row.batch : null,
+      appliedAt: row ? row.applied_at : null
+    };
+  });
+};
+
+// Apply every pending migration as a single batch
+const migrate = async (pool) => {
+  await ensureMigrationsTable(pool);
+
+  const pending = await getPendingMigrations(pool);
+  if (pending.length === 0) {
+    return [];
+  }
+
+  const [batchResult] = await pool.query(
+    `SELECT COALESCE(MAX(batch), 0) + 1 AS batch FROM ${MIGRATIONS_TABLE}`
+  );
+  const batch = batchResult[0].batch;
+
+  const applied = [];
+  for (const migration of pending) {
+    const connection = await pool.getConnection();
+    try {
+      await migration.up(connection);
+      await connection.query(
+        `INSERT INTO ${MIGRATIONS_TABLE} (name, batch) VALUES (?, ?)`,
+        [migration.name, batch]
+      );
+      applied.push(migration.name);
+    } catch (error) {
+      error.message = `${migration.name}: ${error.message}`;
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  return applied;
+};
+
+// Revert every migration of the most recent batch, newest first
+const rollback = async (pool) => {
+  await ensureMigrationsTable(pool);
+
+  const [rows] = await pool.query(
+    `SELECT name FROM ${MIGRATIONS_TABLE}
+     WHERE batch = (SELECT MAX(batch) FROM ${MIGRATIONS_TABLE})
+     ORDER BY id DESC`
+  );
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const migrations = new Map(loadMigrations().map(migration => [migration.name, migration]));
+
+  const reverted = [];
+  for (const { name } of rows) {
+    const migration = migrations.get(name);
+    if (!migration) {
+      throw new Error(`Migration file for ${name} not found`);
+    }
+
+    const connection = await pool.getConnection();
+    try {
+      await migration.down(connection);
+      await connection.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE name = ?`, [name]);
+      reverted.push(name);
+    } catch (error) {
+      error.message = `${name}: ${error.message}`;
+      throw error;
+    } finally {
+      connection.release();
+    }
+  }
+
+  return reverted;
+};
+
+module.exports = {
+  loadMigrations,
+  getAppliedMigrations,
+  getPendingMigrations,
+  getMigrationStatus,
+  migrate,
+  rollback
+};
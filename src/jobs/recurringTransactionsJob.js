@@ -0,0 +1,162 @@
+const { executeQuery } = require('../config/database');
+const { generateNextTransactionId, RECURRING_TRANSACTION_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { listOccurrences } = require('../utils/recurrenceUtils');
+const { today } = require('../utils/dateUtils');
+const { convertToBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount } = require('../utils/accountUtils');
+const { getRequiredApproval, getApprovalUser, requestApproval } = require('../utils/approvalUtils');
+
+// How often the scheduler looks for due occurrences
+const getSchedulerIntervalMs = () => parseInt(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+// Attempts at a free txn-XXX ID when a transaction posted at the same time takes the one generated
+const MAX_ID_ATTEMPTS = 3;
+
+// Whether an insert failed because the occurrence of that date already exists
+const isDuplicateOccurrence = (error) => error.code === 'ER_DUP_ENTRY'
+  && error.message.includes('uq_transactions_recurring_occurrence');
+
+// Create the transaction for one due date; returns null when it was already generated
+const generateOccurrence = async (template, dueDate) => {
+  // Template amounts are in the currency of their account (the default account of the template's
+  // organization when none is set)
+  const account = await resolveAccount(template.account_id, template.organization_id);
+  const conversion = await convertToBaseCurrency(template.amount, account.currency, dueDate);
+
+  // Occurrences belong to the author of the template: expenses above the approval threshold wait
+  // for an administrator unless the author approves expenses
+  const approvalThreshold = await getRequiredApproval(await getApprovalUser(template.created_by), {
+    type: template.type,
+    base_amount: conversion.base_amount,
+    category_id: template.category_id
+  });
+
+  let transactionId;
+  for (let attempt = 1; ; attempt++) {
+    transactionId = await generateNextTransactionId();
+
+    try {
+      await executeQuery(
+        `INSERT INTO transactions
+         (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+          category_id, subcategory_id, recurring_id, recurring_date, status, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          transactionId,
+          template.organization_id,
+          account.id,
+          template.amount,
+          conversion.currency,
+          conversion.exchange_rate,
+          conversion.base_amount,
+          template.type,
+          template.description,
+          dueDate,
+          template.category_id,
+          template.subcategory_id,
+          template.id,
+          dueDate,
+          approvalThreshold === null ? 'posted' : 'pending_approval',
+          template.created_by
+        ]
+      );
+      break;
+    } catch (error) {
+      if (isDuplicateOccurrence(error)) {
+        return null;
+      }
+      // Any other duplicate is the transaction ID: retry with a fresh one
+      if (error.code !== 'ER_DUP_ENTRY' || attempt === MAX_ID_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+
+  await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: template.created_by });
+
+  if (approvalThreshold !== null) {
+    await requestApproval(transactionId, {
+      threshold: approvalThreshold,
+      baseAmount: conversion.base_amount,
+      requestedBy: template.created_by
+    });
+  }
+
+  await recordAudit({ user: null, ip: null, organizationId: template.organization_id }, {
+    action: 'create',
+    entity: 'transaction',
+    entityId: transactionId,
+    after: { recurring_id: template.id, recurring_date: dueDate, amount: template.amount, type: template.type }
+  });
+
+  return transactionId;
+};
+
+// Generate every due occurrence of one template up to today
+const processTemplate = async (template, untilDate = today()) => {
+  const dueDates = listOccurrences(template, {
+    after: template.last_generated_date,
+    until: untilDate
+  });
+
+  const generated = [];
+  for (const dueDate of dueDates) {
+    const transactionId = await generateOccurrence(template, dueDate);
+    if (transactionId) {
+      generated.push(transactionId);
+    }
+
+    await executeQuery(
+      'UPDATE recurring_transactions SET last_generated_date = ? WHERE id = ?',
+      [dueDate, template.id]
+    );
+  }
+
+  return generated;
+};
+
+// Generate due occurrences for every active template
+const runRecurringTransactions = async () => {
+  const templates = await executeQuery(
+    `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.active = 1 AND r.start_date <= CURDATE()`
+  );
+
+  let total = 0;
+  for (const template of templates) {
+    try {
+      total += (await processTemplate(template)).length;
+    } catch (error) {
+      console.error(`Recurring transaction ${template.id} failed:`, error.message);
+    }
+  }
+
+  if (total > 0) {
+    console.log(`🔁 Generated ${total} recurring transaction(s)`);
+  }
+
+  return total;
+};
+
+// Run the scheduler periodically in-process
+const startRecurringTransactionsJob = () => {
+  const run = async () => {
+    try {
+      await runRecurringTransactions();
+    } catch (error) {
+      console.error('Recurring transactions scheduler failed:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, getSchedulerIntervalMs());
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  processTemplate,
+  runRecurringTransactions,
+  startRecurringTransactionsJob
+};
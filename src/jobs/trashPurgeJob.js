@@ -0,0 +1,81 @@
+const { executeQuery } = require('../config/database');
+const { recordAudit } = require('../utils/auditUtils');
+const { deleteUploadedFile } = require('../utils/fileUtils');
+const { getTransactionRevisions } = require('../utils/revisionUtils');
+const { isPayableAttachment } = require('../utils/payableUtils');
+
+// Retention window for trashed transactions and how often the purge runs
+const getRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const getPurgeIntervalMs = () => parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+// Permanently delete a trashed transaction and every receipt it or its revisions reference
+// (bills still attached to a payable are kept)
+const purgeTransaction = async (transaction) => {
+  const revisions = await getTransactionRevisions(transaction.id);
+  const receiptUrls = new Set(
+    [transaction.receipt_url, ...revisions.map(revision => revision.snapshot.receipt_url)].filter(Boolean)
+  );
+
+  for (const receiptUrl of receiptUrls) {
+    try {
+      if (await isPayableAttachment(receiptUrl)) {
+        continue;
+      }
+
+      await deleteUploadedFile(receiptUrl);
+    } catch (fileError) {
+      console.error('Error deleting receipt file:', fileError);
+      // Continue with purge even if file deletion fails
+    }
+  }
+
+  await executeQuery('DELETE FROM transactions WHERE id = ? AND deleted_at IS NOT NULL', [transaction.id]);
+
+  await recordAudit({ user: null, ip: null, organizationId: transaction.organization_id }, {
+    action: 'purge',
+    entity: 'transaction',
+    entityId: transaction.id,
+    before: transaction
+  });
+};
+
+// Purge transactions that have been in the trash longer than the retention window
+const purgeExpiredTransactions = async () => {
+  const expired = await executeQuery(
+    'SELECT * FROM transactions WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)',
+    [getRetentionDays()]
+  );
+
+  for (const transaction of expired) {
+    await purgeTransaction(transaction);
+  }
+
+  if (expired.length > 0) {
+    console.log(`🗑️  Purged ${expired.length} transaction(s) from trash`);
+  }
+
+  return expired.length;
+};
+
+// Run the purge periodically in-process
+const startTrashPurgeJob = () => {
+  const run = async () => {
+    try {
+      await purgeExpiredTransactions();
+    } catch (error) {
+      console.error('Trash purge failed:', error.message);
+    }
+  };
+
+  run();
+  const timer = setInterval(run, getPurgeIntervalMs());
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getRetentionDays,
+  purgeTransaction,
+  purgeExpiredTransactions,
+  startTrashPurgeJob
+};
@@ -1,6 +1,29 @@
 const jwt = require('jsonwebtoken');
 const { executeQuery } = require('../config/database');
 const { AppError } = require('./errorMiddleware');
+const { isSessionActive } = require('../utils/sessionUtils');
+const { getRolePermissions } = require('../utils/permissionUtils');
+const { resolveTokenOrganization } = require('../utils/organizationUtils');
+const { assertTwoFactorCompliance } = require('../utils/twoFactorUtils');
+
+// Build req.user from the profile and the organization the token works in
+const buildRequestUser = async (profile, decoded) => {
+  const organization = await resolveTokenOrganization(profile, decoded.org);
+  assertTwoFactorCompliance(profile);
+
+  return {
+    id: profile.id,
+    email: profile.email,
+    name: profile.name,
+    role: profile.role,
+    permissions: await getRolePermissions(profile.role),
+    organizationId: organization.id,
+    organizationName: organization.name,
+    homeOrganizationId: profile.organization_id,
+    isSuperAdmin: Boolean(profile.is_super_admin),
+    sessionId: decoded.sid || null
+  };
+};
 
 // Verify JWT token
 const verifyToken = async (req, res, next) => {
@@ -19,10 +42,19 @@ const verifyToken = async (req, res, next) => {
 
     // Verify token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    if (decoded.type !== 'access') {
+      throw new AppError('Invalid token.', 401, 'INVALID_TOKEN');
+    }
+
+    // Reject access tokens whose session was revoked (logout or refresh token reuse)
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      throw new AppError('Session has been revoked.', 401, 'SESSION_REVOKED');
+    }
     
     // Get user from database
     const users = await executeQuery(
-      `SELECT u.id, u.email, p.name, p.role, p.status 
+      `SELECT u.id, u.email, u.two_factor_enabled, p.name, p.role, p.status, p.organization_id, p.is_super_admin
        FROM users u 
        JOIN profiles p ON u.id = p.id 
        WHERE u.id = ? AND p.status = 1`,
@@ -33,13 +65,8 @@ const verifyToken = async (req, res, next) => {
       throw new AppError('User not found or inactive.', 401, 'USER_NOT_FOUND');
     }
 
-    // Add user to request object
-    req.user = {
-      id: users[0].id,
-      email: users[0].email,
-      name: users[0].name,
-      role: users[0].role
-    };
+    // Add user to request object; every query is scoped to req.user.organizationId
+    req.user = await buildRequestUser(users[0], decoded);
 
     next();
   } catch (error) {
@@ -53,27 +80,27 @@ const verifyToken = async (req, res, next) => {
   }
 };
 
-// Check if user has admin role
-const requireAdmin = (req, res, next) => {
+// Check if the user's role grants a permission (e.g. 'transactions:delete')
+const requirePermission = (permission) => (req, res, next) => {
   if (!req.user) {
     return next(new AppError('Authentication required.', 401, 'AUTH_REQUIRED'));
   }
 
-  if (req.user.role !== 'administrador') {
-    return next(new AppError('Admin access required.', 403, 'ADMIN_REQUIRED'));
+  if (!req.user.permissions.includes(permission)) {
+    return next(new AppError(`Permission ${permission} required.`, 403, 'INSUFFICIENT_PERMISSIONS', { permission }));
   }
 
   next();
 };
 
-// Check if user has admin or manager role
-const requireAdminOrManager = (req, res, next) => {
+// Only super admins may manage organizations and see consolidated cross-organization reports
+const requireSuperAdmin = (req, res, next) => {
   if (!req.user) {
     return next(new AppError('Authentication required.', 401, 'AUTH_REQUIRED'));
   }
 
-  if (!['administrador', 'gerente'].includes(req.user.role)) {
-    return next(new AppError('Admin or manager access required.', 403, 'INSUFFICIENT_PERMISSIONS'));
+  if (!req.user.isSuperAdmin) {
+    return next(new AppError('Super admin access required.', 403, 'SUPER_ADMIN_REQUIRED'));
   }
 
   next();
@@ -87,11 +114,12 @@ const optionalAuth = async (req, res, next) => {
     if (authHeader && authHeader.startsWith('Bearer ')) {
       const token = authHeader.substring(7);
       
-      if (token) {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        
+      const decoded = token ? jwt.verify(token, process.env.JWT_SECRET) : null;
+
+      // Refresh and two-factor challenge tokens never authenticate a request
+      if (decoded && decoded.type === 'access') {
         const users = await executeQuery(
-          `SELECT u.id, u.email, p.name, p.role, p.status 
+          `SELECT u.id, u.email, u.two_factor_enabled, p.name, p.role, p.status, p.organization_id, p.is_super_admin
            FROM users u 
            JOIN profiles p ON u.id = p.id 
            WHERE u.id = ? AND p.status = 1`,
@@ -99,12 +127,7 @@ const optionalAuth = async (req, res, next) => {
         );
 
         if (users.length > 0) {
-          req.user = {
-            id: users[0].id,
-            email: users[0].email,
-            name: users[0].name,
-            role: users[0].role
-          };
+          req.user = await buildRequestUser(users[0], decoded);
         }
       }
     }
@@ -118,7 +141,7 @@ const optionalAuth = async (req, res, next) => {
 
 module.exports = {
   verifyToken,
-  requireAdmin,
-  requireAdminOrManager,
+  requirePermission,
+  requireSuperAdmin,
   optionalAuth
 };
@@ -0,0 +1,73 @@
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs').promises;
+const { v4: uuidv4 } = require('uuid');
+const { AppError } = require('./errorMiddleware');
+
+// Ensure uploads directory exists
+const ensureUploadDir = async () => {
+  const uploadDir = process.env.UPLOAD_DIR || 'uploads';
+  try {
+    await fs.access(uploadDir);
+  } catch (error) {
+    await fs.mkdir(uploadDir, { recursive: true });
+  }
+};
+
+// Configure multer disk storage for uploaded files
+const storage = multer.diskStorage({
+  destination: async (req, file, cb) => {
+    await ensureUploadDir();
+    cb(null, process.env.UPLOAD_DIR || 'uploads');
+  },
+  filename: (req, file, cb) => {
+    // Generate unique filename with original extension
+    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
+    cb(null, uniqueName);
+  }
+});
+
+// File filter accepting the given mimetypes or file extensions
+const createFileFilter = (getAllowedTypes, allowedExtensions = []) => (req, file, cb) => {
+  const allowedTypes = getAllowedTypes();
+  const extension = path.extname(file.originalname).toLowerCase();
+
+  if (allowedTypes.includes(file.mimetype) || allowedExtensions.includes(extension)) {
+    cb(null, true);
+  } else {
+    cb(new AppError(`File type ${file.mimetype} is not allowed`, 400, 'INVALID_FILE_TYPE'), false);
+  }
+};
+
+// Upload limits shared by every uploader
+const limits = {
+  fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+  files: 1 // Only allow single file upload
+};
+
+// Receipts and attachments, stored in the uploads directory
+const upload = multer({
+  storage,
+  fileFilter: createFileFilter(
+    () => (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,application/pdf').split(',')
+  ),
+  limits
+});
+
+// Bank statements, kept in memory because they are parsed and discarded
+const statementUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter: createFileFilter(
+    () => [
+      'text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel',
+      'application/x-ofx', 'application/ofx', 'application/xml', 'text/xml'
+    ],
+    ['.csv', '.txt', '.ofx', '.qfx', '.xml']
+  ),
+  limits
+});
+
+module.exports = {
+  upload,
+  statementUpload
+};
@@ -1,5 +1,14 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { AppError } = require('./errorMiddleware');
+const { isValidPeriod } = require('../utils/periodUtils');
+const { DATE_FORMATS } = require('../utils/importUtils');
+const { EXPORT_FORMATS, isSupportedLocale } = require('../utils/exportUtils');
+const { CURRENCY_CODE_PATTERN, getBaseCurrency } = require('../utils/currencyUtils');
+const { ACCOUNT_TYPES } = require('../utils/accountUtils');
+const { MAX_HORIZON_DAYS, parseHorizon } = require('../utils/forecastUtils');
+const { TRIP_STATUSES } = require('../utils/tripUtils');
+const { COUNTERPARTY_TYPES } = require('../utils/counterpartyUtils');
+const { ROLE_ID_PATTERN, PERMISSIONS } = require('../utils/permissionUtils');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -30,6 +39,13 @@ const validateLogin = [
   handleValidationErrors
 ];
 
+const validateOrganizationSwitch = [
+  body('organization_id')
+    .isUUID()
+    .withMessage('Please provide a valid organization ID'),
+  handleValidationErrors
+];
+
 const validateChangePassword = [
   body('currentPassword')
     .notEmpty()
@@ -47,6 +63,69 @@ const validateChangePassword = [
   handleValidationErrors
 ];
 
+// Two-factor validations: a TOTP code, or a one-time recovery code where noted
+const twoFactorCode = (field) => body(field)
+  .trim()
+  .matches(/^\d{6}$/)
+  .withMessage('Two-factor code must be 6 digits');
+
+const twoFactorCodeOrRecoveryCode = [
+  body('code')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Two-factor code must be 6 digits'),
+  body('recovery_code')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Recovery code must be a non-empty string'),
+  body()
+    .custom(value => {
+      if (!value.code && !value.recovery_code) {
+        throw new Error('Provide a two-factor code or a recovery code');
+      }
+      return true;
+    })
+];
+
+const validateTwoFactorChallenge = [
+  body('challenge_token')
+    .isJWT()
+    .withMessage('Please provide a valid challenge token'),
+  handleValidationErrors
+];
+
+const validateTwoFactorLogin = [
+  body('challenge_token')
+    .isJWT()
+    .withMessage('Please provide a valid challenge token'),
+  ...twoFactorCodeOrRecoveryCode,
+  handleValidationErrors
+];
+
+const validateTwoFactorSetupLogin = [
+  body('challenge_token')
+    .isJWT()
+    .withMessage('Please provide a valid challenge token'),
+  twoFactorCode('code'),
+  handleValidationErrors
+];
+
+const validateTwoFactorCode = [
+  twoFactorCode('code'),
+  handleValidationErrors
+];
+
+const validateDisableTwoFactor = [
+  body('password')
+    .notEmpty()
+    .withMessage('Password is required'),
+  ...twoFactorCodeOrRecoveryCode,
+  handleValidationErrors
+];
+
 // User validations
 const validateCreateUser = [
   body('email')
@@ -65,8 +144,8 @@ const validateCreateUser = [
     .isMobilePhone()
     .withMessage('Please provide a valid phone number'),
   body('role')
-    .isIn(['administrador', 'gerente'])
-    .withMessage('Role must be either administrador or gerente'),
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Please provide a valid role'),
   handleValidationErrors
 ];
 
@@ -85,8 +164,8 @@ const validateUpdateUser = [
     .withMessage('Please provide a valid phone number'),
   body('role')
     .optional()
-    .isIn(['administrador', 'gerente'])
-    .withMessage('Role must be either administrador or gerente'),
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Please provide a valid role'),
   body('status')
     .optional()
     .isBoolean()
@@ -131,9 +210,19 @@ const validateSubcategory = [
 
 // Transaction validations
 const validateTransaction = [
+  body('account_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid account ID format'),
   body('amount')
     .isFloat({ min: 0.01 })
     .withMessage('Amount must be a positive number'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_CODE_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO 4217 code'),
   body('type')
     .isIn(['entrada', 'saida'])
     .withMessage('Type must be either entrada or saida'),
@@ -152,11 +241,729 @@ const validateTransaction = [
     .optional()
     .matches(/^sub-[a-z]+-\d+$/)
     .withMessage('Invalid subcategory ID format'),
+  body('trip_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid trip ID format'),
+  body('counterparty_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid counterparty ID format'),
   body('comprovativo_url')
     .optional(),
   handleValidationErrors
 ];
 
+// Exchange rate validations (rate = value of 1 unit of the currency in the base currency)
+const validateExchangeRate = [
+  body('currency')
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_CODE_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO 4217 code')
+    .bail()
+    .custom(value => value !== getBaseCurrency())
+    .withMessage('Rates cannot be set for the base currency'),
+  body('rate_date')
+    .isISO8601()
+    .withMessage('Please provide a valid rate date'),
+  body('rate')
+    .isFloat({ gt: 0 })
+    .withMessage('Rate must be a positive number'),
+  handleValidationErrors
+];
+
+// Recurring transaction validations
+const validateRecurringTransaction = [
+  body('account_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid account ID format'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('type')
+    .isIn(['entrada', 'saida'])
+    .withMessage('Type must be either entrada or saida'),
+  body('description')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  body('category_id')
+    .optional()
+    .matches(/^cat-[a-z]+-\d+$/)
+    .withMessage('Invalid category ID format'),
+  body('subcategory_id')
+    .optional()
+    .matches(/^sub-[a-z]+-\d+$/)
+    .withMessage('Invalid subcategory ID format'),
+  body('frequency')
+    .isIn(['daily', 'weekly', 'monthly', 'yearly'])
+    .withMessage('Frequency must be daily, weekly, monthly or yearly'),
+  body('interval_count')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Interval must be between 1 and 365'),
+  body('day_of_month')
+    .optional({ nullable: true })
+    .isInt({ min: 1, max: 31 })
+    .withMessage('Day of month must be between 1 and 31')
+    .custom((value, { req }) => {
+      if (req.body.frequency !== 'monthly') {
+        throw new Error('Day of month only applies to monthly frequency');
+      }
+      return true;
+    }),
+  body('start_date')
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('end_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .custom((value, { req }) => {
+      if (value < req.body.start_date) {
+        throw new Error('End date must be on or after the start date');
+      }
+      return true;
+    }),
+  body('max_occurrences')
+    .optional({ nullable: true })
+    .isInt({ min: 1 })
+    .withMessage('Max occurrences must be a positive integer'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean value'),
+  handleValidationErrors
+];
+
+// Budget validations
+const validateBudget = [
+  body('category_id')
+    .notEmpty()
+    .withMessage('Category is required'),
+  body('subcategory_id')
+    .optional({ nullable: true })
+    .notEmpty()
+    .withMessage('Invalid subcategory ID format'),
+  body('period_type')
+    .isIn(['month', 'quarter', 'year'])
+    .withMessage('Period type must be month, quarter or year'),
+  body('period')
+    .custom((value, { req }) => {
+      if (!isValidPeriod(req.body.period_type, value)) {
+        throw new Error('Period must match the period type (YYYY-MM, YYYY-Qn or YYYY)');
+      }
+      return true;
+    }),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+// Statement import profile validations
+const validateImportProfile = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Profile name must be between 2 and 100 characters'),
+  body('bank_name')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Bank name must be at most 100 characters'),
+  body('delimiter')
+    .optional()
+    .isIn([',', ';', '\t', '|'])
+    .withMessage('Delimiter must be one of , ; | or tab'),
+  body('has_header')
+    .optional()
+    .isBoolean()
+    .withMessage('has_header must be a boolean value'),
+  body('skip_rows')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('skip_rows must be between 0 and 50'),
+  body('date_column')
+    .notEmpty()
+    .withMessage('Date column is required'),
+  body('date_format')
+    .isIn(DATE_FORMATS)
+    .withMessage(`Date format must be one of ${DATE_FORMATS.join(', ')}`),
+  body('description_column')
+    .notEmpty()
+    .withMessage('Description column is required'),
+  body('decimal_separator')
+    .isIn([',', '.'])
+    .withMessage('Decimal separator must be , or .'),
+  body('sign_convention')
+    .isIn(['signed', 'inverted', 'split'])
+    .withMessage('Sign convention must be signed, inverted or split'),
+  body('amount_column')
+    .if(body('sign_convention').not().equals('split'))
+    .notEmpty()
+    .withMessage('Amount column is required unless debit and credit columns are split'),
+  body(['debit_column', 'credit_column'])
+    .if(body('sign_convention').equals('split'))
+    .notEmpty()
+    .withMessage('Debit and credit columns are required for split sign convention'),
+  body('default_category_id')
+    .optional({ nullable: true })
+    .notEmpty()
+    .withMessage('Invalid category ID format'),
+  body('default_subcategory_id')
+    .optional({ nullable: true })
+    .notEmpty()
+    .withMessage('Invalid subcategory ID format'),
+  handleValidationErrors
+];
+
+// Trip (booking) validations
+const validateTrip = [
+  body('reference')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference must be at most 50 characters'),
+  body('destination')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Destination must be between 2 and 150 characters'),
+  body('start_date')
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  body('end_date')
+    .isISO8601()
+    .withMessage('Please provide a valid end date')
+    .bail()
+    .custom((value, { req }) => value >= req.body.start_date)
+    .withMessage('End date must be on or after the start date'),
+  body('client_name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Client name must be between 2 and 150 characters'),
+  body('client_email')
+    .optional({ nullable: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid client email address'),
+  body('client_phone')
+    .optional({ nullable: true })
+    .isMobilePhone()
+    .withMessage('Please provide a valid client phone number'),
+  body('sale_price')
+    .isFloat({ min: 0 })
+    .withMessage('Sale price must be a non-negative number'),
+  body('status')
+    .optional()
+    .isIn(TRIP_STATUSES)
+    .withMessage(`Status must be one of: ${TRIP_STATUSES.join(', ')}`),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+// Counterparty (client/supplier) validations
+const validateCounterparty = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 150 })
+    .withMessage('Name must be between 2 and 150 characters'),
+  body('type')
+    .isIn(COUNTERPARTY_TYPES)
+    .withMessage(`Type must be one of: ${COUNTERPARTY_TYPES.join(', ')}`),
+  body('tax_id')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tax ID must be at most 50 characters'),
+  body('email')
+    .optional({ nullable: true })
+    .isEmail()
+    .normalizeEmail()
+    .withMessage('Please provide a valid email address'),
+  body('phone')
+    .optional({ nullable: true })
+    .isMobilePhone()
+    .withMessage('Please provide a valid phone number'),
+  body('contact_name')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 150 })
+    .withMessage('Contact name must be at most 150 characters'),
+  body('address')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Address must be at most 255 characters'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean value'),
+  handleValidationErrors
+];
+
+// Counterparty statement validation
+const validateCounterpartyStatement = [
+  query('start_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid start date'),
+  query('end_date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid end date'),
+  handleValidationErrors
+];
+
+// Receivable validations
+const validateReceivable = [
+  body('reference')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference must be at most 50 characters'),
+  body('counterparty_id')
+    .isUUID()
+    .withMessage('Invalid counterparty ID format'),
+  body('trip_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid trip ID format'),
+  body('description')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_CODE_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO 4217 code'),
+  body('issue_date')
+    .isISO8601()
+    .withMessage('Please provide a valid issue date'),
+  body('due_date')
+    .isISO8601()
+    .withMessage('Please provide a valid due date')
+    .bail()
+    .custom((value, { req }) => value >= req.body.issue_date)
+    .withMessage('Due date must be on or after the issue date'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+// Role validations (the ID is only set on creation)
+const validateRole = [
+  body('id')
+    .if((value, { req }) => req.method === 'POST')
+    .matches(ROLE_ID_PATTERN)
+    .withMessage('Role ID must be 2-50 lowercase letters, digits or underscores, starting with a letter'),
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 255 })
+    .withMessage('Description must be at most 255 characters'),
+  body('permissions')
+    .isArray()
+    .withMessage('Permissions must be an array'),
+  body('permissions.*')
+    .isIn(Object.keys(PERMISSIONS))
+    .withMessage('Unknown permission'),
+  handleValidationErrors
+];
+
+// Organizations (agencies or branches)
+const validateOrganization = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean value'),
+  handleValidationErrors
+];
+
+// Categories assigned to a user (an empty list removes the restriction)
+const validateCategoryAssignment = [
+  body('category_ids')
+    .isArray()
+    .withMessage('category_ids must be an array'),
+  body('category_ids.*')
+    .isString()
+    .notEmpty()
+    .withMessage('Each category ID must be a non-empty string'),
+  handleValidationErrors
+];
+
+// Approval decisions (a comment is required to reject)
+const validateApprovalDecision = [
+  body('comment')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment must be at most 500 characters'),
+  handleValidationErrors
+];
+
+const validateRejection = [
+  body('comment')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Comment must be between 2 and 500 characters'),
+  handleValidationErrors
+];
+
+// Approval threshold of a category (null falls back to the global threshold)
+const validateApprovalThreshold = [
+  body('approval_threshold')
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Approval threshold must be zero or a positive number'),
+  handleValidationErrors
+];
+
+// Payable validations
+const validatePayable = [
+  body('reference')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Reference must be at most 50 characters'),
+  body('counterparty_id')
+    .isUUID()
+    .withMessage('Invalid counterparty ID format'),
+  body('trip_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Invalid trip ID format'),
+  body('category_id')
+    .optional({ nullable: true })
+    .matches(/^cat-[a-z]+-\d+$/)
+    .withMessage('Invalid category ID format'),
+  body('subcategory_id')
+    .optional({ nullable: true })
+    .matches(/^sub-[a-z]+-\d+$/)
+    .withMessage('Invalid subcategory ID format'),
+  body('description')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_CODE_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO 4217 code'),
+  body('issue_date')
+    .isISO8601()
+    .withMessage('Please provide a valid issue date'),
+  body('due_date')
+    .isISO8601()
+    .withMessage('Please provide a valid due date')
+    .bail()
+    .custom((value, { req }) => value >= req.body.issue_date)
+    .withMessage('Due date must be on or after the issue date'),
+  body('scheduled_date')
+    .optional({ nullable: true })
+    .isISO8601()
+    .withMessage('Please provide a valid scheduled payment date'),
+  body('attachment_url')
+    .optional({ nullable: true }),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+// Upcoming payables window
+const validateUpcomingPayables = [
+  query('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365'),
+  handleValidationErrors
+];
+
+// Payment of a receivable or payable (recorded as a transaction; defaults to the outstanding amount)
+const validateSettlementPayment = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('date')
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body('account_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid account ID format'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  body('category_id')
+    .optional()
+    .matches(/^cat-[a-z]+-\d+$/)
+    .withMessage('Invalid category ID format'),
+  body('subcategory_id')
+    .optional()
+    .matches(/^sub-[a-z]+-\d+$/)
+    .withMessage('Invalid subcategory ID format'),
+  body('comprovativo_url')
+    .optional(),
+  handleValidationErrors
+];
+
+const validateCancellation = [
+  body('reason')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Reason must be between 2 and 500 characters'),
+  handleValidationErrors
+];
+
+// Aging report validation
+const validateAgingReport = [
+  query('as_of')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  handleValidationErrors
+];
+
+// Account validations
+const validateAccount = [
+  body('name')
+    .trim()
+    .isLength({ min: 2, max: 100 })
+    .withMessage('Name must be between 2 and 100 characters'),
+  body('type')
+    .isIn(ACCOUNT_TYPES)
+    .withMessage(`Type must be one of: ${ACCOUNT_TYPES.join(', ')}`),
+  body('currency')
+    .optional()
+    .trim()
+    .toUpperCase()
+    .matches(CURRENCY_CODE_PATTERN)
+    .withMessage('Currency must be a 3-letter ISO 4217 code'),
+  body('opening_balance')
+    .optional()
+    .isFloat()
+    .withMessage('Opening balance must be a number'),
+  body('opening_date')
+    .isISO8601()
+    .withMessage('Please provide a valid opening date'),
+  body('institution')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Institution must be at most 100 characters'),
+  body('account_number')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Account number must be at most 100 characters'),
+  body('is_default')
+    .optional()
+    .isBoolean()
+    .withMessage('is_default must be a boolean value'),
+  body('active')
+    .optional()
+    .isBoolean()
+    .withMessage('Active must be a boolean value'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+// Account balance validation
+const validateAccountBalance = [
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  handleValidationErrors
+];
+
+// Inter-account transfer validation
+const validateTransfer = [
+  body('from_account_id')
+    .isUUID()
+    .withMessage('Invalid source account ID format'),
+  body('to_account_id')
+    .isUUID()
+    .withMessage('Invalid destination account ID format')
+    .custom((value, { req }) => value !== req.body.from_account_id)
+    .withMessage('Source and destination accounts must be different'),
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Amount must be a positive number'),
+  body('to_amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Destination amount must be a positive number'),
+  body('date')
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  handleValidationErrors
+];
+
+// Transaction reversal validation
+const validateReversal = [
+  body('reason')
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Reason must be between 2 and 500 characters'),
+  body('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Please provide a valid date'),
+  handleValidationErrors
+];
+
+// Transaction export validation (the list filters are accepted as-is)
+const validateTransactionExport = [
+  query('format')
+    .isIn(EXPORT_FORMATS)
+    .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(', ')}`),
+  query('locale')
+    .optional()
+    .custom(isSupportedLocale)
+    .withMessage('Unsupported locale'),
+  handleValidationErrors
+];
+
+// Cash-flow forecast validation
+const validateForecast = [
+  query('horizon')
+    .optional()
+    .custom(value => parseHorizon(value) !== null)
+    .withMessage(`Horizon must be a number of days between 1d and ${MAX_HORIZON_DAYS}d`),
+  query('threshold')
+    .optional()
+    .isFloat()
+    .withMessage('Threshold must be a number'),
+  query('account_id')
+    .optional()
+    .isUUID()
+    .withMessage('Invalid account ID format'),
+  handleValidationErrors
+];
+
+// Cash-flow report generation validation
+const validateCashFlowReport = [
+  body('period')
+    .custom(value => isValidPeriod('month', value))
+    .withMessage('Period must be a month in the YYYY-MM format'),
+  body('locale')
+    .optional()
+    .custom(isSupportedLocale)
+    .withMessage('Unsupported locale'),
+  handleValidationErrors
+];
+
+// Bank reconciliation validations
+const validateReconciliation = [
+  body('account_id')
+    .isUUID()
+    .withMessage('Invalid account ID format'),
+  body('period_start')
+    .isISO8601()
+    .withMessage('Please provide a valid period start date'),
+  body('period_end')
+    .isISO8601()
+    .withMessage('Please provide a valid period end date')
+    .bail()
+    .custom((value, { req }) => value >= req.body.period_start)
+    .withMessage('Period end must be on or after the period start'),
+  body('statement_balance')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Statement balance must be a number'),
+  body('notes')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes must be at most 500 characters'),
+  handleValidationErrors
+];
+
+const validateReconciliationMatch = [
+  body('transaction_id')
+    .optional()
+    .matches(/^txn-\d+$/)
+    .withMessage('Invalid transaction ID format'),
+  handleValidationErrors
+];
+
+const validateReconciliationEntry = [
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ min: 2, max: 500 })
+    .withMessage('Description must be between 2 and 500 characters'),
+  body('category_id')
+    .optional()
+    .matches(/^cat-[a-z]+-\d+$/)
+    .withMessage('Invalid category ID format'),
+  body('subcategory_id')
+    .optional()
+    .matches(/^sub-[a-z]+-\d+$/)
+    .withMessage('Invalid subcategory ID format'),
+  handleValidationErrors
+];
+
+const validateReconciliationClose = [
+  body('statement_balance')
+    .optional({ nullable: true })
+    .isFloat()
+    .withMessage('Statement balance must be a number'),
+  handleValidationErrors
+];
+
 // Common validations
 const validateUUID = (paramName = 'id') => [
   param(paramName)
@@ -173,6 +980,14 @@ const validateTransactionId = (paramName = 'id') => [
   handleValidationErrors
 ];
 
+// Revision number validation (positive integer route parameter)
+const validateRevisionNumber = (paramName = 'revision') => [
+  param(paramName)
+    .isInt({ min: 1 })
+    .withMessage(`Invalid ${paramName} number`),
+  handleValidationErrors
+];
+
 // Category ID validation (accepts custom format like cat-XXX-XXX)
 const validateCategoryId = (fieldName = 'category_id') => [
   body(fieldName)
@@ -205,15 +1020,52 @@ const validatePagination = [
 
 module.exports = {
   validateLogin,
+  validateOrganizationSwitch,
   validateChangePassword,
+  validateTwoFactorChallenge,
+  validateTwoFactorLogin,
+  validateTwoFactorSetupLogin,
+  validateTwoFactorCode,
+  validateDisableTwoFactor,
   validateCreateUser,
   validateUpdateUser,
   validateUpdateProfile,
   validateCategory,
   validateSubcategory,
   validateTransaction,
+  validateExchangeRate,
+  validateTrip,
+  validateCounterparty,
+  validateCounterpartyStatement,
+  validateRole,
+  validateOrganization,
+  validateCategoryAssignment,
+  validateApprovalDecision,
+  validateRejection,
+  validateApprovalThreshold,
+  validateReceivable,
+  validatePayable,
+  validateUpcomingPayables,
+  validateSettlementPayment,
+  validateCancellation,
+  validateAgingReport,
+  validateAccount,
+  validateAccountBalance,
+  validateTransfer,
+  validateReconciliation,
+  validateReconciliationMatch,
+  validateReconciliationEntry,
+  validateReconciliationClose,
+  validateReversal,
+  validateTransactionExport,
+  validateForecast,
+  validateCashFlowReport,
+  validateRecurringTransaction,
+  validateBudget,
+  validateImportProfile,
   validateUUID,
   validateTransactionId,
+  validateRevisionNumber,
   validateCategoryId,
   validateSubcategoryId,
   validatePagination,
@@ -0,0 +1,482 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateAccount,
+  validateAccountBalance,
+  validateTransfer,
+  validateUUID
+} = require('../middleware/validationMiddleware');
+const {
+  generateNextTransactionIds,
+  ACCOUNT_WITH_RELATIONS_QUERY,
+  TRANSACTION_WITH_RELATIONS_QUERY
+} = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { convertToBaseCurrency, getBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, getAccountBalance } = require('../utils/accountUtils');
+const { getRetentionDays } = require('../jobs/trashPurgeJob');
+const { today } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+// All account routes require authentication
+router.use(verifyToken);
+
+// GET /api/accounts - List accounts with their current balance
+router.get('/', async (req, res, next) => {
+  try {
+    const type = req.query.type || '';
+    const active = req.query.active;
+
+    let whereClause = 'WHERE a.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (type) {
+      whereClause += ' AND a.type = ?';
+      queryParams.push(type);
+    }
+
+    if (active !== undefined) {
+      whereClause += ' AND a.active = ?';
+      queryParams.push(active === 'true' ? 1 : 0);
+    }
+
+    const accounts = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY a.is_default DESC, a.name ASC`,
+      queryParams
+    );
+
+    const date = today();
+    for (const account of accounts) {
+      account.current_balance = (await getAccountBalance(account, date)).balance;
+    }
+
+    res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/accounts/transfers - Transfer between accounts as a linked outgoing/incoming pair (transfers:create)
+router.post('/transfers', requirePermission('transfers:create'), validateTransfer, async (req, res, next) => {
+  try {
+    const { from_account_id, to_account_id, amount, date } = req.body;
+
+    const fromAccount = await resolveAccount(from_account_id, req.user.organizationId);
+    const toAccount = await resolveAccount(to_account_id, req.user.organizationId);
+
+    // Between accounts in different currencies the amount received must be given
+    if (fromAccount.currency !== toAccount.currency && !req.body.to_amount) {
+      throw new AppError(
+        `to_amount (in ${toAccount.currency}) is required for transfers between different currencies`,
+        400,
+        'TRANSFER_AMOUNT_REQUIRED'
+      );
+    }
+    const toAmount = fromAccount.currency === toAccount.currency ? amount : req.body.to_amount;
+
+    const outgoing = await convertToBaseCurrency(amount, fromAccount.currency, date);
+    const incoming = await convertToBaseCurrency(toAmount, toAccount.currency, date);
+    const description = req.body.description || `Transfer from ${fromAccount.name} to ${toAccount.name}`;
+
+    const transferId = uuidv4();
+    const [outgoingId, incomingId] = await generateNextTransactionIds(2);
+    const insertQuery = `INSERT INTO transactions
+      (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+       transfer_id, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`;
+
+    await executeTransaction([
+      {
+        query: insertQuery,
+        params: [
+          outgoingId, req.user.organizationId,
+          fromAccount.id, amount, outgoing.currency, outgoing.exchange_rate, outgoing.base_amount,
+          'saida', description, date, transferId, req.user.id
+        ]
+      },
+      {
+        query: insertQuery,
+        params: [
+          incomingId, req.user.organizationId,
+          toAccount.id, toAmount, incoming.currency, incoming.exchange_rate, incoming.base_amount,
+          'entrada', description, date, transferId, req.user.id
+        ]
+      }
+    ]);
+
+    await recordTransactionRevision(outgoingId, { changeType: 'create', changedBy: req.user.id });
+    await recordTransactionRevision(incomingId, { changeType: 'create', changedBy: req.user.id });
+
+    const entries = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.transfer_id = ? AND t.organization_id = ? ORDER BY t.type DESC`,
+      [transferId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'transfer',
+      entityId: transferId,
+      after: { outgoing: entries[0], incoming: entries[1] }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Transfer created successfully',
+      data: {
+        id: transferId,
+        outgoing: entries[0],
+        incoming: entries[1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/accounts/transfers/:transferId - Get both entries of a transfer
+router.get('/transfers/:transferId', validateUUID('transferId'), async (req, res, next) => {
+  try {
+    const entries = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY}
+       WHERE t.transfer_id = ? AND t.organization_id = ? AND t.deleted_at IS NULL
+       ORDER BY t.type DESC`,
+      [req.params.transferId, req.user.organizationId]
+    );
+
+    if (entries.length === 0) {
+      throw new AppError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        id: req.params.transferId,
+        outgoing: entries[0],
+        incoming: entries[1]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/accounts/transfers/:transferId - Move both entries of a transfer to trash (transfers:delete)
+router.delete('/transfers/:transferId', requirePermission('transfers:delete'), validateUUID('transferId'), async (req, res, next) => {
+  try {
+    const { transferId } = req.params;
+
+    const entries = await executeQuery(
+      'SELECT * FROM transactions WHERE transfer_id = ? AND organization_id = ? AND deleted_at IS NULL',
+      [transferId, req.user.organizationId]
+    );
+
+    if (entries.length === 0) {
+      throw new AppError('Transfer not found', 404, 'TRANSFER_NOT_FOUND');
+    }
+
+    if (entries.some(entry => entry.reconciliation_id)) {
+      throw new AppError('Reconciled transfers cannot be deleted', 409, 'TRANSACTION_RECONCILED');
+    }
+
+    await executeQuery(
+      `UPDATE transactions SET deleted_at = NOW(), deleted_by = ?
+       WHERE transfer_id = ? AND organization_id = ? AND deleted_at IS NULL`,
+      [req.user.id, transferId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'transfer',
+      entityId: transferId,
+      before: entries,
+      after: { deleted_by: req.user.id }
+    });
+
+    res.json({
+      success: true,
+      message: `Transfer moved to trash. It will be permanently deleted after ${getRetentionDays()} days`
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/accounts/:id - Get specific account
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const accounts = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [req.params.id, req.user.organizationId]
+    );
+
+    if (accounts.length === 0) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...accounts[0],
+        current_balance: (await getAccountBalance(accounts[0], today())).balance
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/accounts/:id/balance - Get account balance at the end of a date (default: today)
+router.get('/:id/balance', validateUUID('id'), validateAccountBalance, async (req, res, next) => {
+  try {
+    const date = req.query.date || today();
+
+    const accounts = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [req.params.id, req.user.organizationId]
+    );
+
+    if (accounts.length === 0) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    const account = accounts[0];
+
+    if (date < account.opening_date) {
+      throw new AppError(
+        `The account was opened on ${account.opening_date}`,
+        400,
+        'DATE_BEFORE_ACCOUNT_OPENING'
+      );
+    }
+
+    res.json({
+      success: true,
+      data: {
+        account_id: account.id,
+        account_name: account.name,
+        currency: account.currency,
+        date,
+        ...(await getAccountBalance(account, date))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/accounts - Create account (accounts:create)
+router.post('/', requirePermission('accounts:create'), validateAccount, async (req, res, next) => {
+  try {
+    const {
+      name, type, opening_balance, opening_date, institution, account_number, is_default, active, notes
+    } = req.body;
+    const currency = req.body.currency || getBaseCurrency();
+
+    const existingAccounts = await executeQuery(
+      'SELECT id FROM accounts WHERE name = ? AND organization_id = ?',
+      [name, req.user.organizationId]
+    );
+
+    if (existingAccounts.length > 0) {
+      throw new AppError('Account name already exists', 409, 'ACCOUNT_NAME_EXISTS');
+    }
+
+    const accountId = uuidv4();
+    const queries = [];
+
+    // Only one account can be the default
+    if (is_default) {
+      queries.push({
+        query: 'UPDATE accounts SET is_default = 0 WHERE is_default = 1 AND organization_id = ?',
+        params: [req.user.organizationId]
+      });
+    }
+
+    queries.push({
+      query: `INSERT INTO accounts
+              (id, organization_id, name, type, currency, opening_balance, opening_date, institution, account_number,
+               is_default, active, notes, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params: [
+        accountId, req.user.organizationId,
+        name, type, currency, opening_balance || 0, opening_date, institution || null,
+        account_number || null, is_default ? 1 : 0, active === undefined || active ? 1 : 0, notes || null, req.user.id
+      ]
+    });
+
+    await executeTransaction(queries);
+
+    const newAccount = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [accountId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'account',
+      entityId: accountId,
+      after: newAccount[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Account created successfully',
+      data: newAccount[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/accounts/:id - Update account (accounts:update)
+router.put('/:id', requirePermission('accounts:update'), validateUUID('id'), validateAccount, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      name, type, opening_balance, opening_date, institution, account_number, is_default, active, notes
+    } = req.body;
+
+    const existingAccounts = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingAccounts.length === 0) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    const currentAccount = existingAccounts[0];
+    const currency = req.body.currency || currentAccount.currency;
+    const isDefault = is_default === undefined ? Boolean(currentAccount.is_default) : Boolean(is_default);
+    const isActive = active === undefined || Boolean(active);
+
+    const conflictingAccounts = await executeQuery(
+      'SELECT id FROM accounts WHERE name = ? AND organization_id = ? AND id != ?',
+      [name, req.user.organizationId, id]
+    );
+
+    if (conflictingAccounts.length > 0) {
+      throw new AppError('Account name already exists', 409, 'ACCOUNT_NAME_EXISTS');
+    }
+
+    if (currentAccount.is_default && !isDefault) {
+      throw new AppError('Set another account as default instead', 400, 'DEFAULT_ACCOUNT_REQUIRED');
+    }
+
+    if (isDefault && !isActive) {
+      throw new AppError('The default account cannot be deactivated', 400, 'DEFAULT_ACCOUNT_INACTIVE');
+    }
+
+    // Recorded amounts are in the account currency, so it is fixed once the account is used
+    if (currency !== currentAccount.currency) {
+      const transactions = await executeQuery('SELECT id FROM transactions WHERE account_id = ? LIMIT 1', [id]);
+      if (transactions.length > 0) {
+        throw new AppError('The currency of an account with transactions cannot be changed', 409, 'ACCOUNT_HAS_TRANSACTIONS');
+      }
+    }
+
+    const queries = [];
+
+    if (isDefault && !currentAccount.is_default) {
+      queries.push({
+        query: 'UPDATE accounts SET is_default = 0 WHERE is_default = 1 AND organization_id = ?',
+        params: [req.user.organizationId]
+      });
+    }
+
+    queries.push({
+      query: `UPDATE accounts
+              SET name = ?, type = ?, currency = ?, opening_balance = ?, opening_date = ?, institution = ?,
+                  account_number = ?, is_default = ?, active = ?, notes = ?, updated_at = NOW()
+              WHERE id = ?`,
+      params: [
+        name, type, currency, opening_balance || 0, opening_date, institution || null,
+        account_number || null, isDefault ? 1 : 0, isActive ? 1 : 0, notes || null, id
+      ]
+    });
+
+    await executeTransaction(queries);
+
+    const updatedAccount = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'account',
+      entityId: id,
+      before: currentAccount,
+      after: updatedAccount[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Account updated successfully',
+      data: updatedAccount[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/accounts/:id - Delete an unused account (accounts:delete)
+router.delete('/:id', requirePermission('accounts:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingAccounts = await executeQuery(
+      `${ACCOUNT_WITH_RELATIONS_QUERY} WHERE a.id = ? AND a.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingAccounts.length === 0) {
+      throw new AppError('Account not found', 404, 'ACCOUNT_NOT_FOUND');
+    }
+
+    if (existingAccounts[0].is_default) {
+      throw new AppError('The default account cannot be deleted', 409, 'DEFAULT_ACCOUNT_REQUIRED');
+    }
+
+    // Trashed transactions still reference the account until they are purged
+    const transactions = await executeQuery('SELECT id FROM transactions WHERE account_id = ? LIMIT 1', [id]);
+    const templates = await executeQuery('SELECT id FROM recurring_transactions WHERE account_id = ? LIMIT 1', [id]);
+    const reconciliations = await executeQuery('SELECT id FROM reconciliations WHERE account_id = ? LIMIT 1', [id]);
+
+    if (transactions.length > 0 || templates.length > 0 || reconciliations.length > 0) {
+      throw new AppError(
+        'Account has transactions, recurring templates or reconciliations. Deactivate it instead',
+        409,
+        'ACCOUNT_HAS_TRANSACTIONS'
+      );
+    }
+
+    await executeQuery('DELETE FROM accounts WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'account',
+      entityId: id,
+      before: existingAccounts[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Account deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,179 @@
+const express = require('express');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateApprovalDecision,
+  validateRejection,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const { TRANSACTION_APPROVAL_WITH_RELATIONS_QUERY, TRANSACTION_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+
+const router = express.Router();
+
+// Expenses are approved by users with the approvals:manage permission
+router.use(verifyToken);
+router.use(requirePermission('approvals:manage'));
+
+// A request is withdrawn when its expense is edited below the approval threshold before a decision
+const APPROVAL_STATUSES = ['pending', 'approved', 'rejected', 'withdrawn'];
+
+// Find an approval request of the organization or fail with 404
+const findApproval = async (id, organizationId) => {
+  const approvals = await executeQuery(
+    `${TRANSACTION_APPROVAL_WITH_RELATIONS_QUERY} WHERE ap.id = ? AND t.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (approvals.length === 0) {
+    throw new AppError('Approval request not found', 404, 'APPROVAL_NOT_FOUND');
+  }
+
+  return approvals[0];
+};
+
+// Record the decision on a pending request and move the transaction out of pending_approval
+const decide = async (req, { decision, transactionStatus }) => {
+  const approval = await findApproval(req.params.id, req.user.organizationId);
+
+  if (approval.status !== 'pending') {
+    throw new AppError(`Approval request was already ${approval.status}`, 409, 'APPROVAL_ALREADY_DECIDED');
+  }
+
+  const transactions = await executeQuery(
+    `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ? AND t.deleted_at IS NULL`,
+    [approval.transaction_id, req.user.organizationId]
+  );
+
+  if (transactions.length === 0 || transactions[0].status !== 'pending_approval') {
+    throw new AppError('Transaction is no longer waiting for approval', 409, 'TRANSACTION_NOT_PENDING');
+  }
+
+  const comment = req.body.comment || null;
+
+  // A concurrent decision on the same request makes these guarded updates change nothing:
+  // roll back and report it instead of recording a second decision
+  await executeTransaction([
+    {
+      query: `UPDATE transaction_approvals
+              SET status = ?, decided_by = ?, decided_at = NOW(), comment = ?
+              WHERE id = ? AND status = 'pending'`,
+      params: [decision, req.user.id, comment, approval.id],
+      failIfUnchanged: new AppError('Approval request was already decided', 409, 'APPROVAL_ALREADY_DECIDED')
+    },
+    {
+      query: `UPDATE transactions SET status = ?, updated_at = NOW()
+              WHERE id = ? AND organization_id = ? AND status = 'pending_approval'`,
+      params: [transactionStatus, approval.transaction_id, req.user.organizationId],
+      failIfUnchanged: new AppError('Transaction is no longer waiting for approval', 409, 'TRANSACTION_NOT_PENDING')
+    }
+  ]);
+
+  const decidedApproval = await findApproval(approval.id, req.user.organizationId);
+
+  await recordAudit(req, {
+    action: decision === 'approved' ? 'approve' : 'reject',
+    entity: 'transaction',
+    entityId: approval.transaction_id,
+    before: transactions[0],
+    after: { status: transactionStatus, approval_id: approval.id, comment }
+  });
+
+  return decidedApproval;
+};
+
+// GET /api/approvals - Approval queue (pending by default, oldest first)
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const status = req.query.status || 'pending';
+
+    if (!APPROVAL_STATUSES.includes(status)) {
+      throw new AppError(`Status must be one of: ${APPROVAL_STATUSES.join(', ')}`, 400, 'INVALID_STATUS');
+    }
+
+    // Trashed transactions leave the queue
+    const whereClause = 'WHERE t.organization_id = ? AND ap.status = ? AND t.deleted_at IS NULL';
+    const queryParams = [req.user.organizationId, status];
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total
+       FROM transaction_approvals ap
+       JOIN transactions t ON ap.transaction_id = t.id
+       ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const approvals = await executeQuery(
+      `${TRANSACTION_APPROVAL_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY ${status === 'pending' ? 'ap.requested_at ASC' : 'ap.decided_at DESC'}
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: approvals,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/approvals/:id - Get approval request
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const approval = await findApproval(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/approvals/:id/approve - Approve the expense, which then counts as posted
+router.post('/:id/approve', validateUUID('id'), validateApprovalDecision, async (req, res, next) => {
+  try {
+    const approval = await decide(req, { decision: 'approved', transactionStatus: 'posted' });
+
+    res.json({
+      success: true,
+      message: 'Transaction approved',
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/approvals/:id/reject - Reject the expense (the comment is required)
+router.post('/:id/reject', validateUUID('id'), validateRejection, async (req, res, next) => {
+  try {
+    const approval = await decide(req, { decision: 'rejected', transactionStatus: 'rejected' });
+
+    res.json({
+      success: true,
+      message: 'Transaction rejected',
+      data: approval
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
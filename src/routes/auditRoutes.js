@@ -0,0 +1,100 @@
+const express = require('express');
+const { executeQuery } = require('../config/database');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validatePagination } = require('../middleware/validationMiddleware');
+
+const router = express.Router();
+
+// All audit routes require authentication and the audit:read permission
+router.use(verifyToken);
+router.use(requirePermission('audit:read'));
+
+// GET /api/audit - List audit log entries with filters
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    // Filters
+    const actorId = req.query.actor_id || '';
+    const action = req.query.action || '';
+    const entity = req.query.entity || '';
+    const entityId = req.query.entity_id || '';
+    const startDate = req.query.start_date || '';
+    const endDate = req.query.end_date || '';
+
+    let whereClause = 'WHERE a.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (actorId) {
+      whereClause += ' AND a.actor_id = ?';
+      queryParams.push(actorId);
+    }
+
+    if (action) {
+      whereClause += ' AND a.action = ?';
+      queryParams.push(action);
+    }
+
+    if (entity) {
+      whereClause += ' AND a.entity = ?';
+      queryParams.push(entity);
+    }
+
+    if (entityId) {
+      whereClause += ' AND a.entity_id = ?';
+      queryParams.push(entityId);
+    }
+
+    if (startDate) {
+      whereClause += ' AND DATE(a.created_at) >= ?';
+      queryParams.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND DATE(a.created_at) <= ?';
+      queryParams.push(endDate);
+    }
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM audit_log a
+      ${whereClause}
+    `;
+    const countResult = await executeQuery(countQuery, queryParams);
+    const total = countResult[0].total;
+
+    // Get entries with actor info
+    const entriesQuery = `
+      SELECT
+        a.id, a.actor_id, a.action, a.entity, a.entity_id,
+        a.before_data, a.after_data, a.ip_address, a.created_at,
+        p.name as actor_name
+      FROM audit_log a
+      LEFT JOIN profiles p ON a.actor_id = p.id
+      ${whereClause}
+      ORDER BY a.created_at DESC, a.id DESC
+      LIMIT ? OFFSET ?
+    `;
+    const entries = await executeQuery(entriesQuery, [...queryParams, limit, offset]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,33 +1,114 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { executeQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken } = require('../middleware/authMiddleware');
-const { validateLogin, validateChangePassword } = require('../middleware/validationMiddleware');
+const { verifyToken, requireSuperAdmin } = require('../middleware/authMiddleware');
+const {
+  validateLogin,
+  validateChangePassword,
+  validateOrganizationSwitch,
+  validateTwoFactorChallenge,
+  validateTwoFactorLogin,
+  validateTwoFactorSetupLogin,
+  validateTwoFactorCode,
+  validateDisableTwoFactor
+} = require('../middleware/validationMiddleware');
 const { successResponse } = require('../utils/responseUtils');
 const { findResourceOrFail, USER_WITH_PROFILE_QUERY } = require('../utils/queryUtils');
 const {
-  generateAccessToken,
-  generateRefreshToken,
   verifyPassword,
   hashPassword,
+  generateTwoFactorChallengeToken,
   formatUserResponse
 } = require('../utils/authUtils');
+const { createSession, revokeSession, rotateRefreshToken } = require('../utils/sessionUtils');
+const { getOrganization, resolveTokenOrganization } = require('../utils/organizationUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const {
+  isTwoFactorRequired,
+  assertTwoFactorCompliance,
+  getTwoFactorStatus,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} = require('../utils/twoFactorUtils');
 
 const router = express.Router();
 
-// POST /api/auth/login
+const LOGIN_USER_QUERY = `
+  SELECT u.id, u.email, u.password_hash, u.two_factor_enabled,
+         p.name, p.role, p.status, p.organization_id, p.is_super_admin
+  FROM users u
+  JOIN profiles p ON u.id = p.id
+`;
+
+// Record the login, start a new server-side session and build the login response
+const completeLogin = async (req, user, organization) => {
+  await executeQuery(
+    'UPDATE profiles SET last_login = NOW() WHERE id = ?',
+    [user.id]
+  );
+
+  const { token, refreshToken } = await createSession(user.id, organization.id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  return {
+    user: formatUserResponse({
+      id: user.id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      is_super_admin: Boolean(user.is_super_admin),
+      two_factor_enabled: Boolean(user.two_factor_enabled),
+      organization: { id: organization.id, name: organization.name }
+    }),
+    token,
+    refreshToken
+  };
+};
+
+// Resolve the user of a two-factor challenge token issued by POST /login for the given purpose
+const verifyChallengeToken = async (challengeToken, purpose) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw new AppError('Invalid or expired challenge token', 401, 'INVALID_CHALLENGE_TOKEN');
+  }
+
+  if (decoded.type !== 'two_factor' || decoded.purpose !== purpose) {
+    throw new AppError('Invalid or expired challenge token', 401, 'INVALID_CHALLENGE_TOKEN');
+  }
+
+  const users = await executeQuery(`${LOGIN_USER_QUERY} WHERE u.id = ? AND p.status = 1`, [decoded.userId]);
+
+  if (users.length === 0) {
+    throw new AppError('User not found or inactive', 401, 'USER_NOT_FOUND');
+  }
+
+  const organization = await resolveTokenOrganization(users[0], null);
+
+  return { user: users[0], organization };
+};
+
+// Audit context for the login steps, which run before req.user exists
+const loginAuditContext = (req, user, organization) => ({
+  user: { id: user.id, organizationId: organization.id },
+  ip: req.ip
+});
+
+// POST /api/auth/login - Check the password; users with two-factor authentication
+// get a short-lived challenge token to finish the login with a code
 router.post('/login', validateLogin, async (req, res, next) => {
   try {
     const { email, password } = req.body;
 
     // Find user by email
-    const users = await executeQuery(
-      `SELECT u.id, u.email, u.password_hash, p.name, p.role, p.status
-       FROM users u
-       JOIN profiles p ON u.id = p.id
-       WHERE u.email = ?`,
-      [email]
-    );
+    const users = await executeQuery(`${LOGIN_USER_QUERY} WHERE u.email = ?`, [email]);
 
     if (users.length === 0) {
       throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
@@ -46,27 +127,81 @@ router.post('/login', validateLogin, async (req, res, next) => {
       throw new AppError('Invalid email or password', 401, 'INVALID_CREDENTIALS');
     }
 
-    // Update last login
-    await executeQuery(
-      'UPDATE profiles SET last_login = NOW() WHERE id = ?',
-      [user.id]
-    );
+    // Users work in their own organization, which must be active
+    const organization = await resolveTokenOrganization(user, null);
+
+    if (user.two_factor_enabled) {
+      return successResponse(res, {
+        two_factor_required: true,
+        challenge_token: generateTwoFactorChallengeToken(user.id, 'verify')
+      }, 'Two-factor code required');
+    }
+
+    // Roles that require two-factor authentication must set it up before getting a session
+    if (isTwoFactorRequired(user.role)) {
+      return successResponse(res, {
+        two_factor_setup_required: true,
+        challenge_token: generateTwoFactorChallengeToken(user.id, 'setup')
+      }, 'Two-factor authentication must be set up before signing in');
+    }
+
+    return successResponse(res, await completeLogin(req, user, organization), 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Generate tokens using utility functions
-    const token = generateAccessToken(user.id);
-    const refreshToken = generateRefreshToken(user.id);
+// POST /api/auth/login/verify - Finish a two-factor login with a TOTP code or a recovery code
+router.post('/login/verify', validateTwoFactorLogin, async (req, res, next) => {
+  try {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    const { user, organization } = await verifyChallengeToken(challenge_token, 'verify');
+    const method = await verifySecondFactor(user.id, { code, recoveryCode: recovery_code });
+
+    if (method === 'recovery_code') {
+      await recordAudit(loginAuditContext(req, user, organization), {
+        action: 'use_recovery_code',
+        entity: 'user',
+        entityId: user.id
+      });
+    }
+
+    return successResponse(res, await completeLogin(req, user, organization), 'Login successful');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login/setup - Start the mandatory two-factor setup of a login
+router.post('/login/setup', validateTwoFactorChallenge, async (req, res, next) => {
+  try {
+    const { user } = await verifyChallengeToken(req.body.challenge_token, 'setup');
+
+    return successResponse(res, await startEnrolment(user.id), 'Scan the QR code and confirm with a code');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/login/setup/confirm - Confirm the mandatory two-factor setup and finish the login
+router.post('/login/setup/confirm', validateTwoFactorSetupLogin, async (req, res, next) => {
+  try {
+    const { user, organization } = await verifyChallengeToken(req.body.challenge_token, 'setup');
+    const recoveryCodes = await confirmEnrolment(user.id, req.body.code);
+
+    await recordAudit(loginAuditContext(req, user, organization), {
+      action: 'enable_two_factor',
+      entity: 'user',
+      entityId: user.id
+    });
+
+    const login = await completeLogin(req, { ...user, two_factor_enabled: 1 }, organization);
 
-    // Use standardized response
     return successResponse(res, {
-      user: formatUserResponse({
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        role: user.role
-      }),
-      token,
-      refreshToken
-    }, 'Login successful');
+      ...login,
+      recovery_codes: recoveryCodes
+    }, 'Two-factor authentication enabled. Store the recovery codes somewhere safe');
   } catch (error) {
     next(error);
   }
@@ -75,8 +210,12 @@ router.post('/login', validateLogin, async (req, res, next) => {
 // POST /api/auth/logout
 router.post('/logout', verifyToken, async (req, res, next) => {
   try {
-    // In a more sophisticated implementation, you would blacklist the token
-    // For now, we just return success as the client will remove the token
+    // Revoke every refresh token of the current session; access tokens
+    // carrying this session ID are rejected by verifyToken from now on
+    if (req.user.sessionId) {
+      await revokeSession(req.user.sessionId, 'logout');
+    }
+
     res.json({
       success: true,
       message: 'Logout successful'
@@ -96,7 +235,13 @@ router.get('/me', verifyToken, async (req, res, next) => {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
-    const user = formatUserResponse(users[0]);
+    // Include the permissions of the user's role and the organization the token works in
+    const user = {
+      ...formatUserResponse(users[0]),
+      permissions: req.user.permissions,
+      is_super_admin: req.user.isSuperAdmin,
+      organization: { id: req.user.organizationId, name: req.user.organizationName }
+    };
 
     return successResponse(res, { user }, 'User profile retrieved successfully');
   } catch (error) {
@@ -122,7 +267,7 @@ router.post('/refresh', async (req, res, next) => {
 
     // Check if user still exists and is active
     const users = await executeQuery(
-      `SELECT u.id, u.email, p.name, p.role, p.status 
+      `SELECT u.id, u.email, u.two_factor_enabled, p.name, p.role, p.status, p.organization_id, p.is_super_admin
        FROM users u 
        JOIN profiles p ON u.id = p.id 
        WHERE u.id = ? AND p.status = 1`,
@@ -133,11 +278,17 @@ router.post('/refresh', async (req, res, next) => {
       throw new AppError('User not found or inactive', 401, 'USER_NOT_FOUND');
     }
 
-    const user = users[0];
+    // The user may have been moved to another organization, or the organization deactivated
+    await resolveTokenOrganization(users[0], decoded.org);
 
-    // Generate new tokens
-    const newToken = generateToken(user.id);
-    const newRefreshToken = generateRefreshToken(user.id);
+    // Sessions opened before two-factor authentication became mandatory for the role end here
+    assertTwoFactorCompliance(users[0]);
+
+    // Rotate: the presented token is revoked and replaced within the same session
+    const { token: newToken, refreshToken: newRefreshToken } = await rotateRefreshToken(decoded, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
 
     res.json({
       success: true,
@@ -152,6 +303,129 @@ router.post('/refresh', async (req, res, next) => {
   }
 });
 
+// POST /api/auth/switch-organization - Start a session in another organization (super admins)
+router.post('/switch-organization', verifyToken, requireSuperAdmin, validateOrganizationSwitch, async (req, res, next) => {
+  try {
+    const organization = await getOrganization(req.body.organization_id);
+
+    if (!organization) {
+      throw new AppError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+    }
+
+    if (!organization.active) {
+      throw new AppError('Organization is inactive', 409, 'ORGANIZATION_INACTIVE');
+    }
+
+    // The tenant always comes from the token: the current session ends and a new one
+    // is issued for the chosen organization
+    const { token, refreshToken } = await createSession(req.user.id, organization.id, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (req.user.sessionId) {
+      await revokeSession(req.user.sessionId, 'organization_switch');
+    }
+
+    return successResponse(res, {
+      organization: { id: organization.id, name: organization.name },
+      token,
+      refreshToken
+    }, `Switched to ${organization.name}`);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/auth/2fa - Two-factor status of the current user
+router.get('/2fa', verifyToken, async (req, res, next) => {
+  try {
+    return successResponse(res, await getTwoFactorStatus(req.user.id), 'Two-factor status retrieved successfully');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/setup - Generate a new secret and its otpauth:// URI for the QR code
+router.post('/2fa/setup', verifyToken, async (req, res, next) => {
+  try {
+    return successResponse(res, await startEnrolment(req.user.id), 'Scan the QR code and confirm with a code');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/confirm - Enable two-factor authentication with a code from the app
+router.post('/2fa/confirm', verifyToken, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    const recoveryCodes = await confirmEnrolment(req.user.id, req.body.code);
+
+    await recordAudit(req, {
+      action: 'enable_two_factor',
+      entity: 'user',
+      entityId: req.user.id
+    });
+
+    return successResponse(res, {
+      recovery_codes: recoveryCodes
+    }, 'Two-factor authentication enabled. Store the recovery codes somewhere safe');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes (requires a current code)
+router.post('/2fa/recovery-codes', verifyToken, validateTwoFactorCode, async (req, res, next) => {
+  try {
+    await verifySecondFactor(req.user.id, { code: req.body.code });
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    await recordAudit(req, {
+      action: 'regenerate_recovery_codes',
+      entity: 'user',
+      entityId: req.user.id
+    });
+
+    return successResponse(res, {
+      recovery_codes: recoveryCodes
+    }, 'Recovery codes regenerated. The previous codes no longer work');
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/auth/2fa/disable - Disable two-factor authentication (requires the password and a code)
+router.post('/2fa/disable', verifyToken, validateDisableTwoFactor, async (req, res, next) => {
+  try {
+    const { password, code, recovery_code } = req.body;
+
+    if (isTwoFactorRequired(req.user.role)) {
+      throw new AppError('Two-factor authentication is required for your role', 409, 'TWO_FACTOR_REQUIRED');
+    }
+
+    const users = await executeQuery('SELECT password_hash FROM users WHERE id = ?', [req.user.id]);
+    if (users.length === 0 || !(await verifyPassword(password, users[0].password_hash))) {
+      throw new AppError('Password is incorrect', 400, 'INVALID_PASSWORD');
+    }
+
+    await verifySecondFactor(req.user.id, { code, recoveryCode: recovery_code });
+    await disableTwoFactor(req.user.id);
+
+    await recordAudit(req, {
+      action: 'disable_two_factor',
+      entity: 'user',
+      entityId: req.user.id
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // POST /api/auth/change-password
 router.post('/change-password', verifyToken, validateChangePassword, async (req, res, next) => {
   try {
@@ -168,14 +442,13 @@ router.post('/change-password', verifyToken, validateChangePassword, async (req,
     }
 
     // Verify current password
-    const isCurrentPasswordValid = await bcrypt.compare(currentPassword, users[0].password_hash);
+    const isCurrentPasswordValid = await verifyPassword(currentPassword, users[0].password_hash);
     if (!isCurrentPasswordValid) {
       throw new AppError('Current password is incorrect', 400, 'INVALID_CURRENT_PASSWORD');
     }
 
     // Hash new password
-    const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
-    const newPasswordHash = await bcrypt.hash(newPassword, saltRounds);
+    const newPasswordHash = await hashPassword(newPassword);
 
     // Update password
     await executeQuery(
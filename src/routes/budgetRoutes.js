@@ -0,0 +1,352 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validateBudget, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { BUDGET_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { assertValidCategorization, reportableTransactionCondition } = require('../utils/transactionUtils');
+const { isValidPeriod, getPeriodRange, getCurrentPeriod, formatPeriod } = require('../utils/periodUtils');
+const { getCategoryScope, buildCategoryScopeCondition } = require('../utils/categoryScopeUtils');
+
+const router = express.Router();
+
+// All budget routes require authentication
+router.use(verifyToken);
+
+// GET /api/budgets - List budgets
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const periodType = req.query.period_type || '';
+    const period = req.query.period || '';
+    const categoryId = req.query.category_id || '';
+
+    let whereClause = 'WHERE b.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (periodType) {
+      whereClause += ' AND b.period_type = ?';
+      queryParams.push(periodType);
+    }
+
+    if (periodType && period) {
+      if (!isValidPeriod(periodType, period)) {
+        throw new AppError('Period must match the period type (YYYY-MM, YYYY-Qn or YYYY)', 400, 'INVALID_PERIOD');
+      }
+      whereClause += ' AND b.period_start = ?';
+      queryParams.push(getPeriodRange(periodType, period).start);
+    }
+
+    if (categoryId) {
+      whereClause += ' AND b.category_id = ?';
+      queryParams.push(categoryId);
+    }
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM budgets b
+      ${whereClause}
+    `;
+    const countResult = await executeQuery(countQuery, queryParams);
+    const total = countResult[0].total;
+
+    const budgets = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY b.period_start DESC, c.name ASC, s.name ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: budgets.map(budget => ({ ...budget, period: formatPeriod(budget.period_type, budget.period_start) })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/budgets/report - Budget vs actual for a period
+router.get('/report', async (req, res, next) => {
+  try {
+    const periodType = req.query.period_type || 'month';
+    const period = req.query.period || getCurrentPeriod(periodType);
+    const categoryId = req.query.category_id || '';
+
+    if (!isValidPeriod(periodType, period)) {
+      throw new AppError('Period must match the period type (YYYY-MM, YYYY-Qn or YYYY)', 400, 'INVALID_PERIOD');
+    }
+
+    const { start, end } = getPeriodRange(periodType, period);
+
+    let whereClause = 'WHERE b.organization_id = ? AND b.period_type = ? AND b.period_start = ?';
+    let queryParams = [req.user.organizationId, periodType, start];
+
+    if (categoryId) {
+      whereClause += ' AND b.category_id = ?';
+      queryParams.push(categoryId);
+    }
+
+    // Users restricted to some categories only see the budgets, and so the spending, of those categories
+    const categoryScope = buildCategoryScopeCondition(await getCategoryScope(req.user), 'b.category_id');
+    if (categoryScope.condition) {
+      whereClause += ` AND ${categoryScope.condition}`;
+      queryParams.push(...categoryScope.params);
+    }
+
+    // Actual spending counts the same saida transactions as the stats category breakdown,
+    // in the base currency budgets are set in
+    const rows = await executeQuery(
+      `SELECT
+        b.id, b.category_id, b.subcategory_id, b.amount as budgeted,
+        c.name as category_name,
+        s.name as subcategory_name,
+        COALESCE((
+          SELECT SUM(t.base_amount)
+          FROM transactions t
+          WHERE t.type = 'saida'
+            AND t.organization_id = b.organization_id
+            AND t.category_id = b.category_id
+            AND (b.subcategory_id IS NULL OR t.subcategory_id = b.subcategory_id)
+            AND t.date BETWEEN b.period_start AND b.period_end
+            AND ${reportableTransactionCondition()}
+        ), 0) as actual
+       FROM budgets b
+       LEFT JOIN categories c ON b.category_id = c.id
+       LEFT JOIN subcategories s ON b.subcategory_id = s.id
+       ${whereClause}
+       ORDER BY c.name ASC, s.name ASC`,
+      queryParams
+    );
+
+    const items = rows.map(row => {
+      const budgeted = parseFloat(row.budgeted);
+      const actual = parseFloat(row.actual);
+
+      return {
+        budget_id: row.id,
+        category_id: row.category_id,
+        category_name: row.category_name,
+        subcategory_id: row.subcategory_id,
+        subcategory_name: row.subcategory_name,
+        budgeted,
+        actual,
+        remaining: Math.round((budgeted - actual) * 100) / 100,
+        percent_consumed: budgeted > 0 ? Math.round((actual / budgeted) * 10000) / 100 : null,
+        over_budget: actual > budgeted
+      };
+    });
+
+    // A subcategory budget is already part of its category's budget (and its spending of the
+    // category's actual): it only counts towards the totals when the category has no budget of its own
+    const budgetedCategories = new Set(
+      items.filter(item => item.subcategory_id === null).map(item => item.category_id)
+    );
+    const countedItems = items.filter(item => item.subcategory_id === null || !budgetedCategories.has(item.category_id));
+
+    const totalBudgeted = countedItems.reduce((sum, item) => sum + item.budgeted, 0);
+    const totalActual = countedItems.reduce((sum, item) => sum + item.actual, 0);
+
+    res.json({
+      success: true,
+      data: {
+        period_type: periodType,
+        period,
+        start_date: start,
+        end_date: end,
+        items,
+        totals: {
+          budgeted: Math.round(totalBudgeted * 100) / 100,
+          actual: Math.round(totalActual * 100) / 100,
+          remaining: Math.round((totalBudgeted - totalActual) * 100) / 100,
+          percent_consumed: totalBudgeted > 0 ? Math.round((totalActual / totalBudgeted) * 10000) / 100 : null
+        }
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/budgets/:id - Get specific budget
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const budgets = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY} WHERE b.id = ? AND b.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (budgets.length === 0) {
+      throw new AppError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: { ...budgets[0], period: formatPeriod(budgets[0].period_type, budgets[0].period_start) }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/budgets - Create budget (budgets:create)
+router.post('/', requirePermission('budgets:create'), validateBudget, async (req, res, next) => {
+  try {
+    const { category_id, subcategory_id, period_type, period, amount, notes } = req.body;
+    const { start, end } = getPeriodRange(period_type, period);
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+
+    // Only one budget per category/subcategory and period
+    const existingBudgets = await executeQuery(
+      `SELECT id FROM budgets
+       WHERE organization_id = ? AND category_id = ? AND subcategory_id <=> ? AND period_type = ? AND period_start = ?`,
+      [req.user.organizationId, category_id, subcategory_id || null, period_type, start]
+    );
+
+    if (existingBudgets.length > 0) {
+      throw new AppError('A budget already exists for this category and period', 409, 'BUDGET_EXISTS');
+    }
+
+    const budgetId = uuidv4();
+    await executeQuery(
+      `INSERT INTO budgets
+       (id, organization_id, category_id, subcategory_id, period_type, period_start, period_end, amount, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        budgetId, req.user.organizationId, category_id, subcategory_id || null, period_type, start, end, amount,
+        notes || null, req.user.id
+      ]
+    );
+
+    const newBudget = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY} WHERE b.id = ? AND b.organization_id = ?`,
+      [budgetId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'budget',
+      entityId: budgetId,
+      after: newBudget[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Budget created successfully',
+      data: { ...newBudget[0], period }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/budgets/:id - Update budget (budgets:update)
+router.put('/:id', requirePermission('budgets:update'), validateUUID('id'), validateBudget, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { category_id, subcategory_id, period_type, period, amount, notes } = req.body;
+    const { start, end } = getPeriodRange(period_type, period);
+
+    const existingBudgets = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY} WHERE b.id = ? AND b.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingBudgets.length === 0) {
+      throw new AppError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+
+    const duplicateBudgets = await executeQuery(
+      `SELECT id FROM budgets
+       WHERE organization_id = ? AND category_id = ? AND subcategory_id <=> ? AND period_type = ? AND period_start = ?
+         AND id != ?`,
+      [req.user.organizationId, category_id, subcategory_id || null, period_type, start, id]
+    );
+
+    if (duplicateBudgets.length > 0) {
+      throw new AppError('A budget already exists for this category and period', 409, 'BUDGET_EXISTS');
+    }
+
+    await executeQuery(
+      `UPDATE budgets
+       SET category_id = ?, subcategory_id = ?, period_type = ?, period_start = ?, period_end = ?,
+           amount = ?, notes = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [category_id, subcategory_id || null, period_type, start, end, amount, notes || null, id, req.user.organizationId]
+    );
+
+    const updatedBudget = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY} WHERE b.id = ? AND b.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'budget',
+      entityId: id,
+      before: existingBudgets[0],
+      after: updatedBudget[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget updated successfully',
+      data: { ...updatedBudget[0], period }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/budgets/:id - Delete budget (budgets:delete)
+router.delete('/:id', requirePermission('budgets:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingBudgets = await executeQuery(
+      `${BUDGET_WITH_RELATIONS_QUERY} WHERE b.id = ? AND b.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingBudgets.length === 0) {
+      throw new AppError('Budget not found', 404, 'BUDGET_NOT_FOUND');
+    }
+
+    await executeQuery('DELETE FROM budgets WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'budget',
+      entityId: id,
+      before: existingBudgets[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Budget deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
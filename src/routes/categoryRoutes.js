@@ -2,8 +2,19 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { executeQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdminOrManager } = require('../middleware/authMiddleware');
-const { validateCategory, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateCategory,
+  validateApprovalThreshold,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const { recordAudit } = require('../utils/auditUtils');
+const {
+  getCategoryScope,
+  buildCategoryScopeCondition,
+  assertCategoryInScope
+} = require('../utils/categoryScopeUtils');
 
 const router = express.Router();
 
@@ -18,12 +29,19 @@ router.get('/', validatePagination, async (req, res, next) => {
     const offset = (page - 1) * limit;
     const search = req.query.search || '';
 
-    let whereClause = '';
-    let queryParams = [];
+    let whereClause = 'WHERE c.organization_id = ?';
+    let queryParams = [req.user.organizationId];
 
     if (search) {
-      whereClause = 'WHERE c.name LIKE ?';
-      queryParams = [`%${search}%`];
+      whereClause += ' AND c.name LIKE ?';
+      queryParams.push(`%${search}%`);
+    }
+
+    // Users with assigned categories only see those
+    const categoryScope = buildCategoryScopeCondition(await getCategoryScope(req.user), 'c.id');
+    if (categoryScope.condition) {
+      whereClause += ` AND ${categoryScope.condition}`;
+      queryParams = [...queryParams, ...categoryScope.params];
     }
 
     // Get total count
@@ -38,7 +56,7 @@ router.get('/', validatePagination, async (req, res, next) => {
     // Get categories with creator info
     const categoriesQuery = `
       SELECT 
-        c.id, c.name, c.created_at, c.updated_at,
+        c.id, c.name, c.approval_threshold, c.created_at, c.updated_at,
         p.name as created_by_name
       FROM categories c 
       LEFT JOIN profiles p ON c.created_by = p.id
@@ -72,22 +90,24 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
 
     const categories = await executeQuery(
       `SELECT 
-        c.id, c.name, c.created_at, c.updated_at,
+        c.id, c.name, c.approval_threshold, c.created_at, c.updated_at,
         p.name as created_by_name
        FROM categories c 
        LEFT JOIN profiles p ON c.created_by = p.id
-       WHERE c.id = ?`,
-      [id]
+       WHERE c.id = ? AND c.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
     if (categories.length === 0) {
       throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
     }
 
+    await assertCategoryInScope(req.user, id);
+
     // Get subcategories count
     const subcategoriesCount = await executeQuery(
-      'SELECT COUNT(*) as count FROM subcategories WHERE category_id = ?',
-      [id]
+      'SELECT COUNT(*) as count FROM subcategories WHERE category_id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     const category = {
@@ -104,15 +124,15 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
   }
 });
 
-// POST /api/categories - Create new category (admin/manager only)
-router.post('/', requireAdminOrManager, validateCategory, async (req, res, next) => {
+// POST /api/categories - Create new category (categories:create)
+router.post('/', requirePermission('categories:create'), validateCategory, async (req, res, next) => {
   try {
     const { name } = req.body;
 
     // Check if category name already exists
     const existingCategories = await executeQuery(
-      'SELECT id FROM categories WHERE name = ?',
-      [name]
+      'SELECT id FROM categories WHERE name = ? AND organization_id = ?',
+      [name, req.user.organizationId]
     );
 
     if (existingCategories.length > 0) {
@@ -122,21 +142,28 @@ router.post('/', requireAdminOrManager, validateCategory, async (req, res, next)
     // Create category
     const categoryId = uuidv4();
     await executeQuery(
-      'INSERT INTO categories (id, name, created_by) VALUES (?, ?, ?)',
-      [categoryId, name, req.user.id]
+      'INSERT INTO categories (id, organization_id, name, created_by) VALUES (?, ?, ?, ?)',
+      [categoryId, req.user.organizationId, name, req.user.id]
     );
 
     // Get created category
     const newCategory = await executeQuery(
       `SELECT 
-        c.id, c.name, c.created_at, c.updated_at,
+        c.id, c.name, c.approval_threshold, c.created_at, c.updated_at,
         p.name as created_by_name
        FROM categories c 
        LEFT JOIN profiles p ON c.created_by = p.id
-       WHERE c.id = ?`,
-      [categoryId]
+       WHERE c.id = ? AND c.organization_id = ?`,
+      [categoryId, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'category',
+      entityId: categoryId,
+      after: newCategory[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'Category created successfully',
@@ -147,16 +174,16 @@ router.post('/', requireAdminOrManager, validateCategory, async (req, res, next)
   }
 });
 
-// PUT /api/categories/:id - Update category (admin/manager only)
-router.put('/:id', requireAdminOrManager, validateUUID('id'), validateCategory, async (req, res, next) => {
+// PUT /api/categories/:id - Update category (categories:update)
+router.put('/:id', requirePermission('categories:update'), validateUUID('id'), validateCategory, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
 
     // Check if category exists
     const existingCategories = await executeQuery(
-      'SELECT id FROM categories WHERE id = ?',
-      [id]
+      'SELECT id, name FROM categories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingCategories.length === 0) {
@@ -165,8 +192,8 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateCategory,
 
     // Check if new name already exists (excluding current category)
     const duplicateCategories = await executeQuery(
-      'SELECT id FROM categories WHERE name = ? AND id != ?',
-      [name, id]
+      'SELECT id FROM categories WHERE name = ? AND organization_id = ? AND id != ?',
+      [name, req.user.organizationId, id]
     );
 
     if (duplicateCategories.length > 0) {
@@ -175,21 +202,29 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateCategory,
 
     // Update category
     await executeQuery(
-      'UPDATE categories SET name = ?, updated_at = NOW() WHERE id = ?',
-      [name, id]
+      'UPDATE categories SET name = ?, updated_at = NOW() WHERE id = ? AND organization_id = ?',
+      [name, id, req.user.organizationId]
     );
 
     // Get updated category
     const updatedCategory = await executeQuery(
       `SELECT 
-        c.id, c.name, c.created_at, c.updated_at,
+        c.id, c.name, c.approval_threshold, c.created_at, c.updated_at,
         p.name as created_by_name
        FROM categories c 
        LEFT JOIN profiles p ON c.created_by = p.id
-       WHERE c.id = ?`,
-      [id]
+       WHERE c.id = ? AND c.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'category',
+      entityId: id,
+      before: existingCategories[0],
+      after: updatedCategory[0]
+    });
+
     res.json({
       success: true,
       message: 'Category updated successfully',
@@ -200,15 +235,59 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateCategory,
   }
 });
 
-// DELETE /api/categories/:id - Delete category (admin/manager only)
-router.delete('/:id', requireAdminOrManager, validateUUID('id'), async (req, res, next) => {
+// PUT /api/categories/:id/approval-threshold - Set the expense approval threshold of a category (approvals:configure)
+// Kept apart from the category update so managers cannot raise their own threshold
+router.put('/:id/approval-threshold', requirePermission('approvals:configure'), validateUUID('id'), validateApprovalThreshold, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const threshold = req.body.approval_threshold;
+
+    const existingCategories = await executeQuery(
+      'SELECT id, name, approval_threshold FROM categories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    if (existingCategories.length === 0) {
+      throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+    }
+
+    await executeQuery(
+      'UPDATE categories SET approval_threshold = ?, updated_at = NOW() WHERE id = ? AND organization_id = ?',
+      [threshold === undefined || threshold === null ? null : threshold, id, req.user.organizationId]
+    );
+
+    const updatedCategory = await executeQuery(
+      'SELECT id, name, approval_threshold FROM categories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'update_approval_threshold',
+      entity: 'category',
+      entityId: id,
+      before: existingCategories[0],
+      after: updatedCategory[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Approval threshold updated successfully',
+      data: updatedCategory[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/categories/:id - Delete category (categories:delete)
+router.delete('/:id', requirePermission('categories:delete'), validateUUID('id'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if category exists
     const existingCategories = await executeQuery(
-      'SELECT id FROM categories WHERE id = ?',
-      [id]
+      'SELECT * FROM categories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingCategories.length === 0) {
@@ -236,7 +315,14 @@ router.delete('/:id', requireAdminOrManager, validateUUID('id'), async (req, res
     }
 
     // Delete category
-    await executeQuery('DELETE FROM categories WHERE id = ?', [id]);
+    await executeQuery('DELETE FROM categories WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'category',
+      entityId: id,
+      before: existingCategories[0]
+    });
 
     res.json({
       success: true,
@@ -0,0 +1,280 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateCounterparty,
+  validateCounterpartyStatement,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const { COUNTERPARTY_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { getCounterpartyStatement } = require('../utils/counterpartyUtils');
+const { getBaseCurrency } = require('../utils/currencyUtils');
+const { getCategoryScope } = require('../utils/categoryScopeUtils');
+
+const router = express.Router();
+
+// All counterparty routes require authentication
+router.use(verifyToken);
+
+// Find a counterparty of the organization or fail with 404
+const findCounterparty = async (id, organizationId) => {
+  const counterparties = await executeQuery(
+    `${COUNTERPARTY_WITH_RELATIONS_QUERY} WHERE cp.id = ? AND cp.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (counterparties.length === 0) {
+    throw new AppError('Counterparty not found', 404, 'COUNTERPARTY_NOT_FOUND');
+  }
+
+  return counterparties[0];
+};
+
+// Ensure no other counterparty of the organization uses the tax ID
+const assertTaxIdAvailable = async (taxId, organizationId, excludeId = null) => {
+  if (!taxId) {
+    return;
+  }
+
+  const counterparties = await executeQuery(
+    'SELECT id FROM counterparties WHERE tax_id = ? AND organization_id = ? AND id != ?',
+    [taxId, organizationId, excludeId || '']
+  );
+
+  if (counterparties.length > 0) {
+    throw new AppError('Tax ID already registered', 409, 'COUNTERPARTY_TAX_ID_EXISTS');
+  }
+};
+
+// Build the columns from the request body
+const counterpartyFields = (body) => [
+  body.name,
+  body.type,
+  body.tax_id || null,
+  body.email || null,
+  body.phone || null,
+  body.contact_name || null,
+  body.address || null,
+  body.notes || null,
+  body.active === undefined || body.active ? 1 : 0
+];
+
+// GET /api/counterparties - List and search clients and suppliers
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+    const type = req.query.type || '';
+    const active = req.query.active;
+
+    let whereClause = 'WHERE cp.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND (cp.name LIKE ? OR cp.tax_id LIKE ? OR cp.email LIKE ? OR cp.contact_name LIKE ?)';
+      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    // Counterparties that are both clients and suppliers match either type
+    if (type) {
+      whereClause += " AND (cp.type = ? OR cp.type = 'both')";
+      queryParams.push(type);
+    }
+
+    if (active !== undefined) {
+      whereClause += ' AND cp.active = ?';
+      queryParams.push(active === 'true' ? 1 : 0);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM counterparties cp ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const counterparties = await executeQuery(
+      `${COUNTERPARTY_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY cp.name ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: counterparties,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/counterparties/:id - Get specific counterparty
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const counterparty = await findCounterparty(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: counterparty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/counterparties/:id/statement - List the counterparty's transactions with running totals (base currency)
+router.get('/:id/statement', validateUUID('id'), validateCounterpartyStatement, async (req, res, next) => {
+  try {
+    const counterparty = await findCounterparty(req.params.id, req.user.organizationId);
+    const startDate = req.query.start_date || '';
+    const endDate = req.query.end_date || '';
+
+    // Users restricted to some categories only see the transactions of those categories
+    const statement = await getCounterpartyStatement(counterparty, {
+      startDate,
+      endDate,
+      categoryScope: await getCategoryScope(req.user)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        counterparty,
+        base_currency: getBaseCurrency(),
+        start_date: startDate || null,
+        end_date: endDate || null,
+        ...statement
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/counterparties - Create counterparty (counterparties:create)
+router.post('/', requirePermission('counterparties:create'), validateCounterparty, async (req, res, next) => {
+  try {
+    await assertTaxIdAvailable(req.body.tax_id, req.user.organizationId);
+
+    const counterpartyId = uuidv4();
+    await executeQuery(
+      `INSERT INTO counterparties
+       (name, type, tax_id, email, phone, contact_name, address, notes, active, id, organization_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...counterpartyFields(req.body), counterpartyId, req.user.organizationId, req.user.id]
+    );
+
+    const newCounterparty = await findCounterparty(counterpartyId, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'counterparty',
+      entityId: counterpartyId,
+      after: newCounterparty
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Counterparty created successfully',
+      data: newCounterparty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/counterparties/:id - Update counterparty (counterparties:update)
+router.put('/:id', requirePermission('counterparties:update'), validateUUID('id'), validateCounterparty, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const currentCounterparty = await findCounterparty(id, req.user.organizationId);
+
+    await assertTaxIdAvailable(req.body.tax_id, req.user.organizationId, id);
+
+    await executeQuery(
+      `UPDATE counterparties
+       SET name = ?, type = ?, tax_id = ?, email = ?, phone = ?, contact_name = ?, address = ?, notes = ?,
+           active = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [...counterpartyFields(req.body), id]
+    );
+
+    const updatedCounterparty = await findCounterparty(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'counterparty',
+      entityId: id,
+      before: currentCounterparty,
+      after: updatedCounterparty
+    });
+
+    res.json({
+      success: true,
+      message: 'Counterparty updated successfully',
+      data: updatedCounterparty
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/counterparties/:id - Delete a counterparty without transactions (counterparties:delete)
+router.delete('/:id', requirePermission('counterparties:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const currentCounterparty = await findCounterparty(id, req.user.organizationId);
+
+    // Trashed transactions still reference the counterparty until they are purged
+    const transactions = await executeQuery('SELECT id FROM transactions WHERE counterparty_id = ? LIMIT 1', [id]);
+
+    if (transactions.length > 0) {
+      throw new AppError('Counterparty has transactions. Deactivate it instead', 409, 'COUNTERPARTY_HAS_TRANSACTIONS');
+    }
+
+    const receivables = await executeQuery('SELECT id FROM receivables WHERE counterparty_id = ? LIMIT 1', [id]);
+
+    if (receivables.length > 0) {
+      throw new AppError('Counterparty has receivables. Deactivate it instead', 409, 'COUNTERPARTY_HAS_RECEIVABLES');
+    }
+
+    const payables = await executeQuery('SELECT id FROM payables WHERE counterparty_id = ? LIMIT 1', [id]);
+
+    if (payables.length > 0) {
+      throw new AppError('Counterparty has payables. Deactivate it instead', 409, 'COUNTERPARTY_HAS_PAYABLES');
+    }
+
+    await executeQuery('DELETE FROM counterparties WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'counterparty',
+      entityId: id,
+      before: currentCounterparty
+    });
+
+    res.json({
+      success: true,
+      message: 'Counterparty deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,252 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission, requireSuperAdmin } = require('../middleware/authMiddleware');
+const { validateExchangeRate, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { statementUpload } = require('../middleware/uploadMiddleware');
+const { EXCHANGE_RATE_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { parseExchangeRatesCsv } = require('../utils/currencyUtils');
+
+const router = express.Router();
+
+// All exchange rate routes require authentication
+router.use(verifyToken);
+
+// Rates are shared by every organization: changing them takes the permission and a super admin
+const requireRateChange = (permission) => [requirePermission(permission), requireSuperAdmin];
+
+// GET /api/exchange-rates - List exchange rates with filters
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = (page - 1) * limit;
+    const currency = req.query.currency || '';
+    const startDate = req.query.start_date || '';
+    const endDate = req.query.end_date || '';
+
+    let whereClause = 'WHERE 1=1';
+    let queryParams = [];
+
+    if (currency) {
+      whereClause += ' AND e.currency = ?';
+      queryParams.push(currency.toUpperCase());
+    }
+
+    if (startDate) {
+      whereClause += ' AND e.rate_date >= ?';
+      queryParams.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND e.rate_date <= ?';
+      queryParams.push(endDate);
+    }
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM exchange_rates e
+      ${whereClause}
+    `;
+    const countResult = await executeQuery(countQuery, queryParams);
+    const total = countResult[0].total;
+
+    const rates = await executeQuery(
+      `${EXCHANGE_RATE_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY e.rate_date DESC, e.currency ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: rates,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/exchange-rates - Create exchange rate (exchange_rates:create, super admin)
+router.post('/', requireRateChange('exchange_rates:create'), validateExchangeRate, async (req, res, next) => {
+  try {
+    const { currency, rate_date, rate } = req.body;
+
+    const existingRates = await executeQuery(
+      'SELECT id FROM exchange_rates WHERE currency = ? AND rate_date = ?',
+      [currency, rate_date]
+    );
+
+    if (existingRates.length > 0) {
+      throw new AppError('An exchange rate already exists for this currency and date', 409, 'EXCHANGE_RATE_EXISTS');
+    }
+
+    const rateId = uuidv4();
+    await executeQuery(
+      `INSERT INTO exchange_rates (id, currency, rate_date, rate, source, created_by)
+       VALUES (?, ?, ?, ?, 'manual', ?)`,
+      [rateId, currency, rate_date, rate, req.user.id]
+    );
+
+    const newRate = await executeQuery(`${EXCHANGE_RATE_WITH_RELATIONS_QUERY} WHERE e.id = ?`, [rateId]);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'exchange_rate',
+      entityId: rateId,
+      after: newRate[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exchange rate created successfully',
+      data: newRate[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/exchange-rates/upload - Create or update exchange rates from a CSV (exchange_rates:create, super admin)
+router.post('/upload', requireRateChange('exchange_rates:create'), statementUpload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400, 'NO_FILE_UPLOADED');
+    }
+
+    const rows = parseExchangeRatesCsv(req.file.buffer.toString('utf8'), req.body.delimiter || ',');
+    if (rows.length === 0) {
+      throw new AppError('The file has no exchange rates', 400, 'EMPTY_EXCHANGE_RATE_FILE');
+    }
+
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    if (invalidRows.length > 0) {
+      throw new AppError(
+        'The file has invalid lines',
+        400,
+        'INVALID_EXCHANGE_RATE_FILE',
+        invalidRows.map(row => ({ row: row.row, errors: row.errors }))
+      );
+    }
+
+    // Every rate is saved or none is; a rate already stored for the same currency and date is replaced
+    await executeTransaction(rows.map(row => ({
+      query: `INSERT INTO exchange_rates (id, currency, rate_date, rate, source, created_by)
+              VALUES (?, ?, ?, ?, 'csv', ?)
+              ON DUPLICATE KEY UPDATE rate = VALUES(rate), source = VALUES(source), updated_at = NOW()`,
+      params: [uuidv4(), row.currency, row.rate_date, row.rate, req.user.id]
+    })));
+
+    await recordAudit(req, {
+      action: 'import',
+      entity: 'exchange_rate',
+      after: {
+        filename: req.file.originalname,
+        imported_count: rows.length,
+        currencies: [...new Set(rows.map(row => row.currency))]
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${rows.length} exchange rate(s) saved successfully`,
+      data: {
+        imported_count: rows.length
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/exchange-rates/:id - Update exchange rate (exchange_rates:update, super admin)
+// Transactions keep the converted amount stored when they were recorded
+router.put('/:id', requireRateChange('exchange_rates:update'), validateUUID('id'), validateExchangeRate, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { currency, rate_date, rate } = req.body;
+
+    const existingRates = await executeQuery(`${EXCHANGE_RATE_WITH_RELATIONS_QUERY} WHERE e.id = ?`, [id]);
+
+    if (existingRates.length === 0) {
+      throw new AppError('Exchange rate not found', 404, 'EXCHANGE_RATE_NOT_FOUND');
+    }
+
+    const conflictingRates = await executeQuery(
+      'SELECT id FROM exchange_rates WHERE currency = ? AND rate_date = ? AND id != ?',
+      [currency, rate_date, id]
+    );
+
+    if (conflictingRates.length > 0) {
+      throw new AppError('An exchange rate already exists for this currency and date', 409, 'EXCHANGE_RATE_EXISTS');
+    }
+
+    await executeQuery(
+      `UPDATE exchange_rates
+       SET currency = ?, rate_date = ?, rate = ?, source = 'manual', updated_at = NOW()
+       WHERE id = ?`,
+      [currency, rate_date, rate, id]
+    );
+
+    const updatedRate = await executeQuery(`${EXCHANGE_RATE_WITH_RELATIONS_QUERY} WHERE e.id = ?`, [id]);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'exchange_rate',
+      entityId: id,
+      before: existingRates[0],
+      after: updatedRate[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate updated successfully',
+      data: updatedRate[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/exchange-rates/:id - Delete exchange rate (exchange_rates:delete, super admin)
+router.delete('/:id', requireRateChange('exchange_rates:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingRates = await executeQuery(`${EXCHANGE_RATE_WITH_RELATIONS_QUERY} WHERE e.id = ?`, [id]);
+
+    if (existingRates.length === 0) {
+      throw new AppError('Exchange rate not found', 404, 'EXCHANGE_RATE_NOT_FOUND');
+    }
+
+    await executeQuery('DELETE FROM exchange_rates WHERE id = ?', [id]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'exchange_rate',
+      entityId: id,
+      before: existingRates[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Exchange rate deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
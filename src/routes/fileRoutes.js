@@ -1,62 +1,21 @@
 const express = require('express');
-const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const { v4: uuidv4 } = require('uuid');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdminOrManager } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { upload } = require('../middleware/uploadMiddleware');
+const { executeQuery } = require('../config/database');
+const { recordAudit } = require('../utils/auditUtils');
+const { registerUploadedFile, findUploadedFile, deleteUploadedFile } = require('../utils/fileUtils');
 
 const router = express.Router();
 
 // All file routes require authentication
 router.use(verifyToken);
 
-// Ensure uploads directory exists
-const ensureUploadDir = async () => {
-  const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-  try {
-    await fs.access(uploadDir);
-  } catch (error) {
-    await fs.mkdir(uploadDir, { recursive: true });
-  }
-};
-
-// Configure multer for file uploads
-const storage = multer.diskStorage({
-  destination: async (req, file, cb) => {
-    await ensureUploadDir();
-    cb(null, process.env.UPLOAD_DIR || 'uploads');
-  },
-  filename: (req, file, cb) => {
-    // Generate unique filename with original extension
-    const uniqueName = `${uuidv4()}${path.extname(file.originalname)}`;
-    cb(null, uniqueName);
-  }
-});
-
-// File filter
-const fileFilter = (req, file, cb) => {
-  const allowedTypes = (process.env.ALLOWED_FILE_TYPES || 'image/jpeg,image/png,image/gif,application/pdf').split(',');
-  
-  if (allowedTypes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new AppError(`File type ${file.mimetype} is not allowed`, 400, 'INVALID_FILE_TYPE'), false);
-  }
-};
-
-// Configure multer
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
-    files: 1 // Only allow single file upload
-  }
-});
-
-// POST /api/files/upload - Upload file (admin/manager only)
-router.post('/upload', requireAdminOrManager, upload.single('file'), async (req, res, next) => {
+// POST /api/files/upload - Upload file (files:upload)
+router.post('/upload', requirePermission('files:upload'), upload.single('file'), async (req, res, next) => {
   try {
     if (!req.file) {
       throw new AppError('No file uploaded', 400, 'NO_FILE_UPLOADED');
@@ -73,6 +32,15 @@ router.post('/upload', requireAdminOrManager, upload.single('file'), async (req,
       uploadedAt: new Date().toISOString()
     };
 
+    await registerUploadedFile(req.file, req.user.organizationId, req.user.id);
+
+    await recordAudit(req, {
+      action: 'upload',
+      entity: 'file',
+      entityId: fileInfo.filename,
+      after: fileInfo
+    });
+
     res.status(201).json({
       success: true,
       message: 'File uploaded successfully',
@@ -91,8 +59,8 @@ router.post('/upload', requireAdminOrManager, upload.single('file'), async (req,
   }
 });
 
-// DELETE /api/files/:filename - Delete file (admin/manager only)
-router.delete('/:filename', requireAdminOrManager, async (req, res, next) => {
+// DELETE /api/files/:filename - Delete file (files:delete)
+router.delete('/:filename', requirePermission('files:delete'), async (req, res, next) => {
   try {
     const { filename } = req.params;
     
@@ -101,14 +69,26 @@ router.delete('/:filename', requireAdminOrManager, async (req, res, next) => {
       throw new AppError('Invalid filename', 400, 'INVALID_FILENAME');
     }
 
+    // Files uploaded by other organizations are reported as missing
+    if (!(await findUploadedFile(filename, req.user.organizationId))) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+
     const filePath = path.join(process.env.UPLOAD_DIR || 'uploads', filename);
 
     try {
       // Check if file exists
       await fs.access(filePath);
       
-      // Delete file
-      await fs.unlink(filePath);
+      // Delete file and its organization record
+      await deleteUploadedFile(filename);
+
+      await recordAudit(req, {
+        action: 'delete',
+        entity: 'file',
+        entityId: filename,
+        before: { filename, url: `/uploads/${filename}` }
+      });
       
       res.json({
         success: true,
@@ -125,8 +105,8 @@ router.delete('/:filename', requireAdminOrManager, async (req, res, next) => {
   }
 });
 
-// GET /api/files/:filename - Get file info (admin/manager only)
-router.get('/:filename', requireAdminOrManager, async (req, res, next) => {
+// GET /api/files/:filename - Get file info (files:read)
+router.get('/:filename', requirePermission('files:read'), async (req, res, next) => {
   try {
     const { filename } = req.params;
     
@@ -135,6 +115,11 @@ router.get('/:filename', requireAdminOrManager, async (req, res, next) => {
       throw new AppError('Invalid filename', 400, 'INVALID_FILENAME');
     }
 
+    // Files uploaded by other organizations are reported as missing
+    if (!(await findUploadedFile(filename, req.user.organizationId))) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+
     const filePath = path.join(process.env.UPLOAD_DIR || 'uploads', filename);
 
     try {
@@ -164,7 +149,7 @@ router.get('/:filename', requireAdminOrManager, async (req, res, next) => {
   }
 });
 
-// GET /api/files/view/:filename - View file (public access for authenticated file viewing)
+// GET /api/files/view/:filename - View a file of the organization (the only way to download uploads)
 router.get('/view/:filename', async (req, res, next) => {
   try {
     const { filename } = req.params;
@@ -174,6 +159,11 @@ router.get('/view/:filename', async (req, res, next) => {
       throw new AppError('Invalid filename', 400, 'INVALID_FILENAME');
     }
 
+    // Files uploaded by other organizations are reported as missing
+    if (!(await findUploadedFile(filename, req.user.organizationId))) {
+      throw new AppError('File not found', 404, 'FILE_NOT_FOUND');
+    }
+
     const filePath = path.join(process.env.UPLOAD_DIR || 'uploads', filename);
 
     try {
@@ -205,7 +195,7 @@ router.get('/view/:filename', async (req, res, next) => {
       // Set headers for file serving
       res.setHeader('Content-Type', contentType);
       res.setHeader('Content-Length', stats.size);
-      res.setHeader('Cache-Control', 'public, max-age=31536000'); // Cache for 1 year
+      res.setHeader('Cache-Control', 'private, max-age=31536000'); // Cache for 1 year, never in shared caches
 
       // Headers to allow iframe embedding
       res.setHeader('X-Frame-Options', 'SAMEORIGIN');
@@ -230,53 +220,43 @@ router.get('/view/:filename', async (req, res, next) => {
   }
 });
 
-// GET /api/files - List uploaded files (admin/manager only)
-router.get('/', requireAdminOrManager, async (req, res, next) => {
+// GET /api/files - List the files uploaded in the organization (files:read)
+router.get('/', requirePermission('files:read'), async (req, res, next) => {
   try {
     const uploadDir = process.env.UPLOAD_DIR || 'uploads';
 
-    try {
-      const files = await fs.readdir(uploadDir);
-
-      const fileInfos = await Promise.all(
-        files.map(async (filename) => {
-          try {
-            const filePath = path.join(uploadDir, filename);
-            const stats = await fs.stat(filePath);
-
-            return {
-              filename,
-              size: stats.size,
-              created: stats.birthtime,
-              modified: stats.mtime,
-              url: `/uploads/${filename}`
-            };
-          } catch (error) {
-            return null; // Skip files that can't be read
-          }
-        })
-      );
-
-      // Filter out null entries
-      const validFiles = fileInfos.filter(file => file !== null);
-
-      res.json({
-        success: true,
-        data: validFiles,
-        count: validFiles.length
-      });
-    } catch (error) {
-      if (error.code === 'ENOENT') {
-        // Upload directory doesn't exist yet
-        res.json({
-          success: true,
-          data: [],
-          count: 0
-        });
-      } else {
-        throw error;
-      }
-    }
+    const uploadedFiles = await executeQuery(
+      'SELECT filename FROM uploaded_files WHERE organization_id = ? ORDER BY created_at DESC',
+      [req.user.organizationId]
+    );
+
+    const fileInfos = await Promise.all(
+      uploadedFiles.map(async ({ filename }) => {
+        try {
+          const filePath = path.join(uploadDir, filename);
+          const stats = await fs.stat(filePath);
+
+          return {
+            filename,
+            size: stats.size,
+            created: stats.birthtime,
+            modified: stats.mtime,
+            url: `/uploads/${filename}`
+          };
+        } catch (error) {
+          return null; // Skip files that can't be read
+        }
+      })
+    );
+
+    // Filter out null entries
+    const validFiles = fileInfos.filter(file => file !== null);
+
+    res.json({
+      success: true,
+      data: validFiles,
+      count: validFiles.length
+    });
   } catch (error) {
     next(error);
   }
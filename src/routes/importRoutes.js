@@ -0,0 +1,577 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validateImportProfile, validateUUID } = require('../middleware/validationMiddleware');
+const { statementUpload } = require('../middleware/uploadMiddleware');
+const { generateNextTransactionIds } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { assertValidCategorization } = require('../utils/transactionUtils');
+const { assertCategoryInScope } = require('../utils/categoryScopeUtils');
+const { getRequiredApproval, requestApproval } = require('../utils/approvalUtils');
+const { normalizeCsvStatement } = require('../utils/importUtils');
+const { parseOfxStatement, parseCamtStatement } = require('../utils/statementParsers');
+const { convertToBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, resolveAccountCurrency } = require('../utils/accountUtils');
+
+const router = express.Router();
+
+// All import routes require authentication and the imports:manage permission
+router.use(verifyToken);
+router.use(requirePermission('imports:manage'));
+
+// Build the profile columns from the request body
+const profileFields = (body) => [
+  body.name,
+  body.bank_name || null,
+  body.delimiter || ',',
+  body.has_header === undefined || body.has_header ? 1 : 0,
+  body.skip_rows || 0,
+  body.date_column,
+  body.date_format,
+  body.description_column,
+  body.amount_column || null,
+  body.debit_column || null,
+  body.credit_column || null,
+  body.decimal_separator,
+  body.sign_convention,
+  body.default_category_id || null,
+  body.default_subcategory_id || null
+];
+
+// Batch summary without the (potentially large) row data
+const BATCH_SUMMARY_COLUMNS = `
+  b.id, b.profile_id, b.account_id, b.source_format, b.filename, b.status, b.row_count, b.valid_count,
+  b.error_count, b.duplicate_count, b.imported_count, b.created_at, b.committed_at,
+  ip.name as profile_name,
+  a.name as account_name
+`;
+
+// Flag rows already imported into the organization (same bank account and bank transaction id)
+// or repeated in the file
+const markDuplicateRows = async (rows, organizationId) => {
+  const identified = rows.filter(row => row.external_source && row.external_id);
+  if (identified.length === 0) {
+    return rows;
+  }
+
+  const existing = await executeQuery(
+    `SELECT external_source, external_id FROM transactions
+     WHERE organization_id = ? AND (external_source, external_id) IN (${identified.map(() => '(?, ?)').join(', ')})`,
+    [organizationId, ...identified.flatMap(row => [row.external_source, row.external_id])]
+  );
+
+  const seen = new Set(existing.map(row => `${row.external_source}|${row.external_id}`));
+  for (const row of identified) {
+    const key = `${row.external_source}|${row.external_id}`;
+    row.duplicate = seen.has(key);
+    seen.add(key);
+  }
+
+  return rows;
+};
+
+// Store a preview so it can be committed later exactly as it was reviewed
+const createPreviewBatch = async (req, res, { format, profileId = null, rows }) => {
+  if (rows.length === 0) {
+    throw new AppError('The statement has no lines to import', 400, 'EMPTY_STATEMENT');
+  }
+
+  // Lines are imported into the chosen account, or the default one
+  const account = await resolveAccount(req.body.account_id || null, req.user.organizationId);
+
+  await markDuplicateRows(rows, req.user.organizationId);
+
+  const duplicateCount = rows.filter(row => row.duplicate).length;
+  const errorCount = rows.filter(row => !row.duplicate && row.errors.length > 0).length;
+  const validCount = rows.length - duplicateCount - errorCount;
+
+  const batchId = uuidv4();
+  await executeQuery(
+    `INSERT INTO import_batches
+     (id, organization_id, profile_id, account_id, source_format, filename, rows_data, row_count, valid_count, error_count, duplicate_count, created_by)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [batchId, req.user.organizationId, profileId, account.id, format, req.file.originalname, JSON.stringify(rows), rows.length, validCount, errorCount, duplicateCount, req.user.id]
+  );
+
+  const notes = [];
+  if (errorCount > 0) {
+    notes.push(`${errorCount} invalid line(s)`);
+  }
+  if (duplicateCount > 0) {
+    notes.push(`${duplicateCount} already imported line(s)`);
+  }
+
+  res.status(201).json({
+    success: true,
+    message: notes.length > 0
+      ? `Preview generated with ${notes.join(' and ')}`
+      : 'Preview generated successfully',
+    data: {
+      id: batchId,
+      status: 'preview',
+      source_format: format,
+      profile_id: profileId,
+      account_id: account.id,
+      filename: req.file.originalname,
+      row_count: rows.length,
+      valid_count: validCount,
+      error_count: errorCount,
+      duplicate_count: duplicateCount,
+      rows
+    }
+  });
+};
+
+// Parse an OFX/CAMT.053 upload, which needs no column mapping, only optional default categorization
+const previewStructuredStatement = (format, parse) => async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400, 'NO_FILE_UPLOADED');
+    }
+
+    const defaults = {
+      category_id: req.body.category_id || null,
+      subcategory_id: req.body.subcategory_id || null
+    };
+    await assertValidCategorization(defaults.category_id, defaults.subcategory_id, req.user.organizationId);
+
+    const { rows } = parse(req.file.buffer.toString('utf8'), defaults);
+
+    await createPreviewBatch(req, res, { format, rows });
+  } catch (error) {
+    next(error);
+  }
+};
+
+// GET /api/imports/profiles - List column-mapping profiles
+router.get('/profiles', async (req, res, next) => {
+  try {
+    const profiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE organization_id = ? ORDER BY name ASC',
+      [req.user.organizationId]
+    );
+
+    res.json({
+      success: true,
+      data: profiles
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/imports/profiles/:id - Get specific profile
+router.get('/profiles/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const profiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [req.params.id, req.user.organizationId]
+    );
+
+    if (profiles.length === 0) {
+      throw new AppError('Import profile not found', 404, 'IMPORT_PROFILE_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: profiles[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/imports/profiles - Create column-mapping profile
+router.post('/profiles', validateImportProfile, async (req, res, next) => {
+  try {
+    await assertValidCategorization(
+      req.body.default_category_id,
+      req.body.default_subcategory_id,
+      req.user.organizationId
+    );
+
+    const profileId = uuidv4();
+    await executeQuery(
+      `INSERT INTO import_profiles
+       (name, bank_name, delimiter, has_header, skip_rows, date_column, date_format, description_column,
+        amount_column, debit_column, credit_column, decimal_separator, sign_convention,
+        default_category_id, default_subcategory_id, id, organization_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...profileFields(req.body), profileId, req.user.organizationId, req.user.id]
+    );
+
+    const newProfile = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [profileId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'import_profile',
+      entityId: profileId,
+      after: newProfile[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Import profile created successfully',
+      data: newProfile[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/imports/profiles/:id - Update column-mapping profile
+router.put('/profiles/:id', validateUUID('id'), validateImportProfile, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProfiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    if (existingProfiles.length === 0) {
+      throw new AppError('Import profile not found', 404, 'IMPORT_PROFILE_NOT_FOUND');
+    }
+
+    await assertValidCategorization(
+      req.body.default_category_id,
+      req.body.default_subcategory_id,
+      req.user.organizationId
+    );
+
+    await executeQuery(
+      `UPDATE import_profiles
+       SET name = ?, bank_name = ?, delimiter = ?, has_header = ?, skip_rows = ?, date_column = ?,
+           date_format = ?, description_column = ?, amount_column = ?, debit_column = ?, credit_column = ?,
+           decimal_separator = ?, sign_convention = ?, default_category_id = ?, default_subcategory_id = ?,
+           updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [...profileFields(req.body), id, req.user.organizationId]
+    );
+
+    const updatedProfile = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'import_profile',
+      entityId: id,
+      before: existingProfiles[0],
+      after: updatedProfile[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Import profile updated successfully',
+      data: updatedProfile[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/imports/profiles/:id - Delete column-mapping profile
+router.delete('/profiles/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingProfiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    if (existingProfiles.length === 0) {
+      throw new AppError('Import profile not found', 404, 'IMPORT_PROFILE_NOT_FOUND');
+    }
+
+    await executeQuery(
+      'DELETE FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'import_profile',
+      entityId: id,
+      before: existingProfiles[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Import profile deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/imports/csv/preview - Parse a CSV statement and return a dry-run preview
+router.post('/csv/preview', statementUpload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400, 'NO_FILE_UPLOADED');
+    }
+
+    const profileId = req.body.profile_id;
+    if (!profileId) {
+      throw new AppError('profile_id is required', 400, 'IMPORT_PROFILE_REQUIRED');
+    }
+
+    const profiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [profileId, req.user.organizationId]
+    );
+
+    if (profiles.length === 0) {
+      throw new AppError('Import profile not found', 404, 'IMPORT_PROFILE_NOT_FOUND');
+    }
+
+    const rows = normalizeCsvStatement(req.file.buffer.toString('utf8'), profiles[0]);
+
+    await createPreviewBatch(req, res, { format: 'csv', profileId, rows });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/imports/ofx/preview - Parse an OFX statement and return a dry-run preview
+router.post('/ofx/preview', statementUpload.single('file'), previewStructuredStatement('ofx', parseOfxStatement));
+
+// POST /api/imports/camt053/preview - Parse an ISO 20022 CAMT.053 statement and return a dry-run preview
+router.post('/camt053/preview', statementUpload.single('file'), previewStructuredStatement('camt053', parseCamtStatement));
+
+// GET /api/imports/batches - List import batches
+router.get('/batches', async (req, res, next) => {
+  try {
+    const batches = await executeQuery(
+      `SELECT ${BATCH_SUMMARY_COLUMNS}
+       FROM import_batches b
+       LEFT JOIN import_profiles ip ON b.profile_id = ip.id
+       LEFT JOIN accounts a ON b.account_id = a.id
+       WHERE b.organization_id = ?
+       ORDER BY b.created_at DESC
+       LIMIT 100`,
+      [req.user.organizationId]
+    );
+
+    res.json({
+      success: true,
+      data: batches
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/imports/batches/:id - Get batch preview with its rows
+router.get('/batches/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const batches = await executeQuery(
+      `SELECT ${BATCH_SUMMARY_COLUMNS}, b.rows_data as \`rows\`
+       FROM import_batches b
+       LEFT JOIN import_profiles ip ON b.profile_id = ip.id
+       LEFT JOIN accounts a ON b.account_id = a.id
+       WHERE b.id = ? AND b.organization_id = ?`,
+      [req.params.id, req.user.organizationId]
+    );
+
+    if (batches.length === 0) {
+      throw new AppError('Import batch not found', 404, 'IMPORT_BATCH_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: batches[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/imports/batches/:id/commit - Import the previewed rows in a single database transaction
+router.post('/batches/:id/commit', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const skipInvalid = req.body.skip_invalid === true || req.body.skip_invalid === 'true';
+
+    const batches = await executeQuery(
+      'SELECT * FROM import_batches WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    if (batches.length === 0) {
+      throw new AppError('Import batch not found', 404, 'IMPORT_BATCH_NOT_FOUND');
+    }
+
+    const batch = batches[0];
+
+    if (batch.status !== 'preview') {
+      throw new AppError('Import batch has already been committed', 409, 'IMPORT_ALREADY_COMMITTED');
+    }
+
+    // Re-check duplicates: the same statement may have been committed by another batch since the preview
+    const rows = (await markDuplicateRows(batch.rows_data, batch.organization_id)).filter(row => !row.duplicate);
+    const duplicateCount = batch.rows_data.length - rows.length;
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+
+    if (invalidRows.length > 0 && !skipInvalid) {
+      throw new AppError(
+        'Import has invalid lines. Fix the statement or commit with skip_invalid',
+        400,
+        'IMPORT_HAS_ERRORS',
+        invalidRows.map(row => ({ row: row.row, errors: row.errors }))
+      );
+    }
+
+    const validRows = rows.filter(row => row.errors.length === 0);
+    if (validRows.length === 0) {
+      throw new AppError(
+        duplicateCount > 0 ? 'Every valid line has already been imported' : 'No valid lines to import',
+        400,
+        'NO_ROWS_TO_IMPORT'
+      );
+    }
+
+    // The lines take the categorization chosen at upload or the profile default, which may be
+    // outside the categories of the user committing the batch
+    for (const categoryId of new Set(validRows.map(row => row.category_id || null))) {
+      await assertCategoryInScope(req.user, categoryId);
+    }
+
+    // Lines without a currency (CSV statements) are in the account currency
+    const account = await resolveAccount(batch.account_id, batch.organization_id);
+    const conversions = [];
+    for (const row of validRows) {
+      conversions.push(await convertToBaseCurrency(row.amount, resolveAccountCurrency(account, row.currency), row.date));
+    }
+
+    // Imported expenses above the approval threshold wait for an administrator like manual ones
+    const approvalThresholds = [];
+    for (const [index, row] of validRows.entries()) {
+      approvalThresholds.push(await getRequiredApproval(req.user, {
+        type: row.type,
+        base_amount: conversions[index].base_amount,
+        category_id: row.category_id
+      }));
+    }
+
+    const transactionIds = await generateNextTransactionIds(validRows.length);
+
+    // The status guard runs first: a concurrent commit of the same batch waits for its row lock,
+    // then finds the batch committed and rolls back without importing the lines twice
+    const queries = [{
+      query: `UPDATE import_batches
+              SET status = 'committed', imported_count = ?, duplicate_count = ?, committed_by = ?, committed_at = NOW()
+              WHERE id = ? AND status = 'preview'`,
+      params: [validRows.length, duplicateCount, req.user.id, id],
+      failIfUnchanged: new AppError('Import batch has already been committed', 409, 'IMPORT_ALREADY_COMMITTED')
+    }];
+
+    queries.push(...validRows.map((row, index) => ({
+      query: `INSERT INTO transactions
+              (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+               category_id, subcategory_id, import_batch_id, external_source, external_id, status, created_by)
+              VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      params: [
+        transactionIds[index], batch.organization_id,
+        account.id, row.amount, conversions[index].currency, conversions[index].exchange_rate,
+        conversions[index].base_amount, row.type, row.description, row.date, row.category_id, row.subcategory_id,
+        id, row.external_source || null, row.external_id || null,
+        approvalThresholds[index] === null ? 'posted' : 'pending_approval', req.user.id
+      ]
+    })));
+
+    // All rows are imported or none is
+    try {
+      await executeTransaction(queries);
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError('Some lines were imported concurrently. Preview the statement again', 409, 'IMPORT_DUPLICATE');
+      }
+      throw error;
+    }
+
+    for (const [index, transactionId] of transactionIds.entries()) {
+      await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: req.user.id });
+
+      if (approvalThresholds[index] !== null) {
+        await requestApproval(transactionId, {
+          threshold: approvalThresholds[index],
+          baseAmount: conversions[index].base_amount,
+          requestedBy: req.user.id
+        });
+      }
+    }
+
+    const pendingApprovalCount = approvalThresholds.filter(threshold => threshold !== null).length;
+
+    await recordAudit(req, {
+      action: 'import',
+      entity: 'import_batch',
+      entityId: id,
+      after: {
+        imported_count: validRows.length,
+        skipped_count: invalidRows.length,
+        duplicate_count: duplicateCount,
+        pending_approval_count: pendingApprovalCount,
+        transaction_ids: transactionIds
+      }
+    });
+
+    res.json({
+      success: true,
+      message: `${validRows.length} transaction(s) imported successfully`,
+      data: {
+        id,
+        status: 'committed',
+        imported_count: validRows.length,
+        skipped_count: invalidRows.length,
+        duplicate_count: duplicateCount,
+        pending_approval_count: pendingApprovalCount,
+        transaction_ids: transactionIds
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/imports/batches/:id - Discard an uncommitted preview
+router.delete('/batches/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const batches = await executeQuery(
+      'SELECT id, status FROM import_batches WHERE id = ? AND organization_id = ?',
+      [req.params.id, req.user.organizationId]
+    );
+
+    if (batches.length === 0) {
+      throw new AppError('Import batch not found', 404, 'IMPORT_BATCH_NOT_FOUND');
+    }
+
+    if (batches[0].status !== 'preview') {
+      throw new AppError('Committed import batches cannot be discarded', 409, 'IMPORT_ALREADY_COMMITTED');
+    }
+
+    await executeQuery(
+      'DELETE FROM import_batches WHERE id = ? AND organization_id = ?',
+      [req.params.id, req.user.organizationId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Import preview discarded'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requireSuperAdmin } = require('../middleware/authMiddleware');
+const { validateOrganization, validateUUID } = require('../middleware/validationMiddleware');
+const { recordAudit } = require('../utils/auditUtils');
+const { ALL_ORGANIZATIONS } = require('../utils/organizationUtils');
+const { getTransactionSummary } = require('../utils/reportUtils');
+
+const router = express.Router();
+
+// All organization routes require a super admin
+router.use(verifyToken);
+router.use(requireSuperAdmin);
+
+const ORGANIZATION_QUERY = `
+  SELECT o.id, o.name, o.active, o.created_by, o.created_at, o.updated_at,
+         (SELECT COUNT(*) FROM profiles p WHERE p.organization_id = o.id) as user_count
+  FROM organizations o
+`;
+
+// Find an organization or fail with 404
+const findOrganization = async (id) => {
+  const organizations = await executeQuery(`${ORGANIZATION_QUERY} WHERE o.id = ?`, [id]);
+
+  if (organizations.length === 0) {
+    throw new AppError('Organization not found', 404, 'ORGANIZATION_NOT_FOUND');
+  }
+
+  return organizations[0];
+};
+
+// Ensure no other organization uses the name
+const assertNameAvailable = async (name, excludeId = null) => {
+  const organizations = await executeQuery(
+    'SELECT id FROM organizations WHERE name = ? AND id != ?',
+    [name, excludeId || '']
+  );
+
+  if (organizations.length > 0) {
+    throw new AppError('Organization name already exists', 409, 'ORGANIZATION_EXISTS');
+  }
+};
+
+// GET /api/organizations - List organizations with their user count (super admin)
+router.get('/', async (req, res, next) => {
+  try {
+    const organizations = await executeQuery(`${ORGANIZATION_QUERY} ORDER BY o.name ASC`);
+
+    res.json({
+      success: true,
+      data: organizations
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/organizations/consolidated/summary - Transaction statistics of every organization together (super admin)
+router.get('/consolidated/summary', async (req, res, next) => {
+  try {
+    const data = await getTransactionSummary({
+      organizationId: ALL_ORGANIZATIONS,
+      startDate: req.query.start_date || '',
+      endDate: req.query.end_date || '',
+      byCurrency: req.query.by_currency === 'true'
+    });
+
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/organizations/:id - Get organization (super admin)
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const organization = await findOrganization(req.params.id);
+
+    res.json({
+      success: true,
+      data: organization
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/organizations - Create organization (super admin)
+router.post('/', validateOrganization, async (req, res, next) => {
+  try {
+    const { name, active } = req.body;
+
+    await assertNameAvailable(name);
+
+    const organizationId = uuidv4();
+    await executeQuery(
+      'INSERT INTO organizations (id, name, active, created_by) VALUES (?, ?, ?, ?)',
+      [organizationId, name, active === undefined || active ? 1 : 0, req.user.id]
+    );
+
+    const organization = await findOrganization(organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'organization',
+      entityId: organizationId,
+      after: organization
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Organization created successfully',
+      data: organization
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/organizations/:id - Rename or (de)activate organization (super admin)
+// Users of an inactive organization can no longer sign in or refresh their tokens
+router.put('/:id', validateUUID('id'), validateOrganization, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    const currentOrganization = await findOrganization(id);
+    const isActive = req.body.active === undefined ? Boolean(currentOrganization.active) : Boolean(req.body.active);
+
+    if (!isActive && (id === req.user.organizationId || id === req.user.homeOrganizationId)) {
+      throw new AppError(
+        'You cannot deactivate your own or your current organization',
+        400,
+        'CANNOT_DEACTIVATE_OWN_ORGANIZATION'
+      );
+    }
+
+    await assertNameAvailable(name, id);
+
+    await executeQuery(
+      'UPDATE organizations SET name = ?, active = ?, updated_at = NOW() WHERE id = ?',
+      [name, isActive ? 1 : 0, id]
+    );
+
+    const updatedOrganization = await findOrganization(id);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'organization',
+      entityId: id,
+      before: currentOrganization,
+      after: updatedOrganization
+    });
+
+    res.json({
+      success: true,
+      message: 'Organization updated successfully',
+      data: updatedOrganization
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,602 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validatePayable,
+  validateUpcomingPayables,
+  validateSettlementPayment,
+  validateCancellation,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const {
+  generateNextTransactionId,
+  PAYABLE_STATUS_SQL,
+  PAYABLE_WITH_RELATIONS_QUERY,
+  TRANSACTION_WITH_RELATIONS_QUERY
+} = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { deleteUploadedFile, assertUploadedFileInOrganization } = require('../utils/fileUtils');
+const { reportableTransactionCondition, assertValidCategorization } = require('../utils/transactionUtils');
+const { getCategoryScope, buildCategoryScopeCondition, assertCategoryInScope } = require('../utils/categoryScopeUtils');
+const { convertToBaseCurrency, getBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, resolveAccountCurrency } = require('../utils/accountUtils');
+const { resolveCounterparty } = require('../utils/counterpartyUtils');
+const { assertTripExists } = require('../utils/tripUtils');
+const { getRequiredApproval, requestApproval } = require('../utils/approvalUtils');
+const { today, addDays } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+// All payable routes require authentication
+router.use(verifyToken);
+
+// Find a payable of the organization with its paid and outstanding amounts or fail with 404
+const findPayable = async (id, organizationId) => {
+  const payables = await executeQuery(
+    `${PAYABLE_WITH_RELATIONS_QUERY} WHERE pb.id = ? AND pb.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (payables.length === 0) {
+    throw new AppError('Payable not found', 404, 'PAYABLE_NOT_FOUND');
+  }
+
+  return payables[0];
+};
+
+// Payments recorded against a payable (trashed ones are left out), within the user's categories
+const getPayablePayments = (payable, categoryScope = null) => {
+  const scope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+
+  return executeQuery(
+    `${TRANSACTION_WITH_RELATIONS_QUERY}
+     WHERE t.payable_id = ? AND t.organization_id = ? AND t.deleted_at IS NULL
+       ${scope.condition ? `AND ${scope.condition}` : ''}
+     ORDER BY t.date ASC, t.created_at ASC`,
+    [payable.id, payable.organization_id, ...scope.params]
+  );
+};
+
+// Ensure the supplier has no other bill with the reference
+const assertReferenceAvailable = async (counterpartyId, reference, excludeId = null) => {
+  if (!reference) {
+    return;
+  }
+
+  const payables = await executeQuery(
+    'SELECT id FROM payables WHERE counterparty_id = ? AND reference = ? AND id != ?',
+    [counterpartyId, reference, excludeId || '']
+  );
+
+  if (payables.length > 0) {
+    throw new AppError('The supplier already has a bill with this reference', 409, 'PAYABLE_REFERENCE_EXISTS');
+  }
+};
+
+// Build the columns from the request body
+const payableFields = (body, currency) => [
+  body.reference || null,
+  body.counterparty_id,
+  body.trip_id || null,
+  body.category_id || null,
+  body.subcategory_id || null,
+  body.description,
+  body.amount,
+  currency,
+  body.issue_date,
+  body.due_date,
+  body.scheduled_date || null,
+  body.attachment_url || null,
+  body.notes || null
+];
+
+// Outstanding totals per currency for the payables matching a condition
+const getOutstandingTotals = (whereClause, queryParams = []) => {
+  return executeQuery(
+    `SELECT currency, COUNT(*) as count, SUM(outstanding_amount) as outstanding_amount
+     FROM (${PAYABLE_WITH_RELATIONS_QUERY} ${whereClause}) payables_list
+     GROUP BY currency
+     ORDER BY currency ASC`,
+    queryParams
+  );
+};
+
+// GET /api/payables - List supplier bills with their outstanding balance
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+    const status = req.query.status || '';
+    const counterpartyId = req.query.counterparty_id || '';
+    const tripId = req.query.trip_id || '';
+    const dueFrom = req.query.due_from || '';
+    const dueTo = req.query.due_to || '';
+
+    let whereClause = 'WHERE pb.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND (pb.reference LIKE ? OR pb.description LIKE ? OR cp.name LIKE ?)';
+      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (status) {
+      whereClause += ` AND ${PAYABLE_STATUS_SQL} = ?`;
+      queryParams.push(status);
+    }
+
+    if (counterpartyId) {
+      whereClause += ' AND pb.counterparty_id = ?';
+      queryParams.push(counterpartyId);
+    }
+
+    if (tripId) {
+      whereClause += ' AND pb.trip_id = ?';
+      queryParams.push(tripId);
+    }
+
+    if (dueFrom) {
+      whereClause += ' AND pb.due_date >= ?';
+      queryParams.push(dueFrom);
+    }
+
+    if (dueTo) {
+      whereClause += ' AND pb.due_date <= ?';
+      queryParams.push(dueTo);
+    }
+
+    // The status depends on the payments, so the count runs over the full query
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM (${PAYABLE_WITH_RELATIONS_QUERY} ${whereClause}) payables_list`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const payables = await executeQuery(
+      `${PAYABLE_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY pb.due_date ASC, pb.created_at ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: payables,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/payables/upcoming - Bills to pay in the next N days (scheduled date, or due date when not scheduled)
+router.get('/upcoming', validateUpcomingPayables, async (req, res, next) => {
+  try {
+    const days = parseInt(req.query.days) || 7;
+    const from = today();
+    const to = addDays(from, days);
+
+    const upcomingCondition = `WHERE pb.organization_id = ? AND ${PAYABLE_STATUS_SQL} IN ('open', 'partially_paid')
+      AND COALESCE(pb.scheduled_date, pb.due_date) BETWEEN ? AND ?`;
+    const upcomingParams = [req.user.organizationId, from, to];
+
+    const totals = await getOutstandingTotals(upcomingCondition, upcomingParams);
+
+    const payables = await executeQuery(
+      `${PAYABLE_WITH_RELATIONS_QUERY}
+       ${upcomingCondition}
+       ORDER BY COALESCE(pb.scheduled_date, pb.due_date) ASC, pb.due_date ASC`,
+      upcomingParams
+    );
+
+    res.json({
+      success: true,
+      data: {
+        days,
+        from,
+        to,
+        totals,
+        payables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/payables/overdue - Overdue bills summary, oldest due date first (dashboard)
+router.get('/overdue', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const overdueCondition = `WHERE pb.organization_id = ? AND ${PAYABLE_STATUS_SQL} = 'overdue'`;
+
+    const totals = await getOutstandingTotals(overdueCondition, [req.user.organizationId]);
+
+    const payables = await executeQuery(
+      `${PAYABLE_WITH_RELATIONS_QUERY}
+       ${overdueCondition}
+       ORDER BY pb.due_date ASC, outstanding_amount DESC
+       LIMIT ?`,
+      [req.user.organizationId, limit]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        payables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/payables/:id - Get payable with its payments
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const payable = await findPayable(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        ...payable,
+        payments: await getPayablePayments(payable, await getCategoryScope(req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/payables - Create payable (payables:create)
+router.post('/', requirePermission('payables:create'), validatePayable, async (req, res, next) => {
+  try {
+    const { reference, counterparty_id, trip_id, category_id, subcategory_id } = req.body;
+    const currency = req.body.currency || getBaseCurrency();
+
+    await resolveCounterparty(counterparty_id, 'supplier', req.user.organizationId);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertUploadedFileInOrganization(req.body.attachment_url, req.user.organizationId);
+    await assertReferenceAvailable(counterparty_id, reference);
+
+    const payableId = uuidv4();
+    await executeQuery(
+      `INSERT INTO payables
+       (reference, counterparty_id, trip_id, category_id, subcategory_id, description, amount, currency,
+        issue_date, due_date, scheduled_date, attachment_url, notes, id, organization_id, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [...payableFields(req.body, currency), payableId, req.user.organizationId, req.user.id]
+    );
+
+    const newPayable = await findPayable(payableId, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'payable',
+      entityId: payableId,
+      after: newPayable
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payable created successfully',
+      data: newPayable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/payables/:id - Update payable (payables:update)
+router.put('/:id', requirePermission('payables:update'), validateUUID('id'), validatePayable, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reference, counterparty_id, trip_id, category_id, subcategory_id, amount } = req.body;
+
+    const currentPayable = await findPayable(id, req.user.organizationId);
+    const currency = req.body.currency || currentPayable.currency;
+
+    if (currentPayable.status === 'cancelled') {
+      throw new AppError('Cancelled payables cannot be changed', 409, 'PAYABLE_CANCELLED');
+    }
+
+    await resolveCounterparty(counterparty_id, 'supplier', req.user.organizationId);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertUploadedFileInOrganization(req.body.attachment_url, req.user.organizationId);
+    await assertReferenceAvailable(counterparty_id, reference, id);
+
+    // Once paid in part, the supplier, currency and a lower amount would contradict the payments
+    const paidAmount = Number(currentPayable.paid_amount);
+    if (paidAmount > 0) {
+      if (counterparty_id !== currentPayable.counterparty_id || currency !== currentPayable.currency) {
+        throw new AppError('The supplier and currency of a payable with payments cannot be changed', 409, 'PAYABLE_HAS_PAYMENTS');
+      }
+
+      if (Number(amount) < paidAmount) {
+        throw new AppError(
+          `Amount cannot be lower than the ${paidAmount} already paid`,
+          409,
+          'PAYABLE_HAS_PAYMENTS'
+        );
+      }
+    }
+
+    // A replaced bill stays on disk: payments may still use it as their receipt
+    await executeQuery(
+      `UPDATE payables
+       SET reference = ?, counterparty_id = ?, trip_id = ?, category_id = ?, subcategory_id = ?, description = ?,
+           amount = ?, currency = ?, issue_date = ?, due_date = ?, scheduled_date = ?, attachment_url = ?, notes = ?,
+           updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [...payableFields(req.body, currency), id, req.user.organizationId]
+    );
+
+    const updatedPayable = await findPayable(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'payable',
+      entityId: id,
+      before: currentPayable,
+      after: updatedPayable
+    });
+
+    res.json({
+      success: true,
+      message: 'Payable updated successfully',
+      data: updatedPayable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/payables/:id/payments - Pay the bill (in full by default) as a saida transaction (payables:pay)
+router.post('/:id/payments', requirePermission('payables:pay'), validateUUID('id'), validateSettlementPayment, async (req, res, next) => {
+  try {
+    const { date, account_id, comprovativo_url } = req.body;
+
+    const payable = await findPayable(req.params.id, req.user.organizationId);
+
+    if (payable.status === 'cancelled') {
+      throw new AppError('Cancelled payables cannot be paid', 409, 'PAYABLE_CANCELLED');
+    }
+
+    // Without an amount the whole outstanding balance is paid
+    const outstanding = Number(payable.outstanding_amount);
+    const amount = req.body.amount || outstanding;
+    if (outstanding <= 0) {
+      throw new AppError('Payable is already paid', 409, 'PAYABLE_PAID');
+    }
+
+    if (Math.round(Number(amount) * 100) > Math.round(outstanding * 100)) {
+      throw new AppError(
+        `Payment exceeds the outstanding amount of ${outstanding}`,
+        409,
+        'PAYMENT_EXCEEDS_OUTSTANDING',
+        { outstanding_amount: outstanding }
+      );
+    }
+
+    // A payment waiting for approval does not reduce the outstanding balance yet: wait for the decision
+    // instead of paying the bill twice
+    const pendingPayments = await executeQuery(
+      `SELECT id FROM transactions
+       WHERE payable_id = ? AND organization_id = ? AND status = 'pending_approval' AND deleted_at IS NULL
+       LIMIT 1`,
+      [payable.id, payable.organization_id]
+    );
+    if (pendingPayments.length > 0) {
+      throw new AppError(
+        'A payment of this bill is waiting for approval',
+        409,
+        'PAYMENT_PENDING_APPROVAL',
+        { transaction_id: pendingPayments[0].id }
+      );
+    }
+
+    // The bill's categorization applies unless the payment sets its own
+    const categoryId = req.body.category_id || payable.category_id;
+    const subcategoryId = req.body.category_id ? req.body.subcategory_id : payable.subcategory_id;
+    await assertValidCategorization(categoryId, subcategoryId, req.user.organizationId);
+    await assertCategoryInScope(req.user, categoryId);
+    await assertUploadedFileInOrganization(comprovativo_url, req.user.organizationId);
+
+    // The payment leaves an account holding the bill currency
+    const account = await resolveAccount(account_id, req.user.organizationId);
+    const conversion = await convertToBaseCurrency(amount, resolveAccountCurrency(account, payable.currency), date);
+    const description = req.body.description || `Payment of ${payable.reference || payable.description}`;
+
+    // The attached bill is the payment receipt unless another one is given
+    const receiptUrl = comprovativo_url || payable.attachment_url;
+
+    // Payments above the approval threshold wait for an administrator like any other expense
+    const approvalThreshold = await getRequiredApproval(req.user, {
+      type: 'saida',
+      base_amount: conversion.base_amount,
+      category_id: categoryId
+    });
+    const status = approvalThreshold === null ? 'posted' : 'pending_approval';
+
+    // The payable row is locked while the payment is recorded, so concurrent payments are checked one after
+    // the other against the outstanding balance; payments still waiting for approval count as paid here
+    const transactionId = await generateNextTransactionId();
+    await executeTransaction([
+      {
+        query: 'SELECT id FROM payables WHERE id = ? AND organization_id = ? FOR UPDATE',
+        params: [payable.id, payable.organization_id]
+      },
+      {
+        query: `INSERT INTO transactions
+                (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+                 category_id, subcategory_id, trip_id, counterparty_id, payable_id, receipt_url, status, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 'saida', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          transactionId, payable.organization_id,
+          account.id, amount, conversion.currency, conversion.exchange_rate, conversion.base_amount,
+          description.substring(0, 500), date, categoryId || null, subcategoryId || null, payable.trip_id,
+          payable.counterparty_id, payable.id, receiptUrl || null, status, req.user.id
+        ]
+      },
+      {
+        query: `UPDATE payables pb SET pb.updated_at = NOW()
+                WHERE pb.id = ? AND pb.cancelled_at IS NULL AND pb.amount >= (
+                  SELECT COALESCE(SUM(t.amount), 0) FROM transactions t
+                  WHERE t.payable_id = pb.id AND t.type = 'saida'
+                    AND (${reportableTransactionCondition()} OR (t.deleted_at IS NULL AND t.status = 'pending_approval'))
+                )`,
+        params: [payable.id],
+        failIfUnchanged: new AppError(
+          'Payment exceeds the outstanding amount: another payment was recorded meanwhile',
+          409,
+          'PAYMENT_EXCEEDS_OUTSTANDING'
+        )
+      }
+    ]);
+
+    await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: req.user.id });
+
+    if (approvalThreshold !== null) {
+      await requestApproval(transactionId, {
+        threshold: approvalThreshold,
+        baseAmount: conversion.base_amount,
+        requestedBy: req.user.id
+      });
+    }
+
+    const transaction = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [transactionId, req.user.organizationId]
+    );
+    const updatedPayable = await findPayable(payable.id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'payment',
+      entity: 'payable',
+      entityId: payable.id,
+      before: payable,
+      after: { ...updatedPayable, transaction_id: transactionId }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: approvalThreshold === null
+        ? 'Payment recorded successfully'
+        : 'Payment submitted for approval',
+      data: {
+        payable: updatedPayable,
+        transaction: transaction[0]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/payables/:id/cancel - Cancel the outstanding balance of a payable (payables:cancel)
+router.post('/:id/cancel', requirePermission('payables:cancel'), validateUUID('id'), validateCancellation, async (req, res, next) => {
+  try {
+    const payable = await findPayable(req.params.id, req.user.organizationId);
+
+    if (payable.status === 'cancelled') {
+      throw new AppError('Payable is already cancelled', 409, 'PAYABLE_CANCELLED');
+    }
+
+    if (payable.status === 'paid') {
+      throw new AppError('Paid payables cannot be cancelled', 409, 'PAYABLE_PAID');
+    }
+
+    await executeQuery(
+      `UPDATE payables SET cancelled_at = NOW(), cancelled_by = ?, cancel_reason = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [req.user.id, req.body.reason, payable.id, payable.organization_id]
+    );
+
+    const cancelledPayable = await findPayable(payable.id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'cancel',
+      entity: 'payable',
+      entityId: payable.id,
+      before: payable,
+      after: cancelledPayable
+    });
+
+    res.json({
+      success: true,
+      message: 'Payable cancelled successfully',
+      data: cancelledPayable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/payables/:id - Delete a payable without payments (payables:delete)
+router.delete('/:id', requirePermission('payables:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const payable = await findPayable(req.params.id, req.user.organizationId);
+
+    // Trashed and reversed payments still reference the payable
+    const payments = await executeQuery(
+      'SELECT id FROM transactions WHERE payable_id = ? AND organization_id = ? LIMIT 1',
+      [payable.id, payable.organization_id]
+    );
+
+    if (payments.length > 0) {
+      throw new AppError('Payable has payments. Cancel it instead', 409, 'PAYABLE_HAS_PAYMENTS');
+    }
+
+    await executeQuery(
+      'DELETE FROM payables WHERE id = ? AND organization_id = ?',
+      [payable.id, payable.organization_id]
+    );
+
+    // The bill goes with the payable unless a transaction also uses it as a receipt
+    if (payable.attachment_url) {
+      const receipts = await executeQuery(
+        'SELECT id FROM transactions WHERE receipt_url = ? AND organization_id = ? LIMIT 1',
+        [payable.attachment_url, payable.organization_id]
+      );
+
+      if (receipts.length === 0) {
+        try {
+          await deleteUploadedFile(payable.attachment_url);
+        } catch (fileError) {
+          console.error('Error deleting payable attachment:', fileError);
+        }
+      }
+    }
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'payable',
+      entityId: payable.id,
+      before: payable
+    });
+
+    res.json({
+      success: true,
+      message: 'Payable deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
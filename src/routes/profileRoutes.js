@@ -1,16 +1,18 @@
 const express = require('express');
 const { executeQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdminOrManager } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 const { validateUpdateProfile, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { recordAudit } = require('../utils/auditUtils');
+const { hasPermission } = require('../utils/authUtils');
 
 const router = express.Router();
 
 // All profile routes require authentication
 router.use(verifyToken);
 
-// GET /api/profiles - List all profiles (admin/manager only)
-router.get('/', requireAdminOrManager, validatePagination, async (req, res, next) => {
+// GET /api/profiles - List all profiles (profiles:read)
+router.get('/', requirePermission('profiles:read'), validatePagination, async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
@@ -19,8 +21,8 @@ router.get('/', requireAdminOrManager, validatePagination, async (req, res, next
     const role = req.query.role || '';
     const status = req.query.status || '';
 
-    let whereClause = 'WHERE 1=1';
-    let queryParams = [];
+    let whereClause = 'WHERE p.organization_id = ?';
+    let queryParams = [req.user.organizationId];
 
     if (search) {
       whereClause += ' AND (p.name LIKE ? OR p.email LIKE ?)';
@@ -80,8 +82,8 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Users can only view their own profile unless they're admin/manager
-    if (req.user.id !== id && !['administrador', 'gerente'].includes(req.user.role)) {
+    // Users can only view their own profile unless they can read every profile
+    if (req.user.id !== id && !hasPermission(req.user, 'profiles:read')) {
       throw new AppError('Access denied', 403, 'ACCESS_DENIED');
     }
 
@@ -90,8 +92,8 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
         p.id, p.name, p.email, p.phone, p.role, p.status, 
         p.avatar, p.last_login, p.created_at
        FROM profiles p 
-       WHERE p.id = ?`,
-      [id]
+       WHERE p.id = ? AND (p.organization_id = ? OR p.id = ?)`,
+      [id, req.user.organizationId, req.user.id]
     );
 
     if (profiles.length === 0) {
@@ -113,15 +115,15 @@ router.put('/:id', validateUUID('id'), validateUpdateProfile, async (req, res, n
     const { id } = req.params;
     const { name, phone } = req.body;
 
-    // Users can only update their own profile unless they're admin
-    if (req.user.id !== id && req.user.role !== 'administrador') {
+    // Users can only update their own profile unless they manage users
+    if (req.user.id !== id && !hasPermission(req.user, 'users:manage')) {
       throw new AppError('Access denied', 403, 'ACCESS_DENIED');
     }
 
-    // Check if profile exists
+    // Check if profile exists (other users only within the current organization)
     const existingProfiles = await executeQuery(
-      'SELECT id FROM profiles WHERE id = ?',
-      [id]
+      'SELECT id, name, phone FROM profiles WHERE id = ? AND (organization_id = ? OR id = ?)',
+      [id, req.user.organizationId, req.user.id]
     );
 
     if (existingProfiles.length === 0) {
@@ -161,10 +163,18 @@ router.put('/:id', validateUUID('id'), validateUpdateProfile, async (req, res, n
         p.id, p.name, p.email, p.phone, p.role, p.status, 
         p.avatar, p.last_login, p.created_at
        FROM profiles p 
-       WHERE p.id = ?`,
-      [id]
+       WHERE p.id = ? AND (p.organization_id = ? OR p.id = ?)`,
+      [id, req.user.organizationId, req.user.id]
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'profile',
+      entityId: id,
+      before: existingProfiles[0],
+      after: updatedProfile[0]
+    });
+
     res.json({
       success: true,
       message: 'Profile updated successfully',
@@ -175,8 +185,8 @@ router.put('/:id', validateUUID('id'), validateUpdateProfile, async (req, res, n
   }
 });
 
-// GET /api/profiles/stats/summary - Get profile statistics (admin/manager only)
-router.get('/stats/summary', requireAdminOrManager, async (req, res, next) => {
+// GET /api/profiles/stats/summary - Get profile statistics (profiles:read)
+router.get('/stats/summary', requirePermission('profiles:read'), async (req, res, next) => {
   try {
     // Get user statistics
     const stats = await executeQuery(`
@@ -188,16 +198,17 @@ router.get('/stats/summary', requireAdminOrManager, async (req, res, next) => {
         SUM(CASE WHEN role = 'gerente' THEN 1 ELSE 0 END) as manager_users,
         SUM(CASE WHEN last_login >= DATE_SUB(NOW(), INTERVAL 30 DAY) THEN 1 ELSE 0 END) as recent_logins
       FROM profiles
-    `);
+      WHERE organization_id = ?
+    `, [req.user.organizationId]);
 
     // Get recent registrations
     const recentRegistrations = await executeQuery(`
       SELECT DATE(created_at) as date, COUNT(*) as count
       FROM profiles 
-      WHERE created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
+      WHERE organization_id = ? AND created_at >= DATE_SUB(NOW(), INTERVAL 30 DAY)
       GROUP BY DATE(created_at)
       ORDER BY date DESC
-    `);
+    `, [req.user.organizationId]);
 
     res.json({
       success: true,
@@ -0,0 +1,505 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateReceivable,
+  validateSettlementPayment,
+  validateCancellation,
+  validateAgingReport,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const {
+  generateNextTransactionId,
+  RECEIVABLE_STATUS_SQL,
+  RECEIVABLE_WITH_RELATIONS_QUERY,
+  TRANSACTION_WITH_RELATIONS_QUERY
+} = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { reportableTransactionCondition, assertValidCategorization } = require('../utils/transactionUtils');
+const { getCategoryScope, buildCategoryScopeCondition, assertCategoryInScope } = require('../utils/categoryScopeUtils');
+const { convertToBaseCurrency, getBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, resolveAccountCurrency } = require('../utils/accountUtils');
+const { resolveCounterparty } = require('../utils/counterpartyUtils');
+const { assertTripExists } = require('../utils/tripUtils');
+const { getReceivablesAging } = require('../utils/receivableUtils');
+const { assertUploadedFileInOrganization } = require('../utils/fileUtils');
+const { today } = require('../utils/dateUtils');
+
+const router = express.Router();
+
+// All receivable routes require authentication
+router.use(verifyToken);
+
+// Find a receivable of the organization with its paid and outstanding amounts or fail with 404
+const findReceivable = async (id, organizationId) => {
+  const receivables = await executeQuery(
+    `${RECEIVABLE_WITH_RELATIONS_QUERY} WHERE rc.id = ? AND rc.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (receivables.length === 0) {
+    throw new AppError('Receivable not found', 404, 'RECEIVABLE_NOT_FOUND');
+  }
+
+  return receivables[0];
+};
+
+// Payments recorded against a receivable (trashed ones are left out), within the user's categories
+const getReceivablePayments = (receivable, categoryScope = null) => {
+  const scope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+
+  return executeQuery(
+    `${TRANSACTION_WITH_RELATIONS_QUERY}
+     WHERE t.receivable_id = ? AND t.organization_id = ? AND t.deleted_at IS NULL
+       ${scope.condition ? `AND ${scope.condition}` : ''}
+     ORDER BY t.date ASC, t.created_at ASC`,
+    [receivable.id, receivable.organization_id, ...scope.params]
+  );
+};
+
+// Ensure no other receivable of the organization uses the reference
+const assertReferenceAvailable = async (reference, organizationId, excludeId = null) => {
+  if (!reference) {
+    return;
+  }
+
+  const receivables = await executeQuery(
+    'SELECT id FROM receivables WHERE reference = ? AND organization_id = ? AND id != ?',
+    [reference, organizationId, excludeId || '']
+  );
+
+  if (receivables.length > 0) {
+    throw new AppError('Receivable reference already exists', 409, 'RECEIVABLE_REFERENCE_EXISTS');
+  }
+};
+
+// GET /api/receivables - List receivables with their outstanding balance
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+    const status = req.query.status || '';
+    const counterpartyId = req.query.counterparty_id || '';
+    const tripId = req.query.trip_id || '';
+    const dueFrom = req.query.due_from || '';
+    const dueTo = req.query.due_to || '';
+
+    let whereClause = 'WHERE rc.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND (rc.reference LIKE ? OR rc.description LIKE ? OR cp.name LIKE ?)';
+      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (status) {
+      whereClause += ` AND ${RECEIVABLE_STATUS_SQL} = ?`;
+      queryParams.push(status);
+    }
+
+    if (counterpartyId) {
+      whereClause += ' AND rc.counterparty_id = ?';
+      queryParams.push(counterpartyId);
+    }
+
+    if (tripId) {
+      whereClause += ' AND rc.trip_id = ?';
+      queryParams.push(tripId);
+    }
+
+    if (dueFrom) {
+      whereClause += ' AND rc.due_date >= ?';
+      queryParams.push(dueFrom);
+    }
+
+    if (dueTo) {
+      whereClause += ' AND rc.due_date <= ?';
+      queryParams.push(dueTo);
+    }
+
+    // The status depends on the payments, so the count runs over the full query
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM (${RECEIVABLE_WITH_RELATIONS_QUERY} ${whereClause}) receivables_list`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const receivables = await executeQuery(
+      `${RECEIVABLE_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY rc.due_date ASC, rc.created_at ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: receivables,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/receivables/overdue - Overdue receivables, oldest due date first (dashboard)
+router.get('/overdue', async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 100);
+    const overdueCondition = `WHERE rc.organization_id = ? AND ${RECEIVABLE_STATUS_SQL} = 'overdue'`;
+
+    const totals = await executeQuery(
+      `SELECT currency, COUNT(*) as count, SUM(outstanding_amount) as outstanding_amount
+       FROM (${RECEIVABLE_WITH_RELATIONS_QUERY} ${overdueCondition}) overdue
+       GROUP BY currency
+       ORDER BY currency ASC`,
+      [req.user.organizationId]
+    );
+
+    const receivables = await executeQuery(
+      `${RECEIVABLE_WITH_RELATIONS_QUERY}
+       ${overdueCondition}
+       ORDER BY rc.due_date ASC, outstanding_amount DESC
+       LIMIT ?`,
+      [req.user.organizationId, limit]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        totals,
+        receivables
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/receivables/aging - Outstanding amounts by days past due (current, 1-30, 31-60, 61-90, 90+)
+router.get('/aging', validateAgingReport, async (req, res, next) => {
+  try {
+    const asOf = req.query.as_of || today();
+
+    res.json({
+      success: true,
+      data: {
+        as_of: asOf,
+        ...(await getReceivablesAging(asOf, req.user.organizationId))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/receivables/:id - Get receivable with its payments
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const receivable = await findReceivable(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        ...receivable,
+        payments: await getReceivablePayments(receivable, await getCategoryScope(req.user))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/receivables - Create receivable (receivables:create)
+router.post('/', requirePermission('receivables:create'), validateReceivable, async (req, res, next) => {
+  try {
+    const { reference, counterparty_id, trip_id, description, amount, issue_date, due_date, notes } = req.body;
+    const currency = req.body.currency || getBaseCurrency();
+
+    await resolveCounterparty(counterparty_id, 'client', req.user.organizationId);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertReferenceAvailable(reference, req.user.organizationId);
+
+    const receivableId = uuidv4();
+    await executeQuery(
+      `INSERT INTO receivables
+       (id, organization_id, reference, counterparty_id, trip_id, description, amount, currency, issue_date, due_date,
+        notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        receivableId, req.user.organizationId,
+        reference || null, counterparty_id, trip_id || null, description, amount, currency,
+        issue_date, due_date, notes || null, req.user.id
+      ]
+    );
+
+    const newReceivable = await findReceivable(receivableId, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'receivable',
+      entityId: receivableId,
+      after: newReceivable
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Receivable created successfully',
+      data: newReceivable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/receivables/:id - Update receivable (receivables:update)
+router.put('/:id', requirePermission('receivables:update'), validateUUID('id'), validateReceivable, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { reference, counterparty_id, trip_id, description, amount, issue_date, due_date, notes } = req.body;
+
+    const currentReceivable = await findReceivable(id, req.user.organizationId);
+    const currency = req.body.currency || currentReceivable.currency;
+
+    if (currentReceivable.status === 'cancelled') {
+      throw new AppError('Cancelled receivables cannot be changed', 409, 'RECEIVABLE_CANCELLED');
+    }
+
+    await resolveCounterparty(counterparty_id, 'client', req.user.organizationId);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertReferenceAvailable(reference, req.user.organizationId, id);
+
+    // Once paid in part, the client, currency and a lower amount would contradict the payments
+    const paidAmount = Number(currentReceivable.paid_amount);
+    if (paidAmount > 0) {
+      if (counterparty_id !== currentReceivable.counterparty_id || currency !== currentReceivable.currency) {
+        throw new AppError('The client and currency of a receivable with payments cannot be changed', 409, 'RECEIVABLE_HAS_PAYMENTS');
+      }
+
+      if (Number(amount) < paidAmount) {
+        throw new AppError(
+          `Amount cannot be lower than the ${paidAmount} already paid`,
+          409,
+          'RECEIVABLE_HAS_PAYMENTS'
+        );
+      }
+    }
+
+    await executeQuery(
+      `UPDATE receivables
+       SET reference = ?, counterparty_id = ?, trip_id = ?, description = ?, amount = ?, currency = ?,
+           issue_date = ?, due_date = ?, notes = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [
+        reference || null, counterparty_id, trip_id || null, description, amount, currency,
+        issue_date, due_date, notes || null, id, req.user.organizationId
+      ]
+    );
+
+    const updatedReceivable = await findReceivable(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'receivable',
+      entityId: id,
+      before: currentReceivable,
+      after: updatedReceivable
+    });
+
+    res.json({
+      success: true,
+      message: 'Receivable updated successfully',
+      data: updatedReceivable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/receivables/:id/payments - Record a payment as an entrada transaction (receivables:pay)
+router.post('/:id/payments', requirePermission('receivables:pay'), validateUUID('id'), validateSettlementPayment, async (req, res, next) => {
+  try {
+    const { date, account_id, category_id, subcategory_id, comprovativo_url } = req.body;
+
+    const receivable = await findReceivable(req.params.id, req.user.organizationId);
+
+    if (receivable.status === 'cancelled') {
+      throw new AppError('Cancelled receivables cannot receive payments', 409, 'RECEIVABLE_CANCELLED');
+    }
+
+    // Without an amount the whole outstanding balance is settled
+    const outstanding = Number(receivable.outstanding_amount);
+    const amount = req.body.amount || outstanding;
+    if (outstanding <= 0) {
+      throw new AppError('Receivable is already paid', 409, 'RECEIVABLE_PAID');
+    }
+
+    if (Math.round(Number(amount) * 100) > Math.round(outstanding * 100)) {
+      throw new AppError(
+        `Payment exceeds the outstanding amount of ${outstanding}`,
+        409,
+        'PAYMENT_EXCEEDS_OUTSTANDING',
+        { outstanding_amount: outstanding }
+      );
+    }
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertCategoryInScope(req.user, category_id);
+    await assertUploadedFileInOrganization(comprovativo_url, req.user.organizationId);
+
+    // The payment lands in an account holding the receivable currency
+    const account = await resolveAccount(account_id, req.user.organizationId);
+    const conversion = await convertToBaseCurrency(amount, resolveAccountCurrency(account, receivable.currency), date);
+    const description = req.body.description || `Payment of ${receivable.reference || receivable.description}`;
+
+    // The receivable row is locked while the payment is recorded, so concurrent payments are checked
+    // one after the other against the outstanding balance and cannot settle it twice
+    const transactionId = await generateNextTransactionId();
+    await executeTransaction([
+      {
+        query: 'SELECT id FROM receivables WHERE id = ? AND organization_id = ? FOR UPDATE',
+        params: [receivable.id, receivable.organization_id]
+      },
+      {
+        query: `INSERT INTO transactions
+                (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+                 category_id, subcategory_id, trip_id, counterparty_id, receivable_id, receipt_url, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, 'entrada', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          transactionId, receivable.organization_id,
+          account.id, amount, conversion.currency, conversion.exchange_rate, conversion.base_amount,
+          description.substring(0, 500), date, category_id || null, subcategory_id || null, receivable.trip_id,
+          receivable.counterparty_id, receivable.id, comprovativo_url || null, req.user.id
+        ]
+      },
+      {
+        query: `UPDATE receivables rc SET rc.updated_at = NOW()
+                WHERE rc.id = ? AND rc.cancelled_at IS NULL AND rc.amount >= (
+                  SELECT COALESCE(SUM(t.amount), 0) FROM transactions t
+                  WHERE t.receivable_id = rc.id AND t.type = 'entrada' AND ${reportableTransactionCondition()}
+                )`,
+        params: [receivable.id],
+        failIfUnchanged: new AppError(
+          'Payment exceeds the outstanding amount: another payment was recorded meanwhile',
+          409,
+          'PAYMENT_EXCEEDS_OUTSTANDING'
+        )
+      }
+    ]);
+
+    await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: req.user.id });
+
+    const transaction = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [transactionId, req.user.organizationId]
+    );
+    const updatedReceivable = await findReceivable(receivable.id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'payment',
+      entity: 'receivable',
+      entityId: receivable.id,
+      before: receivable,
+      after: { ...updatedReceivable, transaction_id: transactionId }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: {
+        receivable: updatedReceivable,
+        transaction: transaction[0]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/receivables/:id/cancel - Cancel the outstanding balance of a receivable (receivables:cancel)
+router.post('/:id/cancel', requirePermission('receivables:cancel'), validateUUID('id'), validateCancellation, async (req, res, next) => {
+  try {
+    const receivable = await findReceivable(req.params.id, req.user.organizationId);
+
+    if (receivable.status === 'cancelled') {
+      throw new AppError('Receivable is already cancelled', 409, 'RECEIVABLE_CANCELLED');
+    }
+
+    if (receivable.status === 'paid') {
+      throw new AppError('Paid receivables cannot be cancelled', 409, 'RECEIVABLE_PAID');
+    }
+
+    await executeQuery(
+      `UPDATE receivables SET cancelled_at = NOW(), cancelled_by = ?, cancel_reason = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [req.user.id, req.body.reason, receivable.id, receivable.organization_id]
+    );
+
+    const cancelledReceivable = await findReceivable(receivable.id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'cancel',
+      entity: 'receivable',
+      entityId: receivable.id,
+      before: receivable,
+      after: cancelledReceivable
+    });
+
+    res.json({
+      success: true,
+      message: 'Receivable cancelled successfully',
+      data: cancelledReceivable
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/receivables/:id - Delete a receivable without payments (receivables:delete)
+router.delete('/:id', requirePermission('receivables:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const receivable = await findReceivable(req.params.id, req.user.organizationId);
+
+    // Trashed and reversed payments still reference the receivable
+    const payments = await executeQuery(
+      'SELECT id FROM transactions WHERE receivable_id = ? AND organization_id = ? LIMIT 1',
+      [receivable.id, receivable.organization_id]
+    );
+
+    if (payments.length > 0) {
+      throw new AppError('Receivable has payments. Cancel it instead', 409, 'RECEIVABLE_HAS_PAYMENTS');
+    }
+
+    await executeQuery(
+      'DELETE FROM receivables WHERE id = ? AND organization_id = ?',
+      [receivable.id, receivable.organization_id]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'receivable',
+      entityId: receivable.id,
+      before: receivable
+    });
+
+    res.json({
+      success: true,
+      message: 'Receivable deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
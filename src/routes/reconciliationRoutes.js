@@ -0,0 +1,663 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateReconciliation,
+  validateReconciliationMatch,
+  validateReconciliationEntry,
+  validateReconciliationClose,
+  validateUUID,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const { statementUpload } = require('../middleware/uploadMiddleware');
+const {
+  generateNextTransactionId,
+  RECONCILIATION_WITH_RELATIONS_QUERY,
+  RECONCILIATION_LINE_WITH_RELATIONS_QUERY,
+  TRANSACTION_WITH_RELATIONS_QUERY
+} = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { recordTransactionRevision } = require('../utils/revisionUtils');
+const { assertValidCategorization, balanceTransactionCondition } = require('../utils/transactionUtils');
+const { normalizeCsvStatement } = require('../utils/importUtils');
+const { convertToBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, getAccountBalance } = require('../utils/accountUtils');
+const { autoMatchReconciliation } = require('../utils/reconciliationUtils');
+const { getCategoryScope, buildCategoryScopeCondition, assertCategoryInScope } = require('../utils/categoryScopeUtils');
+const { getRequiredApproval, requestApproval } = require('../utils/approvalUtils');
+
+const router = express.Router();
+
+// All reconciliation routes require authentication and the reconciliations:read permission;
+// changes also require reconciliations:manage
+router.use(verifyToken);
+router.use(requirePermission('reconciliations:read'));
+
+// Load a reconciliation session of the organization, optionally requiring it to still be open
+const findReconciliation = async (id, organizationId, { requireOpen = false } = {}) => {
+  const reconciliations = await executeQuery(
+    `${RECONCILIATION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (reconciliations.length === 0) {
+    throw new AppError('Reconciliation not found', 404, 'RECONCILIATION_NOT_FOUND');
+  }
+
+  if (requireOpen && reconciliations[0].status !== 'open') {
+    throw new AppError('Reconciliation is already closed', 409, 'RECONCILIATION_CLOSED');
+  }
+
+  return reconciliations[0];
+};
+
+// Load a statement line of a reconciliation session
+const findLine = async (reconciliationId, lineId) => {
+  const lines = await executeQuery(
+    `${RECONCILIATION_LINE_WITH_RELATIONS_QUERY} WHERE l.id = ? AND l.reconciliation_id = ?`,
+    [lineId, reconciliationId]
+  );
+
+  if (lines.length === 0) {
+    throw new AppError('Statement line not found', 404, 'RECONCILIATION_LINE_NOT_FOUND');
+  }
+
+  return lines[0];
+};
+
+// Session with its statement lines, the book entries no line matches (within the user's categories) and the match counts
+const getReconciliationDetails = async (reconciliation, categoryScope = null) => {
+  const scope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+
+  const lines = await executeQuery(
+    `${RECONCILIATION_LINE_WITH_RELATIONS_QUERY} WHERE l.reconciliation_id = ? ORDER BY l.line_number ASC`,
+    [reconciliation.id]
+  );
+
+  const unmatchedTransactions = reconciliation.status === 'open'
+    ? await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY}
+       WHERE t.account_id = ? AND t.date BETWEEN ? AND ? AND ${balanceTransactionCondition()} AND t.reconciliation_id IS NULL
+         AND NOT EXISTS (SELECT 1 FROM reconciliation_lines rl WHERE rl.transaction_id = t.id)
+         ${scope.condition ? `AND ${scope.condition}` : ''}
+       ORDER BY t.date ASC, t.id ASC`,
+      [reconciliation.account_id, reconciliation.period_start, reconciliation.period_end, ...scope.params]
+    )
+    : [];
+
+  const countStatus = status => lines.filter(line => line.status === status).length;
+
+  return {
+    ...reconciliation,
+    summary: {
+      line_count: lines.length,
+      unmatched_count: countStatus('unmatched'),
+      suggested_count: countStatus('suggested'),
+      confirmed_count: countStatus('confirmed'),
+      unmatched_transaction_count: unmatchedTransactions.length
+    },
+    lines,
+    unmatched_transactions: unmatchedTransactions
+  };
+};
+
+// GET /api/reconciliations - List reconciliation sessions
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const accountId = req.query.account_id || '';
+    const status = req.query.status || '';
+
+    let whereClause = 'WHERE r.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (accountId) {
+      whereClause += ' AND r.account_id = ?';
+      queryParams.push(accountId);
+    }
+
+    if (status) {
+      whereClause += ' AND r.status = ?';
+      queryParams.push(status);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM reconciliations r ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const reconciliations = await executeQuery(
+      `${RECONCILIATION_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY r.period_start DESC, a.name ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: reconciliations,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations - Open a reconciliation session for an account and period (reconciliations:manage)
+router.post('/', requirePermission('reconciliations:manage'), validateReconciliation, async (req, res, next) => {
+  try {
+    const { account_id, period_start, period_end, statement_balance, notes } = req.body;
+
+    const account = await resolveAccount(account_id, req.user.organizationId);
+
+    // Each statement period of an account is reconciled once
+    const overlapping = await executeQuery(
+      `SELECT id FROM reconciliations
+       WHERE account_id = ? AND period_start <= ? AND period_end >= ?
+       LIMIT 1`,
+      [account.id, period_end, period_start]
+    );
+
+    if (overlapping.length > 0) {
+      throw new AppError(
+        'The period overlaps another reconciliation of this account',
+        409,
+        'RECONCILIATION_PERIOD_OVERLAP',
+        { reconciliation_id: overlapping[0].id }
+      );
+    }
+
+    const reconciliationId = uuidv4();
+    await executeQuery(
+      `INSERT INTO reconciliations
+       (id, organization_id, account_id, period_start, period_end, statement_balance, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        reconciliationId, req.user.organizationId, account.id, period_start, period_end,
+        statement_balance === undefined || statement_balance === null ? null : statement_balance,
+        notes || null, req.user.id
+      ]
+    );
+
+    const newReconciliation = await findReconciliation(reconciliationId, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'reconciliation',
+      entityId: reconciliationId,
+      after: newReconciliation
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Reconciliation opened successfully',
+      data: newReconciliation
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/reconciliations/:id - Get reconciliation with its statement lines and unmatched book entries
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: await getReconciliationDetails(reconciliation, await getCategoryScope(req.user))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/statement - Add the lines of a CSV bank statement and auto-match them (reconciliations:manage)
+router.post('/:id/statement', requirePermission('reconciliations:manage'), validateUUID('id'), statementUpload.single('file'), async (req, res, next) => {
+  try {
+    if (!req.file) {
+      throw new AppError('No file uploaded', 400, 'NO_FILE_UPLOADED');
+    }
+
+    const profileId = req.body.profile_id;
+    if (!profileId) {
+      throw new AppError('profile_id is required', 400, 'IMPORT_PROFILE_REQUIRED');
+    }
+
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+
+    const profiles = await executeQuery(
+      'SELECT * FROM import_profiles WHERE id = ? AND organization_id = ?',
+      [profileId, req.user.organizationId]
+    );
+
+    if (profiles.length === 0) {
+      throw new AppError('Import profile not found', 404, 'IMPORT_PROFILE_NOT_FOUND');
+    }
+
+    const rows = normalizeCsvStatement(req.file.buffer.toString('utf8'), profiles[0]);
+
+    if (rows.length === 0) {
+      throw new AppError('The statement has no lines', 400, 'EMPTY_STATEMENT');
+    }
+
+    for (const row of rows) {
+      if (row.date && (row.date < reconciliation.period_start || row.date > reconciliation.period_end)) {
+        row.errors.push('Date is outside the reconciliation period');
+      }
+    }
+
+    // Every line must be usable: a skipped line would leave the statement incomplete
+    const invalidRows = rows.filter(row => row.errors.length > 0);
+    if (invalidRows.length > 0) {
+      throw new AppError(
+        'Statement has invalid lines',
+        400,
+        'STATEMENT_HAS_ERRORS',
+        invalidRows.map(row => ({ row: row.row, errors: row.errors }))
+      );
+    }
+
+    const lastLine = await executeQuery(
+      'SELECT COALESCE(MAX(line_number), 0) as line_number FROM reconciliation_lines WHERE reconciliation_id = ?',
+      [reconciliation.id]
+    );
+    const firstLineNumber = lastLine[0].line_number + 1;
+
+    await executeTransaction(rows.map((row, index) => ({
+      query: `INSERT INTO reconciliation_lines (id, reconciliation_id, line_number, date, description, amount, type)
+              VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      params: [uuidv4(), reconciliation.id, firstLineNumber + index, row.date, row.description, row.amount, row.type]
+    })));
+
+    const matchedCount = await autoMatchReconciliation(reconciliation);
+
+    await recordAudit(req, {
+      action: 'import',
+      entity: 'reconciliation',
+      entityId: reconciliation.id,
+      after: { filename: req.file.originalname, line_count: rows.length, suggested_count: matchedCount }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: `${rows.length} statement line(s) added, ${matchedCount} match(es) suggested`,
+      data: await getReconciliationDetails(reconciliation, await getCategoryScope(req.user))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/auto-match - Suggest matches for the lines still unmatched (reconciliations:manage)
+router.post('/:id/auto-match', requirePermission('reconciliations:manage'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+
+    const matchedCount = await autoMatchReconciliation(reconciliation);
+
+    res.json({
+      success: true,
+      message: `${matchedCount} match(es) suggested`,
+      data: await getReconciliationDetails(reconciliation, await getCategoryScope(req.user))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/lines/:lineId/confirm - Confirm the suggested match or match a given transaction (reconciliations:manage)
+router.post('/:id/lines/:lineId/confirm', requirePermission('reconciliations:manage'), validateUUID('id'), validateUUID('lineId'), validateReconciliationMatch, async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+    const line = await findLine(reconciliation.id, req.params.lineId);
+    const transactionId = req.body.transaction_id || line.transaction_id;
+
+    if (line.status === 'confirmed') {
+      throw new AppError('Statement line is already matched', 409, 'RECONCILIATION_LINE_MATCHED');
+    }
+
+    if (!transactionId) {
+      throw new AppError('The line has no suggested match; provide a transaction_id', 400, 'TRANSACTION_ID_REQUIRED');
+    }
+
+    const transactions = await executeQuery(
+      `SELECT t.id, t.account_id, t.amount, t.type, t.reconciliation_id FROM transactions t
+       WHERE t.id = ? AND t.organization_id = ? AND ${balanceTransactionCondition()}`,
+      [transactionId, req.user.organizationId]
+    );
+
+    if (transactions.length === 0) {
+      throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    const transaction = transactions[0];
+
+    if (transaction.account_id !== reconciliation.account_id) {
+      throw new AppError('Transaction belongs to another account', 400, 'ACCOUNT_MISMATCH');
+    }
+
+    if (transaction.reconciliation_id) {
+      throw new AppError('Transaction has already been reconciled', 409, 'TRANSACTION_RECONCILED');
+    }
+
+    if (transaction.type !== line.type || Number(transaction.amount) !== Number(line.amount)) {
+      throw new AppError(
+        'Transaction amount and type must match the statement line',
+        400,
+        'RECONCILIATION_AMOUNT_MISMATCH',
+        { line: { amount: line.amount, type: line.type }, transaction: { amount: transaction.amount, type: transaction.type } }
+      );
+    }
+
+    const isSuggested = line.status === 'suggested' && line.transaction_id === transactionId;
+
+    try {
+      await executeQuery(
+        `UPDATE reconciliation_lines
+         SET status = 'confirmed', transaction_id = ?, match_method = ?, match_score = ?, matched_by = ?, matched_at = NOW()
+         WHERE id = ?`,
+        [transactionId, isSuggested ? 'auto' : 'manual', isSuggested ? line.match_score : null, req.user.id, line.id]
+      );
+    } catch (error) {
+      if (error.code === 'ER_DUP_ENTRY') {
+        throw new AppError('Transaction is already matched to another statement line', 409, 'TRANSACTION_ALREADY_MATCHED');
+      }
+      throw error;
+    }
+
+    const updatedLine = await findLine(reconciliation.id, line.id);
+
+    await recordAudit(req, {
+      action: 'match',
+      entity: 'reconciliation_line',
+      entityId: line.id,
+      before: line,
+      after: updatedLine
+    });
+
+    res.json({
+      success: true,
+      message: 'Match confirmed successfully',
+      data: updatedLine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/lines/:lineId/unmatch - Clear the suggested or confirmed match of a line (reconciliations:manage)
+router.post('/:id/lines/:lineId/unmatch', requirePermission('reconciliations:manage'), validateUUID('id'), validateUUID('lineId'), async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+    const line = await findLine(reconciliation.id, req.params.lineId);
+
+    if (line.status === 'unmatched') {
+      throw new AppError('Statement line has no match', 409, 'RECONCILIATION_LINE_UNMATCHED');
+    }
+
+    await executeQuery(
+      `UPDATE reconciliation_lines
+       SET status = 'unmatched', transaction_id = NULL, match_method = NULL, match_score = NULL,
+           matched_by = NULL, matched_at = NULL
+       WHERE id = ?`,
+      [line.id]
+    );
+
+    const updatedLine = await findLine(reconciliation.id, line.id);
+
+    await recordAudit(req, {
+      action: 'unmatch',
+      entity: 'reconciliation_line',
+      entityId: line.id,
+      before: line,
+      after: updatedLine
+    });
+
+    res.json({
+      success: true,
+      message: 'Match removed successfully',
+      data: updatedLine
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/lines/:lineId/transaction - Create the missing book entry for a statement line (reconciliations:manage)
+router.post('/:id/lines/:lineId/transaction', requirePermission('reconciliations:manage'), validateUUID('id'), validateUUID('lineId'), validateReconciliationEntry, async (req, res, next) => {
+  try {
+    const { category_id, subcategory_id } = req.body;
+
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+    const line = await findLine(reconciliation.id, req.params.lineId);
+
+    if (line.status !== 'unmatched') {
+      throw new AppError('Unmatch the statement line before creating an entry for it', 409, 'RECONCILIATION_LINE_MATCHED');
+    }
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertCategoryInScope(req.user, category_id);
+
+    const account = await resolveAccount(reconciliation.account_id, reconciliation.organization_id, {
+      requireActive: false
+    });
+    const conversion = await convertToBaseCurrency(line.amount, account.currency, line.date);
+
+    // An expense above the approval threshold waits for an administrator even though the bank already paid it
+    const approvalThreshold = await getRequiredApproval(req.user, {
+      type: line.type,
+      base_amount: conversion.base_amount,
+      category_id
+    });
+    const status = approvalThreshold === null ? 'posted' : 'pending_approval';
+
+    const transactionId = await generateNextTransactionId();
+
+    await executeTransaction([
+      {
+        query: `INSERT INTO transactions
+                (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+                 category_id, subcategory_id, status, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        params: [
+          transactionId, reconciliation.organization_id,
+          account.id, line.amount, conversion.currency, conversion.exchange_rate, conversion.base_amount,
+          line.type, req.body.description || line.description, line.date, category_id || null,
+          subcategory_id || null, status, req.user.id
+        ]
+      },
+      {
+        query: `UPDATE reconciliation_lines
+                SET status = 'confirmed', transaction_id = ?, match_method = 'created', match_score = NULL,
+                    matched_by = ?, matched_at = NOW()
+                WHERE id = ?`,
+        params: [transactionId, req.user.id, line.id]
+      }
+    ]);
+
+    await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: req.user.id });
+
+    if (approvalThreshold !== null) {
+      await requestApproval(transactionId, {
+        threshold: approvalThreshold,
+        baseAmount: conversion.base_amount,
+        requestedBy: req.user.id
+      });
+    }
+
+    const newTransaction = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [transactionId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'transaction',
+      entityId: transactionId,
+      after: newTransaction[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: approvalThreshold === null
+        ? 'Transaction created and matched successfully'
+        : 'Transaction created, matched and submitted for approval',
+      data: {
+        line: await findLine(reconciliation.id, line.id),
+        transaction: newTransaction[0]
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reconciliations/:id/close - Close the session, record the reconciled balance and lock the matched entries (reconciliations:manage)
+router.post('/:id/close', requirePermission('reconciliations:manage'), validateUUID('id'), validateReconciliationClose, async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+
+    const pendingLines = await executeQuery(
+      `SELECT line_number FROM reconciliation_lines
+       WHERE reconciliation_id = ? AND status != 'confirmed'
+       ORDER BY line_number ASC`,
+      [reconciliation.id]
+    );
+
+    if (pendingLines.length > 0) {
+      throw new AppError(
+        'Every statement line must be confirmed before closing',
+        409,
+        'RECONCILIATION_HAS_UNMATCHED_LINES',
+        { line_numbers: pendingLines.map(line => line.line_number) }
+      );
+    }
+
+    // Matched entries may have been edited, trashed or purged since they were confirmed
+    const changedLines = await executeQuery(
+      `SELECT l.line_number FROM reconciliation_lines l
+       LEFT JOIN transactions t ON l.transaction_id = t.id
+       WHERE l.reconciliation_id = ?
+         AND (t.id IS NULL OR t.deleted_at IS NOT NULL OR t.account_id != ? OR t.amount != l.amount OR t.type != l.type)
+       ORDER BY l.line_number ASC`,
+      [reconciliation.id, reconciliation.account_id]
+    );
+
+    if (changedLines.length > 0) {
+      throw new AppError(
+        'Some matched transactions changed since they were confirmed. Match the lines again',
+        409,
+        'RECONCILIATION_MATCH_CHANGED',
+        { line_numbers: changedLines.map(line => line.line_number) }
+      );
+    }
+
+    // Reconciled balance: opening balance plus every entry cleared by the bank, this session included
+    const cleared = await executeQuery(
+      `SELECT COALESCE(SUM(CASE WHEN t.type = 'entrada' THEN t.amount ELSE -t.amount END), 0) as total
+       FROM transactions t
+       WHERE t.account_id = ? AND ${balanceTransactionCondition()}
+         AND (t.reconciliation_id IS NOT NULL
+              OR t.id IN (SELECT transaction_id FROM reconciliation_lines WHERE reconciliation_id = ?))`,
+      [reconciliation.account_id, reconciliation.id]
+    );
+
+    const account = await resolveAccount(reconciliation.account_id, reconciliation.organization_id, {
+      requireActive: false
+    });
+    const reconciledBalance = Math.round((Number(account.opening_balance) + Number(cleared[0].total)) * 100) / 100;
+
+    const statementBalance = req.body.statement_balance !== undefined && req.body.statement_balance !== null
+      ? Number(req.body.statement_balance)
+      : reconciliation.statement_balance;
+
+    if (statementBalance !== null && Math.round(Number(statementBalance) * 100) !== Math.round(reconciledBalance * 100)) {
+      throw new AppError(
+        'The reconciled balance does not match the statement balance',
+        409,
+        'RECONCILIATION_BALANCE_MISMATCH',
+        {
+          statement_balance: Number(statementBalance),
+          reconciled_balance: reconciledBalance,
+          difference: Math.round((Number(statementBalance) - reconciledBalance) * 100) / 100
+        }
+      );
+    }
+
+    await executeTransaction([
+      {
+        query: `UPDATE transactions SET reconciliation_id = ?, reconciled_at = NOW()
+                WHERE id IN (SELECT transaction_id FROM reconciliation_lines WHERE reconciliation_id = ?)`,
+        params: [reconciliation.id, reconciliation.id]
+      },
+      {
+        query: `UPDATE reconciliations
+                SET status = 'closed', statement_balance = ?, reconciled_balance = ?, closed_by = ?, closed_at = NOW()
+                WHERE id = ? AND status = 'open'`,
+        params: [statementBalance, reconciledBalance, req.user.id, reconciliation.id]
+      }
+    ]);
+
+    const closedReconciliation = await findReconciliation(reconciliation.id, req.user.organizationId);
+    const bookBalance = await getAccountBalance(account, reconciliation.period_end);
+
+    await recordAudit(req, {
+      action: 'close',
+      entity: 'reconciliation',
+      entityId: reconciliation.id,
+      before: reconciliation,
+      after: closedReconciliation
+    });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation closed successfully',
+      data: {
+        ...closedReconciliation,
+        book_balance: bookBalance.balance
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/reconciliations/:id - Discard an open reconciliation session and its statement lines (reconciliations:manage)
+router.delete('/:id', requirePermission('reconciliations:manage'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const reconciliation = await findReconciliation(req.params.id, req.user.organizationId, { requireOpen: true });
+
+    await executeQuery(
+      'DELETE FROM reconciliations WHERE id = ? AND organization_id = ?',
+      [reconciliation.id, reconciliation.organization_id]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'reconciliation',
+      entityId: reconciliation.id,
+      before: reconciliation
+    });
+
+    res.json({
+      success: true,
+      message: 'Reconciliation discarded successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,288 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validateRecurringTransaction, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { RECURRING_TRANSACTION_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { assertValidCategorization } = require('../utils/transactionUtils');
+const { resolveAccount } = require('../utils/accountUtils');
+const { getNextOccurrence, listOccurrences } = require('../utils/recurrenceUtils');
+const { processTemplate } = require('../jobs/recurringTransactionsJob');
+
+const router = express.Router();
+
+// All recurring transaction routes require authentication
+router.use(verifyToken);
+
+// GET /api/recurring-transactions - List recurring transaction templates
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+    const active = req.query.active || '';
+
+    let whereClause = 'WHERE r.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND r.description LIKE ?';
+      queryParams.push(`%${search}%`);
+    }
+
+    if (active !== '') {
+      whereClause += ' AND r.active = ?';
+      queryParams.push(active === 'true' ? 1 : 0);
+    }
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM recurring_transactions r
+      ${whereClause}
+    `;
+    const countResult = await executeQuery(countQuery, queryParams);
+    const total = countResult[0].total;
+
+    const templates = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY r.description ASC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: templates.map(template => ({
+        ...template,
+        next_occurrence: template.active ? getNextOccurrence(template) : null
+      })),
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/recurring-transactions/:id - Get template with upcoming occurrences
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const templates = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (templates.length === 0) {
+      throw new AppError('Recurring transaction not found', 404, 'RECURRING_TRANSACTION_NOT_FOUND');
+    }
+
+    const template = templates[0];
+
+    // Get transactions already generated from this template
+    const generated = await executeQuery(
+      `SELECT id, amount, type, date, recurring_date, deleted_at
+       FROM transactions
+       WHERE recurring_id = ? AND organization_id = ?
+       ORDER BY recurring_date DESC`,
+      [id, req.user.organizationId]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        ...template,
+        next_occurrence: template.active ? getNextOccurrence(template) : null,
+        upcoming_occurrences: template.active
+          ? listOccurrences(template, { after: template.last_generated_date, limit: 5 })
+          : [],
+        generated_transactions: generated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/recurring-transactions - Create recurring transaction template (recurring:create)
+router.post('/', requirePermission('recurring:create'), validateRecurringTransaction, async (req, res, next) => {
+  try {
+    const {
+      account_id, amount, type, description, category_id, subcategory_id,
+      frequency, interval_count, day_of_month, start_date, end_date, max_occurrences, active
+    } = req.body;
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+
+    if (account_id) {
+      await resolveAccount(account_id, req.user.organizationId);
+    }
+
+    const templateId = uuidv4();
+    await executeQuery(
+      `INSERT INTO recurring_transactions
+       (id, organization_id, account_id, amount, type, description, category_id, subcategory_id, frequency,
+        interval_count, day_of_month, start_date, end_date, max_occurrences, active, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        templateId, req.user.organizationId,
+        account_id || null, amount, type, description, category_id || null, subcategory_id || null,
+        frequency, interval_count || 1, day_of_month || null, start_date, end_date || null,
+        max_occurrences || null, active === undefined || active ? 1 : 0, req.user.id
+      ]
+    );
+
+    const newTemplate = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [templateId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'recurring_transaction',
+      entityId: templateId,
+      after: newTemplate[0]
+    });
+
+    // Generate occurrences already due (start date in the past or today) right away
+    let generated = [];
+    if (newTemplate[0].active) {
+      try {
+        generated = await processTemplate(newTemplate[0]);
+      } catch (error) {
+        console.error(`Recurring transaction ${templateId} failed:`, error.message);
+      }
+    }
+
+    const createdTemplate = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [templateId, req.user.organizationId]
+    );
+
+    res.status(201).json({
+      success: true,
+      message: 'Recurring transaction created successfully',
+      data: {
+        ...createdTemplate[0],
+        next_occurrence: createdTemplate[0].active ? getNextOccurrence(createdTemplate[0]) : null,
+        generated_transaction_ids: generated
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/recurring-transactions/:id - Update recurring transaction template (recurring:update)
+router.put('/:id', requirePermission('recurring:update'), validateUUID('id'), validateRecurringTransaction, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      account_id, amount, type, description, category_id, subcategory_id,
+      frequency, interval_count, day_of_month, start_date, end_date, max_occurrences, active
+    } = req.body;
+
+    const existingTemplates = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingTemplates.length === 0) {
+      throw new AppError('Recurring transaction not found', 404, 'RECURRING_TRANSACTION_NOT_FOUND');
+    }
+
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+
+    if (account_id) {
+      await resolveAccount(account_id, req.user.organizationId);
+    }
+
+    // Already generated dates are kept: the new rule applies from the last generated date onwards
+    await executeQuery(
+      `UPDATE recurring_transactions
+       SET account_id = ?, amount = ?, type = ?, description = ?, category_id = ?, subcategory_id = ?,
+           frequency = ?, interval_count = ?, day_of_month = ?, start_date = ?, end_date = ?,
+           max_occurrences = ?, active = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [
+        account_id || null, amount, type, description, category_id || null, subcategory_id || null,
+        frequency, interval_count || 1, day_of_month || null, start_date, end_date || null,
+        max_occurrences || null, active === undefined || active ? 1 : 0, id, req.user.organizationId
+      ]
+    );
+
+    const updatedTemplate = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'recurring_transaction',
+      entityId: id,
+      before: existingTemplates[0],
+      after: updatedTemplate[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction updated successfully',
+      data: {
+        ...updatedTemplate[0],
+        next_occurrence: updatedTemplate[0].active ? getNextOccurrence(updatedTemplate[0]) : null
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/recurring-transactions/:id - Delete recurring transaction template (recurring:delete)
+router.delete('/:id', requirePermission('recurring:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingTemplates = await executeQuery(
+      `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingTemplates.length === 0) {
+      throw new AppError('Recurring transaction not found', 404, 'RECURRING_TRANSACTION_NOT_FOUND');
+    }
+
+    // Generated transactions are kept; they only lose the link to the template
+    await executeQuery(
+      'DELETE FROM recurring_transactions WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'recurring_transaction',
+      entityId: id,
+      before: existingTemplates[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Recurring transaction deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,272 @@
+const express = require('express');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validateCashFlowReport, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { REPORT_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { getPeriodRange } = require('../utils/periodUtils');
+const { getDefaultLocale } = require('../utils/exportUtils');
+const { renderCashFlowReport } = require('../utils/pdfReportUtils');
+const { getCategoryScope } = require('../utils/categoryScopeUtils');
+const {
+  getTransactionSummary,
+  getLargestExpenses,
+  resolveReportPath,
+  saveReportFile,
+  deleteReportFile
+} = require('../utils/reportUtils');
+
+const router = express.Router();
+
+// All report routes require authentication and the reports:read permission
+router.use(verifyToken);
+router.use(requirePermission('reports:read'));
+
+// Months of history shown in the monthly breakdown of a cash-flow report
+const MONTHLY_BREAKDOWN_MONTHS = 12;
+
+// Number of expenses listed in the largest expenses section
+const LARGEST_EXPENSES_LIMIT = 10;
+
+// Reports keep the category scope they were generated with: a user only sees the reports of their own scope,
+// so a report limited to some categories is neither shown to others nor mistaken for a complete one
+const reportScopeFilter = async (user) => {
+  const categoryScope = await getCategoryScope(user);
+  return {
+    condition: 'r.category_scope <=> CAST(? AS JSON)',
+    params: [categoryScope ? JSON.stringify(categoryScope) : null]
+  };
+};
+
+// GET /api/reports - List generated reports
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const type = req.query.type || '';
+    const period = req.query.period || '';
+
+    const scope = await reportScopeFilter(req.user);
+    let whereClause = `WHERE r.organization_id = ? AND ${scope.condition}`;
+    let queryParams = [req.user.organizationId, ...scope.params];
+
+    if (type) {
+      whereClause += ' AND r.type = ?';
+      queryParams.push(type);
+    }
+
+    if (period) {
+      whereClause += ' AND r.period = ?';
+      queryParams.push(period);
+    }
+
+    // Get total count
+    const countQuery = `
+      SELECT COUNT(*) as total
+      FROM reports r
+      ${whereClause}
+    `;
+    const countResult = await executeQuery(countQuery, queryParams);
+    const total = countResult[0].total;
+
+    const reports = await executeQuery(
+      `${REPORT_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY r.created_at DESC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: reports,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/reports/cash-flow - Generate and store the monthly cash-flow PDF report (reports:generate)
+router.post('/cash-flow', requirePermission('reports:generate'), validateCashFlowReport, async (req, res, next) => {
+  try {
+    const { period } = req.body;
+    const locale = req.body.locale || getDefaultLocale();
+    const { start, end } = getPeriodRange('month', period);
+
+    // The monthly breakdown shows the trailing months up to the report period for context
+    const [year, month] = period.split('-').map(value => parseInt(value));
+    const breakdownStart = new Date(Date.UTC(year, month - MONTHLY_BREAKDOWN_MONTHS, 1)).toISOString().split('T')[0];
+
+    // Users restricted to some categories only get the figures of those categories
+    const { organizationId } = req.user;
+    const categoryScope = await getCategoryScope(req.user);
+    const { base_currency, summary, category_breakdown } = await getTransactionSummary({
+      organizationId,
+      startDate: start,
+      endDate: end,
+      categoryScope
+    });
+    const { monthly_breakdown } = await getTransactionSummary({
+      organizationId,
+      startDate: breakdownStart,
+      endDate: end,
+      categoryScope
+    });
+    const largestExpenses = await getLargestExpenses(
+      { organizationId, startDate: start, endDate: end, categoryScope },
+      LARGEST_EXPENSES_LIMIT
+    );
+    const categoryNames = categoryScope
+      ? (await executeQuery(
+        `SELECT name FROM categories WHERE id IN (${categoryScope.map(() => '?').join(', ')}) ORDER BY name ASC`,
+        categoryScope
+      )).map(category => category.name)
+      : null;
+
+    const pdf = await renderCashFlowReport({
+      period,
+      start,
+      end,
+      base_currency,
+      summary,
+      monthly_breakdown,
+      category_breakdown,
+      largest_expenses: largestExpenses,
+      generated_by_name: req.user.name,
+      category_names: categoryNames
+    }, { locale });
+
+    const reportId = uuidv4();
+    const filename = `cash-flow-${period}-${reportId}.pdf`;
+    await saveReportFile(filename, pdf);
+
+    await executeQuery(
+      `INSERT INTO reports
+       (id, organization_id, type, period, period_start, period_end, locale, filename, file_size, summary_data,
+        category_scope, generated_by)
+       VALUES (?, ?, 'cash_flow', ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        reportId, organizationId, period, start, end, locale, filename, pdf.length, JSON.stringify(summary),
+        categoryScope ? JSON.stringify(categoryScope) : null, req.user.id
+      ]
+    );
+
+    const newReport = await executeQuery(
+      `${REPORT_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ?`,
+      [reportId, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'generate',
+      entity: 'report',
+      entityId: reportId,
+      after: newReport[0]
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Report generated successfully',
+      data: newReport[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/reports/:id - Get report details
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const scope = await reportScopeFilter(req.user);
+    const reports = await executeQuery(
+      `${REPORT_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ? AND ${scope.condition}`,
+      [req.params.id, req.user.organizationId, ...scope.params]
+    );
+
+    if (reports.length === 0) {
+      throw new AppError('Report not found', 404, 'REPORT_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: reports[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/reports/:id/download - Download the stored report file
+router.get('/:id/download', validateUUID('id'), async (req, res, next) => {
+  try {
+    const scope = await reportScopeFilter(req.user);
+    const reports = await executeQuery(
+      `SELECT r.id, r.filename FROM reports r WHERE r.id = ? AND r.organization_id = ? AND ${scope.condition}`,
+      [req.params.id, req.user.organizationId, ...scope.params]
+    );
+
+    if (reports.length === 0) {
+      throw new AppError('Report not found', 404, 'REPORT_NOT_FOUND');
+    }
+
+    const filePath = resolveReportPath(reports[0].filename);
+    if (!fs.existsSync(filePath)) {
+      throw new AppError('Report file not found', 404, 'REPORT_FILE_NOT_FOUND');
+    }
+
+    res.download(filePath, reports[0].filename, (error) => {
+      if (error && !res.headersSent) {
+        next(error);
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/reports/:id - Delete a generated report (reports:delete)
+router.delete('/:id', requirePermission('reports:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const scope = await reportScopeFilter(req.user);
+    const existingReports = await executeQuery(
+      `${REPORT_WITH_RELATIONS_QUERY} WHERE r.id = ? AND r.organization_id = ? AND ${scope.condition}`,
+      [id, req.user.organizationId, ...scope.params]
+    );
+
+    if (existingReports.length === 0) {
+      throw new AppError('Report not found', 404, 'REPORT_NOT_FOUND');
+    }
+
+    await executeQuery('DELETE FROM reports WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+    deleteReportFile(existingReports[0].filename);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'report',
+      entityId: id,
+      before: existingReports[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Report deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission, requireSuperAdmin } = require('../middleware/authMiddleware');
+const { validateRole } = require('../middleware/validationMiddleware');
+const { recordAudit } = require('../utils/auditUtils');
+const { ADMIN_ROLE, PERMISSIONS, getRolePermissions } = require('../utils/permissionUtils');
+
+const router = express.Router();
+
+// All role routes require authentication and the roles:manage permission; roles are shared
+// by every organization, so only super admins may create, change or delete them
+router.use(verifyToken);
+router.use(requirePermission('roles:manage'));
+
+// user_count only counts the users of the organization the token works in
+const ROLE_QUERY = `
+  SELECT r.id, r.name, r.description, r.is_system, r.created_at, r.updated_at,
+         (SELECT COUNT(*) FROM profiles p WHERE p.role = r.id AND p.organization_id = ?) as user_count
+  FROM roles r
+`;
+
+// Find a role with its permissions or fail with 404
+const findRole = async (id, organizationId) => {
+  const roles = await executeQuery(`${ROLE_QUERY} WHERE r.id = ?`, [organizationId, id]);
+
+  if (roles.length === 0) {
+    throw new AppError('Role not found', 404, 'ROLE_NOT_FOUND');
+  }
+
+  return { ...roles[0], permissions: await getRolePermissions(id) };
+};
+
+// Queries that replace the permissions of a role
+const replacePermissionsQueries = (roleId, permissions) => [
+  {
+    query: 'DELETE FROM role_permissions WHERE role_id = ?',
+    params: [roleId]
+  },
+  ...[...new Set(permissions)].map(permission => ({
+    query: 'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+    params: [roleId, permission]
+  }))
+];
+
+// GET /api/roles - List roles with their permissions (roles:manage)
+router.get('/', async (req, res, next) => {
+  try {
+    const roles = await executeQuery(
+      `${ROLE_QUERY} ORDER BY r.is_system DESC, r.name ASC`,
+      [req.user.organizationId]
+    );
+
+    for (const role of roles) {
+      role.permissions = await getRolePermissions(role.id);
+    }
+
+    res.json({
+      success: true,
+      data: roles
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/roles/permissions - Permission catalogue (roles:manage)
+router.get('/permissions', (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(PERMISSIONS).map(([permission, description]) => ({ permission, description }))
+  });
+});
+
+// GET /api/roles/:id - Get role (roles:manage)
+router.get('/:id', async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/roles - Create role (roles:manage, super admin)
+router.post('/', requireSuperAdmin, validateRole, async (req, res, next) => {
+  try {
+    const { id, name, description, permissions } = req.body;
+
+    const existingRoles = await executeQuery('SELECT id FROM roles WHERE id = ? OR name = ?', [id, name]);
+    if (existingRoles.length > 0) {
+      throw new AppError('A role with this ID or name already exists', 409, 'ROLE_EXISTS');
+    }
+
+    await executeTransaction([
+      {
+        query: 'INSERT INTO roles (id, name, description) VALUES (?, ?, ?)',
+        params: [id, name, description || null]
+      },
+      ...replacePermissionsQueries(id, permissions)
+    ]);
+
+    const role = await findRole(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'role',
+      entityId: id,
+      after: role
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Role created successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/roles/:id - Update role and replace its permissions (roles:manage, super admin)
+router.put('/:id', requireSuperAdmin, validateRole, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { name, description, permissions } = req.body;
+
+    const existingRole = await findRole(id, req.user.organizationId);
+
+    // The administrator role always has every permission
+    if (id === ADMIN_ROLE) {
+      throw new AppError('The administrator role cannot be changed', 409, 'ROLE_LOCKED');
+    }
+
+    const sameName = await executeQuery('SELECT id FROM roles WHERE name = ? AND id != ?', [name, id]);
+    if (sameName.length > 0) {
+      throw new AppError('A role with this name already exists', 409, 'ROLE_EXISTS');
+    }
+
+    await executeTransaction([
+      {
+        query: 'UPDATE roles SET name = ?, description = ?, updated_at = NOW() WHERE id = ?',
+        params: [name, description || null, id]
+      },
+      ...replacePermissionsQueries(id, permissions)
+    ]);
+
+    const role = await findRole(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'role',
+      entityId: id,
+      before: existingRole,
+      after: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: role
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/roles/:id - Delete a custom role nobody is assigned to (roles:manage, super admin)
+router.delete('/:id', requireSuperAdmin, async (req, res, next) => {
+  try {
+    const role = await findRole(req.params.id, req.user.organizationId);
+
+    if (role.is_system) {
+      throw new AppError('System roles cannot be deleted', 409, 'ROLE_LOCKED');
+    }
+
+    // Users of every organization reference the role, not only those counted in user_count
+    const assignedUsers = await executeQuery('SELECT COUNT(*) as total FROM profiles WHERE role = ?', [role.id]);
+    if (assignedUsers[0].total > 0) {
+      throw new AppError('Role is assigned to users; reassign them first', 409, 'ROLE_IN_USE');
+    }
+
+    await executeQuery('DELETE FROM roles WHERE id = ?', [role.id]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'role',
+      entityId: role.id,
+      before: role
+    });
+
+    res.json({
+      success: true,
+      message: 'Role deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
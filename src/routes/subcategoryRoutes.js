@@ -2,8 +2,14 @@ const express = require('express');
 const { v4: uuidv4 } = require('uuid');
 const { executeQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdminOrManager } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 const { validateSubcategory, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { recordAudit } = require('../utils/auditUtils');
+const {
+  getCategoryScope,
+  buildCategoryScopeCondition,
+  assertCategoryInScope
+} = require('../utils/categoryScopeUtils');
 
 const router = express.Router();
 
@@ -19,18 +25,24 @@ router.get('/', validatePagination, async (req, res, next) => {
     const search = req.query.search || '';
     const categoryId = req.query.category_id || '';
 
-    let whereClause = '';
-    let queryParams = [];
-
-    if (search && categoryId) {
-      whereClause = 'WHERE s.name LIKE ? AND s.category_id = ?';
-      queryParams = [`%${search}%`, categoryId];
-    } else if (search) {
-      whereClause = 'WHERE s.name LIKE ?';
-      queryParams = [`%${search}%`];
-    } else if (categoryId) {
-      whereClause = 'WHERE s.category_id = ?';
-      queryParams = [categoryId];
+    let whereClause = 'WHERE s.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND s.name LIKE ?';
+      queryParams.push(`%${search}%`);
+    }
+
+    if (categoryId) {
+      whereClause += ' AND s.category_id = ?';
+      queryParams.push(categoryId);
+    }
+
+    // Users with assigned categories only see their subcategories
+    const categoryScope = buildCategoryScopeCondition(await getCategoryScope(req.user), 's.category_id');
+    if (categoryScope.condition) {
+      whereClause += ` AND ${categoryScope.condition}`;
+      queryParams = [...queryParams, ...categoryScope.params];
     }
 
     // Get total count
@@ -87,14 +99,16 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
        FROM subcategories s 
        LEFT JOIN categories c ON s.category_id = c.id
        LEFT JOIN profiles p ON s.created_by = p.id
-       WHERE s.id = ?`,
-      [id]
+       WHERE s.id = ? AND s.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
     if (subcategories.length === 0) {
       throw new AppError('Subcategory not found', 404, 'SUBCATEGORY_NOT_FOUND');
     }
 
+    await assertCategoryInScope(req.user, subcategories[0].category_id);
+
     res.json({
       success: true,
       data: subcategories[0]
@@ -104,15 +118,15 @@ router.get('/:id', validateUUID('id'), async (req, res, next) => {
   }
 });
 
-// POST /api/subcategories - Create new subcategory (admin/manager only)
-router.post('/', requireAdminOrManager, validateSubcategory, async (req, res, next) => {
+// POST /api/subcategories - Create new subcategory (categories:create)
+router.post('/', requirePermission('categories:create'), validateSubcategory, async (req, res, next) => {
   try {
     const { name, category_id } = req.body;
 
     // Check if category exists
     const categories = await executeQuery(
-      'SELECT id FROM categories WHERE id = ?',
-      [category_id]
+      'SELECT id FROM categories WHERE id = ? AND organization_id = ?',
+      [category_id, req.user.organizationId]
     );
 
     if (categories.length === 0) {
@@ -132,8 +146,8 @@ router.post('/', requireAdminOrManager, validateSubcategory, async (req, res, ne
     // Create subcategory
     const subcategoryId = uuidv4();
     await executeQuery(
-      'INSERT INTO subcategories (id, name, category_id, created_by) VALUES (?, ?, ?, ?)',
-      [subcategoryId, name, category_id, req.user.id]
+      'INSERT INTO subcategories (id, organization_id, name, category_id, created_by) VALUES (?, ?, ?, ?, ?)',
+      [subcategoryId, req.user.organizationId, name, category_id, req.user.id]
     );
 
     // Get created subcategory
@@ -145,10 +159,17 @@ router.post('/', requireAdminOrManager, validateSubcategory, async (req, res, ne
        FROM subcategories s 
        LEFT JOIN categories c ON s.category_id = c.id
        LEFT JOIN profiles p ON s.created_by = p.id
-       WHERE s.id = ?`,
-      [subcategoryId]
+       WHERE s.id = ? AND s.organization_id = ?`,
+      [subcategoryId, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'subcategory',
+      entityId: subcategoryId,
+      after: newSubcategory[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'Subcategory created successfully',
@@ -159,16 +180,16 @@ router.post('/', requireAdminOrManager, validateSubcategory, async (req, res, ne
   }
 });
 
-// PUT /api/subcategories/:id - Update subcategory (admin/manager only)
-router.put('/:id', requireAdminOrManager, validateUUID('id'), validateSubcategory, async (req, res, next) => {
+// PUT /api/subcategories/:id - Update subcategory (categories:update)
+router.put('/:id', requirePermission('categories:update'), validateUUID('id'), validateSubcategory, async (req, res, next) => {
   try {
     const { id } = req.params;
     const { name, category_id } = req.body;
 
     // Check if subcategory exists
     const existingSubcategories = await executeQuery(
-      'SELECT id FROM subcategories WHERE id = ?',
-      [id]
+      'SELECT id, name, category_id FROM subcategories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingSubcategories.length === 0) {
@@ -177,8 +198,8 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateSubcategor
 
     // Check if category exists
     const categories = await executeQuery(
-      'SELECT id FROM categories WHERE id = ?',
-      [category_id]
+      'SELECT id FROM categories WHERE id = ? AND organization_id = ?',
+      [category_id, req.user.organizationId]
     );
 
     if (categories.length === 0) {
@@ -197,8 +218,8 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateSubcategor
 
     // Update subcategory
     await executeQuery(
-      'UPDATE subcategories SET name = ?, category_id = ?, updated_at = NOW() WHERE id = ?',
-      [name, category_id, id]
+      'UPDATE subcategories SET name = ?, category_id = ?, updated_at = NOW() WHERE id = ? AND organization_id = ?',
+      [name, category_id, id, req.user.organizationId]
     );
 
     // Get updated subcategory
@@ -210,10 +231,18 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateSubcategor
        FROM subcategories s 
        LEFT JOIN categories c ON s.category_id = c.id
        LEFT JOIN profiles p ON s.created_by = p.id
-       WHERE s.id = ?`,
-      [id]
+       WHERE s.id = ? AND s.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'subcategory',
+      entityId: id,
+      before: existingSubcategories[0],
+      after: updatedSubcategory[0]
+    });
+
     res.json({
       success: true,
       message: 'Subcategory updated successfully',
@@ -224,15 +253,15 @@ router.put('/:id', requireAdminOrManager, validateUUID('id'), validateSubcategor
   }
 });
 
-// DELETE /api/subcategories/:id - Delete subcategory (admin/manager only)
-router.delete('/:id', requireAdminOrManager, validateUUID('id'), async (req, res, next) => {
+// DELETE /api/subcategories/:id - Delete subcategory (categories:delete)
+router.delete('/:id', requirePermission('categories:delete'), validateUUID('id'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if subcategory exists
     const existingSubcategories = await executeQuery(
-      'SELECT id FROM subcategories WHERE id = ?',
-      [id]
+      'SELECT * FROM subcategories WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingSubcategories.length === 0) {
@@ -250,7 +279,14 @@ router.delete('/:id', requireAdminOrManager, validateUUID('id'), async (req, res
     }
 
     // Delete subcategory
-    await executeQuery('DELETE FROM subcategories WHERE id = ?', [id]);
+    await executeQuery('DELETE FROM subcategories WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'subcategory',
+      entityId: id,
+      before: existingSubcategories[0]
+    });
 
     res.json({
       success: true,
@@ -1,74 +1,182 @@
 const express = require('express');
-const { executeQuery } = require('../config/database');
+const { executeQuery, executeTransaction, streamQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdminOrManager } = require('../middleware/authMiddleware');
-const { validateTransaction, validateUUID, validateTransactionId, validatePagination } = require('../middleware/validationMiddleware');
-const { generateNextTransactionId } = require('../utils/queryUtils');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const {
+  validateTransaction,
+  validateUUID,
+  validateTransactionId,
+  validateRevisionNumber,
+  validateReversal,
+  validateTransactionExport,
+  validateForecast,
+  validatePagination
+} = require('../middleware/validationMiddleware');
+const { generateNextTransactionId, TRANSACTION_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { uploadedFileExists, assertUploadedFileInOrganization, deleteUploadedFile } = require('../utils/fileUtils');
+const {
+  effectiveTransactionCondition,
+  assertTransactionEditable,
+  assertTransactionNotPosted,
+  assertValidCategorization
+} = require('../utils/transactionUtils');
+const { getRetentionDays } = require('../jobs/trashPurgeJob');
+const { getTransactionSummary } = require('../utils/reportUtils');
+const { parseHorizon, buildCashFlowForecast } = require('../utils/forecastUtils');
+const { convertToBaseCurrency, getBaseCurrency } = require('../utils/currencyUtils');
+const { resolveAccount, resolveAccountCurrency } = require('../utils/accountUtils');
+const { assertTripExists } = require('../utils/tripUtils');
+const { assertCounterpartyExists } = require('../utils/counterpartyUtils');
+const { isPayableAttachment } = require('../utils/payableUtils');
+const { today } = require('../utils/dateUtils');
+const { getRequiredApproval, requestApproval } = require('../utils/approvalUtils');
+const {
+  getCategoryScope,
+  buildCategoryScopeCondition,
+  assertCategoryInScope
+} = require('../utils/categoryScopeUtils');
+const {
+  TRANSACTION_EXPORT_COLUMNS,
+  getDefaultLocale,
+  writeCsvExport,
+  writeXlsxExport
+} = require('../utils/exportUtils');
+const {
+  recordTransactionRevision,
+  getTransactionRevisions,
+  buildRevisionDiffs
+} = require('../utils/revisionUtils');
 
 const router = express.Router();
 
 // All transaction routes require authentication
 router.use(verifyToken);
 
-// GET /api/transactions - List all transactions with filters
-router.get('/', validatePagination, async (req, res, next) => {
-  try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = parseInt(req.query.limit) || 20;
-    const offset = (page - 1) * limit;
-    
-    // Filters
-    const search = req.query.search || '';
-    const type = req.query.type || '';
-    const categoryId = req.query.category_id || '';
-    const subcategoryId = req.query.subcategory_id || '';
-    const startDate = req.query.start_date || '';
-    const endDate = req.query.end_date || '';
-    const minAmount = req.query.min_amount || '';
-    const maxAmount = req.query.max_amount || '';
-
-    let whereClause = 'WHERE 1=1';
-    let queryParams = [];
-
-    if (search) {
-      whereClause += ' AND t.description LIKE ?';
-      queryParams.push(`%${search}%`);
-    }
+// Link kept when restoring a revision: revisions recorded before the link existed keep
+// the current value, and a trip or counterparty deleted since is dropped
+const resolveRestoredLink = async (snapshot, current, field, table) => {
+  const value = field in snapshot ? snapshot[field] : current[field];
+  if (!value) {
+    return null;
+  }
 
-    if (type) {
-      whereClause += ' AND t.type = ?';
-      queryParams.push(type);
-    }
+  const rows = await executeQuery(
+    `SELECT id FROM ${table} WHERE id = ? AND organization_id = ?`,
+    [value, current.organization_id]
+  );
+  return rows.length > 0 ? value : null;
+};
+
+// Build the WHERE clause shared by the list and the export from the query string filters,
+// limited to the organization and to the categories assigned to the user (scope is null when unrestricted)
+const buildTransactionFilters = (query, organizationId, scope = null) => {
+  const search = query.search || '';
+  const type = query.type || '';
+  const categoryId = query.category_id || '';
+  const subcategoryId = query.subcategory_id || '';
+  const startDate = query.start_date || '';
+  const endDate = query.end_date || '';
+  const minAmount = query.min_amount || '';
+  const maxAmount = query.max_amount || '';
+  const status = query.status || '';
+  const currency = query.currency || '';
+  const accountId = query.account_id || '';
+  const tripId = query.trip_id || '';
+  const counterpartyId = query.counterparty_id || '';
+  const includeVoided = query.include_voided !== 'false';
+
+  let whereClause = 'WHERE t.organization_id = ? AND t.deleted_at IS NULL';
+  let queryParams = [organizationId];
+
+  // Voided transactions and their reversal entries offset each other; hide both on request
+  if (!includeVoided) {
+    whereClause += ` AND ${effectiveTransactionCondition()}`;
+  }
 
-    if (categoryId) {
-      whereClause += ' AND t.category_id = ?';
-      queryParams.push(categoryId);
-    }
+  const categoryScope = buildCategoryScopeCondition(scope, 't.category_id');
+  if (categoryScope.condition) {
+    whereClause += ` AND ${categoryScope.condition}`;
+    queryParams.push(...categoryScope.params);
+  }
 
-    if (subcategoryId) {
-      whereClause += ' AND t.subcategory_id = ?';
-      queryParams.push(subcategoryId);
-    }
+  if (status) {
+    whereClause += ' AND t.status = ?';
+    queryParams.push(status);
+  }
 
-    if (startDate) {
-      whereClause += ' AND t.date >= ?';
-      queryParams.push(startDate);
-    }
+  if (currency) {
+    whereClause += ' AND t.currency = ?';
+    queryParams.push(currency.toUpperCase());
+  }
 
-    if (endDate) {
-      whereClause += ' AND t.date <= ?';
-      queryParams.push(endDate);
-    }
+  if (accountId) {
+    whereClause += ' AND t.account_id = ?';
+    queryParams.push(accountId);
+  }
 
-    if (minAmount) {
-      whereClause += ' AND t.amount >= ?';
-      queryParams.push(parseFloat(minAmount));
-    }
+  if (tripId) {
+    whereClause += ' AND t.trip_id = ?';
+    queryParams.push(tripId);
+  }
 
-    if (maxAmount) {
-      whereClause += ' AND t.amount <= ?';
-      queryParams.push(parseFloat(maxAmount));
-    }
+  if (counterpartyId) {
+    whereClause += ' AND t.counterparty_id = ?';
+    queryParams.push(counterpartyId);
+  }
+
+  if (search) {
+    whereClause += ' AND t.description LIKE ?';
+    queryParams.push(`%${search}%`);
+  }
+
+  if (type) {
+    whereClause += ' AND t.type = ?';
+    queryParams.push(type);
+  }
+
+  if (categoryId) {
+    whereClause += ' AND t.category_id = ?';
+    queryParams.push(categoryId);
+  }
+
+  if (subcategoryId) {
+    whereClause += ' AND t.subcategory_id = ?';
+    queryParams.push(subcategoryId);
+  }
+
+  if (startDate) {
+    whereClause += ' AND t.date >= ?';
+    queryParams.push(startDate);
+  }
+
+  if (endDate) {
+    whereClause += ' AND t.date <= ?';
+    queryParams.push(endDate);
+  }
+
+  if (minAmount) {
+    whereClause += ' AND t.amount >= ?';
+    queryParams.push(parseFloat(minAmount));
+  }
+
+  if (maxAmount) {
+    whereClause += ' AND t.amount <= ?';
+    queryParams.push(parseFloat(maxAmount));
+  }
+
+  return { whereClause, queryParams };
+};
+
+// GET /api/transactions - List all transactions with filters
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+
+    const scope = await getCategoryScope(req.user);
+    const { whereClause, queryParams } = buildTransactionFilters(req.query, req.user.organizationId, scope);
 
     // Get total count
     const countQuery = `
@@ -81,16 +189,7 @@ router.get('/', validatePagination, async (req, res, next) => {
 
     // Get transactions with related data
     const transactionsQuery = `
-      SELECT
-        t.id, t.amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
-        t.category_id, t.subcategory_id, t.created_at, t.updated_at,
-        c.name as category_name,
-        s.name as subcategory_name,
-        p.name as created_by_name
-      FROM transactions t
-      LEFT JOIN categories c ON t.category_id = c.id
-      LEFT JOIN subcategories s ON t.subcategory_id = s.id
-      LEFT JOIN profiles p ON t.created_by = p.id
+      ${TRANSACTION_WITH_RELATIONS_QUERY}
       ${whereClause}
       ORDER BY t.date DESC, t.created_at DESC
       LIMIT ? OFFSET ?
@@ -114,109 +213,211 @@ router.get('/', validatePagination, async (req, res, next) => {
   }
 });
 
+// GET /api/transactions/export - Export every transaction matching the list filters as CSV or XLSX
+router.get('/export', validateTransactionExport, async (req, res, next) => {
+  try {
+    const format = req.query.format;
+    const locale = req.query.locale || getDefaultLocale();
+    const scope = await getCategoryScope(req.user);
+    const { whereClause, queryParams } = buildTransactionFilters(req.query, req.user.organizationId, scope);
+
+    const rows = streamQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY t.date DESC, t.created_at DESC`,
+      queryParams
+    );
+
+    const filename = `transactions-${new Date().toISOString().split('T')[0]}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'xlsx') {
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      await writeXlsxExport(rows, res, { columns: TRANSACTION_EXPORT_COLUMNS, sheetName: 'Transactions' });
+    } else {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      await writeCsvExport(rows, res, { columns: TRANSACTION_EXPORT_COLUMNS, locale });
+    }
+  } catch (error) {
+    // Once the file has started streaming the error can only abort the download
+    if (res.headersSent) {
+      console.error('Transaction export failed:', error.message);
+      res.destroy(error);
+      return;
+    }
+    next(error);
+  }
+});
+
 // GET /api/transactions/stats/summary - Get transaction statistics
 router.get('/stats/summary', async (req, res, next) => {
   try {
-    const startDate = req.query.start_date || '';
-    const endDate = req.query.end_date || '';
-
-    let whereClause = '';
-    let queryParams = [];
-
-    if (startDate && endDate) {
-      whereClause = 'WHERE t.date BETWEEN ? AND ?';
-      queryParams = [startDate, endDate];
-    } else if (startDate) {
-      whereClause = 'WHERE t.date >= ?';
-      queryParams = [startDate];
-    } else if (endDate) {
-      whereClause = 'WHERE t.date <= ?';
-      queryParams = [endDate];
-    }
+    const data = await getTransactionSummary({
+      organizationId: req.user.organizationId,
+      startDate: req.query.start_date || '',
+      endDate: req.query.end_date || '',
+      byCurrency: req.query.by_currency === 'true',
+      categoryScope: await getCategoryScope(req.user)
+    });
 
-    // Get summary statistics
-    const summaryQuery = `
-      SELECT 
-        COUNT(*) as total_transactions,
-        SUM(CASE WHEN type = 'entrada' THEN amount ELSE 0 END) as total_income,
-        SUM(CASE WHEN type = 'saida' THEN amount ELSE 0 END) as total_expenses,
-        SUM(CASE WHEN type = 'entrada' THEN amount ELSE -amount END) as net_balance,
-        COUNT(CASE WHEN type = 'entrada' THEN 1 END) as income_count,
-        COUNT(CASE WHEN type = 'saida' THEN 1 END) as expense_count,
-        AVG(CASE WHEN type = 'entrada' THEN amount END) as avg_income,
-        AVG(CASE WHEN type = 'saida' THEN amount END) as avg_expense
-      FROM transactions t 
-      ${whereClause}
-    `;
-    const summary = await executeQuery(summaryQuery, queryParams);
-
-    // Get monthly breakdown
-    const monthlyQuery = `
-      SELECT 
-        DATE_FORMAT(t.date, '%Y-%m') as month,
-        SUM(CASE WHEN type = 'entrada' THEN amount ELSE 0 END) as income,
-        SUM(CASE WHEN type = 'saida' THEN amount ELSE 0 END) as expenses,
-        COUNT(*) as transaction_count
-      FROM transactions t 
-      ${whereClause}
-      GROUP BY DATE_FORMAT(t.date, '%Y-%m')
-      ORDER BY month DESC
-      LIMIT 12
-    `;
-    const monthlyBreakdown = await executeQuery(monthlyQuery, queryParams);
+    res.json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    next(error);
+  }
+});
 
-    // Get category breakdown
-    const categoryQuery = `
-      SELECT 
-        c.name as category_name,
-        t.type,
-        SUM(t.amount) as total_amount,
-        COUNT(*) as transaction_count
-      FROM transactions t 
-      LEFT JOIN categories c ON t.category_id = c.id
-      ${whereClause}
-      GROUP BY c.id, c.name, t.type
-      ORDER BY total_amount DESC
-    `;
-    const categoryBreakdown = await executeQuery(categoryQuery, queryParams);
+// GET /api/transactions/stats/forecast - Project the daily balance forward (default horizon: 90d)
+router.get('/stats/forecast', validateForecast, async (req, res, next) => {
+  try {
+    // Without an account the forecast covers every account in the base currency
+    const account = req.query.account_id
+      ? await resolveAccount(req.query.account_id, req.user.organizationId, { requireActive: false })
+      : null;
+
+    const data = await buildCashFlowForecast({
+      organizationId: req.user.organizationId,
+      account,
+      horizonDays: parseHorizon(req.query.horizon || '90d'),
+      threshold: req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined,
+      categoryScope: await getCategoryScope(req.user)
+    });
 
     res.json({
       success: true,
-      data: {
-        summary: summary[0],
-        monthly_breakdown: monthlyBreakdown,
-        category_breakdown: categoryBreakdown
-      }
+      data
     });
   } catch (error) {
     next(error);
   }
 });
 
-// GET /api/transactions/:id - Get specific transaction
-router.get('/:id', validateTransactionId('id'), async (req, res, next) => {
+// GET /api/transactions/trash - List trashed transactions (transactions:delete)
+router.get('/trash', requirePermission('transactions:delete'), validatePagination, async (req, res, next) => {
   try {
-    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const offset = (page - 1) * limit;
+    const retentionDays = getRetentionDays();
+
+    const categoryScope = buildCategoryScopeCondition(await getCategoryScope(req.user), 't.category_id');
+    const whereClause = categoryScope.condition
+      ? `WHERE t.organization_id = ? AND t.deleted_at IS NOT NULL AND ${categoryScope.condition}`
+      : 'WHERE t.organization_id = ? AND t.deleted_at IS NOT NULL';
+    const queryParams = [req.user.organizationId, ...categoryScope.params];
 
+    // Get total count
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM transactions t ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    // Get trashed transactions with who deleted them and when they will be purged
     const transactions = await executeQuery(
       `SELECT
-        t.id, t.amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
+        t.id, t.account_id, t.amount, t.currency, t.base_amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
         t.category_id, t.subcategory_id, t.created_at, t.updated_at,
+        t.deleted_at, DATE_ADD(t.deleted_at, INTERVAL ? DAY) as purge_at,
         c.name as category_name,
         s.name as subcategory_name,
-        p.name as created_by_name
+        p.name as created_by_name,
+        d.name as deleted_by_name
        FROM transactions t
        LEFT JOIN categories c ON t.category_id = c.id
        LEFT JOIN subcategories s ON t.subcategory_id = s.id
        LEFT JOIN profiles p ON t.created_by = p.id
-       WHERE t.id = ?`,
-      [id]
+       LEFT JOIN profiles d ON t.deleted_by = d.id
+       ${whereClause}
+       ORDER BY t.deleted_at DESC
+       LIMIT ? OFFSET ?`,
+      [retentionDays, ...queryParams, limit, offset]
+    );
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: transactions,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/transactions/:id/restore - Restore transaction from trash (transactions:delete)
+router.post('/:id/restore', requirePermission('transactions:delete'), validateTransactionId('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const trashedTransactions = await executeQuery(
+      `SELECT id, category_id, transfer_id, deleted_at, deleted_by FROM transactions
+       WHERE id = ? AND organization_id = ? AND deleted_at IS NOT NULL`,
+      [id, req.user.organizationId]
+    );
+
+    if (trashedTransactions.length === 0) {
+      throw new AppError('Transaction not found in trash', 404, 'TRANSACTION_NOT_IN_TRASH');
+    }
+
+    await assertCategoryInScope(req.user, trashedTransactions[0].category_id);
+
+    // Both entries of a transfer are restored together
+    const { transfer_id: transferId } = trashedTransactions[0];
+    await executeQuery(
+      transferId
+        ? 'UPDATE transactions SET deleted_at = NULL, deleted_by = NULL WHERE transfer_id = ? AND organization_id = ?'
+        : 'UPDATE transactions SET deleted_at = NULL, deleted_by = NULL WHERE id = ? AND organization_id = ?',
+      [transferId || id, req.user.organizationId]
+    );
+
+    const restoredTransaction = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'restore',
+      entity: 'transaction',
+      entityId: id,
+      before: trashedTransactions[0],
+      after: restoredTransaction[0]
+    });
+
+    res.json({
+      success: true,
+      message: 'Transaction restored from trash',
+      data: restoredTransaction[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/transactions/:id - Get specific transaction
+router.get('/:id', validateTransactionId('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const transactions = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ? AND t.deleted_at IS NULL`,
+      [id, req.user.organizationId]
     );
 
     if (transactions.length === 0) {
       throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
     }
 
+    await assertCategoryInScope(req.user, transactions[0].category_id);
+
     res.json({
       success: true,
       data: transactions[0]
@@ -226,66 +427,200 @@ router.get('/:id', validateTransactionId('id'), async (req, res, next) => {
   }
 });
 
-// POST /api/transactions - Create new transaction (admin/manager only)
-router.post('/', requireAdminOrManager, validateTransaction, async (req, res, next) => {
+// GET /api/transactions/:id/history - Get transaction revisions as field-level diffs
+router.get('/:id/history', validateTransactionId('id'), async (req, res, next) => {
   try {
-    const { amount, type, description, date, category_id, subcategory_id, comprovativo_url } = req.body;
-
-    // Validate category exists if provided
-    if (category_id) {
-      const categories = await executeQuery(
-        'SELECT id FROM categories WHERE id = ?',
-        [category_id]
-      );
-      if (categories.length === 0) {
-        throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
-      }
+    const { id } = req.params;
+
+    const transactions = await executeQuery(
+      'SELECT id, category_id FROM transactions WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+
+    if (transactions.length === 0) {
+      throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
     }
 
-    // Validate subcategory exists and belongs to category if provided
-    if (subcategory_id) {
-      let subcategoryQuery = 'SELECT id, category_id FROM subcategories WHERE id = ?';
-      let subcategoryParams = [subcategory_id];
+    await assertCategoryInScope(req.user, transactions[0].category_id);
 
-      if (category_id) {
-        subcategoryQuery += ' AND category_id = ?';
-        subcategoryParams.push(category_id);
-      }
+    const revisions = await getTransactionRevisions(id);
 
-      const subcategories = await executeQuery(subcategoryQuery, subcategoryParams);
-      if (subcategories.length === 0) {
-        throw new AppError('Subcategory not found or does not belong to the specified category', 404, 'SUBCATEGORY_NOT_FOUND');
-      }
+    res.json({
+      success: true,
+      data: buildRevisionDiffs(revisions)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/transactions/:id/history/:revision/restore - Restore a previous revision (transactions:restore_revision)
+router.post('/:id/history/:revision/restore', requirePermission('transactions:restore_revision'), validateTransactionId('id'), validateRevisionNumber('revision'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const revisionNumber = parseInt(req.params.revision);
+
+    const existingTransactions = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ? AND t.deleted_at IS NULL`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingTransactions.length === 0) {
+      throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
+    }
+
+    assertTransactionEditable(existingTransactions[0]);
+    assertTransactionNotPosted(existingTransactions[0]);
+
+    const revisions = await executeQuery(
+      'SELECT revision, snapshot FROM transaction_revisions WHERE transaction_id = ? AND revision = ?',
+      [id, revisionNumber]
+    );
+
+    if (revisions.length === 0) {
+      throw new AppError('Revision not found', 404, 'REVISION_NOT_FOUND');
     }
 
+    const snapshot = revisions[0].snapshot;
+
+    // Both the current and the restored category must be within the user's categories
+    await assertCategoryInScope(req.user, existingTransactions[0].category_id);
+    await assertCategoryInScope(req.user, snapshot.category_id || null);
+
+    // A receipt explicitly removed since that revision can no longer be restored
+    const receiptUrl = uploadedFileExists(snapshot.receipt_url) ? snapshot.receipt_url : null;
+
+    // Revisions recorded before multi-currency support were in the base currency
+    const conversion = snapshot.currency
+      ? { currency: snapshot.currency, exchange_rate: snapshot.exchange_rate, base_amount: snapshot.base_amount }
+      : { currency: getBaseCurrency(), exchange_rate: 1, base_amount: snapshot.amount };
+
+    const tripId = await resolveRestoredLink(snapshot, existingTransactions[0], 'trip_id', 'trips');
+    const counterpartyId = await resolveRestoredLink(snapshot, existingTransactions[0], 'counterparty_id', 'counterparties');
+
+    // Revisions recorded before accounts existed keep the current account
+    await executeQuery(
+      `UPDATE transactions
+       SET account_id = ?, amount = ?, currency = ?, exchange_rate = ?, base_amount = ?, type = ?, description = ?, date = ?,
+           category_id = ?, subcategory_id = ?, trip_id = ?, counterparty_id = ?, receipt_url = ?, updated_at = NOW()
+       WHERE id = ? AND organization_id = ?`,
+      [
+        snapshot.account_id || existingTransactions[0].account_id,
+        snapshot.amount,
+        conversion.currency,
+        conversion.exchange_rate,
+        conversion.base_amount,
+        snapshot.type,
+        snapshot.description,
+        snapshot.date,
+        snapshot.category_id || null,
+        snapshot.subcategory_id || null,
+        tripId,
+        counterpartyId,
+        receiptUrl,
+        id,
+        req.user.organizationId
+      ]
+    );
+
+    // Restoring never rewrites history: it is recorded as a new revision
+    const newRevision = await recordTransactionRevision(id, {
+      changeType: 'restore',
+      changedBy: req.user.id,
+      restoredFrom: revisionNumber
+    });
+
+    const restoredTransaction = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'restore_revision',
+      entity: 'transaction',
+      entityId: id,
+      before: existingTransactions[0],
+      after: { ...restoredTransaction[0], restored_from: revisionNumber, revision: newRevision }
+    });
+
+    res.json({
+      success: true,
+      message: `Transaction restored to revision ${revisionNumber}`,
+      data: restoredTransaction[0]
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/transactions - Create new transaction (transactions:create)
+router.post('/', requirePermission('transactions:create'), validateTransaction, async (req, res, next) => {
+  try {
+    const {
+      account_id, amount, currency, type, description, date, category_id, subcategory_id, trip_id, counterparty_id,
+      comprovativo_url
+    } = req.body;
+
+    // Validate category and subcategory if provided
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertCategoryInScope(req.user, category_id || null);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertCounterpartyExists(counterparty_id, req.user.organizationId);
+    await assertUploadedFileInOrganization(comprovativo_url, req.user.organizationId);
+
+    // Without an account the transaction goes to the default one, in the account currency
+    const account = await resolveAccount(account_id, req.user.organizationId);
+
+    // Keep the amount converted to the base currency at the rate for the transaction date
+    const conversion = await convertToBaseCurrency(amount, resolveAccountCurrency(account, currency), date);
+
+    // Expenses above the approval threshold wait for an administrator before they count
+    const approvalThreshold = await getRequiredApproval(req.user, { type, base_amount: conversion.base_amount, category_id });
+    const status = approvalThreshold === null ? 'posted' : 'pending_approval';
+
     // Create transaction with sequential ID
     const transactionId = await generateNextTransactionId();
     await executeQuery(
       `INSERT INTO transactions
-       (id, amount, type, description, date, category_id, subcategory_id, receipt_url, created_by)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-      [transactionId, amount, type, description, date, category_id || null, subcategory_id || null, comprovativo_url || null, req.user.id]
+       (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+        category_id, subcategory_id, trip_id, counterparty_id, receipt_url, status, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        transactionId, req.user.organizationId,
+        account.id, amount, conversion.currency, conversion.exchange_rate, conversion.base_amount,
+        type, description, date, category_id || null, subcategory_id || null, trip_id || null,
+        counterparty_id || null, comprovativo_url || null, status, req.user.id
+      ]
     );
 
+    await recordTransactionRevision(transactionId, { changeType: 'create', changedBy: req.user.id });
+
+    if (approvalThreshold !== null) {
+      await requestApproval(transactionId, {
+        threshold: approvalThreshold,
+        baseAmount: conversion.base_amount,
+        requestedBy: req.user.id
+      });
+    }
+
     // Get created transaction
     const newTransaction = await executeQuery(
-      `SELECT
-        t.id, t.amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
-        t.category_id, t.subcategory_id, t.created_at, t.updated_at,
-        c.name as category_name,
-        s.name as subcategory_name,
-        p.name as created_by_name
-       FROM transactions t
-       LEFT JOIN categories c ON t.category_id = c.id
-       LEFT JOIN subcategories s ON t.subcategory_id = s.id
-       LEFT JOIN profiles p ON t.created_by = p.id
-       WHERE t.id = ?`,
-      [transactionId]
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [transactionId, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'transaction',
+      entityId: transactionId,
+      after: newTransaction[0]
+    });
+
     res.status(201).json({
       success: true,
-      message: 'Transaction created successfully',
+      message: approvalThreshold === null
+        ? 'Transaction created successfully'
+        : 'Transaction submitted for approval',
       data: newTransaction[0]
     });
   } catch (error) {
@@ -293,121 +628,198 @@ router.post('/', requireAdminOrManager, validateTransaction, async (req, res, ne
   }
 });
 
-// PUT /api/transactions/:id - Update transaction (admin/manager only)
-router.put('/:id', requireAdminOrManager, validateTransactionId('id'), validateTransaction, async (req, res, next) => {
+// POST /api/transactions/:id/reverse - Void a transaction with an offsetting reversal entry (transactions:reverse)
+router.post('/:id/reverse', requirePermission('transactions:reverse'), validateTransactionId('id'), validateReversal, async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { amount, type, description, date, category_id, subcategory_id, comprovativo_url } = req.body;
+    const { reason } = req.body;
+    const date = req.body.date || today();
 
-    // Check if transaction exists and get current receipt URL
     const existingTransactions = await executeQuery(
-      'SELECT id, receipt_url FROM transactions WHERE id = ?',
-      [id]
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ? AND t.deleted_at IS NULL`,
+      [id, req.user.organizationId]
     );
 
     if (existingTransactions.length === 0) {
       throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
     }
 
-    const currentTransaction = existingTransactions[0];
+    const original = existingTransactions[0];
+    assertTransactionEditable(original);
+    await assertCategoryInScope(req.user, original.category_id);
 
-    // Validate category exists if provided
-    if (category_id) {
-      const categories = await executeQuery(
-        'SELECT id FROM categories WHERE id = ?',
-        [category_id]
-      );
-      if (categories.length === 0) {
-        throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
-      }
+    // Pending expenses never counted: there is nothing to offset
+    if (original.status === 'pending_approval') {
+      throw new AppError('Pending transactions cannot be reversed; delete them instead', 409, 'TRANSACTION_PENDING_APPROVAL');
     }
 
-    // Validate subcategory exists and belongs to category if provided
-    if (subcategory_id) {
-      let subcategoryQuery = 'SELECT id, category_id FROM subcategories WHERE id = ?';
-      let subcategoryParams = [subcategory_id];
-
-      if (category_id) {
-        subcategoryQuery += ' AND category_id = ?';
-        subcategoryParams.push(category_id);
+    // The reversal mirrors the original with the opposite type
+    const reversalId = await generateNextTransactionId();
+    const reversalType = original.type === 'entrada' ? 'saida' : 'entrada';
+    const reversalDescription = `Reversal of ${original.id}: ${original.description}`.substring(0, 500);
+
+    await executeTransaction([
+      {
+        query: `INSERT INTO transactions
+                (id, organization_id, account_id, amount, currency, exchange_rate, base_amount, type, description, date,
+                 category_id, subcategory_id, trip_id, counterparty_id, reverses_id, created_by)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        // Same account and rate as the original so both entries cancel out exactly
+        params: [
+          reversalId, original.organization_id,
+          original.account_id, original.amount, original.currency, original.exchange_rate, original.base_amount,
+          reversalType, reversalDescription, date, original.category_id, original.subcategory_id, original.trip_id,
+          original.counterparty_id, original.id, req.user.id
+        ]
+      },
+      {
+        query: `UPDATE transactions
+                SET status = 'voided', voided_at = NOW(), voided_by = ?, void_reason = ?, updated_at = NOW()
+                WHERE id = ? AND organization_id = ? AND status = 'posted'`,
+        params: [req.user.id, reason, original.id, original.organization_id],
+        // A concurrent reversal already voided it: drop this reversal entry
+        failIfUnchanged: new AppError('Transaction has already been reversed', 409, 'TRANSACTION_VOIDED')
       }
+    ]);
 
-      const subcategories = await executeQuery(subcategoryQuery, subcategoryParams);
-      if (subcategories.length === 0) {
-        throw new AppError('Subcategory not found or does not belong to the specified category', 404, 'SUBCATEGORY_NOT_FOUND');
-      }
-    }
+    await recordTransactionRevision(reversalId, { changeType: 'create', changedBy: req.user.id });
 
-    // Handle file replacement - delete old file if new one is provided
-    if (comprovativo_url && currentTransaction.receipt_url && comprovativo_url !== currentTransaction.receipt_url) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-
-        // Extract filename from old URL
-        const oldFilename = currentTransaction.receipt_url.split('/').pop();
-        const oldFilePath = path.join(__dirname, '../../uploads', oldFilename);
-
-        // Delete old file if it exists
-        if (fs.existsSync(oldFilePath)) {
-          fs.unlinkSync(oldFilePath);
-          console.log(`Deleted old receipt file: ${oldFilename}`);
-        }
-      } catch (fileError) {
-        console.error('Error deleting old receipt file:', fileError);
-        // Continue with update even if file deletion fails
-      }
-    }
+    const reversal = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [reversalId, req.user.organizationId]
+    );
+    const voided = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [original.id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'reverse',
+      entity: 'transaction',
+      entityId: original.id,
+      before: original,
+      after: { ...voided[0], reversal: reversal[0] }
+    });
 
-    // Handle file removal - delete file if comprovativo_url is explicitly set to null or empty
-    if ((comprovativo_url === null || comprovativo_url === '') && currentTransaction.receipt_url) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-
-        // Extract filename from current URL
-        const filename = currentTransaction.receipt_url.split('/').pop();
-        const filePath = path.join(__dirname, '../../uploads', filename);
-
-        // Delete file if it exists
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted receipt file: ${filename}`);
-        }
-      } catch (fileError) {
-        console.error('Error deleting receipt file:', fileError);
-        // Continue with update even if file deletion fails
+    res.status(201).json({
+      success: true,
+      message: 'Transaction voided and reversal entry created',
+      data: {
+        original: voided[0],
+        reversal: reversal[0]
       }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/transactions/:id - Update transaction (transactions:update)
+router.put('/:id', requirePermission('transactions:update'), validateTransactionId('id'), validateTransaction, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      amount, type, description, date, category_id, subcategory_id, trip_id, counterparty_id, comprovativo_url
+    } = req.body;
+
+    // Check if transaction exists and get its current state (including receipt URL)
+    const existingTransactions = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ? AND t.deleted_at IS NULL`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingTransactions.length === 0) {
+      throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
     }
 
-    // Update transaction
-    await executeQuery(
-      `UPDATE transactions
-       SET amount = ?, type = ?, description = ?, date = ?,
-           category_id = ?, subcategory_id = ?, receipt_url = ?, updated_at = NOW()
-       WHERE id = ?`,
-      [amount, type, description, date, category_id || null, subcategory_id || null, comprovativo_url || null, id]
+    const currentTransaction = existingTransactions[0];
+    assertTransactionEditable(currentTransaction);
+    // Only pending expenses can be edited in place; posted ones are corrected with a reversal
+    assertTransactionNotPosted(currentTransaction);
+
+    // Validate category and subcategory if provided; a transaction can only move between the user's categories
+    await assertValidCategorization(category_id, subcategory_id, req.user.organizationId);
+    await assertCategoryInScope(req.user, currentTransaction.category_id);
+    await assertCategoryInScope(req.user, category_id || null);
+    await assertTripExists(trip_id, req.user.organizationId);
+    await assertCounterpartyExists(counterparty_id, req.user.organizationId);
+    await assertUploadedFileInOrganization(comprovativo_url, req.user.organizationId);
+
+    // Replaced or removed receipts stay on disk: earlier revisions still reference them
+    // and may be restored. They are cleaned up when the transaction is purged from the trash.
+
+    // The account is kept unless a new one is given
+    const accountChanged = Boolean(req.body.account_id) && req.body.account_id !== currentTransaction.account_id;
+    const account = await resolveAccount(
+      accountChanged ? req.body.account_id : currentTransaction.account_id,
+      req.user.organizationId,
+      { requireActive: accountChanged }
     );
 
+    // Amount or date may have changed: convert again
+    const conversion = await convertToBaseCurrency(amount, resolveAccountCurrency(account, req.body.currency), date);
+
+    // The pending expense is submitted again against the edited amount and category; once it no longer
+    // needs approval it is posted and its open approval request is withdrawn
+    const approvalThreshold = await getRequiredApproval(req.user, { type, base_amount: conversion.base_amount, category_id });
+    const needsApproval = approvalThreshold !== null;
+
+    // The status guard stops the edit when the expense was decided meanwhile
+    const queries = [{
+      query: `UPDATE transactions
+              SET account_id = ?, amount = ?, currency = ?, exchange_rate = ?, base_amount = ?, type = ?, description = ?,
+                  date = ?, category_id = ?, subcategory_id = ?, trip_id = ?, counterparty_id = ?, receipt_url = ?, status = ?,
+                  updated_at = NOW()
+              WHERE id = ? AND organization_id = ? AND status = 'pending_approval'`,
+      params: [
+        account.id, amount, conversion.currency, conversion.exchange_rate, conversion.base_amount,
+        type, description, date, category_id || null, subcategory_id || null, trip_id || null,
+        counterparty_id || null, comprovativo_url || null, needsApproval ? 'pending_approval' : 'posted',
+        id, req.user.organizationId
+      ],
+      failIfUnchanged: new AppError('Transaction was decided while being edited', 409, 'TRANSACTION_DECIDED')
+    }];
+
+    if (!needsApproval) {
+      queries.push({
+        query: `UPDATE transaction_approvals
+                SET status = 'withdrawn', decided_by = ?, decided_at = NOW(), comment = 'Edited below the approval threshold'
+                WHERE transaction_id = ? AND status = 'pending'`,
+        params: [req.user.id, id]
+      });
+    }
+
+    await executeTransaction(queries);
+
+    await recordTransactionRevision(id, { changeType: 'update', changedBy: req.user.id });
+
+    if (needsApproval) {
+      await requestApproval(id, {
+        threshold: approvalThreshold,
+        baseAmount: conversion.base_amount,
+        requestedBy: req.user.id
+      });
+    }
+
     // Get updated transaction
     const updatedTransaction = await executeQuery(
-      `SELECT
-        t.id, t.amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
-        t.category_id, t.subcategory_id, t.created_at, t.updated_at,
-        c.name as category_name,
-        s.name as subcategory_name,
-        p.name as created_by_name
-       FROM transactions t
-       LEFT JOIN categories c ON t.category_id = c.id
-       LEFT JOIN subcategories s ON t.subcategory_id = s.id
-       LEFT JOIN profiles p ON t.created_by = p.id
-       WHERE t.id = ?`,
-      [id]
+      `${TRANSACTION_WITH_RELATIONS_QUERY} WHERE t.id = ? AND t.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'transaction',
+      entityId: id,
+      before: currentTransaction,
+      after: updatedTransaction[0]
+    });
+
     res.json({
       success: true,
-      message: 'Transaction updated successfully',
+      message: needsApproval
+        ? 'Transaction updated and submitted for approval'
+        : 'Transaction updated and posted',
       data: updatedTransaction[0]
     });
   } catch (error) {
@@ -415,15 +827,16 @@ router.put('/:id', requireAdminOrManager, validateTransactionId('id'), validateT
   }
 });
 
-// DELETE /api/transactions/:id/file - Remove file from transaction (admin/manager only)
-router.delete('/:id/file', requireAdminOrManager, validateTransactionId('id'), async (req, res, next) => {
+// DELETE /api/transactions/:id/file - Remove file from transaction (transactions:update)
+router.delete('/:id/file', requirePermission('transactions:update'), validateTransactionId('id'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
     // Check if transaction exists and get receipt URL
     const existingTransactions = await executeQuery(
-      'SELECT id, receipt_url FROM transactions WHERE id = ?',
-      [id]
+      `SELECT id, category_id, receipt_url, status, reverses_id, transfer_id, reconciliation_id FROM transactions
+       WHERE id = ? AND organization_id = ? AND deleted_at IS NULL`,
+      [id, req.user.organizationId]
     );
 
     if (existingTransactions.length === 0) {
@@ -431,24 +844,21 @@ router.delete('/:id/file', requireAdminOrManager, validateTransactionId('id'), a
     }
 
     const transaction = existingTransactions[0];
+    assertTransactionEditable(transaction);
+    assertTransactionNotPosted(transaction);
+    await assertCategoryInScope(req.user, transaction.category_id);
 
     if (!transaction.receipt_url) {
       throw new AppError('Transaction has no attached file', 400, 'NO_FILE_ATTACHED');
     }
 
+    // A bill attached to a payable stays on disk: only the link to the transaction is removed
+    const attachedToPayable = await isPayableAttachment(transaction.receipt_url);
+
     // Delete the file
     try {
-      const fs = require('fs');
-      const path = require('path');
-
-      // Extract filename from URL
-      const filename = transaction.receipt_url.split('/').pop();
-      const filePath = path.join(__dirname, '../../uploads', filename);
-
-      // Delete file if it exists
-      if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
-        console.log(`Deleted receipt file: ${filename}`);
+      if (!attachedToPayable) {
+        await deleteUploadedFile(transaction.receipt_url);
       }
     } catch (fileError) {
       console.error('Error deleting receipt file:', fileError);
@@ -457,10 +867,20 @@ router.delete('/:id/file', requireAdminOrManager, validateTransactionId('id'), a
 
     // Update transaction to remove receipt URL
     await executeQuery(
-      'UPDATE transactions SET receipt_url = NULL, updated_at = NOW() WHERE id = ?',
-      [id]
+      'UPDATE transactions SET receipt_url = NULL, updated_at = NOW() WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
+    await recordTransactionRevision(id, { changeType: 'update', changedBy: req.user.id });
+
+    await recordAudit(req, {
+      action: 'remove_file',
+      entity: 'transaction',
+      entityId: id,
+      before: { receipt_url: transaction.receipt_url },
+      after: { receipt_url: null }
+    });
+
     res.json({
       success: true,
       message: 'File removed successfully'
@@ -470,50 +890,45 @@ router.delete('/:id/file', requireAdminOrManager, validateTransactionId('id'), a
   }
 });
 
-// DELETE /api/transactions/:id - Delete transaction (admin/manager only)
-router.delete('/:id', requireAdminOrManager, validateTransactionId('id'), async (req, res, next) => {
+// DELETE /api/transactions/:id - Move transaction to trash (transactions:delete)
+router.delete('/:id', requirePermission('transactions:delete'), validateTransactionId('id'), async (req, res, next) => {
   try {
     const { id } = req.params;
 
-    // Check if transaction exists and get receipt URL
+    // Check if transaction exists and is not already in the trash
     const existingTransactions = await executeQuery(
-      'SELECT id, receipt_url FROM transactions WHERE id = ?',
-      [id]
+      'SELECT * FROM transactions WHERE id = ? AND organization_id = ? AND deleted_at IS NULL',
+      [id, req.user.organizationId]
     );
 
     if (existingTransactions.length === 0) {
       throw new AppError('Transaction not found', 404, 'TRANSACTION_NOT_FOUND');
     }
 
-    const transaction = existingTransactions[0];
-
-    // Delete associated receipt file if exists
-    if (transaction.receipt_url) {
-      try {
-        const fs = require('fs');
-        const path = require('path');
-
-        // Extract filename from URL (assuming URL format: /uploads/filename)
-        const filename = transaction.receipt_url.split('/').pop();
-        const filePath = path.join(__dirname, '../../uploads', filename);
-
-        // Delete file if it exists
-        if (fs.existsSync(filePath)) {
-          fs.unlinkSync(filePath);
-          console.log(`Deleted receipt file: ${filename}`);
-        }
-      } catch (fileError) {
-        console.error('Error deleting receipt file:', fileError);
-        // Continue with transaction deletion even if file deletion fails
-      }
+    // Rejected expenses never counted and can only be discarded
+    if (existingTransactions[0].status !== 'rejected') {
+      assertTransactionEditable(existingTransactions[0]);
     }
 
-    // Delete transaction
-    await executeQuery('DELETE FROM transactions WHERE id = ?', [id]);
+    await assertCategoryInScope(req.user, existingTransactions[0].category_id);
+
+    // Soft delete: the receipt is kept until the transaction is purged from the trash
+    await executeQuery(
+      'UPDATE transactions SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND organization_id = ?',
+      [req.user.id, id, req.user.organizationId]
+    );
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'transaction',
+      entityId: id,
+      before: existingTransactions[0],
+      after: { deleted_by: req.user.id }
+    });
 
     res.json({
       success: true,
-      message: 'Transaction and associated receipt deleted successfully'
+      message: `Transaction moved to trash. It will be permanently deleted after ${getRetentionDays()} days`
     });
   } catch (error) {
     next(error);
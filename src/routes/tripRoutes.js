@@ -0,0 +1,311 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
+const { validateTrip, validateUUID, validatePagination } = require('../middleware/validationMiddleware');
+const { TRIP_WITH_RELATIONS_QUERY, TRANSACTION_WITH_RELATIONS_QUERY } = require('../utils/queryUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { getTripProfitability } = require('../utils/tripUtils');
+const { getBaseCurrency } = require('../utils/currencyUtils');
+const { getCategoryScope, buildCategoryScopeCondition } = require('../utils/categoryScopeUtils');
+
+const router = express.Router();
+
+// All trip routes require authentication
+router.use(verifyToken);
+
+// Columns the trip list can be sorted by
+const SORT_COLUMNS = {
+  start_date: 'tr.start_date',
+  created_at: 'tr.created_at',
+  destination: 'tr.destination',
+  sale_price: 'tr.sale_price',
+  revenue: 'revenue',
+  costs: 'costs',
+  margin: 'margin',
+  margin_percent: 'margin_percent'
+};
+
+// Find a trip of the organization with its totals or fail with 404
+const findTrip = async (id, organizationId) => {
+  const trips = await executeQuery(
+    `${TRIP_WITH_RELATIONS_QUERY} WHERE tr.id = ? AND tr.organization_id = ?`,
+    [id, organizationId]
+  );
+
+  if (trips.length === 0) {
+    throw new AppError('Trip not found', 404, 'TRIP_NOT_FOUND');
+  }
+
+  return trips[0];
+};
+
+// Ensure no other trip of the organization uses the reference
+const assertReferenceAvailable = async (reference, organizationId, excludeId = null) => {
+  if (!reference) {
+    return;
+  }
+
+  const trips = await executeQuery(
+    'SELECT id FROM trips WHERE reference = ? AND organization_id = ? AND id != ?',
+    [reference, organizationId, excludeId || '']
+  );
+
+  if (trips.length > 0) {
+    throw new AppError('Trip reference already exists', 409, 'TRIP_REFERENCE_EXISTS');
+  }
+};
+
+// GET /api/trips - List trips with revenue, costs and margin (sortable by margin)
+router.get('/', validatePagination, async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const offset = (page - 1) * limit;
+    const search = req.query.search || '';
+    const status = req.query.status || '';
+    const startDate = req.query.start_date || '';
+    const endDate = req.query.end_date || '';
+    const sortColumn = SORT_COLUMNS[req.query.sort] || SORT_COLUMNS.start_date;
+    const sortOrder = req.query.order === 'asc' ? 'ASC' : 'DESC';
+
+    let whereClause = 'WHERE tr.organization_id = ?';
+    let queryParams = [req.user.organizationId];
+
+    if (search) {
+      whereClause += ' AND (tr.destination LIKE ? OR tr.client_name LIKE ? OR tr.reference LIKE ?)';
+      queryParams.push(`%${search}%`, `%${search}%`, `%${search}%`);
+    }
+
+    if (status) {
+      whereClause += ' AND tr.status = ?';
+      queryParams.push(status);
+    }
+
+    // Trips overlapping the date range
+    if (startDate) {
+      whereClause += ' AND tr.end_date >= ?';
+      queryParams.push(startDate);
+    }
+
+    if (endDate) {
+      whereClause += ' AND tr.start_date <= ?';
+      queryParams.push(endDate);
+    }
+
+    const countResult = await executeQuery(
+      `SELECT COUNT(*) as total FROM trips tr ${whereClause}`,
+      queryParams
+    );
+    const total = countResult[0].total;
+
+    const trips = await executeQuery(
+      `${TRIP_WITH_RELATIONS_QUERY}
+       ${whereClause}
+       ORDER BY ${sortColumn} ${sortOrder}, tr.start_date DESC
+       LIMIT ? OFFSET ?`,
+      [...queryParams, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      data: trips,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/trips/:id - Get specific trip
+router.get('/:id', validateUUID('id'), async (req, res, next) => {
+  try {
+    const trip = await findTrip(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: trip
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/trips/:id/profitability - Revenue, costs by category and margin of a trip (base currency)
+router.get('/:id/profitability', validateUUID('id'), async (req, res, next) => {
+  try {
+    const trip = await findTrip(req.params.id, req.user.organizationId);
+
+    res.json({
+      success: true,
+      data: {
+        trip_id: trip.id,
+        destination: trip.destination,
+        status: trip.status,
+        base_currency: getBaseCurrency(),
+        ...(await getTripProfitability(trip))
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// GET /api/trips/:id/transactions - List the transactions of a trip (within the user's categories)
+router.get('/:id/transactions', validateUUID('id'), async (req, res, next) => {
+  try {
+    const trip = await findTrip(req.params.id, req.user.organizationId);
+    const categoryScope = buildCategoryScopeCondition(await getCategoryScope(req.user), 't.category_id');
+
+    const transactions = await executeQuery(
+      `${TRANSACTION_WITH_RELATIONS_QUERY}
+       WHERE t.trip_id = ? AND t.organization_id = ? AND t.deleted_at IS NULL
+       ${categoryScope.condition ? `AND ${categoryScope.condition}` : ''}
+       ORDER BY t.date DESC, t.created_at DESC`,
+      [trip.id, trip.organization_id, ...categoryScope.params]
+    );
+
+    res.json({
+      success: true,
+      data: transactions
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// POST /api/trips - Create trip (trips:create)
+router.post('/', requirePermission('trips:create'), validateTrip, async (req, res, next) => {
+  try {
+    const {
+      reference, destination, start_date, end_date, client_name, client_email, client_phone, sale_price, status, notes
+    } = req.body;
+
+    await assertReferenceAvailable(reference, req.user.organizationId);
+
+    const tripId = uuidv4();
+    await executeQuery(
+      `INSERT INTO trips
+       (id, organization_id, reference, destination, start_date, end_date, client_name, client_email, client_phone,
+        sale_price, status, notes, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        tripId, req.user.organizationId,
+        reference || null, destination, start_date, end_date, client_name, client_email || null,
+        client_phone || null, sale_price, status || 'quoted', notes || null, req.user.id
+      ]
+    );
+
+    const newTrip = await findTrip(tripId, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'trip',
+      entityId: tripId,
+      after: newTrip
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Trip created successfully',
+      data: newTrip
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/trips/:id - Update trip (trips:update)
+router.put('/:id', requirePermission('trips:update'), validateUUID('id'), validateTrip, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const {
+      reference, destination, start_date, end_date, client_name, client_email, client_phone, sale_price, status, notes
+    } = req.body;
+
+    const currentTrip = await findTrip(id, req.user.organizationId);
+
+    await assertReferenceAvailable(reference, req.user.organizationId, id);
+
+    await executeQuery(
+      `UPDATE trips
+       SET reference = ?, destination = ?, start_date = ?, end_date = ?, client_name = ?, client_email = ?,
+           client_phone = ?, sale_price = ?, status = ?, notes = ?, updated_at = NOW()
+       WHERE id = ?`,
+      [
+        reference || null, destination, start_date, end_date, client_name, client_email || null,
+        client_phone || null, sale_price, status || currentTrip.status, notes || null, id
+      ]
+    );
+
+    const updatedTrip = await findTrip(id, req.user.organizationId);
+
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'trip',
+      entityId: id,
+      before: currentTrip,
+      after: updatedTrip
+    });
+
+    res.json({
+      success: true,
+      message: 'Trip updated successfully',
+      data: updatedTrip
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// DELETE /api/trips/:id - Delete a trip without transactions (trips:delete)
+router.delete('/:id', requirePermission('trips:delete'), validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const currentTrip = await findTrip(id, req.user.organizationId);
+
+    // Trashed transactions still reference the trip until they are purged
+    const transactions = await executeQuery('SELECT id FROM transactions WHERE trip_id = ? LIMIT 1', [id]);
+
+    if (transactions.length > 0) {
+      throw new AppError('Trip has transactions. Cancel it instead', 409, 'TRIP_HAS_TRANSACTIONS');
+    }
+
+    const receivables = await executeQuery('SELECT id FROM receivables WHERE trip_id = ? LIMIT 1', [id]);
+
+    if (receivables.length > 0) {
+      throw new AppError('Trip has receivables. Cancel it instead', 409, 'TRIP_HAS_RECEIVABLES');
+    }
+
+    const payables = await executeQuery('SELECT id FROM payables WHERE trip_id = ? LIMIT 1', [id]);
+
+    if (payables.length > 0) {
+      throw new AppError('Trip has payables. Cancel it instead', 409, 'TRIP_HAS_PAYABLES');
+    }
+
+    await executeQuery('DELETE FROM trips WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
+
+    await recordAudit(req, {
+      action: 'delete',
+      entity: 'trip',
+      entityId: id,
+      before: currentTrip
+    });
+
+    res.json({
+      success: true,
+      message: 'Trip deleted successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -3,19 +3,32 @@ const bcrypt = require('bcrypt');
 const { v4: uuidv4 } = require('uuid');
 const { executeQuery, executeTransaction } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
-const { verifyToken, requireAdmin } = require('../middleware/authMiddleware');
+const { verifyToken, requirePermission } = require('../middleware/authMiddleware');
 const { 
   validateCreateUser, 
   validateUpdateUser, 
+  validateCategoryAssignment,
   validateUUID, 
   validatePagination 
 } = require('../middleware/validationMiddleware');
+const { revokeUserSessions } = require('../utils/sessionUtils');
+const { recordAudit } = require('../utils/auditUtils');
+const { assertRoleExists } = require('../utils/permissionUtils');
+const { disableTwoFactor } = require('../utils/twoFactorUtils');
+const { getAssignedCategoryIds } = require('../utils/categoryScopeUtils');
 
 const router = express.Router();
 
-// All user routes require authentication and admin role
+// All user routes require authentication and the users:manage permission
 router.use(verifyToken);
-router.use(requireAdmin);
+router.use(requirePermission('users:manage'));
+
+// Fail unless the current user may change, reset or remove the target account
+const assertCanManageUser = (req, targetUser) => {
+  if (targetUser.is_super_admin && !req.user.isSuperAdmin) {
+    throw new AppError('Only super admins can manage a super admin account', 403, 'SUPER_ADMIN_REQUIRED');
+  }
+};
 
 // GET /api/users - List all users with pagination
 router.get('/', validatePagination, async (req, res, next) => {
@@ -25,12 +38,12 @@ router.get('/', validatePagination, async (req, res, next) => {
     const offset = (page - 1) * limit;
     const search = req.query.search || '';
 
-    let whereClause = '';
-    let queryParams = [];
+    let whereClause = 'WHERE p.organization_id = ?';
+    let queryParams = [req.user.organizationId];
 
     if (search) {
-      whereClause = 'WHERE p.name LIKE ? OR u.email LIKE ?';
-      queryParams = [`%${search}%`, `%${search}%`];
+      whereClause += ' AND (p.name LIKE ? OR u.email LIKE ?)';
+      queryParams.push(`%${search}%`, `%${search}%`);
     }
 
     // Get total count
@@ -46,7 +59,7 @@ router.get('/', validatePagination, async (req, res, next) => {
     // Get users with pagination
     const usersQuery = `
       SELECT 
-        u.id, u.email, u.created_at as user_created_at,
+        u.id, u.email, u.two_factor_enabled, u.created_at as user_created_at,
         p.name, p.phone, p.role, p.status, p.avatar, p.last_login, p.created_at
       FROM users u 
       JOIN profiles p ON u.id = p.id 
@@ -73,7 +86,7 @@ router.get('/', validatePagination, async (req, res, next) => {
   }
 });
 
-// POST /api/users - Create new user
+// POST /api/users - Create new user in the current organization
 router.post('/', validateCreateUser, async (req, res, next) => {
   try {
     const { email, password, name, phone, role } = req.body;
@@ -88,6 +101,8 @@ router.post('/', validateCreateUser, async (req, res, next) => {
       throw new AppError('Email already exists', 409, 'EMAIL_EXISTS');
     }
 
+    await assertRoleExists(role);
+
     // Hash password
     const saltRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
     const passwordHash = await bcrypt.hash(password, saltRounds);
@@ -102,8 +117,8 @@ router.post('/', validateCreateUser, async (req, res, next) => {
         params: [userId, email, passwordHash]
       },
       {
-        query: 'INSERT INTO profiles (id, name, email, phone, role) VALUES (?, ?, ?, ?, ?)',
-        params: [userId, name, email, phone || null, role]
+        query: 'INSERT INTO profiles (id, organization_id, name, email, phone, role) VALUES (?, ?, ?, ?, ?, ?)',
+        params: [userId, req.user.organizationId, name, email, phone || null, role]
       }
     ];
 
@@ -116,10 +131,17 @@ router.post('/', validateCreateUser, async (req, res, next) => {
         p.name, p.phone, p.role, p.status, p.created_at
        FROM users u 
        JOIN profiles p ON u.id = p.id 
-       WHERE u.id = ?`,
-      [userId]
+       WHERE u.id = ? AND p.organization_id = ?`,
+      [userId, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'create',
+      entity: 'user',
+      entityId: userId,
+      after: newUser[0]
+    });
+
     res.status(201).json({
       success: true,
       message: 'User created successfully',
@@ -138,14 +160,21 @@ router.put('/:id', validateUUID('id'), validateUpdateUser, async (req, res, next
 
     // Check if user exists
     const existingUsers = await executeQuery(
-      'SELECT id FROM profiles WHERE id = ?',
-      [id]
+      'SELECT id, name, phone, role, status, is_super_admin FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingUsers.length === 0) {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
+    // A super admin works across organizations, so only another super admin may manage the account
+    assertCanManageUser(req, existingUsers[0]);
+
+    if (role !== undefined) {
+      await assertRoleExists(role);
+    }
+
     // Build update query dynamically
     const updateFields = [];
     const updateValues = [];
@@ -171,12 +200,12 @@ router.put('/:id', validateUUID('id'), validateUpdateUser, async (req, res, next
       throw new AppError('No fields to update', 400, 'NO_UPDATE_FIELDS');
     }
 
-    updateValues.push(id);
+    updateValues.push(id, req.user.organizationId);
 
     const updateQuery = `
       UPDATE profiles 
       SET ${updateFields.join(', ')} 
-      WHERE id = ?
+      WHERE id = ? AND organization_id = ?
     `;
 
     await executeQuery(updateQuery, updateValues);
@@ -188,10 +217,18 @@ router.put('/:id', validateUUID('id'), validateUpdateUser, async (req, res, next
         p.name, p.phone, p.role, p.status, p.avatar, p.last_login, p.created_at
        FROM users u 
        JOIN profiles p ON u.id = p.id 
-       WHERE u.id = ?`,
-      [id]
+       WHERE u.id = ? AND p.organization_id = ?`,
+      [id, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'update',
+      entity: 'user',
+      entityId: id,
+      before: existingUsers[0],
+      after: updatedUser[0]
+    });
+
     res.json({
       success: true,
       message: 'User updated successfully',
@@ -209,14 +246,17 @@ router.delete('/:id/deactivate', validateUUID('id'), async (req, res, next) => {
 
     // Check if user exists
     const existingUsers = await executeQuery(
-      'SELECT id, status FROM profiles WHERE id = ?',
-      [id]
+      'SELECT id, status, is_super_admin FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingUsers.length === 0) {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
+    // A super admin works across organizations, so only another super admin may manage the account
+    assertCanManageUser(req, existingUsers[0]);
+
     // Prevent self-deactivation
     if (id === req.user.id) {
       throw new AppError('Cannot deactivate your own account', 400, 'CANNOT_DEACTIVATE_SELF');
@@ -224,10 +264,18 @@ router.delete('/:id/deactivate', validateUUID('id'), async (req, res, next) => {
 
     // Soft delete by setting status to 0
     await executeQuery(
-      'UPDATE profiles SET status = 0 WHERE id = ?',
-      [id]
+      'UPDATE profiles SET status = 0 WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
+    await recordAudit(req, {
+      action: 'deactivate',
+      entity: 'user',
+      entityId: id,
+      before: { status: existingUsers[0].status },
+      after: { status: 0 }
+    });
+
     res.json({
       success: true,
       message: 'User deactivated successfully'
@@ -244,14 +292,17 @@ router.delete('/:id', validateUUID('id'), async (req, res, next) => {
 
     // Check if user exists
     const existingUsers = await executeQuery(
-      'SELECT id, email FROM profiles WHERE id = ?',
-      [id]
+      'SELECT id, name, email, phone, role, status, is_super_admin FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingUsers.length === 0) {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
+    // A super admin works across organizations, so only another super admin may manage the account
+    assertCanManageUser(req, existingUsers[0]);
+
     // Prevent self-deletion
     if (id === req.user.id) {
       throw new AppError('Cannot delete your own account', 400, 'CANNOT_DELETE_SELF');
@@ -264,7 +315,7 @@ router.delete('/:id', validateUUID('id'), async (req, res, next) => {
 
     try {
       // Delete from profiles table
-      await executeQuery('DELETE FROM profiles WHERE id = ?', [id]);
+      await executeQuery('DELETE FROM profiles WHERE id = ? AND organization_id = ?', [id, req.user.organizationId]);
 
       // Delete from users table
       await executeQuery('DELETE FROM users WHERE email = ?', [userEmail]);
@@ -272,6 +323,13 @@ router.delete('/:id', validateUUID('id'), async (req, res, next) => {
       // Commit transaction
       await executeQuery('COMMIT');
 
+      await recordAudit(req, {
+        action: 'delete',
+        entity: 'user',
+        entityId: id,
+        before: existingUsers[0]
+      });
+
       res.json({
         success: true,
         message: 'User permanently deleted successfully'
@@ -299,14 +357,17 @@ router.put('/:id/reset-password', validateUUID('id'), async (req, res, next) =>
 
     // Check if user exists
     const existingUsers = await executeQuery(
-      'SELECT id FROM users WHERE id = ?',
-      [id]
+      'SELECT id, is_super_admin FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
     );
 
     if (existingUsers.length === 0) {
       throw new AppError('User not found', 404, 'USER_NOT_FOUND');
     }
 
+    // A super admin works across organizations, so only another super admin may manage the account
+    assertCanManageUser(req, existingUsers[0]);
+
     // Prevent admin from resetting their own password (should use change-password instead)
     if (id === req.user.id) {
       throw new AppError('Use change-password endpoint to update your own password', 400, 'CANNOT_RESET_OWN_PASSWORD');
@@ -322,6 +383,15 @@ router.put('/:id/reset-password', validateUUID('id'), async (req, res, next) =>
       [passwordHash, id]
     );
 
+    // Sign the user out everywhere so the old password's sessions stop working
+    await revokeUserSessions(id, 'password_reset');
+
+    await recordAudit(req, {
+      action: 'reset_password',
+      entity: 'user',
+      entityId: id
+    });
+
     res.json({
       success: true,
       message: 'User password reset successfully'
@@ -331,4 +401,142 @@ router.put('/:id/reset-password', validateUUID('id'), async (req, res, next) =>
   }
 });
 
+// DELETE /api/users/:id/two-factor - Reset two-factor authentication of a user who lost their device
+router.delete('/:id/two-factor', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingUsers = await executeQuery(
+      `SELECT u.id, u.two_factor_enabled, p.is_super_admin
+       FROM users u
+       JOIN profiles p ON u.id = p.id
+       WHERE u.id = ? AND p.organization_id = ?`,
+      [id, req.user.organizationId]
+    );
+
+    if (existingUsers.length === 0) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    // A super admin works across organizations, so only another super admin may manage the account
+    assertCanManageUser(req, existingUsers[0]);
+
+    // Disabling your own second factor needs the password and a code (POST /api/auth/2fa/disable)
+    if (id === req.user.id) {
+      throw new AppError('Use the two-factor disable endpoint for your own account', 400, 'CANNOT_RESET_OWN_TWO_FACTOR');
+    }
+
+    if (!existingUsers[0].two_factor_enabled) {
+      throw new AppError('Two-factor authentication is not enabled for this user', 409, 'TWO_FACTOR_NOT_ENABLED');
+    }
+
+    await disableTwoFactor(id);
+
+    // Sign the user out everywhere; roles that require two factors set them up again on the next login
+    await revokeUserSessions(id, 'two_factor_reset');
+
+    await recordAudit(req, {
+      action: 'reset_two_factor',
+      entity: 'user',
+      entityId: id
+    });
+
+    res.json({
+      success: true,
+      message: 'User two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Categories assigned to a user, with their names
+const getAssignedCategories = (id) => executeQuery(
+  `SELECT c.id, c.name, pc.assigned_at
+   FROM profile_categories pc
+   JOIN categories c ON pc.category_id = c.id
+   WHERE pc.profile_id = ?
+   ORDER BY c.name ASC`,
+  [id]
+);
+
+// GET /api/users/:id/categories - Categories the user is responsible for (empty = unrestricted)
+router.get('/:id/categories', validateUUID('id'), async (req, res, next) => {
+  try {
+    const { id } = req.params;
+
+    const existingUsers = await executeQuery(
+      'SELECT id FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+    if (existingUsers.length === 0) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    res.json({
+      success: true,
+      data: await getAssignedCategories(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// PUT /api/users/:id/categories - Replace the categories assigned to the user (an empty list lifts the restriction)
+router.put('/:id/categories', validateUUID('id'), validateCategoryAssignment, async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const categoryIds = [...new Set(req.body.category_ids)];
+
+    const existingUsers = await executeQuery(
+      'SELECT id FROM profiles WHERE id = ? AND organization_id = ?',
+      [id, req.user.organizationId]
+    );
+    if (existingUsers.length === 0) {
+      throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+    }
+
+    for (const categoryId of categoryIds) {
+      const categories = await executeQuery(
+        'SELECT id FROM categories WHERE id = ? AND organization_id = ?',
+        [categoryId, req.user.organizationId]
+      );
+      if (categories.length === 0) {
+        throw new AppError(`Category ${categoryId} not found`, 400, 'INVALID_CATEGORY');
+      }
+    }
+
+    const before = await getAssignedCategoryIds(id);
+
+    await executeTransaction([
+      {
+        query: 'DELETE FROM profile_categories WHERE profile_id = ?',
+        params: [id]
+      },
+      ...categoryIds.map(categoryId => ({
+        query: 'INSERT INTO profile_categories (profile_id, category_id, assigned_by) VALUES (?, ?, ?)',
+        params: [id, categoryId, req.user.id]
+      }))
+    ]);
+
+    await recordAudit(req, {
+      action: 'assign_categories',
+      entity: 'user',
+      entityId: id,
+      before: { category_ids: before },
+      after: { category_ids: categoryIds }
+    });
+
+    res.json({
+      success: true,
+      message: categoryIds.length > 0
+        ? 'Assigned categories updated successfully'
+        : 'Category restriction removed',
+      data: await getAssignedCategories(id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,66 @@
+// Database migration CLI
+// Usage: node src/scripts/migrate.js [up|rollback|status]
+
+require('dotenv').config();
+
+const { pool } = require('../config/database');
+const { migrate, rollback, getMigrationStatus } = require('../database/migrator');
+
+const commands = {
+  up: async () => {
+    const applied = await migrate(pool);
+
+    if (applied.length === 0) {
+      console.log('✅ Database schema is already up to date');
+      return;
+    }
+
+    applied.forEach(name => console.log(`⬆️  Applied ${name}`));
+    console.log(`✅ ${applied.length} migration(s) applied`);
+  },
+
+  rollback: async () => {
+    const reverted = await rollback(pool);
+
+    if (reverted.length === 0) {
+      console.log('ℹ️  Nothing to roll back');
+      return;
+    }
+
+    reverted.forEach(name => console.log(`⬇️  Reverted ${name}`));
+    console.log(`✅ ${reverted.length} migration(s) rolled back`);
+  },
+
+  status: async () => {
+    const migrations = await getMigrationStatus(pool);
+
+    migrations.forEach(({ name, applied, batch }) => {
+      console.log(`${applied ? '✅' : '⏳'} ${name}${applied ? ` (batch ${batch})` : ''}`);
+    });
+
+    const pending = migrations.filter(migration => !migration.applied).length;
+    console.log(`📊 ${migrations.length - pending} applied, ${pending} pending`);
+  }
+};
+
+const run = async () => {
+  const command = process.argv[2] || 'up';
+  const handler = commands[command];
+
+  if (!handler) {
+    console.error(`Unknown command "${command}". Use one of: ${Object.keys(commands).join(', ')}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    await handler();
+  } catch (error) {
+    console.error('❌ Migration failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+};
+
+run();
@@ -8,6 +8,8 @@ require('dotenv').config();
 
 const { initDatabase } = require('./config/database');
 const { errorHandler, notFound } = require('./middleware/errorMiddleware');
+const { startTrashPurgeJob } = require('./jobs/trashPurgeJob');
+const { startRecurringTransactionsJob } = require('./jobs/recurringTransactionsJob');
 const authRoutes = require('./routes/authRoutes');
 const userRoutes = require('./routes/userRoutes');
 const profileRoutes = require('./routes/profileRoutes');
@@ -15,6 +17,21 @@ const categoryRoutes = require('./routes/categoryRoutes');
 const subcategoryRoutes = require('./routes/subcategoryRoutes');
 const transactionRoutes = require('./routes/transactionRoutes');
 const fileRoutes = require('./routes/fileRoutes');
+const auditRoutes = require('./routes/auditRoutes');
+const recurringTransactionRoutes = require('./routes/recurringTransactionRoutes');
+const budgetRoutes = require('./routes/budgetRoutes');
+const importRoutes = require('./routes/importRoutes');
+const reportRoutes = require('./routes/reportRoutes');
+const exchangeRateRoutes = require('./routes/exchangeRateRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const reconciliationRoutes = require('./routes/reconciliationRoutes');
+const tripRoutes = require('./routes/tripRoutes');
+const counterpartyRoutes = require('./routes/counterpartyRoutes');
+const receivableRoutes = require('./routes/receivableRoutes');
+const payableRoutes = require('./routes/payableRoutes');
+const approvalRoutes = require('./routes/approvalRoutes');
+const roleRoutes = require('./routes/roleRoutes');
+const organizationRoutes = require('./routes/organizationRoutes');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -81,10 +98,24 @@ app.use('/api/categories', categoryRoutes);
 app.use('/api/subcategories', subcategoryRoutes);
 app.use('/api/transactions', transactionRoutes);
 app.use('/api/files', fileRoutes);
-
-// Serve uploaded files
-const uploadDir = process.env.UPLOAD_DIR || 'uploads';
-app.use('/uploads', express.static(uploadDir));
+app.use('/api/audit', auditRoutes);
+app.use('/api/recurring-transactions', recurringTransactionRoutes);
+app.use('/api/budgets', budgetRoutes);
+app.use('/api/imports', importRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/exchange-rates', exchangeRateRoutes);
+app.use('/api/accounts', accountRoutes);
+app.use('/api/reconciliations', reconciliationRoutes);
+app.use('/api/trips', tripRoutes);
+app.use('/api/counterparties', counterpartyRoutes);
+app.use('/api/receivables', receivableRoutes);
+app.use('/api/payables', payableRoutes);
+app.use('/api/approvals', approvalRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/organizations', organizationRoutes);
+
+// Uploaded files are not served statically: each organization downloads its own
+// through GET /api/files/view/:filename, which checks the token and the tenant
 
 // Error handling middleware
 app.use(notFound);
@@ -96,6 +127,10 @@ const startServer = async () => {
     // Initialize database connection
     await initDatabase();
 
+    // Start background jobs
+    startTrashPurgeJob();
+    startRecurringTransactionsJob();
+
     app.listen(PORT, HOST, () => {
       console.log(`🚀 javiagens API Server running on ${HOST}:${PORT}`);
       console.log(`📊 Environment: ${process.env.NODE_ENV}`);
@@ -0,0 +1,22 @@
+const { today, addDays } = require('../dateUtils');
+
+describe('addDays', () => {
+  it('crosses month, year and leap-day boundaries', () => {
+    expect(addDays('2024-01-31', 1)).toBe('2024-02-01');
+    expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+    expect(addDays('2024-01-01', -1)).toBe('2023-12-31');
+  });
+});
+
+describe('today', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('uses the server local date', () => {
+    jest.useFakeTimers().setSystemTime(new Date(2024, 2, 5, 23, 59));
+
+    expect(today()).toBe('2024-03-05');
+  });
+});
+
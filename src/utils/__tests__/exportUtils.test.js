@@ -0,0 +1,51 @@
+const { PassThrough } = require('stream');
+const { writeCsvExport } = require('../exportUtils');
+
+const columns = [
+  { header: 'Date', key: 'date', type: 'date' },
+  { header: 'Description', key: 'description' },
+  { header: 'Amount', key: 'amount', type: 'amount' }
+];
+
+// Exporta as linhas para um stream em memória e devolve o texto gerado
+const exportCsv = async (rows, locale) => {
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+
+  const count = await writeCsvExport(rows, output, { columns, locale });
+  return { count, text: Buffer.concat(chunks).toString('utf8') };
+};
+
+describe('writeCsvExport', () => {
+  it('writes a BOM, the header and one CRLF line per row', async () => {
+    const { count, text } = await exportCsv([
+      { date: new Date(2024, 0, 5), description: 'Hotel, Lisboa', amount: '-250.5' }
+    ], 'en-US');
+
+    expect(count).toBe(1);
+    expect(text).toBe('\uFEFFDate,Description,Amount\r\n2024-01-05,"Hotel, Lisboa",-250.50\r\n');
+  });
+
+  it('separates columns with semicolons when the locale uses a decimal comma', async () => {
+    const { text } = await exportCsv([{ date: '2024-01-05', description: 'Hotel', amount: '1234.5' }], 'pt-PT');
+
+    expect(text.split('\r\n')[1]).toBe('2024-01-05;Hotel;1234,50');
+  });
+
+  it('neutralizes text that a spreadsheet would run as a formula', async () => {
+    const { text } = await exportCsv([
+      { date: '2024-01-05', description: '=HYPERLINK("http://example.com")', amount: null },
+      { date: '2024-01-06', description: '+351 transfer', amount: null },
+      { date: '2024-01-07', description: '-fee', amount: null },
+      { date: '2024-01-08', description: '@SUM(A1)', amount: null }
+    ], 'en-US');
+
+    expect(text.split('\r\n').slice(1, 5)).toEqual([
+      '2024-01-05,"\'=HYPERLINK(""http://example.com"")",',
+      '2024-01-06,\'+351 transfer,',
+      '2024-01-07,\'-fee,',
+      '2024-01-08,\'@SUM(A1),'
+    ]);
+  });
+});
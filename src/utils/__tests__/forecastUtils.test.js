@@ -0,0 +1,160 @@
+jest.mock('../../config/database', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn()
+}));
+
+jest.mock('../currencyUtils', () => ({
+  getBaseCurrency: () => 'EUR',
+  convertToBaseCurrency: async (amount) => ({ base_amount: Number(amount) })
+}));
+
+const { executeQuery } = require('../../config/database');
+const {
+  parseHorizon,
+  detectMonthlyPatterns,
+  projectPattern,
+  buildCashFlowForecast
+} = require('../forecastUtils');
+
+describe('parseHorizon', () => {
+  it('accepts 1 to 365 days', () => {
+    expect(parseHorizon('1d')).toBe(1);
+    expect(parseHorizon('90d')).toBe(90);
+    expect(parseHorizon('365d')).toBe(365);
+  });
+
+  it('rejects other values', () => {
+    expect(parseHorizon('0d')).toBeNull();
+    expect(parseHorizon('366d')).toBeNull();
+    expect(parseHorizon('90')).toBeNull();
+    expect(parseHorizon(undefined)).toBeNull();
+  });
+});
+
+describe('detectMonthlyPatterns', () => {
+  const entry = (id, date, value, description = 'Internet 0324') => ({
+    id, date, value, description, type: 'saida', category_id: 'cat-1', category_name: 'Utilities'
+  });
+
+  it('finds entries repeated monthly with similar amounts', () => {
+    const patterns = detectMonthlyPatterns([
+      entry('txn-1', '2024-01-05', 50),
+      entry('txn-2', '2024-02-06', 52, 'Internet 0424'),
+      entry('txn-3', '2024-03-05', 49, 'INTERNET 0524')
+    ], '2024-04-10');
+
+    expect(patterns).toEqual([{
+      key: 'saida|cat-1|internet',
+      description: 'INTERNET 0524',
+      category_id: 'cat-1',
+      category_name: 'Utilities',
+      type: 'saida',
+      amount: 50,
+      day_of_month: 5,
+      last_date: '2024-03-05',
+      transaction_ids: ['txn-1', 'txn-2', 'txn-3']
+    }]);
+  });
+
+  it('ignores groups that are too short, irregular, uneven or stale', () => {
+    const asOf = '2024-04-10';
+
+    expect(detectMonthlyPatterns([entry('a', '2024-02-05', 50), entry('b', '2024-03-05', 50)], asOf)).toEqual([]);
+    expect(detectMonthlyPatterns([
+      entry('a', '2024-01-05', 50), entry('b', '2024-02-05', 50), entry('c', '2024-03-05', 50), entry('d', '2024-03-20', 50)
+    ], asOf)).toEqual([]);
+    expect(detectMonthlyPatterns([
+      entry('a', '2024-01-05', 50), entry('b', '2024-02-05', 50), entry('c', '2024-03-05', 80)
+    ], asOf)).toEqual([]);
+    expect(detectMonthlyPatterns([
+      entry('a', '2023-12-05', 50), entry('b', '2024-01-05', 50), entry('c', '2024-02-05', 50)
+    ], asOf)).toEqual([]);
+  });
+});
+
+describe('projectPattern', () => {
+  it('projects the day of month, skipping the last occurrence month and months already booked', () => {
+    const pattern = { day_of_month: 5, last_date: '2024-04-05' };
+
+    expect(projectPattern(pattern, '2024-04-01', '2024-07-10', new Set(['2024-06']))).toEqual(['2024-05-05', '2024-07-05']);
+  });
+});
+
+describe('buildCashFlowForecast', () => {
+  const account = { id: 'acc-1', currency: 'EUR', opening_balance: '1000.00', is_default: 1 };
+  const template = {
+    id: 'rec-1', account_id: 'acc-1', amount: '200.00', type: 'saida', description: 'Rent', category_id: 'cat-2',
+    frequency: 'monthly', interval_count: 1, day_of_month: null, max_occurrences: null,
+    start_date: '2024-01-25', end_date: null, last_generated_date: '2024-05-25'
+  };
+
+  // Responde a cada consulta da previsão pelo trecho que a identifica
+  const mockQueries = ({ booked = '500.00', scheduled = [], templates = [], history = [] } = {}) => {
+    executeQuery.mockImplementation(async (query) => {
+      if (query.includes('FROM accounts')) return [account];
+      if (query.includes('COALESCE(SUM')) return [{ total: booked }];
+      if (query.includes('ORDER BY t.date ASC')) return scheduled;
+      if (query.includes('FROM recurring_transactions')) return templates;
+      if (query.includes('LEFT JOIN categories c ON t.category_id')) return history;
+      throw new Error(`Unexpected query: ${query}`);
+    });
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers().setSystemTime(new Date(2024, 5, 15, 12, 0));
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.resetAllMocks();
+  });
+
+  it('rolls the balance forward with scheduled and recurring entries', async () => {
+    mockQueries({
+      scheduled: [{ id: 'txn-010', date: '2024-06-20', description: 'Client', type: 'entrada', category_id: null, value: '300.00' }],
+      templates: [template]
+    });
+
+    const forecast = await buildCashFlowForecast({ organizationId: 'org-1', horizonDays: 10, threshold: 1600 });
+
+    expect(forecast).toMatchObject({
+      currency: 'EUR',
+      as_of: '2024-06-15',
+      end_date: '2024-06-25',
+      starting_balance: 1500,
+      ending_balance: 1600,
+      lowest_balance: { date: '2024-06-16', balance: 1500 },
+      below_threshold: { date: '2024-06-16', balance: 1500 }
+    });
+    expect(forecast.daily).toHaveLength(10);
+    expect(forecast.daily[4]).toEqual({ date: '2024-06-20', income: 300, expenses: 0, balance: 1800 });
+    expect(forecast.components.recurring).toEqual([
+      { recurring_id: 'rec-1', date: '2024-06-25', description: 'Rent', type: 'saida', category_id: 'cat-2', value: 200 }
+    ]);
+  });
+
+  it('spreads the trailing category spend over every projected day', async () => {
+    mockQueries({
+      history: [{ id: 'txn-005', date: '2024-06-01', description: 'Fuel', type: 'saida', category_id: 'cat-3', category_name: 'Travel', value: '90.00' }]
+    });
+
+    const forecast = await buildCashFlowForecast({ organizationId: 'org-1', horizonDays: 2, threshold: 0 });
+
+    expect(forecast.components.category_averages).toEqual([
+      { category_id: 'cat-3', category_name: 'Travel', trailing_total: 90, daily_average: 1 }
+    ]);
+    expect(forecast.daily.map(day => day.balance)).toEqual([1499, 1498]);
+    expect(forecast.below_threshold).toBeNull();
+  });
+
+  it('leaves opening balances out and filters by category when the user is restricted', async () => {
+    mockQueries();
+
+    const forecast = await buildCashFlowForecast({ organizationId: 'org-1', horizonDays: 1, categoryScope: ['cat-1'] });
+
+    expect(forecast.starting_balance).toBe(500);
+    const bookedCall = executeQuery.mock.calls.find(([query]) => query.includes('COALESCE(SUM'));
+    expect(bookedCall[0]).toContain('t.category_id IN (?)');
+    expect(bookedCall[1]).toEqual(['2024-06-15', 'org-1', 'cat-1']);
+  });
+});
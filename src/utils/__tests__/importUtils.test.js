@@ -0,0 +1,129 @@
+const {
+  parseStatementDate,
+  parseStatementAmount,
+  finalizeRow,
+  normalizeCsvStatement
+} = require('../importUtils');
+
+describe('parseStatementDate', () => {
+  it.each([
+    ['31/01/2024', 'DD/MM/YYYY', '2024-01-31'],
+    ['01/31/2024', 'MM/DD/YYYY', '2024-01-31'],
+    ['2024-01-31', 'YYYY-MM-DD', '2024-01-31'],
+    ['31.01.2024', 'DD.MM.YYYY', '2024-01-31'],
+    [' 2024/1/5 ', 'YYYY/MM/DD', '2024-01-05']
+  ])('reads %s as %s', (value, format, expected) => {
+    expect(parseStatementDate(value, format)).toBe(expected);
+  });
+
+  it('rejects impossible dates and mismatched formats', () => {
+    expect(parseStatementDate('31/02/2024', 'DD/MM/YYYY')).toBeNull();
+    expect(parseStatementDate('2024-01-31', 'DD/MM/YYYY')).toBeNull();
+    expect(parseStatementDate('', 'DD/MM/YYYY')).toBeNull();
+    expect(parseStatementDate(undefined, 'DD/MM/YYYY')).toBeNull();
+  });
+});
+
+describe('parseStatementAmount', () => {
+  it('reads comma and dot decimal separators with thousands separators', () => {
+    expect(parseStatementAmount('-1.234,56', ',')).toBe(-1234.56);
+    expect(parseStatementAmount('1,234.56', '.')).toBe(1234.56);
+  });
+
+  it('ignores currency symbols and treats parentheses as negative', () => {
+    expect(parseStatementAmount('€ 12,50', ',')).toBe(12.5);
+    expect(parseStatementAmount('(12.00)', '.')).toBe(-12);
+  });
+
+  it('returns null for empty or invalid values', () => {
+    expect(parseStatementAmount('', ',')).toBeNull();
+    expect(parseStatementAmount('abc', ',')).toBeNull();
+    expect(parseStatementAmount('1-2', ',')).toBeNull();
+  });
+});
+
+describe('finalizeRow', () => {
+  it('rounds the amount and applies the default category', () => {
+    const row = finalizeRow(
+      { row: 2, date: '2024-01-31', description: 'Hotel', amount: 10.256, type: 'saida' },
+      { category_id: 'cat-1' }
+    );
+
+    expect(row).toMatchObject({ row: 2, amount: 10.26, category_id: 'cat-1', subcategory_id: null, errors: [] });
+  });
+
+  it('lists every validation error', () => {
+    const row = finalizeRow({ row: 3, date: null, description: 'x', amount: 0, type: null, errors: ['Missing FITID'] });
+
+    expect(row.errors).toEqual([
+      'Missing FITID',
+      'Invalid or missing date',
+      'Description must have at least 2 characters',
+      'Amount must be a non-zero number',
+      'Could not determine whether the line is entrada or saida'
+    ]);
+  });
+});
+
+describe('normalizeCsvStatement', () => {
+  const baseProfile = {
+    delimiter: ';',
+    has_header: true,
+    skip_rows: 0,
+    date_column: 'Data',
+    description_column: 'Descricao',
+    amount_column: 'Valor',
+    date_format: 'DD/MM/YYYY',
+    decimal_separator: ',',
+    sign_convention: 'signed',
+    default_category_id: 'cat-1'
+  };
+
+  it('maps columns by header name and signs to entrada/saida', () => {
+    const csv = 'Data;Descricao;Valor\n05/01/2024;Hotel Lisboa;-250,00\n06/01/2024;Cliente;1.000,00\n';
+    const rows = normalizeCsvStatement(csv, baseProfile);
+
+    expect(rows).toHaveLength(2);
+    expect(rows[0]).toMatchObject({
+      row: 2, date: '2024-01-05', description: 'Hotel Lisboa', amount: 250, type: 'saida', category_id: 'cat-1', errors: []
+    });
+    expect(rows[1]).toMatchObject({ row: 3, amount: 1000, type: 'entrada', errors: [] });
+  });
+
+  it('supports inverted signs', () => {
+    const rows = normalizeCsvStatement('Data;Descricao;Valor\n05/01/2024;Card fee;12,00\n', {
+      ...baseProfile,
+      sign_convention: 'inverted'
+    });
+
+    expect(rows[0]).toMatchObject({ amount: 12, type: 'saida' });
+  });
+
+  it('supports split debit and credit columns by index without a header', () => {
+    const rows = normalizeCsvStatement('2024-01-05,Fuel,40.00,\n2024-01-06,Refund,,15.50\n2024-01-07,Both,1.00,2.00\n', {
+      delimiter: ',',
+      has_header: false,
+      date_column: '0',
+      description_column: '1',
+      debit_column: '2',
+      credit_column: '3',
+      date_format: 'YYYY-MM-DD',
+      decimal_separator: '.',
+      sign_convention: 'split'
+    });
+
+    expect(rows[0]).toMatchObject({ row: 1, amount: 40, type: 'saida', errors: [] });
+    expect(rows[1]).toMatchObject({ row: 2, amount: 15.5, type: 'entrada', errors: [] });
+    expect(rows[2].errors).toContain('Line has both debit and credit amounts');
+  });
+
+  it('numbers rows after skipped lines and reports invalid ones', () => {
+    const rows = normalizeCsvStatement('Bank export\nData;Descricao;Valor\n31/02/2024;Hotel;-10,00\n', {
+      ...baseProfile,
+      skip_rows: 1
+    });
+
+    expect(rows[0].row).toBe(3);
+    expect(rows[0].errors).toContain('Invalid or missing date');
+  });
+});
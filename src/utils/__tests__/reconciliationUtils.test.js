@@ -0,0 +1,117 @@
+jest.mock('../../config/database', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn()
+}));
+
+const { executeQuery, executeTransaction } = require('../../config/database');
+const {
+  getMatchWindowDays,
+  descriptionSimilarity,
+  scoreMatch,
+  findMatches,
+  autoMatchReconciliation
+} = require('../reconciliationUtils');
+
+const line = (overrides = {}) => ({
+  id: 'line-1', date: '2024-03-10', description: 'Hotel Lisboa booking', amount: 250, type: 'saida', ...overrides
+});
+const transaction = (overrides = {}) => ({
+  id: 'txn-001', date: '2024-03-10', description: 'Hotel Lisboa booking', amount: 250, type: 'saida', ...overrides
+});
+
+afterEach(() => {
+  delete process.env.RECONCILIATION_DATE_WINDOW_DAYS;
+  delete process.env.RECONCILIATION_MIN_SCORE;
+  jest.resetAllMocks();
+});
+
+describe('getMatchWindowDays', () => {
+  it('defaults to 3 days and ignores invalid values', () => {
+    expect(getMatchWindowDays()).toBe(3);
+
+    process.env.RECONCILIATION_DATE_WINDOW_DAYS = '-1';
+    expect(getMatchWindowDays()).toBe(3);
+
+    process.env.RECONCILIATION_DATE_WINDOW_DAYS = '5';
+    expect(getMatchWindowDays()).toBe(5);
+  });
+});
+
+describe('descriptionSimilarity', () => {
+  it('compares words ignoring accents, punctuation and case', () => {
+    expect(descriptionSimilarity('Pagamento Hotel São João', 'pagamento hotel sao joao!')).toBe(1);
+    expect(descriptionSimilarity('Hotel Lisboa', 'Hotel Porto')).toBe(0.5);
+  });
+
+  it('returns 0 when either description has no words', () => {
+    expect(descriptionSimilarity('', 'Hotel')).toBe(0);
+    expect(descriptionSimilarity('-', 'Hotel')).toBe(0);
+  });
+});
+
+describe('scoreMatch', () => {
+  it('gives an identical entry the full score', () => {
+    expect(scoreMatch(line(), transaction(), 3)).toBe(1);
+  });
+
+  it('lowers the score with the date distance and description difference', () => {
+    expect(scoreMatch(line(), transaction({ date: '2024-03-12', description: 'Other' }), 3)).toBe(0.3);
+  });
+
+  it('requires the same type, the same amount to the cent and a date within the window', () => {
+    expect(scoreMatch(line(), transaction({ type: 'entrada' }), 3)).toBeNull();
+    expect(scoreMatch(line(), transaction({ amount: 250.01 }), 3)).toBeNull();
+    expect(scoreMatch(line(), transaction({ date: '2024-03-14' }), 3)).toBeNull();
+  });
+});
+
+describe('findMatches', () => {
+  it('pairs each line and transaction at most once, best score first', () => {
+    const lines = [line({ id: 'line-1' }), line({ id: 'line-2', date: '2024-03-11', description: 'Card' })];
+    const transactions = [
+      transaction({ id: 'txn-001', date: '2024-03-11', description: 'Card' }),
+      transaction({ id: 'txn-002' })
+    ];
+
+    expect(findMatches(lines, transactions, 0.5)).toEqual([
+      { line_id: 'line-1', transaction_id: 'txn-002', score: 1 },
+      { line_id: 'line-2', transaction_id: 'txn-001', score: 1 }
+    ]);
+  });
+
+  it('drops candidates below the minimum score', () => {
+    expect(findMatches([line()], [transaction({ date: '2024-03-12', description: 'Other' })], 0.5)).toEqual([]);
+  });
+});
+
+describe('autoMatchReconciliation', () => {
+  const reconciliation = { id: 'rec-1', account_id: 'acc-1', period_start: '2024-03-01', period_end: '2024-03-31' };
+
+  it('stores the suggestions and returns how many were found', async () => {
+    executeQuery.mockResolvedValueOnce([line()]).mockResolvedValueOnce([transaction()]);
+    executeTransaction.mockResolvedValue([]);
+
+    await expect(autoMatchReconciliation(reconciliation)).resolves.toBe(1);
+    expect(executeTransaction).toHaveBeenCalledWith([
+      expect.objectContaining({ params: [1, 'txn-001', 'line-1'] })
+    ]);
+  });
+
+  it('skips the transaction lookup when every line is matched', async () => {
+    executeQuery.mockResolvedValueOnce([]);
+
+    await expect(autoMatchReconciliation(reconciliation)).resolves.toBe(0);
+    expect(executeQuery).toHaveBeenCalledTimes(1);
+    expect(executeTransaction).not.toHaveBeenCalled();
+  });
+
+  it('reports a transaction matched concurrently as a conflict', async () => {
+    executeQuery.mockResolvedValueOnce([line()]).mockResolvedValueOnce([transaction()]);
+    executeTransaction.mockRejectedValue(Object.assign(new Error('Duplicate entry'), { code: 'ER_DUP_ENTRY' }));
+
+    await expect(autoMatchReconciliation(reconciliation)).rejects.toMatchObject({
+      statusCode: 409,
+      code: 'RECONCILIATION_CONFLICT'
+    });
+  });
+});
@@ -0,0 +1,63 @@
+const {
+  occurrenceAt,
+  listOccurrences,
+  getNextOccurrence
+} = require('../recurrenceUtils');
+
+describe('occurrenceAt', () => {
+  it('steps daily and weekly rules by their interval', () => {
+    expect(occurrenceAt({ frequency: 'daily', interval_count: 3, start_date: '2024-01-30' }, 1)).toBe('2024-02-02');
+    expect(occurrenceAt({ frequency: 'weekly', interval_count: 2, start_date: '2024-01-01' }, 2)).toBe('2024-01-29');
+  });
+
+  it('clamps monthly rules to the last day of shorter months', () => {
+    const rule = { frequency: 'monthly', start_date: '2024-01-31' };
+
+    expect(occurrenceAt(rule, 1)).toBe('2024-02-29');
+    expect(occurrenceAt(rule, 2)).toBe('2024-03-31');
+    expect(occurrenceAt(rule, 3)).toBe('2024-04-30');
+  });
+
+  it('starts monthly rules next month when the day already passed', () => {
+    const rule = { frequency: 'monthly', day_of_month: 5, start_date: '2024-11-20' };
+
+    expect(occurrenceAt(rule, 0)).toBe('2024-12-05');
+    expect(occurrenceAt(rule, 1)).toBe('2025-01-05');
+  });
+
+  it('keeps 29 February on the last day of February in common years', () => {
+    expect(occurrenceAt({ frequency: 'yearly', start_date: '2024-02-29' }, 1)).toBe('2025-02-28');
+  });
+
+  it('rejects unknown frequencies', () => {
+    expect(() => occurrenceAt({ frequency: 'hourly', start_date: '2024-01-01' }, 0)).toThrow('Unknown frequency: hourly');
+  });
+});
+
+describe('listOccurrences', () => {
+  const rule = { frequency: 'monthly', start_date: '2024-01-15' };
+
+  it('lists dates after the exclusive start and up to the inclusive end of the range', () => {
+    expect(listOccurrences(rule, { after: '2024-01-15', until: '2024-04-15' }))
+      .toEqual(['2024-02-15', '2024-03-15', '2024-04-15']);
+  });
+
+  it('stops at the end date, the occurrence cap and the limit', () => {
+    expect(listOccurrences({ ...rule, end_date: '2024-03-01' }, { until: '2024-12-31' })).toEqual(['2024-01-15', '2024-02-15']);
+    expect(listOccurrences({ ...rule, max_occurrences: 2 }, { until: '2024-12-31' })).toEqual(['2024-01-15', '2024-02-15']);
+    expect(listOccurrences(rule, { limit: 1 })).toEqual(['2024-01-15']);
+  });
+});
+
+describe('getNextOccurrence', () => {
+  it('returns the first date not generated yet', () => {
+    expect(getNextOccurrence({ frequency: 'weekly', start_date: '2024-01-01', last_generated_date: '2024-01-08' }))
+      .toBe('2024-01-15');
+  });
+
+  it('returns null once the rule has ended', () => {
+    expect(getNextOccurrence({
+      frequency: 'daily', start_date: '2024-01-01', max_occurrences: 2, last_generated_date: '2024-01-02'
+    })).toBeNull();
+  });
+});
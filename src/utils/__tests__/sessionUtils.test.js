@@ -0,0 +1,88 @@
+jest.mock('../../config/database', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn()
+}));
+
+const jwt = require('jsonwebtoken');
+const { executeQuery, executeTransaction } = require('../../config/database');
+const { createSession, rotateRefreshToken } = require('../sessionUtils');
+
+const decoded = { userId: 'user-1', sid: 'session-1', jti: 'token-1', org: 'org-1' };
+const storedToken = (overrides = {}) => ({
+  id: 'token-1', user_id: 'user-1', family_id: 'session-1', revoked_at: null, ...overrides
+});
+
+// Consultas que revogam a família inteira da sessão
+const familyRevocations = () => executeQuery.mock.calls.filter(([query]) => query.includes('WHERE family_id = ?'));
+
+beforeAll(() => {
+  process.env.JWT_SECRET = 'test-secret';
+});
+
+afterEach(() => {
+  jest.resetAllMocks();
+});
+
+describe('createSession', () => {
+  it('stores the refresh token under a new session', async () => {
+    executeQuery.mockResolvedValue([]);
+
+    const { token, refreshToken, sessionId } = await createSession('user-1', 'org-1', { ip: '10.0.0.1' });
+
+    expect(jwt.verify(token, 'test-secret')).toMatchObject({ userId: 'user-1', type: 'access', sid: sessionId, org: 'org-1' });
+    const refresh = jwt.verify(refreshToken, 'test-secret');
+    expect(refresh).toMatchObject({ userId: 'user-1', type: 'refresh', sid: sessionId });
+
+    const [query, params] = executeQuery.mock.calls[1];
+    expect(query).toContain('INSERT INTO refresh_tokens');
+    expect(params).toEqual([refresh.jti, 'user-1', sessionId, refresh.exp, '10.0.0.1', null]);
+  });
+});
+
+describe('rotateRefreshToken', () => {
+  it('revokes the used token and issues a new one in the same session', async () => {
+    executeQuery.mockResolvedValueOnce([storedToken()]);
+    executeTransaction.mockResolvedValue([{ affectedRows: 1 }, { affectedRows: 1 }]);
+
+    const { refreshToken } = await rotateRefreshToken(decoded);
+
+    const refresh = jwt.verify(refreshToken, 'test-secret');
+    expect(refresh).toMatchObject({ userId: 'user-1', sid: 'session-1', org: 'org-1' });
+    expect(refresh.jti).not.toBe('token-1');
+
+    const [revoke, insert] = executeTransaction.mock.calls[0][0];
+    expect(revoke.params).toEqual([refresh.jti, 'token-1']);
+    expect(insert.params.slice(0, 3)).toEqual([refresh.jti, 'user-1', 'session-1']);
+    expect(familyRevocations()).toHaveLength(0);
+  });
+
+  it('revokes the whole session when a rotated token is reused', async () => {
+    executeQuery.mockResolvedValueOnce([storedToken({ revoked_at: new Date() })]).mockResolvedValueOnce({});
+
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+    expect(executeTransaction).not.toHaveBeenCalled();
+    expect(familyRevocations()).toEqual([[expect.any(String), ['reuse_detected', 'session-1']]]);
+  });
+
+  it('revokes the whole session when the token is rotated concurrently', async () => {
+    executeQuery.mockResolvedValueOnce([storedToken()]).mockResolvedValueOnce({});
+    executeTransaction.mockResolvedValue([{ affectedRows: 0 }, { affectedRows: 1 }]);
+
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ statusCode: 401, code: 'REFRESH_TOKEN_REUSED' });
+    expect(familyRevocations()).toEqual([[expect.any(String), ['reuse_detected', 'session-1']]]);
+  });
+
+  it('rejects unknown tokens and tokens from another session or user', async () => {
+    executeQuery.mockResolvedValueOnce([]);
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    executeQuery.mockResolvedValueOnce([storedToken({ family_id: 'session-2' })]);
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    executeQuery.mockResolvedValueOnce([storedToken({ user_id: 'user-2' })]);
+    await expect(rotateRefreshToken(decoded)).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+
+    await expect(rotateRefreshToken({ userId: 'user-1' })).rejects.toMatchObject({ code: 'INVALID_REFRESH_TOKEN' });
+    expect(familyRevocations()).toHaveLength(0);
+  });
+});
@@ -0,0 +1,130 @@
+const { parseOfxStatement, parseCamtStatement } = require('../statementParsers');
+
+describe('parseOfxStatement', () => {
+  const ofx = `OFXHEADER:100
+DATA:OFXSGML
+
+<OFX>
+<BANKMSGSRSV1><STMTTRNRS><STMTRS>
+<CURDEF>eur
+<BANKACCTFROM><BANKID>0033<ACCTID>123456</BANKACCTFROM>
+<BANKTRANLIST>
+<STMTTRN>
+<TRNTYPE>DEBIT
+<DTPOSTED>20240105120000[0:GMT]
+<TRNAMT>-250,00
+<FITID>F1
+<NAME>Hotel Lisboa
+<MEMO>Booking &amp; taxes
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CREDIT
+<DTPOSTED>20240106
+<TRNAMT>1000.50
+<FITID>F2
+<NAME>Client payment
+<MEMO>Client payment
+</STMTTRN>
+<STMTTRN>
+<DTPOSTED>20240107
+<TRNAMT>5.00
+<NAME>No id
+</STMTTRN>
+</BANKTRANLIST>
+</STMTRS></STMTTRNRS></BANKMSGSRSV1>
+</OFX>`;
+
+  it('reads the account and normalizes each transaction', () => {
+    const { account, rows } = parseOfxStatement(ofx, { category_id: 'cat-1' });
+
+    expect(account).toBe('0033:123456');
+    expect(rows).toHaveLength(3);
+    expect(rows[0]).toMatchObject({
+      row: 1,
+      external_source: 'ofx:0033:123456',
+      external_id: 'F1',
+      currency: 'EUR',
+      date: '2024-01-05',
+      description: 'Hotel Lisboa - Booking & taxes',
+      amount: 250,
+      type: 'saida',
+      category_id: 'cat-1',
+      errors: []
+    });
+    expect(rows[1]).toMatchObject({ description: 'Client payment', amount: 1000.5, type: 'entrada', errors: [] });
+  });
+
+  it('flags transactions without a FITID', () => {
+    const { rows } = parseOfxStatement(ofx);
+
+    expect(rows[2].errors).toEqual(['Missing FITID']);
+  });
+
+  it('falls back to an unknown account', () => {
+    expect(parseOfxStatement('<OFX></OFX>')).toEqual({ account: 'unknown', rows: [] });
+  });
+});
+
+describe('parseCamtStatement', () => {
+  const camt = `<?xml version="1.0" encoding="UTF-8"?>
+<Document xmlns="urn:iso:std:iso:20022:tech:xsd:camt.053.001.02">
+  <BkToCstmrStmt>
+    <Stmt>
+      <Acct><Id><IBAN>PT50000201231234567890154</IBAN></Id></Acct>
+      <Ntry>
+        <Amt Ccy="EUR">120.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <Sts>BOOK</Sts>
+        <BookgDt><Dt>2024-02-01</Dt></BookgDt>
+        <AcctSvcrRef>REF-1</AcctSvcrRef>
+        <NtryDtls><TxDtls><RmtInf><Ustrd>Fuel</Ustrd><Ustrd>station 12</Ustrd></RmtInf></TxDtls></NtryDtls>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="usd">80.00</Amt>
+        <CdtDbtInd>DBIT</CdtDbtInd>
+        <RvslInd>true</RvslInd>
+        <Sts><Cd>BOOK</Cd></Sts>
+        <BookgDt><DtTm>2024-02-02T10:00:00</DtTm></BookgDt>
+        <AcctSvcrRef>REF-2</AcctSvcrRef>
+        <AddtlNtryInf>Card refund</AddtlNtryInf>
+      </Ntry>
+      <Ntry>
+        <Amt Ccy="EUR">10.00</Amt>
+        <CdtDbtInd>CRDT</CdtDbtInd>
+        <Sts>PDNG</Sts>
+        <BookgDt><Dt>2024-02-03</Dt></BookgDt>
+        <AddtlNtryInf>Pending transfer</AddtlNtryInf>
+      </Ntry>
+    </Stmt>
+  </BkToCstmrStmt>
+</Document>`;
+
+  it('reads booked entries with their IBAN, currency and description', () => {
+    const { account, rows } = parseCamtStatement(camt);
+
+    expect(account).toBe('PT50000201231234567890154');
+    expect(rows[0]).toMatchObject({
+      row: 1,
+      external_source: 'camt053:PT50000201231234567890154',
+      external_id: 'REF-1',
+      currency: 'EUR',
+      date: '2024-02-01',
+      description: 'Fuel station 12',
+      amount: 120,
+      type: 'saida',
+      errors: []
+    });
+  });
+
+  it('flips the direction of reversals', () => {
+    const { rows } = parseCamtStatement(camt);
+
+    expect(rows[1]).toMatchObject({ currency: 'USD', date: '2024-02-02', description: 'Card refund', type: 'entrada', errors: [] });
+  });
+
+  it('rejects entries that are not booked or have no reference', () => {
+    const { rows } = parseCamtStatement(camt);
+
+    expect(rows[2].errors).toEqual(['Missing AcctSvcrRef', 'Entry status PDNG is not booked']);
+  });
+});
@@ -0,0 +1,95 @@
+jest.mock('../../config/database', () => ({
+  executeQuery: jest.fn(),
+  executeTransaction: jest.fn()
+}));
+
+const {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  findTotpStep,
+  hashRecoveryCode
+} = require('../twoFactorUtils');
+
+// Segredo dos vetores de teste da RFC 6238 (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+  it('encodes the RFC 4648 test vectors without padding', () => {
+    expect(base32Encode(Buffer.from(''))).toBe('');
+    expect(base32Encode(Buffer.from('f'))).toBe('MY');
+    expect(base32Encode(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+  });
+
+  it('decodes ignoring case, spaces and padding', () => {
+    expect(base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+  });
+
+  it('round-trips random secrets', () => {
+    const bytes = Buffer.from([0, 1, 127, 128, 254, 255, 42, 7, 99, 200]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('rejects characters outside the alphabet', () => {
+    expect(() => base32Decode('MZXW1')).toThrow('Invalid base32 character');
+  });
+});
+
+describe('generateTotp', () => {
+  it.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037']
+  ])('matches the RFC 6238 code at %i seconds', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, Math.floor(seconds / 30))).toBe(code);
+  });
+});
+
+describe('findTotpStep', () => {
+  const now = 1111111109 * 1000;
+  const currentStep = Math.floor(1111111109 / 30);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts the current code and returns its step', () => {
+    expect(findTotpStep(RFC_SECRET, '081804')).toBe(currentStep);
+  });
+
+  it('tolerates one step of clock drift and spaces in the code', () => {
+    const previous = generateTotp(RFC_SECRET, currentStep - 1);
+    const next = generateTotp(RFC_SECRET, currentStep + 1);
+
+    expect(findTotpStep(RFC_SECRET, `${previous.slice(0, 3)} ${previous.slice(3)}`)).toBe(currentStep - 1);
+    expect(findTotpStep(RFC_SECRET, next)).toBe(currentStep + 1);
+  });
+
+  it('rejects codes outside the window', () => {
+    expect(findTotpStep(RFC_SECRET, generateTotp(RFC_SECRET, currentStep - 2))).toBeNull();
+  });
+
+  it('rejects a code already used in the same or a later step', () => {
+    expect(findTotpStep(RFC_SECRET, '081804', currentStep)).toBeNull();
+    expect(findTotpStep(RFC_SECRET, '081804', currentStep - 1)).toBe(currentStep);
+  });
+
+  it('rejects malformed codes', () => {
+    expect(findTotpStep(RFC_SECRET, '')).toBeNull();
+    expect(findTotpStep(RFC_SECRET, '12345')).toBeNull();
+    expect(findTotpStep(RFC_SECRET, 'abcdef')).toBeNull();
+  });
+});
+
+describe('hashRecoveryCode', () => {
+  it('ignores hyphens, spaces and case', () => {
+    expect(hashRecoveryCode('ABCD-EF12')).toBe(hashRecoveryCode('abcd ef12'));
+    expect(hashRecoveryCode('abcd-ef12')).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
@@ -0,0 +1,94 @@
+// Utilitários de contas financeiras
+// Resolução da conta de um lançamento e cálculo de saldos
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { balanceTransactionCondition } = require('./transactionUtils');
+
+const ACCOUNT_TYPES = ['cash', 'bank', 'mobile_money'];
+
+/**
+ * Busca a conta informada ou, sem ID, a conta padrão da organização
+ * @param {string|null} accountId - ID da conta (opcional)
+ * @param {string} organizationId - ID da organização
+ * @param {Object} options - { requireActive } exige conta ativa (padrão: true)
+ * @returns {Promise<Object>} Conta
+ * @throws {AppError} Se a conta não existir ou estiver inativa
+ */
+const resolveAccount = async (accountId, organizationId, { requireActive = true } = {}) => {
+  const accounts = accountId
+    ? await executeQuery('SELECT * FROM accounts WHERE id = ? AND organization_id = ?', [accountId, organizationId])
+    : await executeQuery('SELECT * FROM accounts WHERE is_default = 1 AND organization_id = ? LIMIT 1', [organizationId]);
+
+  if (accounts.length === 0) {
+    throw new AppError(
+      accountId ? 'Account not found' : 'No default account configured',
+      404,
+      'ACCOUNT_NOT_FOUND'
+    );
+  }
+
+  if (requireActive && !accounts[0].active) {
+    throw new AppError('Account is inactive', 409, 'ACCOUNT_INACTIVE');
+  }
+
+  return accounts[0];
+};
+
+/**
+ * Garante que a moeda do lançamento é a moeda da conta e a retorna
+ * @param {Object} account - Conta
+ * @param {string} currency - Moeda informada (opcional)
+ * @returns {string} Moeda do lançamento
+ * @throws {AppError} Se a moeda diferir da moeda da conta
+ */
+const resolveAccountCurrency = (account, currency) => {
+  const code = (currency || account.currency).toUpperCase();
+
+  if (code !== account.currency) {
+    throw new AppError(
+      `Account ${account.name} only holds ${account.currency}`,
+      400,
+      'ACCOUNT_CURRENCY_MISMATCH',
+      { account_currency: account.currency, currency: code }
+    );
+  }
+
+  return code;
+};
+
+/**
+ * Calcula o saldo de uma conta ao final de uma data, na moeda da conta
+ * Estornos e lançamentos estornados contam ambos, pois se anulam a partir da data do estorno.
+ * @param {Object} account - Conta
+ * @param {string} date - Data de referência (YYYY-MM-DD)
+ * @returns {Promise<Object>} { opening_balance, income, expenses, balance }
+ */
+const getAccountBalance = async (account, date) => {
+  const totals = await executeQuery(
+    `SELECT
+      COALESCE(SUM(CASE WHEN t.type = 'entrada' THEN t.amount ELSE 0 END), 0) as income,
+      COALESCE(SUM(CASE WHEN t.type = 'saida' THEN t.amount ELSE 0 END), 0) as expenses
+     FROM transactions t
+     WHERE t.account_id = ? AND t.date <= ? AND ${balanceTransactionCondition()}`,
+    [account.id, date]
+  );
+
+  const openingBalance = Number(account.opening_balance);
+  const income = Number(totals[0].income);
+  const expenses = Number(totals[0].expenses);
+
+  return {
+    opening_balance: openingBalance,
+    income,
+    expenses,
+    balance: Math.round((openingBalance + income - expenses) * 100) / 100
+  };
+};
+
+module.exports = {
+  ACCOUNT_TYPES,
+  resolveAccount,
+  resolveAccountCurrency,
+  getAccountBalance
+};
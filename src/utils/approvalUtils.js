@@ -0,0 +1,89 @@
+// Utilitários de aprovação de despesas
+// Despesas acima do limite (global ou da categoria) aguardam a aprovação de quem pode aprovar
+
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery } = require('../config/database');
+const { hasPermission } = require('./authUtils');
+const { getRolePermissions } = require('./permissionUtils');
+
+/**
+ * Retorna o limite de aprovação aplicável, na moeda base
+ * O limite da categoria tem prioridade sobre o APPROVAL_THRESHOLD global.
+ * @param {string} categoryId - ID da categoria da despesa (opcional)
+ * @returns {Promise<number|null>} Limite, ou null se não houver limite configurado
+ */
+const getApprovalThreshold = async (categoryId) => {
+  if (categoryId) {
+    const categories = await executeQuery('SELECT approval_threshold FROM categories WHERE id = ?', [categoryId]);
+    if (categories.length > 0 && categories[0].approval_threshold !== null) {
+      return Number(categories[0].approval_threshold);
+    }
+  }
+
+  const threshold = parseFloat(process.env.APPROVAL_THRESHOLD);
+  return Number.isNaN(threshold) ? null : threshold;
+};
+
+/**
+ * Verifica se uma despesa lançada pelo usuário precisa de aprovação
+ * Quem aprova despesas (approvals:manage) não passa pela fila.
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @param {Object} expense - { type, base_amount, category_id }
+ * @returns {Promise<number|null>} Limite ultrapassado, ou null se a aprovação não for necessária
+ */
+const getRequiredApproval = async (user, { type, base_amount, category_id }) => {
+  if (hasPermission(user, 'approvals:manage') || type !== 'saida') {
+    return null;
+  }
+
+  const threshold = await getApprovalThreshold(category_id);
+  return threshold !== null && Number(base_amount) > threshold ? threshold : null;
+};
+
+/**
+ * Monta o usuário usado na verificação de aprovação de lançamentos automáticos
+ * Os lançamentos de um modelo recorrente são do autor do modelo; sem autor, sempre respeitam o limite.
+ * @param {string|null} profileId - ID do autor
+ * @returns {Promise<Object>} { id, permissions }
+ */
+const getApprovalUser = async (profileId) => {
+  const profiles = profileId
+    ? await executeQuery('SELECT id, role FROM profiles WHERE id = ?', [profileId])
+    : [];
+
+  if (profiles.length === 0) {
+    return { id: null, permissions: [] };
+  }
+
+  return { id: profiles[0].id, permissions: await getRolePermissions(profiles[0].role) };
+};
+
+/**
+ * Abre um pedido de aprovação para a transação (já gravada como pending_approval)
+ * Um pedido ainda pendente da mesma transação é substituído pelo novo.
+ * @param {string} transactionId - ID da transação
+ * @param {Object} request - { threshold, baseAmount, requestedBy }
+ * @returns {Promise<string>} ID do pedido
+ */
+const requestApproval = async (transactionId, { threshold, baseAmount, requestedBy }) => {
+  await executeQuery(
+    "DELETE FROM transaction_approvals WHERE transaction_id = ? AND status = 'pending'",
+    [transactionId]
+  );
+
+  const approvalId = uuidv4();
+  await executeQuery(
+    `INSERT INTO transaction_approvals (id, transaction_id, threshold, base_amount, requested_by)
+     VALUES (?, ?, ?, ?, ?)`,
+    [approvalId, transactionId, threshold, baseAmount, requestedBy]
+  );
+
+  return approvalId;
+};
+
+module.exports = {
+  getApprovalThreshold,
+  getRequiredApproval,
+  getApprovalUser,
+  requestApproval
+};
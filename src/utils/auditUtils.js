@@ -0,0 +1,63 @@
+// Utilitários de auditoria
+// Registra quem alterou o quê, com o estado anterior e posterior de cada recurso
+
+const { executeQuery } = require('../config/database');
+
+// Campos que nunca devem ser gravados no log de auditoria
+const SENSITIVE_FIELDS = ['password', 'password_hash', 'newPassword', 'currentPassword', 'confirmPassword'];
+
+/**
+ * Remove campos sensíveis de um snapshot
+ * @param {Object|null} data - Dados do recurso
+ * @returns {Object|null} Dados sem campos sensíveis
+ */
+const sanitizeSnapshot = (data) => {
+  if (!data) {
+    return null;
+  }
+
+  const snapshot = { ...data };
+  SENSITIVE_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * Registra uma entrada no log de auditoria. Falhas são apenas logadas para
+ * não desfazer uma alteração que já foi gravada.
+ * @param {Object} req - Request object do Express (fornece usuário, organização e IP); os jobs
+ *   passam { user: null, ip: null, organizationId } com a organização do registro processado
+ * @param {Object} entry - Dados da entrada
+ * @param {string} entry.action - Ação executada (ex.: 'create', 'update', 'delete')
+ * @param {string} entry.entity - Tipo do recurso (ex.: 'transaction')
+ * @param {string} entry.entityId - ID do recurso
+ * @param {Object} entry.before - Estado anterior do recurso
+ * @param {Object} entry.after - Estado posterior do recurso
+ * @returns {Promise<void>}
+ */
+const recordAudit = async (req, { action, entity, entityId = null, before = null, after = null }) => {
+  try {
+    const beforeData = sanitizeSnapshot(before);
+    const afterData = sanitizeSnapshot(after);
+
+    await executeQuery(
+      `INSERT INTO audit_log (organization_id, actor_id, action, entity, entity_id, before_data, after_data, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        req.user ? req.user.organizationId : (req.organizationId || null),
+        req.user ? req.user.id : null,
+        action,
+        entity,
+        entityId,
+        beforeData ? JSON.stringify(beforeData) : null,
+        afterData ? JSON.stringify(afterData) : null,
+        req.ip || null
+      ]
+    );
+  } catch (error) {
+    console.error('Failed to record audit entry:', error.message);
+  }
+};
+
+module.exports = {
+  recordAudit
+};
@@ -8,33 +8,69 @@ const bcrypt = require('bcrypt');
  * Gera token JWT
  * @param {string} userId - ID do usuário
  * @param {string} type - Tipo do token ('access' ou 'refresh')
+ * @param {Object} options - Opções adicionais
+ * @param {string} options.sessionId - ID da sessão (família de refresh tokens)
+ * @param {string} options.tokenId - ID único do token (jti)
+ * @param {string} options.organizationId - ID da organização de trabalho
  * @returns {string} Token JWT
  */
-const generateToken = (userId, type = 'access') => {
+const generateToken = (userId, type = 'access', { sessionId, tokenId, organizationId } = {}) => {
   const payload = { userId, type };
+  if (sessionId) {
+    payload.sid = sessionId;
+  }
+  if (organizationId) {
+    payload.org = organizationId;
+  }
+
   const expiresIn = type === 'refresh' 
     ? process.env.JWT_REFRESH_EXPIRES_IN || '7d'
     : process.env.JWT_EXPIRES_IN || '24h';
 
-  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn });
+  const signOptions = { expiresIn };
+  if (tokenId) {
+    signOptions.jwtid = tokenId;
+  }
+
+  return jwt.sign(payload, process.env.JWT_SECRET, signOptions);
 };
 
 /**
  * Gera token de acesso
  * @param {string} userId - ID do usuário
+ * @param {string} sessionId - ID da sessão
+ * @param {string} organizationId - ID da organização de trabalho
  * @returns {string} Token de acesso
  */
-const generateAccessToken = (userId) => {
-  return generateToken(userId, 'access');
+const generateAccessToken = (userId, sessionId, organizationId) => {
+  return generateToken(userId, 'access', { sessionId, organizationId });
 };
 
 /**
  * Gera token de refresh
  * @param {string} userId - ID do usuário
+ * @param {string} sessionId - ID da sessão
+ * @param {string} tokenId - ID único do token (jti)
+ * @param {string} organizationId - ID da organização de trabalho
  * @returns {string} Token de refresh
  */
-const generateRefreshToken = (userId) => {
-  return generateToken(userId, 'refresh');
+const generateRefreshToken = (userId, sessionId, tokenId, organizationId) => {
+  return generateToken(userId, 'refresh', { sessionId, tokenId, organizationId });
+};
+
+/**
+ * Gera o token de desafio do login em dois fatores
+ * Vale poucos minutos e só serve para concluir o login (não é aceito como token de acesso).
+ * @param {string} userId - ID do usuário que já confirmou a senha
+ * @param {string} purpose - 'verify' (informar o código) ou 'setup' (cadastrar o autenticador obrigatório)
+ * @returns {string} Token de desafio
+ */
+const generateTwoFactorChallengeToken = (userId, purpose) => {
+  return jwt.sign(
+    { userId, type: 'two_factor', purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || '5m' }
+  );
 };
 
 /**
@@ -58,36 +94,17 @@ const verifyPassword = async (password, hash) => {
 };
 
 /**
- * Verifica se o usuário tem permissão para acessar um recurso
- * @param {Object} user - Objeto do usuário
- * @param {Array|string} allowedRoles - Roles permitidos
- * @returns {boolean} True se o usuário tem permissão
+ * Verifica se o papel do usuário concede uma permissão
+ * @param {Object} user - Objeto do usuário (req.user, com as permissões do papel)
+ * @param {string} permission - Permissão no formato recurso:ação (ex.: 'transactions:delete')
+ * @returns {boolean} True se o usuário tem a permissão
  */
-const hasPermission = (user, allowedRoles) => {
-  if (!user || !user.role) {
+const hasPermission = (user, permission) => {
+  if (!user || !Array.isArray(user.permissions)) {
     return false;
   }
 
-  const roles = Array.isArray(allowedRoles) ? allowedRoles : [allowedRoles];
-  return roles.includes(user.role);
-};
-
-/**
- * Verifica se o usuário é administrador
- * @param {Object} user - Objeto do usuário
- * @returns {boolean} True se é administrador
- */
-const isAdmin = (user) => {
-  return hasPermission(user, 'administrador');
-};
-
-/**
- * Verifica se o usuário é administrador ou gerente
- * @param {Object} user - Objeto do usuário
- * @returns {boolean} True se é administrador ou gerente
- */
-const isAdminOrManager = (user) => {
-  return hasPermission(user, ['administrador', 'gerente']);
+  return user.permissions.includes(permission);
 };
 
 /**
@@ -104,10 +121,9 @@ module.exports = {
   generateToken,
   generateAccessToken,
   generateRefreshToken,
+  generateTwoFactorChallengeToken,
   hashPassword,
   verifyPassword,
   hasPermission,
-  isAdmin,
-  isAdminOrManager,
   formatUserResponse
 };
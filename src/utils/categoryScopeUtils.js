@@ -0,0 +1,81 @@
+// Utilitários de escopo por categoria
+// Usuários com categorias atribuídas só veem e lançam transações nessas categorias
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { ADMIN_ROLE } = require('./permissionUtils');
+
+/**
+ * Busca as categorias atribuídas a um usuário
+ * @param {string} profileId - ID do usuário
+ * @returns {Promise<Array<string>>} IDs das categorias
+ */
+const getAssignedCategoryIds = async (profileId) => {
+  const rows = await executeQuery(
+    'SELECT category_id FROM profile_categories WHERE profile_id = ? ORDER BY category_id ASC',
+    [profileId]
+  );
+
+  return rows.map(row => row.category_id);
+};
+
+/**
+ * Retorna o escopo de categorias do usuário autenticado
+ * Administradores e usuários sem categorias atribuídas não têm restrição.
+ * O resultado fica guardado em req.user durante a requisição.
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @returns {Promise<Array<string>|null>} IDs das categorias permitidas, ou null se não houver restrição
+ */
+const getCategoryScope = async (user) => {
+  if (user.categoryScope === undefined) {
+    const categoryIds = user.role === ADMIN_ROLE ? [] : await getAssignedCategoryIds(user.id);
+    user.categoryScope = categoryIds.length > 0 ? categoryIds : null;
+  }
+
+  return user.categoryScope;
+};
+
+/**
+ * Monta a condição SQL que limita a coluna às categorias do escopo
+ * @param {Array<string>|null} scope - Escopo retornado por getCategoryScope
+ * @param {string} column - Coluna da categoria (ex.: 't.category_id')
+ * @returns {Object} { condition, params } (condição vazia se não houver restrição)
+ */
+const buildCategoryScopeCondition = (scope, column) => {
+  if (!scope) {
+    return { condition: '', params: [] };
+  }
+
+  return {
+    condition: `${column} IN (${scope.map(() => '?').join(', ')})`,
+    params: [...scope]
+  };
+};
+
+/**
+ * Garante que o usuário pode lançar ou alterar transações na categoria
+ * Transações sem categoria ficam fora do escopo de usuários restritos.
+ * @param {Object} user - Usuário autenticado (req.user)
+ * @param {string} categoryId - ID da categoria (opcional)
+ * @returns {Promise<void>}
+ * @throws {AppError} Se a categoria estiver fora do escopo do usuário
+ */
+const assertCategoryInScope = async (user, categoryId) => {
+  const scope = await getCategoryScope(user);
+
+  if (scope && !scope.includes(categoryId)) {
+    throw new AppError(
+      categoryId ? 'Category is outside your assigned categories' : 'A category from your assigned categories is required',
+      403,
+      'CATEGORY_OUT_OF_SCOPE',
+      { category_id: categoryId || null, allowed_category_ids: scope }
+    );
+  }
+};
+
+module.exports = {
+  getAssignedCategoryIds,
+  getCategoryScope,
+  buildCategoryScopeCondition,
+  assertCategoryInScope
+};
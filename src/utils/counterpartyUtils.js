@@ -0,0 +1,136 @@
+// Utilitários de contrapartes (clientes e fornecedores)
+// Validação do vínculo com lançamentos e extrato com totais acumulados
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { balanceTransactionCondition } = require('./transactionUtils');
+const { TRANSACTION_WITH_RELATIONS_QUERY } = require('./queryUtils');
+const { buildCategoryScopeCondition } = require('./categoryScopeUtils');
+
+const COUNTERPARTY_TYPES = ['client', 'supplier', 'both'];
+
+/**
+ * Garante que a contraparte existe na organização (quando informada)
+ * @param {string} counterpartyId - ID da contraparte
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<void>}
+ * @throws {AppError} Se a contraparte não existir
+ */
+const assertCounterpartyExists = async (counterpartyId, organizationId) => {
+  if (!counterpartyId) {
+    return;
+  }
+
+  const counterparties = await executeQuery(
+    'SELECT id FROM counterparties WHERE id = ? AND organization_id = ?',
+    [counterpartyId, organizationId]
+  );
+  if (counterparties.length === 0) {
+    throw new AppError('Counterparty not found', 404, 'COUNTERPARTY_NOT_FOUND');
+  }
+};
+
+/**
+ * Busca a contraparte e garante que ela atua no papel esperado
+ * @param {string} counterpartyId - ID da contraparte
+ * @param {string} role - Papel exigido ('client' ou 'supplier'); 'both' atende a qualquer um
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<Object>} Contraparte
+ * @throws {AppError} Se a contraparte não existir ou não atuar no papel
+ */
+const resolveCounterparty = async (counterpartyId, role, organizationId) => {
+  const counterparties = await executeQuery(
+    'SELECT * FROM counterparties WHERE id = ? AND organization_id = ?',
+    [counterpartyId, organizationId]
+  );
+
+  if (counterparties.length === 0) {
+    throw new AppError('Counterparty not found', 404, 'COUNTERPARTY_NOT_FOUND');
+  }
+
+  const counterparty = counterparties[0];
+  if (counterparty.type !== role && counterparty.type !== 'both') {
+    throw new AppError(`${counterparty.name} is not registered as a ${role}`, 400, 'COUNTERPARTY_ROLE_MISMATCH');
+  }
+
+  return counterparty;
+};
+
+/**
+ * Monta o extrato de uma contraparte no período, com totais acumulados na moeda base
+ * Estornos e lançamentos estornados aparecem ambos, pois se anulam no acumulado.
+ * @param {Object} counterparty - Contraparte ({ id, organization_id })
+ * @param {Object} options - { startDate, endDate, categoryScope } (opcionais)
+ * @param {Array<string>|null} options.categoryScope - Categorias permitidas (null = todas)
+ * @returns {Promise<Object>} { opening, closing, transactions } com received, paid e net
+ */
+const getCounterpartyStatement = async (counterparty, { startDate, endDate, categoryScope = null } = {}) => {
+  const totals = row => ({
+    received: Number(row.received),
+    paid: Number(row.paid),
+    net: Math.round((Number(row.received) - Number(row.paid)) * 100) / 100
+  });
+
+  const scope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+  const scopeFilter = scope.condition ? ` AND ${scope.condition}` : '';
+
+  // Totals carried over from before the period
+  const opening = startDate
+    ? (await executeQuery(
+      `SELECT
+        COALESCE(SUM(CASE WHEN t.type = 'entrada' THEN t.base_amount ELSE 0 END), 0) as received,
+        COALESCE(SUM(CASE WHEN t.type = 'saida' THEN t.base_amount ELSE 0 END), 0) as paid
+       FROM transactions t
+       WHERE t.organization_id = ? AND t.counterparty_id = ? AND t.date < ? AND ${balanceTransactionCondition()}${scopeFilter}`,
+      [counterparty.organization_id, counterparty.id, startDate, ...scope.params]
+    ))[0]
+    : { received: 0, paid: 0 };
+
+  let whereClause = `WHERE t.organization_id = ? AND t.counterparty_id = ? AND ${balanceTransactionCondition()}${scopeFilter}`;
+  const queryParams = [counterparty.organization_id, counterparty.id, ...scope.params];
+
+  if (startDate) {
+    whereClause += ' AND t.date >= ?';
+    queryParams.push(startDate);
+  }
+
+  if (endDate) {
+    whereClause += ' AND t.date <= ?';
+    queryParams.push(endDate);
+  }
+
+  const transactions = await executeQuery(
+    `${TRANSACTION_WITH_RELATIONS_QUERY}
+     ${whereClause}
+     ORDER BY t.date ASC, t.created_at ASC, t.id ASC`,
+    queryParams
+  );
+
+  const running = totals(opening);
+  for (const transaction of transactions) {
+    const amount = Number(transaction.base_amount);
+    if (transaction.type === 'entrada') {
+      running.received = Math.round((running.received + amount) * 100) / 100;
+    } else {
+      running.paid = Math.round((running.paid + amount) * 100) / 100;
+    }
+    running.net = Math.round((running.received - running.paid) * 100) / 100;
+
+    transaction.running_received = running.received;
+    transaction.running_paid = running.paid;
+    transaction.running_net = running.net;
+  }
+
+  return {
+    opening: totals(opening),
+    closing: { ...running },
+    transactions
+  };
+};
+
+module.exports = {
+  COUNTERPARTY_TYPES,
+  assertCounterpartyExists,
+  resolveCounterparty,
+  getCounterpartyStatement
+};
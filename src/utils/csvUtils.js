@@ -0,0 +1,74 @@
+// Utilitários de CSV
+// Leitura e escrita de arquivos CSV (RFC 4180) sem dependências externas
+
+/**
+ * Converte o conteúdo de um CSV em linhas e colunas
+ * Suporta campos entre aspas, aspas escapadas ("") e quebras de linha dentro de campos.
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} delimiter - Separador de colunas (padrão: ',')
+ * @returns {Array<Array<string>>} Linhas do arquivo (linhas vazias são ignoradas)
+ */
+const parseCsv = (text, delimiter = ',') => {
+  const content = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text; // Remove BOM
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (inQuotes) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(columns => columns.some(value => value.trim() !== ''));
+};
+
+/**
+ * Monta uma linha CSV, colocando entre aspas os campos que precisam
+ * @param {Array} values - Valores das colunas
+ * @param {string} delimiter - Separador de colunas (padrão: ',')
+ * @returns {string} Linha terminada em CRLF
+ */
+const formatCsvRow = (values, delimiter = ',') => {
+  return values.map(value => {
+    const field = value === null || value === undefined ? '' : String(value);
+    return field.includes(delimiter) || /["\r\n]/.test(field)
+      ? `"${field.replace(/"/g, '""')}"`
+      : field;
+  }).join(delimiter) + '\r\n';
+};
+
+module.exports = {
+  parseCsv,
+  formatCsvRow
+};
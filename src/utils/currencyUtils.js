@@ -0,0 +1,129 @@
+// Utilitários de moedas
+// Conversão de valores para a moeda base usando as cotações cadastradas
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { parseCsv } = require('./csvUtils');
+
+// Código de moeda ISO 4217 (ex.: 'EUR', 'USD')
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+/**
+ * Retorna a moeda base em que os relatórios são apresentados
+ * @returns {string} Código ISO 4217 da moeda base
+ */
+const getBaseCurrency = () => {
+  return (process.env.BASE_CURRENCY || 'AOA').toUpperCase();
+};
+
+/**
+ * Busca a cotação vigente na data: a mais recente cadastrada até a data informada
+ * @param {string} currency - Código da moeda
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @returns {Promise<number|null>} Valor de 1 unidade da moeda na moeda base, ou null se não houver cotação
+ */
+const getExchangeRate = async (currency, date) => {
+  if (currency === getBaseCurrency()) {
+    return 1;
+  }
+
+  const rates = await executeQuery(
+    `SELECT rate FROM exchange_rates
+     WHERE currency = ? AND rate_date <= ?
+     ORDER BY rate_date DESC
+     LIMIT 1`,
+    [currency, date]
+  );
+
+  return rates.length > 0 ? Number(rates[0].rate) : null;
+};
+
+/**
+ * Converte um valor para a moeda base pela cotação da data
+ * @param {number} amount - Valor na moeda original
+ * @param {string} currency - Código da moeda (padrão: moeda base)
+ * @param {string} date - Data da transação (YYYY-MM-DD)
+ * @returns {Promise<Object>} { currency, exchange_rate, base_amount }
+ */
+const convertToBaseCurrency = async (amount, currency, date) => {
+  const code = (currency || getBaseCurrency()).toUpperCase();
+  const rate = await getExchangeRate(code, date);
+
+  if (rate === null) {
+    throw new AppError(
+      `No exchange rate for ${code} on or before ${date}`,
+      400,
+      'EXCHANGE_RATE_NOT_FOUND',
+      { currency: code, date }
+    );
+  }
+
+  return {
+    currency: code,
+    exchange_rate: rate,
+    base_amount: Math.round(Number(amount) * rate * 100) / 100
+  };
+};
+
+/**
+ * Lê um CSV de cotações com cabeçalho contendo as colunas date, currency e rate
+ * @param {string} text - Conteúdo do arquivo
+ * @param {string} delimiter - Separador de colunas
+ * @returns {Array<Object>} Linhas { row, currency, rate_date, rate, errors }
+ */
+const parseExchangeRatesCsv = (text, delimiter = ',') => {
+  const [header = [], ...lines] = parseCsv(text, delimiter);
+  const columns = header.map(column => column.trim().toLowerCase());
+  const indexes = {
+    date: columns.indexOf('date'),
+    currency: columns.indexOf('currency'),
+    rate: columns.indexOf('rate')
+  };
+
+  const missing = Object.keys(indexes).filter(key => indexes[key] === -1);
+  if (missing.length > 0) {
+    throw new AppError(
+      `The file header must contain the columns: ${missing.join(', ')}`,
+      400,
+      'INVALID_EXCHANGE_RATE_FILE'
+    );
+  }
+
+  const baseCurrency = getBaseCurrency();
+
+  return lines.map((values, index) => {
+    const errors = [];
+    const currency = (values[indexes.currency] || '').trim().toUpperCase();
+    const rateDate = (values[indexes.date] || '').trim();
+    const rawRate = (values[indexes.rate] || '').trim();
+    const rate = Number(rawRate.includes('.') ? rawRate : rawRate.replace(',', '.'));
+
+    if (!CURRENCY_CODE_PATTERN.test(currency)) {
+      errors.push('Invalid currency code');
+    } else if (currency === baseCurrency) {
+      errors.push('Rates cannot be set for the base currency');
+    }
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(rateDate) || Number.isNaN(Date.parse(rateDate))) {
+      errors.push('Invalid date (expected YYYY-MM-DD)');
+    }
+    if (!rawRate || !Number.isFinite(rate) || rate <= 0) {
+      errors.push('Rate must be a positive number');
+    }
+
+    return {
+      row: index + 2, // Line number in the file, counting the header
+      currency,
+      rate_date: rateDate,
+      rate,
+      errors
+    };
+  });
+};
+
+module.exports = {
+  CURRENCY_CODE_PATTERN,
+  getBaseCurrency,
+  getExchangeRate,
+  convertToBaseCurrency,
+  parseExchangeRatesCsv
+};
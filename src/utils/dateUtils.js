@@ -0,0 +1,27 @@
+// Utilitários de datas
+// Datas de calendário no formato YYYY-MM-DD, com o dia de hoje no fuso do servidor
+
+/**
+ * Retorna a data de hoje (fuso do servidor) no padrão YYYY-MM-DD
+ * @returns {string} Data de hoje
+ */
+const today = () => {
+  const now = new Date();
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+};
+
+/**
+ * Soma dias a uma data
+ * @param {string} date - Data base (YYYY-MM-DD)
+ * @param {number} days - Dias a somar (pode ser negativo)
+ * @returns {string} Nova data
+ */
+const addDays = (date, days) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split('T')[0];
+};
+
+module.exports = {
+  today,
+  addDays
+};
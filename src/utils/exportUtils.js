@@ -0,0 +1,210 @@
+// Utilitários de exportação
+// Geração de arquivos CSV e XLSX em streaming a partir de linhas do banco
+
+const { once } = require('events');
+const ExcelJS = require('exceljs');
+const { formatCsvRow } = require('./csvUtils');
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+// Colunas exportadas de cada transação
+const TRANSACTION_EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 12 },
+  { header: 'Date', key: 'date', width: 12, type: 'date' },
+  { header: 'Type', key: 'type', width: 10 },
+  { header: 'Account', key: 'account_name', width: 20 },
+  { header: 'Description', key: 'description', width: 40 },
+  { header: 'Amount', key: 'amount', width: 14, type: 'amount' },
+  { header: 'Currency', key: 'currency', width: 10 },
+  { header: 'Base amount', key: 'base_amount', width: 14, type: 'amount' },
+  { header: 'Category', key: 'category_name', width: 20 },
+  { header: 'Subcategory', key: 'subcategory_name', width: 20 },
+  { header: 'Trip', key: 'trip_destination', width: 20 },
+  { header: 'Counterparty', key: 'counterparty_name', width: 25 },
+  { header: 'Status', key: 'status', width: 10 },
+  { header: 'Created by', key: 'created_by_name', width: 20 },
+  { header: 'Created at', key: 'created_at', width: 20, type: 'datetime' }
+];
+
+// Textos iniciados por estes caracteres viram fórmulas quando o CSV é aberto numa planilha
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Neutraliza um texto que seria interpretado como fórmula (injeção de fórmulas em CSV),
+ * prefixando-o com apóstrofo
+ * @param {*} value - Valor da coluna
+ * @returns {*} Valor seguro para a planilha
+ */
+const neutralizeFormula = (value) => {
+  return typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value;
+};
+
+/**
+ * Retorna o locale padrão das exportações
+ * @returns {string} Locale BCP 47 (ex.: 'pt-PT')
+ */
+const getDefaultLocale = () => process.env.EXPORT_LOCALE || 'pt-PT';
+
+/**
+ * Verifica se o locale é suportado pelo runtime
+ * @param {string} locale - Locale BCP 47
+ * @returns {boolean} True se suportado
+ */
+const isSupportedLocale = (locale) => {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Formata uma data como YYYY-MM-DD (e HH:mm:ss quando withTime)
+ * @param {Date|string|null} value - Data
+ * @param {boolean} withTime - Incluir horário
+ * @returns {string} Data formatada
+ */
+const formatDateValue = (value, withTime = false) => {
+  if (!value) {
+    return '';
+  }
+  if (!(value instanceof Date)) {
+    return String(value);
+  }
+
+  const pad = (number) => String(number).padStart(2, '0');
+  const date = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+
+  return withTime
+    ? `${date} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`
+    : date;
+};
+
+/**
+ * Escreve linhas no formato CSV. O separador decimal segue o locale e,
+ * quando ele é vírgula, as colunas passam a ser separadas por ponto e vírgula.
+ * @param {AsyncIterable<Object>} rows - Linhas do banco
+ * @param {Writable} output - Destino (ex.: resposta HTTP)
+ * @param {Object} options - { columns, locale }
+ * @returns {Promise<number>} Quantidade de linhas exportadas
+ */
+const writeCsvExport = async (rows, output, { columns, locale }) => {
+  const numberFormat = new Intl.NumberFormat(locale, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: false
+  });
+  const decimalPart = numberFormat.formatToParts(1.5).find(part => part.type === 'decimal');
+  const delimiter = decimalPart && decimalPart.value === ',' ? ';' : ',';
+
+  const write = async (chunk) => {
+    if (!output.write(chunk)) {
+      // Espera o buffer esvaziar, ou o cliente desconectar
+      const controller = new AbortController();
+      try {
+        await Promise.race([
+          once(output, 'drain', { signal: controller.signal }),
+          once(output, 'close', { signal: controller.signal })
+        ]);
+      } finally {
+        controller.abort();
+      }
+    }
+  };
+
+  // BOM para que o Excel reconheça UTF-8
+  await write('\uFEFF' + formatCsvRow(columns.map(column => column.header), delimiter));
+
+  let count = 0;
+  for await (const row of rows) {
+    if (output.destroyed) {
+      break;
+    }
+    await write(formatCsvRow(columns.map(column => {
+      const value = row[column.key];
+      if (column.type === 'amount') {
+        return value === null ? '' : numberFormat.format(Number(value));
+      }
+      if (column.type === 'date' || column.type === 'datetime') {
+        return formatDateValue(value, column.type === 'datetime');
+      }
+      // Descriptions come from users and imported bank statements
+      return neutralizeFormula(value);
+    }), delimiter));
+    count++;
+  }
+
+  output.end();
+  return count;
+};
+
+/**
+ * Escreve linhas em uma planilha XLSX em streaming.
+ * Valores e datas são gravados como números e datas nativos; o Excel
+ * aplica o separador decimal do locale de quem abre o arquivo.
+ * @param {AsyncIterable<Object>} rows - Linhas do banco
+ * @param {Writable} output - Destino (ex.: resposta HTTP)
+ * @param {Object} options - { columns, sheetName }
+ * @returns {Promise<number>} Quantidade de linhas exportadas
+ */
+const writeXlsxExport = async (rows, output, { columns, sheetName = 'Export' }) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true });
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width,
+    style: column.type === 'amount'
+      ? { numFmt: '#,##0.00' }
+      : column.type === 'date'
+        ? { numFmt: 'yyyy-mm-dd' }
+        : column.type === 'datetime' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {}
+  }));
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.getRow(1).commit();
+
+  // Datas do banco estão no horário local; o XLSX não tem fuso, então gravamos os mesmos componentes em UTC
+  const toSheetDate = (value) => {
+    if (!(value instanceof Date)) {
+      return value || null;
+    }
+    return new Date(Date.UTC(
+      value.getFullYear(), value.getMonth(), value.getDate(),
+      value.getHours(), value.getMinutes(), value.getSeconds()
+    ));
+  };
+
+  let count = 0;
+  for await (const row of rows) {
+    if (output.destroyed) {
+      break;
+    }
+    const values = {};
+    for (const column of columns) {
+      const value = row[column.key];
+      if (column.type === 'amount') {
+        values[column.key] = value === null ? null : Number(value);
+      } else if (column.type === 'date' || column.type === 'datetime') {
+        values[column.key] = toSheetDate(value);
+      } else {
+        values[column.key] = value;
+      }
+    }
+    worksheet.addRow(values).commit();
+    count++;
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+  return count;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  TRANSACTION_EXPORT_COLUMNS,
+  getDefaultLocale,
+  isSupportedLocale,
+  writeCsvExport,
+  writeXlsxExport
+};
@@ -0,0 +1,105 @@
+// Utilitários de arquivos enviados
+// Centraliza a resolução de caminhos e a remoção de arquivos da pasta de uploads;
+// a tabela uploaded_files registra a organização dona de cada arquivo
+
+const fs = require('fs');
+const path = require('path');
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+
+/**
+ * Retorna o diretório de uploads configurado
+ * @returns {string} Caminho do diretório de uploads
+ */
+const getUploadDir = () => {
+  return process.env.UPLOAD_DIR || 'uploads';
+};
+
+/**
+ * Resolve o caminho em disco de um arquivo a partir da sua URL (/uploads/<arquivo>)
+ * @param {string} fileUrl - URL pública do arquivo
+ * @returns {string} Caminho do arquivo em disco
+ */
+const resolveUploadPath = (fileUrl) => {
+  const filename = path.basename(fileUrl);
+  return path.join(getUploadDir(), filename);
+};
+
+/**
+ * Verifica se o arquivo referenciado pela URL existe em disco
+ * @param {string} fileUrl - URL pública do arquivo
+ * @returns {boolean} True se o arquivo existe
+ */
+const uploadedFileExists = (fileUrl) => {
+  return Boolean(fileUrl) && fs.existsSync(resolveUploadPath(fileUrl));
+};
+
+/**
+ * Registra um arquivo recém-enviado na organização
+ * @param {Object} file - Arquivo do multer ({ filename, originalname, mimetype, size })
+ * @param {string} organizationId - ID da organização
+ * @param {string} uploadedBy - ID do usuário que enviou
+ * @returns {Promise<void>}
+ */
+const registerUploadedFile = async (file, organizationId, uploadedBy) => {
+  await executeQuery(
+    `INSERT INTO uploaded_files (filename, organization_id, original_name, mimetype, size, uploaded_by)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [file.filename, organizationId, file.originalname, file.mimetype, file.size, uploadedBy]
+  );
+};
+
+/**
+ * Busca o registro de um arquivo enviado na organização
+ * @param {string} fileUrl - URL pública ou nome do arquivo
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<Object|null>} Registro do arquivo, ou null se não pertencer à organização
+ */
+const findUploadedFile = async (fileUrl, organizationId) => {
+  const files = await executeQuery(
+    'SELECT * FROM uploaded_files WHERE filename = ? AND organization_id = ?',
+    [path.basename(fileUrl), organizationId]
+  );
+
+  return files[0] || null;
+};
+
+/**
+ * Garante que o arquivo anexado foi enviado na organização
+ * @param {string} fileUrl - URL pública do arquivo (opcional)
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<void>}
+ * @throws {AppError} Se o arquivo não pertencer à organização
+ */
+const assertUploadedFileInOrganization = async (fileUrl, organizationId) => {
+  if (fileUrl && !(await findUploadedFile(fileUrl, organizationId))) {
+    throw new AppError('Attached file not found', 400, 'FILE_NOT_FOUND');
+  }
+};
+
+/**
+ * Remove um arquivo enviado e o seu registro, ignorando arquivos inexistentes
+ * @param {string} fileUrl - URL pública do arquivo
+ * @returns {Promise<boolean>} True se o arquivo foi removido
+ */
+const deleteUploadedFile = async (fileUrl) => {
+  await executeQuery('DELETE FROM uploaded_files WHERE filename = ?', [path.basename(fileUrl)]);
+
+  if (!uploadedFileExists(fileUrl)) {
+    return false;
+  }
+
+  fs.unlinkSync(resolveUploadPath(fileUrl));
+  console.log(`Deleted receipt file: ${path.basename(fileUrl)}`);
+  return true;
+};
+
+module.exports = {
+  getUploadDir,
+  resolveUploadPath,
+  uploadedFileExists,
+  registerUploadedFile,
+  findUploadedFile,
+  assertUploadedFileInOrganization,
+  deleteUploadedFile
+};
@@ -0,0 +1,362 @@
+// Utilitários de previsão de fluxo de caixa
+// Projeta o saldo diário a partir de lançamentos futuros, recorrências, padrões mensais e médias por categoria
+
+const { executeQuery } = require('../config/database');
+const { reportableTransactionCondition, balanceTransactionCondition } = require('./transactionUtils');
+const { RECURRING_TRANSACTION_WITH_RELATIONS_QUERY } = require('./queryUtils');
+const { listOccurrences } = require('./recurrenceUtils');
+const { today, addDays } = require('./dateUtils');
+const { getBaseCurrency, convertToBaseCurrency } = require('./currencyUtils');
+const { buildCategoryScopeCondition } = require('./categoryScopeUtils');
+
+// Horizonte da previsão no formato '<dias>d' (ex.: '90d')
+const HORIZON_PATTERN = /^(\d{1,3})d$/;
+const MAX_HORIZON_DAYS = 365;
+
+/**
+ * Converte o horizonte informado em número de dias
+ * @param {string} horizon - Horizonte no formato '<dias>d'
+ * @returns {number|null} Número de dias, ou null se inválido
+ */
+const parseHorizon = (horizon) => {
+  const match = HORIZON_PATTERN.exec(horizon || '');
+  if (!match) {
+    return null;
+  }
+
+  const days = parseInt(match[1]);
+  return days >= 1 && days <= MAX_HORIZON_DAYS ? days : null;
+};
+
+/**
+ * Retorna o saldo mínimo abaixo do qual a previsão emite alerta
+ * @returns {number} Limite na moeda da previsão
+ */
+const getDefaultThreshold = () => {
+  const threshold = parseFloat(process.env.FORECAST_BALANCE_THRESHOLD);
+  return isNaN(threshold) ? 0 : threshold;
+};
+
+/**
+ * Retorna quantos meses do histórico são analisados na detecção de padrões mensais
+ * @returns {number} Número de meses
+ */
+const getPatternLookbackMonths = () => {
+  return parseInt(process.env.FORECAST_PATTERN_LOOKBACK_MONTHS) || 6;
+};
+
+/**
+ * Retorna quantos dias do histórico entram na média diária de gastos por categoria
+ * @returns {number} Número de dias
+ */
+const getTrailingDays = () => {
+  return parseInt(process.env.FORECAST_TRAILING_DAYS) || 90;
+};
+
+// Minimum months a description must repeat in, and how far amounts may stray from the median
+const MIN_PATTERN_MONTHS = 3;
+const AMOUNT_TOLERANCE = 0.15;
+
+const round = value => Math.round(value * 100) / 100;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Normaliza uma descrição para agrupar lançamentos repetidos (sem números, caixa ou espaços extras)
+ * @param {string} description - Descrição
+ * @returns {string} Descrição normalizada
+ */
+const normalizeDescription = (description) => {
+  return (description || '').toLowerCase().replace(/[0-9]+/g, ' ').replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * Chave que identifica lançamentos repetidos (tipo, categoria e descrição normalizada)
+ * @param {Object} transaction - Lançamento ({ type, category_id, description })
+ * @returns {string} Chave do agrupamento
+ */
+const patternKey = (transaction) => {
+  return [transaction.type, transaction.category_id || '', normalizeDescription(transaction.description)].join('|');
+};
+
+/**
+ * Primeiro dia do mês, n meses antes do mês da data
+ * @param {string} date - Data (YYYY-MM-DD)
+ * @param {number} months - Meses para trás
+ * @returns {string} Data (YYYY-MM-01)
+ */
+const monthsBefore = (date, months) => {
+  const [year, month] = date.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1 - months, 1)).toISOString().split('T')[0];
+};
+
+/**
+ * Detecta lançamentos que se repetem mensalmente (mesma descrição, categoria e tipo, valor semelhante)
+ * Cada mês do histórico pode ter no máximo uma ocorrência, e a última precisa ser recente.
+ * @param {Array<Object>} transactions - Lançamentos do histórico ({ id, date, description, category_id, type, value })
+ * @param {string} asOf - Data de referência (YYYY-MM-DD)
+ * @returns {Array<Object>} Padrões { key, description, category_id, category_name, type, amount, day_of_month, last_date, transaction_ids }
+ */
+const detectMonthlyPatterns = (transactions, asOf) => {
+  const groups = new Map();
+
+  for (const transaction of transactions) {
+    const key = patternKey(transaction);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(transaction);
+  }
+
+  const patterns = [];
+  const staleBefore = addDays(asOf, -45);
+
+  for (const entries of groups.values()) {
+    const months = new Set(entries.map(entry => entry.date.substring(0, 7)));
+    if (months.size < MIN_PATTERN_MONTHS || months.size !== entries.length) {
+      continue;
+    }
+
+    const amounts = entries.map(entry => entry.value);
+    const typical = median(amounts);
+    if (amounts.some(amount => Math.abs(amount - typical) > typical * AMOUNT_TOLERANCE)) {
+      continue;
+    }
+
+    const sorted = [...entries].sort((a, b) => a.date.localeCompare(b.date));
+    const last = sorted[sorted.length - 1];
+    if (last.date < staleBefore) {
+      continue;
+    }
+
+    patterns.push({
+      key: patternKey(last),
+      description: last.description,
+      category_id: last.category_id,
+      category_name: last.category_name,
+      type: last.type,
+      amount: round(typical),
+      day_of_month: Math.round(median(entries.map(entry => Number(entry.date.substring(8, 10))))),
+      last_date: last.date,
+      transaction_ids: sorted.map(entry => entry.id)
+    });
+  }
+
+  return patterns;
+};
+
+/**
+ * Datas de um padrão mensal dentro do horizonte, pulando os meses em que ele já ocorreu ou já foi lançado
+ * @param {Object} pattern - Padrão ({ day_of_month, last_date })
+ * @param {string} start - Primeiro dia projetado (exclusivo)
+ * @param {string} end - Último dia projetado (inclusivo)
+ * @param {Set<string>} bookedMonths - Meses (YYYY-MM) com lançamento futuro equivalente
+ * @returns {Array<string>} Datas projetadas
+ */
+const projectPattern = (pattern, start, end, bookedMonths = new Set()) => {
+  return listOccurrences({
+    frequency: 'monthly',
+    interval_count: 1,
+    day_of_month: pattern.day_of_month,
+    start_date: monthsBefore(start, 0)
+  }, { after: start, until: end })
+    .filter(date => date.substring(0, 7) !== pattern.last_date.substring(0, 7) && !bookedMonths.has(date.substring(0, 7)));
+};
+
+/**
+ * Projeta o saldo diário para os próximos dias
+ * Sem conta, a previsão cobre todas as contas da organização na moeda base; com conta, usa a moeda da conta.
+ * Com escopo de categorias, só entram os lançamentos dessas categorias e os saldos de abertura
+ * (que não têm categoria) ficam de fora.
+ * @param {Object} options - { organizationId, account, horizonDays, threshold, categoryScope }
+ * @returns {Promise<Object>} Saldo inicial, projeção diária, componentes e primeiro dia abaixo do limite
+ */
+const buildCashFlowForecast = async ({
+  organizationId,
+  account = null,
+  horizonDays,
+  threshold = getDefaultThreshold(),
+  categoryScope = null
+}) => {
+  const asOf = today();
+  const endDate = addDays(asOf, horizonDays);
+  const currency = account ? account.currency : getBaseCurrency();
+  const valueColumn = account ? 't.amount' : 't.base_amount';
+  const transactionScope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+  const templateScope = buildCategoryScopeCondition(categoryScope, 'r.category_id');
+  const scopeFilter = (account ? ' AND t.organization_id = ? AND t.account_id = ?' : ' AND t.organization_id = ?')
+    + (transactionScope.condition ? ` AND ${transactionScope.condition}` : '');
+  const scopeParams = [...(account ? [organizationId, account.id] : [organizationId]), ...transactionScope.params];
+
+  // Starting balance: opening balances plus everything booked up to today
+  const accounts = await executeQuery(
+    'SELECT id, currency, opening_balance, is_default FROM accounts WHERE organization_id = ?',
+    [organizationId]
+  );
+  const defaultAccount = accounts.find(item => item.is_default);
+  // Opening balances have no category, so a forecast limited to some categories leaves them out
+  const openingAccounts = categoryScope ? [] : (account ? [account] : accounts);
+  let openingBalance = 0;
+  for (const item of openingAccounts) {
+    openingBalance += account
+      ? Number(item.opening_balance)
+      : (await convertToBaseCurrency(item.opening_balance, item.currency, asOf)).base_amount;
+  }
+
+  const booked = await executeQuery(
+    `SELECT COALESCE(SUM(CASE WHEN t.type = 'entrada' THEN ${valueColumn} ELSE -${valueColumn} END), 0) as total
+     FROM transactions t
+     WHERE t.date <= ? AND ${balanceTransactionCondition()}${scopeFilter}`,
+    [asOf, ...scopeParams]
+  );
+  const startingBalance = round(openingBalance + Number(booked[0].total));
+
+  // Transactions already entered with a future date
+  const scheduled = await executeQuery(
+    `SELECT t.id, DATE_FORMAT(t.date, '%Y-%m-%d') as date, t.description, t.type, t.category_id,
+            ${valueColumn} as value
+     FROM transactions t
+     WHERE t.date > ? AND t.date <= ? AND ${balanceTransactionCondition()}${scopeFilter}
+     ORDER BY t.date ASC`,
+    [asOf, endDate, ...scopeParams]
+  );
+
+  // Future occurrences of active recurring templates (not generated yet)
+  const templates = await executeQuery(
+    `${RECURRING_TRANSACTION_WITH_RELATIONS_QUERY} WHERE r.organization_id = ? AND r.active = 1
+     ${templateScope.condition ? `AND ${templateScope.condition}` : ''}`,
+    [organizationId, ...templateScope.params]
+  );
+  const recurring = [];
+  for (const template of templates) {
+    const templateAccount = accounts.find(item => item.id === template.account_id) || defaultAccount;
+    if (account && (!templateAccount || templateAccount.id !== account.id)) {
+      continue;
+    }
+
+    const after = template.last_generated_date && template.last_generated_date > asOf ? template.last_generated_date : asOf;
+    const dates = listOccurrences(template, { after, until: endDate });
+    if (dates.length === 0) {
+      continue;
+    }
+
+    const value = account
+      ? Number(template.amount)
+      : (await convertToBaseCurrency(template.amount, templateAccount ? templateAccount.currency : currency, asOf)).base_amount;
+
+    for (const date of dates) {
+      recurring.push({ recurring_id: template.id, date, description: template.description, type: template.type, category_id: template.category_id, value });
+    }
+  }
+
+  // History used for the patterns and averages: income and expenses only, without
+  // occurrences of recurring templates, which are already projected above
+  const history = await executeQuery(
+    `SELECT t.id, DATE_FORMAT(t.date, '%Y-%m-%d') as date, t.description, t.type, t.category_id,
+            c.name as category_name, ${valueColumn} as value
+     FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.date > ? AND t.date <= ? AND t.recurring_id IS NULL AND ${reportableTransactionCondition()}${scopeFilter}`,
+    [monthsBefore(asOf, getPatternLookbackMonths()), asOf, ...scopeParams]
+  );
+  history.forEach(entry => { entry.value = Number(entry.value); });
+
+  // A pattern is not projected in months where the same entry was already entered ahead of time
+  const patterns = detectMonthlyPatterns(history, asOf);
+  for (const pattern of patterns) {
+    const bookedMonths = new Set(scheduled.filter(entry => patternKey(entry) === pattern.key).map(entry => entry.date.substring(0, 7)));
+    pattern.projected_dates = projectPattern(pattern, asOf, endDate, bookedMonths);
+  }
+  const patternEntries = patterns.flatMap(pattern => pattern.projected_dates.map(date => ({
+    date, description: pattern.description, type: pattern.type, category_id: pattern.category_id, value: pattern.amount
+  })));
+
+  // Daily average of the remaining spend per category over the trailing window
+  const trailingDays = getTrailingDays();
+  const trailingStart = addDays(asOf, -trailingDays);
+  const patternIds = new Set(patterns.flatMap(pattern => pattern.transaction_ids));
+  const categoryTotals = new Map();
+  for (const entry of history) {
+    if (entry.type !== 'saida' || entry.date <= trailingStart || patternIds.has(entry.id)) {
+      continue;
+    }
+
+    const key = entry.category_id || '';
+    const total = categoryTotals.get(key) || { category_id: entry.category_id, category_name: entry.category_name, total: 0 };
+    total.total += entry.value;
+    categoryTotals.set(key, total);
+  }
+  const categoryAverages = [...categoryTotals.values()].map(item => ({
+    category_id: item.category_id,
+    category_name: item.category_name,
+    trailing_total: round(item.total),
+    daily_average: round(item.total / trailingDays)
+  }));
+  const dailySpend = [...categoryTotals.values()].reduce((sum, item) => sum + item.total, 0) / trailingDays;
+
+  // Roll the balance forward day by day
+  const movements = new Map();
+  const addMovement = (date, type, value) => {
+    const day = movements.get(date) || { income: 0, expenses: 0 };
+    day[type === 'entrada' ? 'income' : 'expenses'] += Number(value);
+    movements.set(date, day);
+  };
+  [...scheduled, ...recurring, ...patternEntries].forEach(entry => addMovement(entry.date, entry.type, entry.value));
+
+  const daily = [];
+  let balance = startingBalance;
+  let lowest = null;
+  let belowThreshold = null;
+
+  for (let offset = 1; offset <= horizonDays; offset++) {
+    const date = addDays(asOf, offset);
+    const day = movements.get(date) || { income: 0, expenses: 0 };
+    const expenses = day.expenses + dailySpend;
+
+    balance = balance + day.income - expenses;
+    const entry = { date, income: round(day.income), expenses: round(expenses), balance: round(balance) };
+    daily.push(entry);
+
+    if (!lowest || entry.balance < lowest.balance) {
+      lowest = { date, balance: entry.balance };
+    }
+    if (!belowThreshold && entry.balance < threshold) {
+      belowThreshold = { date, balance: entry.balance };
+    }
+  }
+
+  return {
+    currency,
+    account_id: account ? account.id : null,
+    as_of: asOf,
+    end_date: endDate,
+    horizon_days: horizonDays,
+    threshold,
+    starting_balance: startingBalance,
+    ending_balance: round(balance),
+    lowest_balance: lowest,
+    below_threshold: belowThreshold,
+    components: {
+      scheduled: scheduled.map(entry => ({ ...entry, value: Number(entry.value) })),
+      recurring,
+      patterns: patterns.map(({ key, transaction_ids, ...pattern }) => ({
+        ...pattern,
+        occurrences: transaction_ids.length
+      })),
+      category_averages: categoryAverages
+    },
+    daily
+  };
+};
+
+module.exports = {
+  MAX_HORIZON_DAYS,
+  parseHorizon,
+  detectMonthlyPatterns,
+  projectPattern,
+  buildCashFlowForecast
+};
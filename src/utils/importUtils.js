@@ -0,0 +1,202 @@
+// Utilitários de importação de extratos bancários
+// Converte linhas de extrato em transações normalizadas e valida cada linha
+
+const { parseCsv } = require('./csvUtils');
+
+// Formatos de data suportados nos perfis de importação
+const DATE_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MM-YYYY', 'DD.MM.YYYY', 'YYYY/MM/DD'];
+
+/**
+ * Converte uma data do extrato para YYYY-MM-DD conforme o formato do perfil
+ * @param {string} value - Data do extrato
+ * @param {string} format - Formato (ex.: 'DD/MM/YYYY')
+ * @returns {string|null} Data normalizada ou null se inválida
+ */
+const parseStatementDate = (value, format) => {
+  const tokens = format.split(/[^A-Z]+/);
+  const separator = format.replace(/[A-Z]/g, '')[0];
+  const parts = (value || '').trim().split(separator);
+
+  if (parts.length !== tokens.length) {
+    return null;
+  }
+
+  const values = {};
+  tokens.forEach((token, index) => {
+    values[token] = parseInt(parts[index], 10);
+  });
+
+  const { YYYY: year, MM: month, DD: day } = values;
+  if (!year || !month || !day) {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Converte um valor do extrato em número conforme o separador decimal
+ * Aceita símbolos de moeda, separadores de milhar e negativos entre parênteses.
+ * @param {string} value - Valor do extrato (ex.: '-1.234,56', '(12.00)')
+ * @param {string} decimalSeparator - Separador decimal (',' ou '.')
+ * @returns {number|null} Valor numérico ou null se vazio/inválido
+ */
+const parseStatementAmount = (value, decimalSeparator = ',') => {
+  let text = (value || '').trim();
+  if (text === '') {
+    return null;
+  }
+
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+
+  const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+  text = text
+    .replace(/[^\d,.\-+]/g, '')
+    .split(thousandsSeparator).join('')
+    .replace(decimalSeparator, '.');
+
+  if (!/^[-+]?\d+(\.\d+)?$/.test(text)) {
+    return null;
+  }
+
+  const amount = parseFloat(text);
+  return negative ? -amount : amount;
+};
+
+/**
+ * Localiza o índice de uma coluna pelo nome do cabeçalho ou pelo índice (base 0)
+ * @param {Array<string>} headers - Cabeçalho do arquivo (vazio se não houver)
+ * @param {string} column - Nome ou índice da coluna
+ * @returns {number} Índice da coluna ou -1 se não encontrada
+ */
+const resolveColumn = (headers, column) => {
+  if (column === undefined || column === null || column === '') {
+    return -1;
+  }
+
+  const name = String(column).trim().toLowerCase();
+  const index = headers.findIndex(header => header.trim().toLowerCase() === name);
+  if (index !== -1) {
+    return index;
+  }
+
+  return /^\d+$/.test(name) ? parseInt(name, 10) : -1;
+};
+
+/**
+ * Valida e completa uma linha normalizada (data, descrição, valor e tipo)
+ * @param {Object} row - Linha com { row, date, description, amount, type, currency, external_source, external_id }
+ * @param {Object} defaults - Categoria e subcategoria padrão
+ * @returns {Object} Linha com a lista de erros
+ */
+const finalizeRow = (row, defaults = {}) => {
+  const errors = [...(row.errors || [])];
+
+  if (!row.date) {
+    errors.push('Invalid or missing date');
+  }
+  if (!row.description || row.description.length < 2) {
+    errors.push('Description must have at least 2 characters');
+  }
+  if (row.amount === null || row.amount === undefined || isNaN(row.amount) || row.amount <= 0) {
+    errors.push('Amount must be a non-zero number');
+  }
+  if (!['entrada', 'saida'].includes(row.type)) {
+    errors.push('Could not determine whether the line is entrada or saida');
+  }
+
+  return {
+    row: row.row,
+    currency: row.currency || null,
+    external_source: row.external_source || null,
+    external_id: row.external_id || null,
+    duplicate: false,
+    date: row.date || null,
+    description: row.description ? row.description.substring(0, 500) : '',
+    amount: row.amount > 0 ? Math.round(row.amount * 100) / 100 : row.amount,
+    type: row.type || null,
+    category_id: defaults.category_id || null,
+    subcategory_id: defaults.subcategory_id || null,
+    errors
+  };
+};
+
+/**
+ * Converte um CSV de extrato em linhas normalizadas usando o perfil de mapeamento
+ * @param {string} text - Conteúdo do CSV
+ * @param {Object} profile - Perfil de importação (colunas, formato de data, separador decimal, convenção de sinal)
+ * @returns {Array<Object>} Linhas normalizadas com erros de validação
+ */
+const normalizeCsvStatement = (text, profile) => {
+  const lines = parseCsv(text, profile.delimiter || ',').slice(profile.skip_rows || 0);
+  const headers = profile.has_header ? lines.shift() || [] : [];
+  const firstLine = (profile.skip_rows || 0) + (profile.has_header ? 2 : 1);
+
+  const columns = {
+    date: resolveColumn(headers, profile.date_column),
+    description: resolveColumn(headers, profile.description_column),
+    amount: resolveColumn(headers, profile.amount_column),
+    debit: resolveColumn(headers, profile.debit_column),
+    credit: resolveColumn(headers, profile.credit_column)
+  };
+  const defaults = {
+    category_id: profile.default_category_id,
+    subcategory_id: profile.default_subcategory_id
+  };
+  const cell = (line, index) => (index >= 0 && index < line.length ? line[index].trim() : '');
+
+  return lines.map((line, index) => {
+    const errors = [];
+    let amount = null;
+    let type = null;
+
+    if (profile.sign_convention === 'split') {
+      const debit = parseStatementAmount(cell(line, columns.debit), profile.decimal_separator);
+      const credit = parseStatementAmount(cell(line, columns.credit), profile.decimal_separator);
+
+      if (debit && credit) {
+        errors.push('Line has both debit and credit amounts');
+      } else if (debit) {
+        amount = Math.abs(debit);
+        type = 'saida';
+      } else if (credit) {
+        amount = Math.abs(credit);
+        type = 'entrada';
+      }
+    } else {
+      const signed = parseStatementAmount(cell(line, columns.amount), profile.decimal_separator);
+
+      if (signed !== null && signed !== 0) {
+        const isOutgoing = profile.sign_convention === 'inverted' ? signed > 0 : signed < 0;
+        amount = Math.abs(signed);
+        type = isOutgoing ? 'saida' : 'entrada';
+      }
+    }
+
+    return finalizeRow({
+      row: firstLine + index,
+      date: parseStatementDate(cell(line, columns.date), profile.date_format),
+      description: cell(line, columns.description),
+      amount,
+      type,
+      errors
+    }, defaults);
+  });
+};
+
+module.exports = {
+  DATE_FORMATS,
+  parseStatementDate,
+  parseStatementAmount,
+  finalizeRow,
+  normalizeCsvStatement
+};
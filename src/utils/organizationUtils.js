@@ -0,0 +1,53 @@
+// Utilitários de organizações
+// Cada organização (agência ou filial) tem a sua própria contabilidade; a organização vem do JWT
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// Escopo dos relatórios consolidados de super admins, que somam todas as organizações
+const ALL_ORGANIZATIONS = '*';
+
+/**
+ * Busca uma organização
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<Object|null>} Organização, ou null se não existir
+ */
+const getOrganization = async (organizationId) => {
+  const organizations = await executeQuery(
+    'SELECT id, name, active FROM organizations WHERE id = ?',
+    [organizationId]
+  );
+
+  return organizations[0] || null;
+};
+
+/**
+ * Resolve a organização de trabalho de um token
+ * Tokens sem organização (emitidos antes das organizações) usam a do usuário.
+ * Só super admins podem trabalhar numa organização diferente da sua.
+ * @param {Object} profile - Perfil do usuário ({ organization_id, is_super_admin })
+ * @param {string} tokenOrganizationId - Organização do token (claim org, opcional)
+ * @returns {Promise<Object>} Organização ativa
+ * @throws {AppError} Se o usuário não puder usar a organização ou ela estiver inativa
+ */
+const resolveTokenOrganization = async (profile, tokenOrganizationId) => {
+  const organizationId = tokenOrganizationId || profile.organization_id;
+
+  if (organizationId !== profile.organization_id && !profile.is_super_admin) {
+    throw new AppError('Token does not belong to your organization.', 401, 'ORGANIZATION_MISMATCH');
+  }
+
+  const organization = await getOrganization(organizationId);
+
+  if (!organization || !organization.active) {
+    throw new AppError('Organization is inactive.', 401, 'ORGANIZATION_INACTIVE');
+  }
+
+  return organization;
+};
+
+module.exports = {
+  ALL_ORGANIZATIONS,
+  getOrganization,
+  resolveTokenOrganization
+};
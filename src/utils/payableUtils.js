@@ -0,0 +1,23 @@
+// Utilitários de contas a pagar
+// O anexo da conta é reutilizado como comprovativo do pagamento, então os arquivos são compartilhados
+
+const { executeQuery } = require('../config/database');
+
+/**
+ * Verifica se um arquivo enviado ainda está anexado a alguma conta a pagar
+ * Usado antes de apagar comprovativos de lançamentos, que podem apontar para o mesmo arquivo.
+ * @param {string} fileUrl - URL pública do arquivo
+ * @returns {Promise<boolean>} True se alguma conta a pagar usa o arquivo
+ */
+const isPayableAttachment = async (fileUrl) => {
+  if (!fileUrl) {
+    return false;
+  }
+
+  const payables = await executeQuery('SELECT id FROM payables WHERE attachment_url = ? LIMIT 1', [fileUrl]);
+  return payables.length > 0;
+};
+
+module.exports = {
+  isPayableAttachment
+};
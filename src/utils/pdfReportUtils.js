@@ -0,0 +1,185 @@
+// Utilitários de relatórios em PDF
+// Renderiza o relatório mensal de fluxo de caixa no servidor (pdfkit, sem serviços externos)
+
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 50;
+const ROW_HEIGHT = 18;
+
+/**
+ * Cria os formatadores de valores e datas para o locale
+ * @param {string} locale - Locale BCP 47
+ * @returns {Object} { money, date }
+ */
+const createFormatters = (locale) => {
+  const numberFormat = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+  const dateFormat = new Intl.DateTimeFormat(locale, { year: 'numeric', month: '2-digit', day: '2-digit' });
+
+  return {
+    money: (value) => numberFormat.format(Number(value) || 0),
+    date: (value) => (value instanceof Date ? dateFormat.format(value) : String(value || ''))
+  };
+};
+
+/**
+ * Desenha o título de uma seção
+ * @param {PDFDocument} doc - Documento
+ * @param {string} title - Título
+ */
+const drawSectionTitle = (doc, title) => {
+  if (doc.y > doc.page.height - PAGE_MARGIN - ROW_HEIGHT * 4) {
+    doc.addPage();
+  }
+
+  doc.moveDown(1);
+  doc.font('Helvetica-Bold').fontSize(13).fillColor('#1f2937').text(title, PAGE_MARGIN);
+  doc.moveDown(0.4);
+};
+
+/**
+ * Desenha uma tabela simples, com quebra de página e cabeçalho repetido
+ * @param {PDFDocument} doc - Documento
+ * @param {Array<Object>} columns - Colunas { header, width, align }
+ * @param {Array<Array<string>>} rows - Linhas já formatadas
+ */
+const drawTable = (doc, columns, rows) => {
+  const drawRow = (values, { bold = false, shaded = false } = {}) => {
+    if (doc.y > doc.page.height - PAGE_MARGIN - ROW_HEIGHT) {
+      doc.addPage();
+      drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+    }
+
+    const y = doc.y;
+    if (shaded) {
+      const width = columns.reduce((total, column) => total + column.width, 0);
+      doc.rect(PAGE_MARGIN, y - 4, width, ROW_HEIGHT).fill('#f3f4f6');
+    }
+
+    let x = PAGE_MARGIN;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).fillColor('#111827');
+    columns.forEach((column, index) => {
+      doc.text(values[index], x + 4, y, {
+        width: column.width - 8,
+        height: ROW_HEIGHT - 6,
+        align: column.align || 'left',
+        ellipsis: true
+      });
+      x += column.width;
+    });
+
+    doc.x = PAGE_MARGIN;
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  drawRow(columns.map(column => column.header), { bold: true, shaded: true });
+
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#6b7280').text('No data for this period', PAGE_MARGIN + 4);
+    return;
+  }
+
+  rows.forEach(values => drawRow(values));
+};
+
+/**
+ * Renderiza o relatório mensal de fluxo de caixa
+ * @param {Object} report - { period, start, end, base_currency, summary, monthly_breakdown, category_breakdown, largest_expenses, generated_by_name, category_names }
+ * category_names lista as categorias de um relatório limitado ao escopo de quem o gerou (ausente = todas)
+ * @param {Object} options - { locale }
+ * @returns {Promise<Buffer>} Conteúdo do PDF
+ */
+const renderCashFlowReport = (report, { locale }) => {
+  return new Promise((resolve, reject) => {
+    const format = createFormatters(locale);
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: PAGE_MARGIN,
+      info: { Title: `Cash flow report ${report.period}`, Author: 'javiagens' }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    // Header
+    doc.font('Helvetica-Bold').fontSize(18).fillColor('#111827').text(`Cash flow report — ${report.period}`);
+    doc.font('Helvetica').fontSize(10).fillColor('#4b5563')
+      .text(`Period: ${format.date(new Date(`${report.start}T00:00:00`))} to ${format.date(new Date(`${report.end}T00:00:00`))}`)
+      .text(`Amounts in ${report.base_currency}`)
+      .text(`Generated on ${format.date(new Date())}${report.generated_by_name ? ` by ${report.generated_by_name}` : ''}`);
+
+    if (report.category_names) {
+      doc.text(`Limited to the categories: ${report.category_names.join(', ')}`);
+    }
+
+    // Totals
+    const summary = report.summary || {};
+    drawSectionTitle(doc, 'Summary');
+    drawTable(doc, [
+      { header: 'Indicator', width: 300 },
+      { header: 'Value', width: 195, align: 'right' }
+    ], [
+      ['Total income', format.money(summary.total_income)],
+      ['Total expenses', format.money(summary.total_expenses)],
+      ['Net balance', format.money(summary.net_balance)],
+      ['Transactions', String(summary.total_transactions || 0)],
+      ['Income entries', String(summary.income_count || 0)],
+      ['Expense entries', String(summary.expense_count || 0)],
+      ['Average income', format.money(summary.avg_income)],
+      ['Average expense', format.money(summary.avg_expense)]
+    ]);
+
+    // Monthly breakdown (trailing months up to the report period)
+    drawSectionTitle(doc, 'Monthly breakdown');
+    drawTable(doc, [
+      { header: 'Month', width: 95 },
+      { header: 'Income', width: 110, align: 'right' },
+      { header: 'Expenses', width: 110, align: 'right' },
+      { header: 'Net', width: 110, align: 'right' },
+      { header: 'Count', width: 70, align: 'right' }
+    ], report.monthly_breakdown.map(month => [
+      month.month,
+      format.money(month.income),
+      format.money(month.expenses),
+      format.money(Number(month.income) - Number(month.expenses)),
+      String(month.transaction_count)
+    ]));
+
+    // Category breakdown
+    drawSectionTitle(doc, 'Category breakdown');
+    drawTable(doc, [
+      { header: 'Category', width: 225 },
+      { header: 'Type', width: 80 },
+      { header: 'Amount', width: 120, align: 'right' },
+      { header: 'Count', width: 70, align: 'right' }
+    ], report.category_breakdown.map(category => [
+      category.category_name || 'Uncategorized',
+      category.type === 'entrada' ? 'Income' : 'Expense',
+      format.money(category.total_amount),
+      String(category.transaction_count)
+    ]));
+
+    // Largest expenses
+    drawSectionTitle(doc, 'Largest expenses');
+    drawTable(doc, [
+      { header: 'Date', width: 75 },
+      { header: 'Description', width: 185 },
+      { header: 'Category', width: 100 },
+      { header: 'Original', width: 70, align: 'right' },
+      { header: 'Amount', width: 65, align: 'right' }
+    ], report.largest_expenses.map(expense => [
+      format.date(expense.date),
+      expense.description,
+      expense.category_name || 'Uncategorized',
+      expense.currency === report.base_currency ? '' : `${format.money(expense.amount)} ${expense.currency}`,
+      format.money(expense.base_amount)
+    ]));
+
+    doc.end();
+  });
+};
+
+module.exports = {
+  renderCashFlowReport
+};
@@ -0,0 +1,101 @@
+// Utilitários de períodos contábeis
+// Converte períodos ('2025-03', '2025-Q1', '2025') em intervalos de datas
+
+const PERIOD_TYPES = ['month', 'quarter', 'year'];
+
+// Formato esperado do período para cada tipo
+const PERIOD_FORMATS = {
+  month: /^(\d{4})-(0[1-9]|1[0-2])$/,
+  quarter: /^(\d{4})-Q([1-4])$/,
+  year: /^(\d{4})$/
+};
+
+/**
+ * Formata uma data UTC no padrão YYYY-MM-DD
+ * @param {Date} date - Data
+ * @returns {string} Data formatada
+ */
+const toDateString = (date) => {
+  return date.toISOString().split('T')[0];
+};
+
+/**
+ * Verifica se o período está no formato correto para o tipo
+ * @param {string} periodType - Tipo do período ('month', 'quarter' ou 'year')
+ * @param {string} period - Período (ex.: '2025-03', '2025-Q1', '2025')
+ * @returns {boolean} True se o período é válido
+ */
+const isValidPeriod = (periodType, period) => {
+  return Boolean(PERIOD_FORMATS[periodType]) && PERIOD_FORMATS[periodType].test(period || '');
+};
+
+/**
+ * Converte um período em datas de início e fim (inclusivas)
+ * @param {string} periodType - Tipo do período ('month', 'quarter' ou 'year')
+ * @param {string} period - Período (ex.: '2025-03', '2025-Q1', '2025')
+ * @returns {Object} { start, end } no formato YYYY-MM-DD
+ */
+const getPeriodRange = (periodType, period) => {
+  const match = PERIOD_FORMATS[periodType].exec(period);
+  const year = parseInt(match[1]);
+
+  let startMonth = 0;
+  let months = 12;
+  if (periodType === 'month') {
+    startMonth = parseInt(match[2]) - 1;
+    months = 1;
+  } else if (periodType === 'quarter') {
+    startMonth = (parseInt(match[2]) - 1) * 3;
+    months = 3;
+  }
+
+  return {
+    start: toDateString(new Date(Date.UTC(year, startMonth, 1))),
+    end: toDateString(new Date(Date.UTC(year, startMonth + months, 0)))
+  };
+};
+
+/**
+ * Retorna o período atual para o tipo informado
+ * @param {string} periodType - Tipo do período ('month', 'quarter' ou 'year')
+ * @returns {string} Período atual (ex.: '2025-03', '2025-Q1', '2025')
+ */
+const getCurrentPeriod = (periodType) => {
+  const now = new Date();
+  const year = now.getFullYear();
+  const month = now.getMonth() + 1;
+
+  if (periodType === 'month') {
+    return `${year}-${String(month).padStart(2, '0')}`;
+  }
+  if (periodType === 'quarter') {
+    return `${year}-Q${Math.ceil(month / 3)}`;
+  }
+  return String(year);
+};
+
+/**
+ * Converte as datas de um período armazenado de volta para o formato do período
+ * @param {string} periodType - Tipo do período
+ * @param {string} periodStart - Data de início (YYYY-MM-DD)
+ * @returns {string} Período (ex.: '2025-03', '2025-Q1', '2025')
+ */
+const formatPeriod = (periodType, periodStart) => {
+  const [year, month] = periodStart.split('-');
+
+  if (periodType === 'month') {
+    return `${year}-${month}`;
+  }
+  if (periodType === 'quarter') {
+    return `${year}-Q${Math.ceil(parseInt(month) / 3)}`;
+  }
+  return year;
+};
+
+module.exports = {
+  PERIOD_TYPES,
+  isValidPeriod,
+  getPeriodRange,
+  getCurrentPeriod,
+  formatPeriod
+};
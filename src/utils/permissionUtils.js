@@ -0,0 +1,108 @@
+// Utilitários de papéis e permissões
+// Catálogo das permissões (recurso:ação) verificadas pelas rotas e consulta das permissões de cada papel
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+
+// Papel que sempre tem todas as permissões (não pode ser alterado nem excluído)
+const ADMIN_ROLE = 'administrador';
+
+// Formato do ID de um papel (ex.: 'contabilista', 'operador_caixa')
+const ROLE_ID_PATTERN = /^[a-z][a-z0-9_]{1,49}$/;
+
+// Permissões conhecidas e o que cada uma libera
+const PERMISSIONS = {
+  'transactions:create': 'Create transactions',
+  'transactions:update': 'Edit transactions and their receipts',
+  'transactions:delete': 'Move transactions to the trash and restore them',
+  'transactions:reverse': 'Void transactions with a reversal entry',
+  'transactions:restore_revision': 'Restore a previous revision of a transaction',
+  'approvals:manage': 'Approve or reject large expenses (own expenses skip approval)',
+  'approvals:configure': 'Set the approval threshold of categories',
+  'categories:create': 'Create categories and subcategories',
+  'categories:update': 'Edit categories and subcategories',
+  'categories:delete': 'Delete categories and subcategories',
+  'exchange_rates:create': 'Add and upload exchange rates (super admins only, rates are shared)',
+  'exchange_rates:update': 'Edit exchange rates (super admins only, rates are shared)',
+  'exchange_rates:delete': 'Delete exchange rates (super admins only, rates are shared)',
+  'accounts:create': 'Create accounts',
+  'accounts:update': 'Edit accounts',
+  'accounts:delete': 'Delete accounts',
+  'transfers:create': 'Transfer between accounts',
+  'transfers:delete': 'Delete transfers',
+  'trips:create': 'Create trips',
+  'trips:update': 'Edit trips',
+  'trips:delete': 'Delete trips',
+  'counterparties:create': 'Create clients and suppliers',
+  'counterparties:update': 'Edit clients and suppliers',
+  'counterparties:delete': 'Delete clients and suppliers',
+  'receivables:create': 'Create receivables',
+  'receivables:update': 'Edit receivables',
+  'receivables:pay': 'Record receivable payments',
+  'receivables:cancel': 'Cancel receivables',
+  'receivables:delete': 'Delete receivables',
+  'payables:create': 'Create payables',
+  'payables:update': 'Edit payables',
+  'payables:pay': 'Pay payables',
+  'payables:cancel': 'Cancel payables',
+  'payables:delete': 'Delete payables',
+  'recurring:create': 'Create recurring transactions',
+  'recurring:update': 'Edit recurring transactions',
+  'recurring:delete': 'Delete recurring transactions',
+  'budgets:create': 'Create budgets',
+  'budgets:update': 'Edit budgets',
+  'budgets:delete': 'Delete budgets',
+  'reconciliations:read': 'View bank reconciliations',
+  'reconciliations:manage': 'Run and close bank reconciliations',
+  'imports:manage': 'Import bank statements',
+  'files:read': 'List uploaded files',
+  'files:upload': 'Upload files',
+  'files:delete': 'Delete uploaded files',
+  'reports:read': 'View and download generated reports',
+  'reports:generate': 'Generate reports',
+  'reports:delete': 'Delete generated reports',
+  'profiles:read': 'View every user profile',
+  'users:manage': 'Manage users',
+  'roles:manage': 'View roles; super admins also change them, as roles are shared',
+  'audit:read': 'View the audit log'
+};
+
+/**
+ * Busca as permissões de um papel
+ * @param {string} roleId - ID do papel
+ * @returns {Promise<Array<string>>} Permissões do papel
+ */
+const getRolePermissions = async (roleId) => {
+  if (roleId === ADMIN_ROLE) {
+    return Object.keys(PERMISSIONS);
+  }
+
+  const permissions = await executeQuery(
+    'SELECT permission FROM role_permissions WHERE role_id = ? ORDER BY permission ASC',
+    [roleId]
+  );
+
+  return permissions.map(row => row.permission);
+};
+
+/**
+ * Garante que o papel existe
+ * @param {string} roleId - ID do papel
+ * @returns {Promise<void>}
+ * @throws {AppError} Se o papel não existir
+ */
+const assertRoleExists = async (roleId) => {
+  const roles = await executeQuery('SELECT id FROM roles WHERE id = ?', [roleId]);
+
+  if (roles.length === 0) {
+    throw new AppError(`Role ${roleId} does not exist`, 400, 'INVALID_ROLE');
+  }
+};
+
+module.exports = {
+  ADMIN_ROLE,
+  ROLE_ID_PATTERN,
+  PERMISSIONS,
+  getRolePermissions,
+  assertRoleExists
+};
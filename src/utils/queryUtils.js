@@ -3,35 +3,38 @@
 
 const { executeQuery } = require('../config/database');
 const { AppError } = require('../middleware/errorMiddleware');
+const { reportableTransactionCondition } = require('./transactionUtils');
 
 /**
- * Verifica se um recurso existe no banco de dados
- * @param {string} table - Nome da tabela
+ * Verifica se um recurso existe na organização
+ * @param {string} table - Nome da tabela (com coluna organization_id)
  * @param {string} id - ID do recurso
+ * @param {string} organizationId - ID da organização
  * @param {string} idColumn - Nome da coluna de ID (padrão: 'id')
  * @returns {Promise<boolean>} True se o recurso existe
  */
-const resourceExists = async (table, id, idColumn = 'id') => {
+const resourceExists = async (table, id, organizationId, idColumn = 'id') => {
   const result = await executeQuery(
-    `SELECT ${idColumn} FROM ${table} WHERE ${idColumn} = ? LIMIT 1`,
-    [id]
+    `SELECT ${idColumn} FROM ${table} WHERE ${idColumn} = ? AND organization_id = ? LIMIT 1`,
+    [id, organizationId]
   );
   return result.length > 0;
 };
 
 /**
- * Busca um recurso por ID ou lança erro se não encontrado
- * @param {string} table - Nome da tabela
+ * Busca um recurso da organização por ID ou lança erro se não encontrado
+ * @param {string} table - Nome da tabela (com coluna organization_id)
  * @param {string} id - ID do recurso
+ * @param {string} organizationId - ID da organização
  * @param {string} errorMessage - Mensagem de erro personalizada
  * @param {string} errorCode - Código de erro personalizado
  * @param {string} idColumn - Nome da coluna de ID (padrão: 'id')
  * @returns {Promise<Object>} Recurso encontrado
  */
-const findResourceOrFail = async (table, id, errorMessage = 'Resource not found', errorCode = 'RESOURCE_NOT_FOUND', idColumn = 'id') => {
+const findResourceOrFail = async (table, id, organizationId, errorMessage = 'Resource not found', errorCode = 'RESOURCE_NOT_FOUND', idColumn = 'id') => {
   const result = await executeQuery(
-    `SELECT * FROM ${table} WHERE ${idColumn} = ? LIMIT 1`,
-    [id]
+    `SELECT * FROM ${table} WHERE ${idColumn} = ? AND organization_id = ? LIMIT 1`,
+    [id, organizationId]
   );
   
   if (result.length === 0) {
@@ -115,17 +118,19 @@ const buildSearchQuery = (baseQuery, filters = {}, baseParams = []) => {
  * Query padrão para buscar usuário com perfil
  */
 const USER_WITH_PROFILE_QUERY = `
-  SELECT u.id, u.email, p.name, p.phone, p.role, p.status, p.avatar, p.last_login, p.created_at
+  SELECT u.id, u.email, p.organization_id, p.name, p.phone, p.role, p.status, p.avatar, p.last_login, p.created_at
   FROM users u 
   JOIN profiles p ON u.id = p.id 
   WHERE u.id = ?
 `;
 
 /**
- * Gera próximo ID de transação no formato txn-XXX
- * @returns {Promise<string>} Próximo ID de transação
+ * Gera os próximos IDs de transação sequenciais no formato txn-XXX
+ * A sequência é única para todas as organizações, pois o ID é a chave da transação.
+ * @param {number} count - Quantidade de IDs
+ * @returns {Promise<Array<string>>} Próximos IDs de transação
  */
-const generateNextTransactionId = async () => {
+const generateNextTransactionIds = async (count) => {
   const result = await executeQuery(
     `SELECT id FROM transactions
      WHERE id LIKE 'txn-%'
@@ -133,15 +138,21 @@ const generateNextTransactionId = async () => {
      LIMIT 1`
   );
 
-  if (result.length === 0) {
-    return 'txn-001';
-  }
+  const lastNumber = result.length === 0 ? 0 : parseInt(result[0].id.split('-')[1]);
 
-  const lastId = result[0].id;
-  const lastNumber = parseInt(lastId.split('-')[1]);
-  const nextNumber = lastNumber + 1;
+  return Array.from({ length: count }, (_, index) => {
+    const nextNumber = lastNumber + index + 1;
+    return `txn-${nextNumber.toString().padStart(3, '0')}`;
+  });
+};
 
-  return `txn-${nextNumber.toString().padStart(3, '0')}`;
+/**
+ * Gera próximo ID de transação no formato txn-XXX
+ * @returns {Promise<string>} Próximo ID de transação
+ */
+const generateNextTransactionId = async () => {
+  const [nextId] = await generateNextTransactionIds(1);
+  return nextId;
 };
 
 /**
@@ -149,15 +160,305 @@ const generateNextTransactionId = async () => {
  */
 const TRANSACTION_WITH_RELATIONS_QUERY = `
   SELECT
-    t.id, t.amount, t.type, t.description, t.date, t.receipt_url as comprovativo_url,
+    t.id, t.organization_id, t.account_id, t.amount, t.currency, t.exchange_rate, t.base_amount,
+    t.type, t.description, t.date, t.receipt_url as comprovativo_url,
     t.category_id, t.subcategory_id, t.created_at, t.updated_at,
+    t.status, t.reverses_id, r.id as reversed_by_id, t.voided_at, t.void_reason, t.transfer_id,
+    t.reconciliation_id, t.reconciled_at, t.trip_id, t.counterparty_id, t.receivable_id, t.payable_id,
+    a.name as account_name,
+    tr.destination as trip_destination,
+    cp.name as counterparty_name,
     c.name as category_name,
     s.name as subcategory_name,
     p.name as created_by_name
   FROM transactions t
+  LEFT JOIN accounts a ON t.account_id = a.id
+  LEFT JOIN trips tr ON t.trip_id = tr.id
+  LEFT JOIN counterparties cp ON t.counterparty_id = cp.id
   LEFT JOIN categories c ON t.category_id = c.id
   LEFT JOIN subcategories s ON t.subcategory_id = s.id
   LEFT JOIN profiles p ON t.created_by = p.id
+  LEFT JOIN transactions r ON r.reverses_id = t.id
+`;
+
+/**
+ * Query padrão para buscar transação recorrente (modelo) com relacionamentos
+ * Datas formatadas como YYYY-MM-DD para o cálculo das ocorrências
+ */
+const RECURRING_TRANSACTION_WITH_RELATIONS_QUERY = `
+  SELECT
+    r.id, r.organization_id, r.account_id, r.amount, r.type, r.description, r.category_id, r.subcategory_id,
+    r.frequency, r.interval_count, r.day_of_month, r.max_occurrences, r.active,
+    DATE_FORMAT(r.start_date, '%Y-%m-%d') as start_date,
+    DATE_FORMAT(r.end_date, '%Y-%m-%d') as end_date,
+    DATE_FORMAT(r.last_generated_date, '%Y-%m-%d') as last_generated_date,
+    r.created_by, r.created_at, r.updated_at,
+    a.name as account_name,
+    c.name as category_name,
+    s.name as subcategory_name,
+    p.name as created_by_name
+  FROM recurring_transactions r
+  LEFT JOIN accounts a ON r.account_id = a.id
+  LEFT JOIN categories c ON r.category_id = c.id
+  LEFT JOIN subcategories s ON r.subcategory_id = s.id
+  LEFT JOIN profiles p ON r.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar orçamento com relacionamentos
+ */
+const BUDGET_WITH_RELATIONS_QUERY = `
+  SELECT
+    b.id, b.organization_id, b.category_id, b.subcategory_id, b.period_type,
+    DATE_FORMAT(b.period_start, '%Y-%m-%d') as period_start,
+    DATE_FORMAT(b.period_end, '%Y-%m-%d') as period_end,
+    b.amount, b.notes, b.created_at, b.updated_at,
+    c.name as category_name,
+    s.name as subcategory_name,
+    p.name as created_by_name
+  FROM budgets b
+  LEFT JOIN categories c ON b.category_id = c.id
+  LEFT JOIN subcategories s ON b.subcategory_id = s.id
+  LEFT JOIN profiles p ON b.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar relatório gerado com relacionamentos
+ * Datas do período formatadas como YYYY-MM-DD
+ */
+const REPORT_WITH_RELATIONS_QUERY = `
+  SELECT
+    r.id, r.organization_id, r.type, r.period,
+    DATE_FORMAT(r.period_start, '%Y-%m-%d') as period_start,
+    DATE_FORMAT(r.period_end, '%Y-%m-%d') as period_end,
+    r.locale, r.filename, r.file_size, r.summary_data, r.category_scope, r.generated_by, r.created_at,
+    p.name as generated_by_name
+  FROM reports r
+  LEFT JOIN profiles p ON r.generated_by = p.id
+`;
+
+/**
+ * Query padrão para buscar taxa de câmbio com relacionamentos
+ */
+const EXCHANGE_RATE_WITH_RELATIONS_QUERY = `
+  SELECT
+    e.id, e.currency,
+    DATE_FORMAT(e.rate_date, '%Y-%m-%d') as rate_date,
+    e.rate, e.source, e.created_by, e.created_at, e.updated_at,
+    p.name as created_by_name
+  FROM exchange_rates e
+  LEFT JOIN profiles p ON e.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar conta com relacionamentos
+ * O saldo não faz parte da query: é calculado por getAccountBalance
+ */
+const ACCOUNT_WITH_RELATIONS_QUERY = `
+  SELECT
+    a.id, a.organization_id, a.name, a.type, a.currency, a.opening_balance,
+    DATE_FORMAT(a.opening_date, '%Y-%m-%d') as opening_date,
+    a.institution, a.account_number, a.is_default, a.active, a.notes,
+    a.created_by, a.created_at, a.updated_at,
+    p.name as created_by_name
+  FROM accounts a
+  LEFT JOIN profiles p ON a.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar conciliação com a conta e os responsáveis
+ */
+const RECONCILIATION_WITH_RELATIONS_QUERY = `
+  SELECT
+    r.id, r.organization_id, r.account_id,
+    DATE_FORMAT(r.period_start, '%Y-%m-%d') as period_start,
+    DATE_FORMAT(r.period_end, '%Y-%m-%d') as period_end,
+    r.statement_balance, r.status, r.reconciled_balance, r.notes,
+    r.created_by, r.closed_by, r.closed_at, r.created_at, r.updated_at,
+    a.name as account_name,
+    a.currency,
+    p.name as created_by_name,
+    cp.name as closed_by_name
+  FROM reconciliations r
+  JOIN accounts a ON r.account_id = a.id
+  LEFT JOIN profiles p ON r.created_by = p.id
+  LEFT JOIN profiles cp ON r.closed_by = cp.id
+`;
+
+/**
+ * Query padrão para buscar viagem com receita, custos e margem (na moeda base)
+ * Considera apenas lançamentos reportáveis (fora da lixeira, efetivos e sem transferências)
+ */
+const TRIP_WITH_RELATIONS_QUERY = `
+  SELECT
+    tr.id, tr.organization_id, tr.reference, tr.destination,
+    DATE_FORMAT(tr.start_date, '%Y-%m-%d') as start_date,
+    DATE_FORMAT(tr.end_date, '%Y-%m-%d') as end_date,
+    tr.client_name, tr.client_email, tr.client_phone, tr.sale_price, tr.status, tr.notes,
+    tr.created_by, tr.created_at, tr.updated_at,
+    COALESCE(f.revenue, 0) as revenue,
+    COALESCE(f.costs, 0) as costs,
+    COALESCE(f.revenue, 0) - COALESCE(f.costs, 0) as margin,
+    CASE WHEN f.revenue > 0 THEN ROUND((f.revenue - f.costs) / f.revenue * 100, 2) END as margin_percent,
+    p.name as created_by_name
+  FROM trips tr
+  LEFT JOIN (
+    SELECT
+      t.trip_id,
+      SUM(CASE WHEN t.type = 'entrada' THEN t.base_amount ELSE 0 END) as revenue,
+      SUM(CASE WHEN t.type = 'saida' THEN t.base_amount ELSE 0 END) as costs
+    FROM transactions t
+    WHERE t.trip_id IS NOT NULL AND ${reportableTransactionCondition()}
+    GROUP BY t.trip_id
+  ) f ON f.trip_id = tr.id
+  LEFT JOIN profiles p ON tr.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar contraparte (cliente ou fornecedor) com relacionamentos
+ */
+const COUNTERPARTY_WITH_RELATIONS_QUERY = `
+  SELECT
+    cp.id, cp.organization_id, cp.name, cp.type, cp.tax_id, cp.email, cp.phone, cp.contact_name, cp.address, cp.notes, cp.active,
+    cp.created_by, cp.created_at, cp.updated_at,
+    p.name as created_by_name
+  FROM counterparties cp
+  LEFT JOIN profiles p ON cp.created_by = p.id
+`;
+
+/**
+ * Situação de um recebível calculada a partir dos pagamentos efetivos (alias rc e pay),
+ * para que estornos e exclusões de pagamentos reabram o saldo automaticamente
+ */
+const RECEIVABLE_STATUS_SQL = `
+  CASE
+    WHEN rc.cancelled_at IS NOT NULL THEN 'cancelled'
+    WHEN COALESCE(pay.paid_amount, 0) >= rc.amount THEN 'paid'
+    WHEN rc.due_date < CURDATE() THEN 'overdue'
+    WHEN COALESCE(pay.paid_amount, 0) > 0 THEN 'partially_paid'
+    ELSE 'open'
+  END
+`;
+
+/**
+ * Query padrão para buscar recebível com pagamentos, saldo em aberto e situação
+ * Valores pagos na moeda do recebível, a partir das entradas efetivas ligadas a ele
+ */
+const RECEIVABLE_WITH_RELATIONS_QUERY = `
+  SELECT
+    rc.id, rc.organization_id, rc.reference, rc.counterparty_id, rc.trip_id, rc.description, rc.amount, rc.currency,
+    DATE_FORMAT(rc.issue_date, '%Y-%m-%d') as issue_date,
+    DATE_FORMAT(rc.due_date, '%Y-%m-%d') as due_date,
+    rc.notes, rc.cancelled_at, rc.cancel_reason, rc.created_by, rc.created_at, rc.updated_at,
+    COALESCE(pay.paid_amount, 0) as paid_amount,
+    rc.amount - COALESCE(pay.paid_amount, 0) as outstanding_amount,
+    DATE_FORMAT(pay.last_payment_date, '%Y-%m-%d') as last_payment_date,
+    ${RECEIVABLE_STATUS_SQL} as status,
+    GREATEST(DATEDIFF(CURDATE(), rc.due_date), 0) as days_overdue,
+    cp.name as counterparty_name,
+    tr.destination as trip_destination,
+    p.name as created_by_name
+  FROM receivables rc
+  LEFT JOIN (
+    SELECT t.receivable_id, SUM(t.amount) as paid_amount, MAX(t.date) as last_payment_date
+    FROM transactions t
+    WHERE t.receivable_id IS NOT NULL AND t.type = 'entrada' AND ${reportableTransactionCondition()}
+    GROUP BY t.receivable_id
+  ) pay ON pay.receivable_id = rc.id
+  JOIN counterparties cp ON rc.counterparty_id = cp.id
+  LEFT JOIN trips tr ON rc.trip_id = tr.id
+  LEFT JOIN profiles p ON rc.created_by = p.id
+`;
+
+/**
+ * Situação de uma conta a pagar calculada a partir dos pagamentos efetivos (alias pb e pay)
+ */
+const PAYABLE_STATUS_SQL = `
+  CASE
+    WHEN pb.cancelled_at IS NOT NULL THEN 'cancelled'
+    WHEN COALESCE(pay.paid_amount, 0) >= pb.amount THEN 'paid'
+    WHEN pb.due_date < CURDATE() THEN 'overdue'
+    WHEN COALESCE(pay.paid_amount, 0) > 0 THEN 'partially_paid'
+    ELSE 'open'
+  END
+`;
+
+/**
+ * Query padrão para buscar conta a pagar com pagamentos, saldo em aberto e situação
+ * Valores pagos na moeda da conta a pagar, a partir das saídas efetivas ligadas a ela
+ */
+const PAYABLE_WITH_RELATIONS_QUERY = `
+  SELECT
+    pb.id, pb.organization_id, pb.reference, pb.counterparty_id, pb.trip_id, pb.category_id, pb.subcategory_id,
+    pb.description, pb.amount, pb.currency,
+    DATE_FORMAT(pb.issue_date, '%Y-%m-%d') as issue_date,
+    DATE_FORMAT(pb.due_date, '%Y-%m-%d') as due_date,
+    DATE_FORMAT(pb.scheduled_date, '%Y-%m-%d') as scheduled_date,
+    pb.attachment_url, pb.notes, pb.cancelled_at, pb.cancel_reason, pb.created_by, pb.created_at, pb.updated_at,
+    COALESCE(pay.paid_amount, 0) as paid_amount,
+    pb.amount - COALESCE(pay.paid_amount, 0) as outstanding_amount,
+    DATE_FORMAT(pay.last_payment_date, '%Y-%m-%d') as last_payment_date,
+    ${PAYABLE_STATUS_SQL} as status,
+    GREATEST(DATEDIFF(CURDATE(), pb.due_date), 0) as days_overdue,
+    cp.name as counterparty_name,
+    tr.destination as trip_destination,
+    c.name as category_name,
+    s.name as subcategory_name,
+    p.name as created_by_name
+  FROM payables pb
+  LEFT JOIN (
+    SELECT t.payable_id, SUM(t.amount) as paid_amount, MAX(t.date) as last_payment_date
+    FROM transactions t
+    WHERE t.payable_id IS NOT NULL AND t.type = 'saida' AND ${reportableTransactionCondition()}
+    GROUP BY t.payable_id
+  ) pay ON pay.payable_id = pb.id
+  JOIN counterparties cp ON pb.counterparty_id = cp.id
+  LEFT JOIN trips tr ON pb.trip_id = tr.id
+  LEFT JOIN categories c ON pb.category_id = c.id
+  LEFT JOIN subcategories s ON pb.subcategory_id = s.id
+  LEFT JOIN profiles p ON pb.created_by = p.id
+`;
+
+/**
+ * Query padrão para buscar pedido de aprovação com a transação e os responsáveis
+ */
+const TRANSACTION_APPROVAL_WITH_RELATIONS_QUERY = `
+  SELECT
+    ap.id, ap.transaction_id, ap.status, ap.threshold, ap.base_amount, ap.requested_by, ap.requested_at,
+    ap.decided_by, ap.decided_at, ap.comment,
+    t.organization_id, t.amount, t.currency, t.type, t.description, DATE_FORMAT(t.date, '%Y-%m-%d') as date,
+    t.status as transaction_status, t.account_id, t.category_id, t.subcategory_id, t.receipt_url as comprovativo_url,
+    a.name as account_name,
+    c.name as category_name,
+    s.name as subcategory_name,
+    rp.name as requested_by_name,
+    dp.name as decided_by_name
+  FROM transaction_approvals ap
+  JOIN transactions t ON ap.transaction_id = t.id
+  LEFT JOIN accounts a ON t.account_id = a.id
+  LEFT JOIN categories c ON t.category_id = c.id
+  LEFT JOIN subcategories s ON t.subcategory_id = s.id
+  LEFT JOIN profiles rp ON ap.requested_by = rp.id
+  LEFT JOIN profiles dp ON ap.decided_by = dp.id
+`;
+
+/**
+ * Query padrão para buscar linha do extrato com a transação associada (quando houver)
+ */
+const RECONCILIATION_LINE_WITH_RELATIONS_QUERY = `
+  SELECT
+    l.id, l.reconciliation_id, l.line_number,
+    DATE_FORMAT(l.date, '%Y-%m-%d') as date,
+    l.description, l.amount, l.type, l.status, l.match_method, l.match_score,
+    l.transaction_id, l.matched_by, l.matched_at,
+    DATE_FORMAT(t.date, '%Y-%m-%d') as transaction_date,
+    t.description as transaction_description,
+    t.amount as transaction_amount,
+    t.type as transaction_type,
+    p.name as matched_by_name
+  FROM reconciliation_lines l
+  LEFT JOIN transactions t ON l.transaction_id = t.id
+  LEFT JOIN profiles p ON l.matched_by = p.id
 `;
 
 module.exports = {
@@ -166,6 +467,21 @@ module.exports = {
   buildUpdateQuery,
   buildSearchQuery,
   generateNextTransactionId,
+  generateNextTransactionIds,
   USER_WITH_PROFILE_QUERY,
-  TRANSACTION_WITH_RELATIONS_QUERY
+  TRANSACTION_WITH_RELATIONS_QUERY,
+  RECURRING_TRANSACTION_WITH_RELATIONS_QUERY,
+  BUDGET_WITH_RELATIONS_QUERY,
+  REPORT_WITH_RELATIONS_QUERY,
+  EXCHANGE_RATE_WITH_RELATIONS_QUERY,
+  ACCOUNT_WITH_RELATIONS_QUERY,
+  RECONCILIATION_WITH_RELATIONS_QUERY,
+  RECONCILIATION_LINE_WITH_RELATIONS_QUERY,
+  TRIP_WITH_RELATIONS_QUERY,
+  COUNTERPARTY_WITH_RELATIONS_QUERY,
+  RECEIVABLE_STATUS_SQL,
+  RECEIVABLE_WITH_RELATIONS_QUERY,
+  PAYABLE_STATUS_SQL,
+  PAYABLE_WITH_RELATIONS_QUERY,
+  TRANSACTION_APPROVAL_WITH_RELATIONS_QUERY
 };
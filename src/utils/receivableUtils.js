@@ -0,0 +1,93 @@
+// Utilitários de contas a receber
+// Relatório de vencimentos (aging) dos valores em aberto
+
+const { executeQuery } = require('../config/database');
+const { reportableTransactionCondition } = require('./transactionUtils');
+
+// Faixas do aging por dias de atraso (a última não tem limite superior)
+const AGING_BUCKETS = [
+  { key: 'current', label: 'Current', maxDays: 0 },
+  { key: 'days_1_30', label: '1-30 days', maxDays: 30 },
+  { key: 'days_31_60', label: '31-60 days', maxDays: 60 },
+  { key: 'days_61_90', label: '61-90 days', maxDays: 90 },
+  { key: 'days_over_90', label: '90+ days', maxDays: Infinity }
+];
+
+/**
+ * Retorna a faixa do aging para um número de dias de atraso
+ * @param {number} daysOverdue - Dias desde o vencimento (zero ou negativo se ainda não venceu)
+ * @returns {string} Chave da faixa
+ */
+const getAgingBucket = (daysOverdue) => {
+  return AGING_BUCKETS.find(bucket => daysOverdue <= bucket.maxDays).key;
+};
+
+/**
+ * Monta o aging dos recebíveis em aberto em uma data, por cliente e por moeda
+ * Só contam os pagamentos efetivos feitos até a data, e recebíveis cancelados ficam de fora.
+ * @param {string} asOf - Data de referência (YYYY-MM-DD)
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<Object>} { buckets, totals, clients } com valores por faixa
+ */
+const getReceivablesAging = async (asOf, organizationId) => {
+  const receivables = await executeQuery(
+    `SELECT
+      rc.id, rc.counterparty_id, cp.name as counterparty_name, rc.currency,
+      rc.amount - COALESCE(SUM(t.amount), 0) as outstanding_amount,
+      DATEDIFF(?, rc.due_date) as days_overdue
+     FROM receivables rc
+     JOIN counterparties cp ON rc.counterparty_id = cp.id
+     LEFT JOIN transactions t ON t.receivable_id = rc.id AND t.type = 'entrada' AND t.date <= ?
+       AND ${reportableTransactionCondition()}
+     WHERE rc.organization_id = ? AND rc.issue_date <= ? AND (rc.cancelled_at IS NULL OR rc.cancelled_at > ?)
+     GROUP BY rc.id, rc.counterparty_id, cp.name, rc.currency, rc.amount, rc.due_date
+     HAVING outstanding_amount > 0`,
+    [asOf, asOf, organizationId, asOf, `${asOf} 23:59:59`]
+  );
+
+  const emptyRow = () => Object.fromEntries([...AGING_BUCKETS.map(bucket => [bucket.key, 0]), ['total', 0]]);
+  const add = (row, bucket, amount) => {
+    row[bucket] = Math.round((row[bucket] + amount) * 100) / 100;
+    row.total = Math.round((row.total + amount) * 100) / 100;
+  };
+
+  const totals = new Map();
+  const clients = new Map();
+
+  for (const receivable of receivables) {
+    const amount = Number(receivable.outstanding_amount);
+    const bucket = getAgingBucket(receivable.days_overdue);
+
+    if (!totals.has(receivable.currency)) {
+      totals.set(receivable.currency, { currency: receivable.currency, ...emptyRow(), count: 0 });
+    }
+    const total = totals.get(receivable.currency);
+    add(total, bucket, amount);
+    total.count += 1;
+
+    const clientKey = `${receivable.counterparty_id}|${receivable.currency}`;
+    if (!clients.has(clientKey)) {
+      clients.set(clientKey, {
+        counterparty_id: receivable.counterparty_id,
+        counterparty_name: receivable.counterparty_name,
+        currency: receivable.currency,
+        ...emptyRow(),
+        count: 0
+      });
+    }
+    const client = clients.get(clientKey);
+    add(client, bucket, amount);
+    client.count += 1;
+  }
+
+  return {
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    totals: [...totals.values()].sort((a, b) => a.currency.localeCompare(b.currency)),
+    clients: [...clients.values()].sort((a, b) => b.total - a.total)
+  };
+};
+
+module.exports = {
+  AGING_BUCKETS,
+  getReceivablesAging
+};
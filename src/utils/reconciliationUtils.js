@@ -0,0 +1,191 @@
+// Utilitários de conciliação bancária
+// Sugestão automática de correspondências entre linhas do extrato e lançamentos
+
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { balanceTransactionCondition } = require('./transactionUtils');
+
+/**
+ * Retorna a janela de datas (em dias) em que um lançamento pode corresponder a uma linha do extrato
+ * @returns {number} Número de dias antes ou depois da data da linha
+ */
+const getMatchWindowDays = () => {
+  const days = parseInt(process.env.RECONCILIATION_DATE_WINDOW_DAYS);
+  return isNaN(days) || days < 0 ? 3 : days;
+};
+
+/**
+ * Retorna a pontuação mínima para uma correspondência ser sugerida
+ * @returns {number} Pontuação entre 0 e 1
+ */
+const getMinMatchScore = () => {
+  const score = parseFloat(process.env.RECONCILIATION_MIN_SCORE);
+  return isNaN(score) ? 0.5 : score;
+};
+
+/**
+ * Separa uma descrição em palavras normalizadas (sem acentos, pontuação ou caixa)
+ * @param {string} description - Descrição
+ * @returns {Set<string>} Palavras da descrição
+ */
+const tokenizeDescription = (description) => {
+  const words = (description || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 1);
+
+  return new Set(words);
+};
+
+/**
+ * Calcula a semelhança entre duas descrições (coeficiente de Dice sobre as palavras)
+ * @param {string} a - Primeira descrição
+ * @param {string} b - Segunda descrição
+ * @returns {number} Semelhança entre 0 e 1
+ */
+const descriptionSimilarity = (a, b) => {
+  const wordsA = tokenizeDescription(a);
+  const wordsB = tokenizeDescription(b);
+
+  if (wordsA.size === 0 || wordsB.size === 0) {
+    return 0;
+  }
+
+  const shared = [...wordsA].filter(word => wordsB.has(word)).length;
+  return (2 * shared) / (wordsA.size + wordsB.size);
+};
+
+/**
+ * Diferença em dias entre duas datas YYYY-MM-DD
+ * @param {string} a - Primeira data
+ * @param {string} b - Segunda data
+ * @returns {number} Número absoluto de dias
+ */
+const daysBetween = (a, b) => {
+  return Math.abs(Date.parse(`${a}T00:00:00Z`) - Date.parse(`${b}T00:00:00Z`)) / 86400000;
+};
+
+/**
+ * Pontua a correspondência entre uma linha do extrato e um lançamento
+ * Tipo e valor precisam ser iguais; a data pesa 60% e a descrição 40%.
+ * @param {Object} line - Linha do extrato ({ date, description, amount, type })
+ * @param {Object} transaction - Lançamento ({ date, description, amount, type })
+ * @param {number} windowDays - Janela de datas em dias
+ * @returns {number|null} Pontuação entre 0 e 1, ou null se não puderem corresponder
+ */
+const scoreMatch = (line, transaction, windowDays = getMatchWindowDays()) => {
+  if (line.type !== transaction.type || Math.round(line.amount * 100) !== Math.round(transaction.amount * 100)) {
+    return null;
+  }
+
+  const days = daysBetween(line.date, transaction.date);
+  if (days > windowDays) {
+    return null;
+  }
+
+  const dateScore = 1 - days / (windowDays + 1);
+  const score = 0.6 * dateScore + 0.4 * descriptionSimilarity(line.description, transaction.description);
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Escolhe as melhores correspondências, usando cada linha e cada lançamento uma única vez
+ * @param {Array<Object>} lines - Linhas do extrato sem correspondência
+ * @param {Array<Object>} transactions - Lançamentos candidatos
+ * @param {number} minScore - Pontuação mínima
+ * @returns {Array<Object>} Correspondências { line_id, transaction_id, score }
+ */
+const findMatches = (lines, transactions, minScore = getMinMatchScore()) => {
+  const windowDays = getMatchWindowDays();
+  const candidates = [];
+
+  for (const line of lines) {
+    for (const transaction of transactions) {
+      const score = scoreMatch(line, transaction, windowDays);
+      if (score !== null && score >= minScore) {
+        candidates.push({ line_id: line.id, transaction_id: transaction.id, score });
+      }
+    }
+  }
+
+  // Melhor pontuação primeiro, para que os pares mais evidentes sejam fixados antes
+  candidates.sort((a, b) => b.score - a.score);
+
+  const usedLines = new Set();
+  const usedTransactions = new Set();
+  const matches = [];
+
+  for (const candidate of candidates) {
+    if (!usedLines.has(candidate.line_id) && !usedTransactions.has(candidate.transaction_id)) {
+      usedLines.add(candidate.line_id);
+      usedTransactions.add(candidate.transaction_id);
+      matches.push(candidate);
+    }
+  }
+
+  return matches;
+};
+
+/**
+ * Sugere correspondências para as linhas ainda sem correspondência de uma conciliação
+ * Só são candidatos os lançamentos da conta, fora da lixeira, ainda não conciliados
+ * e não associados a nenhuma outra linha de extrato.
+ * @param {Object} reconciliation - Conciliação ({ id, account_id, period_start, period_end })
+ * @returns {Promise<number>} Número de correspondências sugeridas
+ */
+const autoMatchReconciliation = async (reconciliation) => {
+  const windowDays = getMatchWindowDays();
+
+  const lines = await executeQuery(
+    `SELECT id, DATE_FORMAT(date, '%Y-%m-%d') as date, description, amount, type
+     FROM reconciliation_lines
+     WHERE reconciliation_id = ? AND status = 'unmatched'`,
+    [reconciliation.id]
+  );
+
+  if (lines.length === 0) {
+    return 0;
+  }
+
+  const transactions = await executeQuery(
+    `SELECT t.id, DATE_FORMAT(t.date, '%Y-%m-%d') as date, t.description, t.amount, t.type
+     FROM transactions t
+     WHERE t.account_id = ? AND ${balanceTransactionCondition()} AND t.reconciliation_id IS NULL
+       AND t.date BETWEEN DATE_SUB(?, INTERVAL ? DAY) AND DATE_ADD(?, INTERVAL ? DAY)
+       AND NOT EXISTS (SELECT 1 FROM reconciliation_lines rl WHERE rl.transaction_id = t.id)`,
+    [reconciliation.account_id, reconciliation.period_start, windowDays, reconciliation.period_end, windowDays]
+  );
+
+  const matches = findMatches(lines, transactions);
+
+  if (matches.length === 0) {
+    return 0;
+  }
+
+  try {
+    await executeTransaction(matches.map(match => ({
+      query: `UPDATE reconciliation_lines
+              SET status = 'suggested', match_method = 'auto', match_score = ?, transaction_id = ?
+              WHERE id = ? AND status = 'unmatched'`,
+      params: [match.score, match.transaction_id, match.line_id]
+    })));
+  } catch (error) {
+    if (error.code === 'ER_DUP_ENTRY') {
+      throw new AppError('Transactions were matched concurrently. Run the auto-match again', 409, 'RECONCILIATION_CONFLICT');
+    }
+    throw error;
+  }
+
+  return matches.length;
+};
+
+module.exports = {
+  getMatchWindowDays,
+  descriptionSimilarity,
+  scoreMatch,
+  findMatches,
+  autoMatchReconciliation
+};
@@ -0,0 +1,118 @@
+// Utilitários de recorrência
+// Calcula as datas de ocorrência de transações recorrentes (datas no formato YYYY-MM-DD)
+
+const { addDays } = require('./dateUtils');
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+/**
+ * Formata uma data no padrão YYYY-MM-DD
+ * @param {number} year - Ano
+ * @param {number} month - Mês (1-12)
+ * @param {number} day - Dia
+ * @returns {string} Data formatada
+ */
+const formatDate = (year, month, day) => {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Converte uma data YYYY-MM-DD em ano, mês e dia
+ * @param {string} date - Data formatada
+ * @returns {Object} { year, month, day }
+ */
+const parseDate = (date) => {
+  const [year, month, day] = date.split('-').map(Number);
+  return { year, month, day };
+};
+
+/**
+ * Número de dias do mês
+ * @param {number} year - Ano
+ * @param {number} month - Mês (1-12)
+ * @returns {number} Dias no mês
+ */
+const daysInMonth = (year, month) => {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+};
+
+/**
+ * Calcula a data da n-ésima ocorrência (índice 0) de uma regra
+ * Dias inexistentes no mês (ex.: 31 em fevereiro) usam o último dia do mês.
+ * @param {Object} rule - Regra ({ frequency, interval_count, day_of_month, start_date })
+ * @param {number} index - Índice da ocorrência
+ * @returns {string} Data da ocorrência
+ */
+const occurrenceAt = (rule, index) => {
+  const interval = rule.interval_count || 1;
+  const start = parseDate(rule.start_date);
+
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(rule.start_date, index * interval);
+    case 'weekly':
+      return addDays(rule.start_date, index * interval * 7);
+    case 'monthly': {
+      const targetDay = rule.day_of_month || start.day;
+      // The first occurrence falls in the next month when the day already passed in the start month
+      const offset = targetDay < start.day ? 1 : 0;
+      const totalMonths = (start.month - 1) + offset + index * interval;
+      const year = start.year + Math.floor(totalMonths / 12);
+      const month = (totalMonths % 12) + 1;
+      return formatDate(year, month, Math.min(targetDay, daysInMonth(year, month)));
+    }
+    case 'yearly': {
+      const year = start.year + index * interval;
+      return formatDate(year, start.month, Math.min(start.day, daysInMonth(year, start.month)));
+    }
+    default:
+      throw new Error(`Unknown frequency: ${rule.frequency}`);
+  }
+};
+
+/**
+ * Lista as ocorrências de uma regra dentro de um intervalo, respeitando data final e limite de ocorrências
+ * @param {Object} rule - Regra ({ frequency, interval_count, day_of_month, start_date, end_date, max_occurrences })
+ * @param {Object} range - Intervalo
+ * @param {string} range.after - Apenas datas posteriores a esta (exclusivo)
+ * @param {string} range.until - Apenas datas até esta (inclusivo)
+ * @param {number} range.limit - Número máximo de datas retornadas
+ * @returns {Array<string>} Datas das ocorrências
+ */
+const listOccurrences = (rule, { after = null, until = null, limit = Infinity } = {}) => {
+  const dates = [];
+
+  for (let index = 0; dates.length < limit; index++) {
+    if (rule.max_occurrences && index >= rule.max_occurrences) {
+      break;
+    }
+
+    const date = occurrenceAt(rule, index);
+    if ((until && date > until) || (rule.end_date && date > rule.end_date)) {
+      break;
+    }
+
+    if (!after || date > after) {
+      dates.push(date);
+    }
+  }
+
+  return dates;
+};
+
+/**
+ * Retorna a próxima ocorrência ainda não gerada de uma regra
+ * @param {Object} rule - Regra com last_generated_date
+ * @returns {string|null} Próxima data ou null se a recorrência terminou
+ */
+const getNextOccurrence = (rule) => {
+  const [next] = listOccurrences(rule, { after: rule.last_generated_date, limit: 1 });
+  return next || null;
+};
+
+module.exports = {
+  FREQUENCIES,
+  occurrenceAt,
+  listOccurrences,
+  getNextOccurrence
+};
@@ -0,0 +1,225 @@
+// Utilitários de relatórios
+// Consultas de totais e detalhamentos compartilhadas pelas estatísticas e pelos relatórios em PDF
+
+const fs = require('fs');
+const path = require('path');
+const { executeQuery } = require('../config/database');
+const { reportableTransactionCondition } = require('./transactionUtils');
+const { TRANSACTION_WITH_RELATIONS_QUERY } = require('./queryUtils');
+const { getBaseCurrency } = require('./currencyUtils');
+const { buildCategoryScopeCondition } = require('./categoryScopeUtils');
+const { ALL_ORGANIZATIONS } = require('./organizationUtils');
+
+/**
+ * Monta o filtro de transações reportáveis da organização no intervalo de datas
+ * @param {Object} options - Filtro
+ * @param {string} options.organizationId - ID da organização (ALL_ORGANIZATIONS para o consolidado)
+ * @param {string} options.startDate - Data inicial (YYYY-MM-DD, opcional)
+ * @param {string} options.endDate - Data final (YYYY-MM-DD, opcional)
+ * @param {Array<string>|null} options.categoryScope - Categorias permitidas (null = todas)
+ * @returns {Object} { whereClause, queryParams }
+ */
+const buildReportFilter = ({ organizationId, startDate, endDate, categoryScope = null }) => {
+  // Trashed transactions are left out, and so are voided transactions and their
+  // reversal entries, since they cancel out
+  let whereClause = `WHERE ${reportableTransactionCondition()}`;
+  let queryParams = [];
+
+  if (organizationId !== ALL_ORGANIZATIONS) {
+    whereClause += ' AND t.organization_id = ?';
+    queryParams = [organizationId];
+  }
+
+  if (startDate && endDate) {
+    whereClause += ' AND t.date BETWEEN ? AND ?';
+    queryParams = [...queryParams, startDate, endDate];
+  } else if (startDate) {
+    whereClause += ' AND t.date >= ?';
+    queryParams = [...queryParams, startDate];
+  } else if (endDate) {
+    whereClause += ' AND t.date <= ?';
+    queryParams = [...queryParams, endDate];
+  }
+
+  const scope = buildCategoryScopeCondition(categoryScope, 't.category_id');
+  if (scope.condition) {
+    whereClause += ` AND ${scope.condition}`;
+    queryParams = [...queryParams, ...scope.params];
+  }
+
+  return { whereClause, queryParams };
+};
+
+/**
+ * Calcula totais, detalhamento mensal e por categoria das transações do período.
+ * Os valores são somados na moeda base (base_amount). O consolidado (ALL_ORGANIZATIONS)
+ * agrupa as categorias pelo nome e inclui o detalhamento por organização.
+ * @param {Object} options - { organizationId, startDate, endDate, byCurrency, categoryScope }
+ * @returns {Promise<Object>} { base_currency, summary, monthly_breakdown, category_breakdown[, currency_breakdown][, organization_breakdown] }
+ */
+const getTransactionSummary = async ({ organizationId, startDate, endDate, byCurrency = false, categoryScope = null }) => {
+  const { whereClause, queryParams } = buildReportFilter({ organizationId, startDate, endDate, categoryScope });
+  const consolidated = organizationId === ALL_ORGANIZATIONS;
+
+  // Get summary statistics
+  const summaryQuery = `
+    SELECT 
+      COUNT(*) as total_transactions,
+      SUM(CASE WHEN type = 'entrada' THEN base_amount ELSE 0 END) as total_income,
+      SUM(CASE WHEN type = 'saida' THEN base_amount ELSE 0 END) as total_expenses,
+      SUM(CASE WHEN type = 'entrada' THEN base_amount ELSE -base_amount END) as net_balance,
+      COUNT(CASE WHEN type = 'entrada' THEN 1 END) as income_count,
+      COUNT(CASE WHEN type = 'saida' THEN 1 END) as expense_count,
+      AVG(CASE WHEN type = 'entrada' THEN base_amount END) as avg_income,
+      AVG(CASE WHEN type = 'saida' THEN base_amount END) as avg_expense
+    FROM transactions t 
+    ${whereClause}
+  `;
+  const summary = await executeQuery(summaryQuery, queryParams);
+
+  // Get monthly breakdown
+  const monthlyQuery = `
+    SELECT 
+      DATE_FORMAT(t.date, '%Y-%m') as month,
+      SUM(CASE WHEN type = 'entrada' THEN base_amount ELSE 0 END) as income,
+      SUM(CASE WHEN type = 'saida' THEN base_amount ELSE 0 END) as expenses,
+      COUNT(*) as transaction_count
+    FROM transactions t 
+    ${whereClause}
+    GROUP BY DATE_FORMAT(t.date, '%Y-%m')
+    ORDER BY month DESC
+    LIMIT 12
+  `;
+  const monthlyBreakdown = await executeQuery(monthlyQuery, queryParams);
+
+  // Get category breakdown
+  const categoryQuery = `
+    SELECT 
+      c.name as category_name,
+      t.type,
+      SUM(t.base_amount) as total_amount,
+      COUNT(*) as transaction_count
+    FROM transactions t 
+    LEFT JOIN categories c ON t.category_id = c.id
+    ${whereClause}
+    GROUP BY ${consolidated ? 'c.name' : 'c.id, c.name'}, t.type
+    ORDER BY total_amount DESC
+  `;
+  const categoryBreakdown = await executeQuery(categoryQuery, queryParams);
+
+  const result = {
+    base_currency: getBaseCurrency(),
+    summary: summary[0],
+    monthly_breakdown: monthlyBreakdown,
+    category_breakdown: categoryBreakdown
+  };
+
+  // Totals per original currency, alongside their base currency equivalent
+  if (byCurrency) {
+    result.currency_breakdown = await executeQuery(
+      `SELECT
+        t.currency,
+        SUM(CASE WHEN type = 'entrada' THEN amount ELSE 0 END) as income,
+        SUM(CASE WHEN type = 'saida' THEN amount ELSE 0 END) as expenses,
+        SUM(CASE WHEN type = 'entrada' THEN base_amount ELSE 0 END) as base_income,
+        SUM(CASE WHEN type = 'saida' THEN base_amount ELSE 0 END) as base_expenses,
+        COUNT(*) as transaction_count
+      FROM transactions t
+      ${whereClause}
+      GROUP BY t.currency
+      ORDER BY t.currency ASC`,
+      queryParams
+    );
+  }
+
+  // Totals of each organization side by side
+  if (consolidated) {
+    result.organization_breakdown = await executeQuery(
+      `SELECT
+        o.id as organization_id,
+        o.name as organization_name,
+        SUM(CASE WHEN t.type = 'entrada' THEN t.base_amount ELSE 0 END) as income,
+        SUM(CASE WHEN t.type = 'saida' THEN t.base_amount ELSE 0 END) as expenses,
+        SUM(CASE WHEN t.type = 'entrada' THEN t.base_amount ELSE -t.base_amount END) as net_balance,
+        COUNT(*) as transaction_count
+      FROM transactions t
+      JOIN organizations o ON t.organization_id = o.id
+      ${whereClause}
+      GROUP BY o.id, o.name
+      ORDER BY o.name ASC`,
+      queryParams
+    );
+  }
+
+  return result;
+};
+
+/**
+ * Lista as maiores despesas do período
+ * @param {Object} range - { organizationId, startDate, endDate, categoryScope }
+ * @param {number} limit - Quantidade máxima de despesas
+ * @returns {Promise<Array>} Despesas ordenadas do maior para o menor valor
+ */
+const getLargestExpenses = async ({ organizationId, startDate, endDate, categoryScope = null }, limit = 10) => {
+  const { whereClause, queryParams } = buildReportFilter({ organizationId, startDate, endDate, categoryScope });
+
+  return executeQuery(
+    `${TRANSACTION_WITH_RELATIONS_QUERY}
+     ${whereClause} AND t.type = 'saida'
+     ORDER BY t.base_amount DESC, t.date DESC
+     LIMIT ?`,
+    [...queryParams, limit]
+  );
+};
+
+/**
+ * Retorna o diretório dos relatórios gerados (fora da pasta pública de uploads)
+ * @returns {string} Caminho do diretório de relatórios
+ */
+const getReportsDir = () => {
+  return process.env.REPORTS_DIR || 'reports';
+};
+
+/**
+ * Resolve o caminho em disco de um relatório gerado
+ * @param {string} filename - Nome do arquivo
+ * @returns {string} Caminho do arquivo em disco
+ */
+const resolveReportPath = (filename) => {
+  return path.join(getReportsDir(), path.basename(filename));
+};
+
+/**
+ * Grava o arquivo de um relatório, criando o diretório se necessário
+ * @param {string} filename - Nome do arquivo
+ * @param {Buffer} content - Conteúdo do arquivo
+ * @returns {Promise<void>}
+ */
+const saveReportFile = async (filename, content) => {
+  await fs.promises.mkdir(getReportsDir(), { recursive: true });
+  await fs.promises.writeFile(resolveReportPath(filename), content);
+};
+
+/**
+ * Remove o arquivo de um relatório, ignorando arquivos inexistentes
+ * @param {string} filename - Nome do arquivo
+ * @returns {boolean} True se o arquivo foi removido
+ */
+const deleteReportFile = (filename) => {
+  const filePath = resolveReportPath(filename);
+  if (!fs.existsSync(filePath)) {
+    return false;
+  }
+
+  fs.unlinkSync(filePath);
+  return true;
+};
+
+module.exports = {
+  getTransactionSummary,
+  getLargestExpenses,
+  getReportsDir,
+  resolveReportPath,
+  saveReportFile,
+  deleteReportFile
+};
@@ -0,0 +1,131 @@
+// Utilitários de histórico de transações
+// Grava um snapshot por alteração e calcula as diferenças campo a campo
+
+const { executeQuery } = require('../config/database');
+
+// Campos versionados de uma transação
+const TRANSACTION_REVISION_FIELDS = [
+  'account_id',
+  'amount',
+  'currency',
+  'exchange_rate',
+  'base_amount',
+  'type',
+  'description',
+  'date',
+  'category_id',
+  'subcategory_id',
+  'trip_id',
+  'counterparty_id',
+  'receipt_url'
+];
+
+/**
+ * Grava o estado atual da transação como uma nova revisão
+ * @param {string} transactionId - ID da transação
+ * @param {Object} options - Dados da revisão
+ * @param {string} options.changeType - Tipo da alteração ('create', 'update' ou 'restore')
+ * @param {string} options.changedBy - ID do usuário que fez a alteração
+ * @param {number} options.restoredFrom - Revisão restaurada (apenas para 'restore')
+ * @returns {Promise<number>} Número da revisão criada
+ */
+const recordTransactionRevision = async (transactionId, { changeType, changedBy, restoredFrom = null }) => {
+  const lastRevision = await executeQuery(
+    'SELECT COALESCE(MAX(revision), 0) as revision FROM transaction_revisions WHERE transaction_id = ?',
+    [transactionId]
+  );
+  const revision = lastRevision[0].revision + 1;
+
+  await executeQuery(
+    `INSERT INTO transaction_revisions (transaction_id, revision, change_type, restored_from, snapshot, changed_by)
+     SELECT
+       t.id, ?, ?, ?,
+       JSON_OBJECT(
+         'account_id', t.account_id,
+         'amount', t.amount,
+         'currency', t.currency,
+         'exchange_rate', t.exchange_rate,
+         'base_amount', t.base_amount,
+         'type', t.type,
+         'description', t.description,
+         'date', DATE_FORMAT(t.date, '%Y-%m-%d'),
+         'category_id', t.category_id,
+         'subcategory_id', t.subcategory_id,
+         'trip_id', t.trip_id,
+         'counterparty_id', t.counterparty_id,
+         'receipt_url', t.receipt_url
+       ),
+       ?
+     FROM transactions t
+     WHERE t.id = ?`,
+    [revision, changeType, restoredFrom, changedBy, transactionId]
+  );
+
+  return revision;
+};
+
+/**
+ * Busca as revisões de uma transação em ordem cronológica
+ * @param {string} transactionId - ID da transação
+ * @returns {Promise<Array>} Revisões com o nome do editor
+ */
+const getTransactionRevisions = async (transactionId) => {
+  return await executeQuery(
+    `SELECT
+      r.revision, r.change_type, r.restored_from, r.snapshot, r.changed_by, r.created_at,
+      p.name as changed_by_name
+     FROM transaction_revisions r
+     LEFT JOIN profiles p ON r.changed_by = p.id
+     WHERE r.transaction_id = ?
+     ORDER BY r.revision ASC`,
+    [transactionId]
+  );
+};
+
+/**
+ * Compara dois valores de snapshot (valores ausentes equivalem a null)
+ * @param {*} a - Valor anterior
+ * @param {*} b - Valor novo
+ * @returns {boolean} True se os valores são iguais
+ */
+const isSameValue = (a, b) => {
+  const normalize = (value) => (value === undefined || value === null ? null : String(value));
+  return normalize(a) === normalize(b);
+};
+
+/**
+ * Converte revisões em diferenças campo a campo em relação à revisão anterior
+ * @param {Array} revisions - Revisões em ordem cronológica
+ * @returns {Array} Revisões com a lista de alterações
+ */
+const buildRevisionDiffs = (revisions) => {
+  return revisions.map((revision, index) => {
+    const previous = index > 0 ? revisions[index - 1].snapshot : {};
+    const current = revision.snapshot;
+
+    const changes = TRANSACTION_REVISION_FIELDS
+      .filter(field => !isSameValue(previous[field], current[field]))
+      .map(field => ({
+        field,
+        from: previous[field] !== undefined ? previous[field] : null,
+        to: current[field] !== undefined ? current[field] : null
+      }));
+
+    return {
+      revision: revision.revision,
+      change_type: revision.change_type,
+      restored_from: revision.restored_from,
+      changed_by: revision.changed_by,
+      changed_by_name: revision.changed_by_name,
+      changed_at: revision.created_at,
+      changes
+    };
+  });
+};
+
+module.exports = {
+  TRANSACTION_REVISION_FIELDS,
+  recordTransactionRevision,
+  getTransactionRevisions,
+  buildRevisionDiffs
+};
@@ -0,0 +1,160 @@
+// Utilitários de sessão
+// Armazena refresh tokens no servidor, faz rotação a cada uso e revoga famílias comprometidas
+
+const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { generateAccessToken, generateRefreshToken } = require('./authUtils');
+
+/**
+ * Emite um par de tokens para uma sessão e registra o refresh token
+ * @param {string} userId - ID do usuário
+ * @param {string} sessionId - ID da sessão (família)
+ * @param {string} organizationId - ID da organização de trabalho (vai no claim org dos tokens)
+ * @param {Object} meta - Metadados da requisição ({ ip, userAgent })
+ * @returns {Object} Query de inserção e tokens gerados
+ */
+const buildSessionTokens = (userId, sessionId, organizationId, meta = {}) => {
+  const tokenId = uuidv4();
+  const token = generateAccessToken(userId, sessionId, organizationId);
+  const refreshToken = generateRefreshToken(userId, sessionId, tokenId, organizationId);
+  const { exp } = jwt.decode(refreshToken);
+
+  return {
+    tokenId,
+    token,
+    refreshToken,
+    insert: {
+      query: `INSERT INTO refresh_tokens (id, user_id, family_id, expires_at, ip_address, user_agent)
+              VALUES (?, ?, ?, FROM_UNIXTIME(?), ?, ?)`,
+      params: [
+        tokenId,
+        userId,
+        sessionId,
+        exp,
+        meta.ip || null,
+        meta.userAgent ? meta.userAgent.substring(0, 255) : null
+      ]
+    }
+  };
+};
+
+/**
+ * Cria uma nova sessão (família de refresh tokens) para o usuário
+ * @param {string} userId - ID do usuário
+ * @param {string} organizationId - ID da organização de trabalho
+ * @param {Object} meta - Metadados da requisição ({ ip, userAgent })
+ * @returns {Promise<Object>} Tokens de acesso e refresh
+ */
+const createSession = async (userId, organizationId, meta = {}) => {
+  // Remove tokens expirados do usuário para manter a tabela enxuta
+  await executeQuery(
+    'DELETE FROM refresh_tokens WHERE user_id = ? AND expires_at < NOW()',
+    [userId]
+  );
+
+  const sessionId = uuidv4();
+  const { token, refreshToken, insert } = buildSessionTokens(userId, sessionId, organizationId, meta);
+  await executeQuery(insert.query, insert.params);
+
+  return { token, refreshToken, sessionId };
+};
+
+/**
+ * Revoga todos os tokens ativos de uma sessão
+ * @param {string} sessionId - ID da sessão (família)
+ * @param {string} reason - Motivo da revogação
+ * @returns {Promise<void>}
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await executeQuery(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE family_id = ? AND revoked_at IS NULL`,
+    [reason, sessionId]
+  );
+};
+
+/**
+ * Revoga todas as sessões ativas de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {string} reason - Motivo da revogação
+ * @returns {Promise<void>}
+ */
+const revokeUserSessions = async (userId, reason = 'logout_all') => {
+  await executeQuery(
+    `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = ?
+     WHERE user_id = ? AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+};
+
+/**
+ * Verifica se a sessão ainda possui um refresh token válido
+ * @param {string} sessionId - ID da sessão (família)
+ * @returns {Promise<boolean>} True se a sessão está ativa
+ */
+const isSessionActive = async (sessionId) => {
+  const result = await executeQuery(
+    `SELECT id FROM refresh_tokens
+     WHERE family_id = ? AND revoked_at IS NULL AND expires_at > NOW()
+     LIMIT 1`,
+    [sessionId]
+  );
+  return result.length > 0;
+};
+
+/**
+ * Faz a rotação de um refresh token. Reutilizar um token já rotacionado
+ * revoga a família inteira, pois indica que o token foi roubado.
+ * @param {Object} decoded - Payload verificado do refresh token
+ * @param {Object} meta - Metadados da requisição ({ ip, userAgent })
+ * @returns {Promise<Object>} Novos tokens de acesso e refresh
+ */
+const rotateRefreshToken = async (decoded, meta = {}) => {
+  if (!decoded.jti || !decoded.sid) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  const stored = await executeQuery(
+    'SELECT id, user_id, family_id, revoked_at FROM refresh_tokens WHERE id = ?',
+    [decoded.jti]
+  );
+
+  if (stored.length === 0 || stored[0].family_id !== decoded.sid || stored[0].user_id !== decoded.userId) {
+    throw new AppError('Invalid refresh token', 401, 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (stored[0].revoked_at) {
+    await revokeSession(decoded.sid, 'reuse_detected');
+    throw new AppError('Refresh token reuse detected. Session revoked.', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  // A sessão mantém a sua organização (tokens emitidos antes das organizações não têm o claim org)
+  const { tokenId, token, refreshToken, insert } = buildSessionTokens(decoded.userId, decoded.sid, decoded.org, meta);
+
+  const [revokeResult] = await executeTransaction([
+    {
+      query: `UPDATE refresh_tokens SET revoked_at = NOW(), revoked_reason = 'rotated', replaced_by = ?
+              WHERE id = ? AND revoked_at IS NULL`,
+      params: [tokenId, decoded.jti]
+    },
+    insert
+  ]);
+
+  // Outra requisição rotacionou o mesmo token em paralelo
+  if (revokeResult.affectedRows === 0) {
+    await revokeSession(decoded.sid, 'reuse_detected');
+    throw new AppError('Refresh token reuse detected. Session revoked.', 401, 'REFRESH_TOKEN_REUSED');
+  }
+
+  return { token, refreshToken };
+};
+
+module.exports = {
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  isSessionActive,
+  rotateRefreshToken
+};
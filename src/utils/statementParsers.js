@@ -0,0 +1,168 @@
+// Leitores de extratos OFX e ISO 20022 CAMT.053
+// Convertem os lançamentos do extrato em linhas normalizadas de importação
+
+const { parseStatementAmount, finalizeRow } = require('./importUtils');
+
+/**
+ * Decodifica entidades XML/SGML básicas
+ * @param {string} value - Texto codificado
+ * @returns {string} Texto decodificado
+ */
+const decodeEntities = (value) => {
+  return value
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&');
+};
+
+/**
+ * Lê o valor de uma tag OFX (aceita SGML sem fechamento e XML)
+ * @param {string} block - Trecho do OFX
+ * @param {string} tag - Nome da tag
+ * @returns {string} Valor da tag ou string vazia
+ */
+const ofxValue = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+/**
+ * Converte data OFX (YYYYMMDD[HHMMSS[.XXX][TZ]]) para YYYY-MM-DD
+ * @param {string} value - Data OFX
+ * @returns {string|null} Data normalizada
+ */
+const parseOfxDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Converte um extrato OFX (1.x SGML ou 2.x XML) em linhas normalizadas
+ * @param {string} text - Conteúdo do arquivo OFX
+ * @param {Object} defaults - Categoria e subcategoria padrão
+ * @returns {Object} { account, rows }
+ */
+const parseOfxStatement = (text, defaults = {}) => {
+  const bankId = ofxValue(text, 'BANKID');
+  const accountId = ofxValue(text, 'ACCTID');
+  const account = [bankId, accountId].filter(Boolean).join(':') || 'unknown';
+  const source = `ofx:${account}`;
+  const currency = ofxValue(text, 'CURDEF').toUpperCase() || null;
+
+  const blocks = text.split(/<STMTTRN>/i).slice(1).map(block => block.split(/<\/STMTTRN>/i)[0]);
+
+  const rows = blocks.map((block, index) => {
+    const rawAmount = ofxValue(block, 'TRNAMT');
+    const amount = parseStatementAmount(rawAmount, /,\d{1,2}$/.test(rawAmount) ? ',' : '.');
+    const name = ofxValue(block, 'NAME');
+    const memo = ofxValue(block, 'MEMO');
+    const fitId = ofxValue(block, 'FITID');
+
+    return finalizeRow({
+      row: index + 1,
+      external_source: source,
+      external_id: fitId,
+      currency,
+      date: parseOfxDate(ofxValue(block, 'DTPOSTED')),
+      description: name && memo && name !== memo ? `${name} - ${memo}` : name || memo,
+      amount: amount === null ? null : Math.abs(amount),
+      type: amount === null || amount === 0 ? null : amount < 0 ? 'saida' : 'entrada',
+      errors: fitId ? [] : ['Missing FITID']
+    }, defaults);
+  });
+
+  return { account, rows };
+};
+
+/**
+ * Lê o conteúdo de um elemento XML (ignora prefixo de namespace)
+ * @param {string} xml - Trecho XML
+ * @param {string} path - Caminho de elementos separados por '/' (ex.: 'BookgDt/Dt')
+ * @returns {string} Conteúdo do elemento ou string vazia
+ */
+const xmlValue = (xml, path) => {
+  let current = xml;
+
+  for (const tag of path.split('/')) {
+    const match = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`).exec(current);
+    if (!match) {
+      return '';
+    }
+    current = match[1];
+  }
+
+  return decodeEntities(current.trim());
+};
+
+/**
+ * Lista todos os blocos de um elemento XML (ignora prefixo de namespace)
+ * @param {string} xml - Trecho XML
+ * @param {string} tag - Nome do elemento
+ * @returns {Array<string>} Conteúdo de cada ocorrência
+ */
+const xmlBlocks = (xml, tag) => {
+  const pattern = new RegExp(`<(?:\\w+:)?${tag}(?:\\s[^>]*)?>([\\s\\S]*?)</(?:\\w+:)?${tag}>`, 'g');
+  return Array.from(xml.matchAll(pattern), match => match[1]);
+};
+
+/**
+ * Converte um extrato ISO 20022 CAMT.053 em linhas normalizadas
+ * Apenas lançamentos contabilizados (Sts = BOOK) são aceitos.
+ * @param {string} text - Conteúdo do arquivo XML
+ * @param {Object} defaults - Categoria e subcategoria padrão
+ * @returns {Object} { account, rows }
+ */
+const parseCamtStatement = (text, defaults = {}) => {
+  const account = xmlValue(text, 'Stmt/Acct/Id/IBAN') || xmlValue(text, 'Stmt/Acct/Id/Othr/Id') || 'unknown';
+  const source = `camt053:${account}`;
+
+  const rows = xmlBlocks(text, 'Ntry').map((entry, index) => {
+    const errors = [];
+    const reference = xmlValue(entry, 'AcctSvcrRef');
+    const status = xmlValue(entry, 'Sts/Cd') || xmlValue(entry, 'Sts');
+    const amount = parseStatementAmount(xmlValue(entry, 'Amt'), '.');
+    const currencyMatch = /<(?:\w+:)?Amt\s[^>]*Ccy="([A-Za-z]{3})"/.exec(entry);
+    const isReversal = xmlValue(entry, 'RvslInd') === 'true';
+    const direction = xmlValue(entry, 'CdtDbtInd');
+    const bookingDate = xmlValue(entry, 'BookgDt/Dt') || xmlValue(entry, 'BookgDt/DtTm');
+
+    if (!reference) {
+      errors.push('Missing AcctSvcrRef');
+    }
+    if (status && status !== 'BOOK') {
+      errors.push(`Entry status ${status} is not booked`);
+    }
+
+    // A reversal indicator flips the direction of the entry
+    let type = null;
+    if (direction === 'CRDT' || direction === 'DBIT') {
+      type = (direction === 'CRDT') !== isReversal ? 'entrada' : 'saida';
+    }
+
+    const description = xmlBlocks(entry, 'Ustrd').join(' ')
+      || xmlValue(entry, 'AddtlNtryInf')
+      || xmlValue(entry, 'RltdPties/Cdtr/Nm')
+      || xmlValue(entry, 'RltdPties/Dbtr/Nm');
+
+    return finalizeRow({
+      row: index + 1,
+      external_source: source,
+      external_id: reference,
+      currency: currencyMatch ? currencyMatch[1].toUpperCase() : null,
+      date: bookingDate ? bookingDate.substring(0, 10) : null,
+      description: description.replace(/\s+/g, ' ').trim(),
+      amount,
+      type,
+      errors
+    }, defaults);
+  });
+
+  return { account, rows };
+};
+
+module.exports = {
+  parseOfxStatement,
+  parseCamtStatement
+};
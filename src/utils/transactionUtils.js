@@ -0,0 +1,121 @@
+// Utilitários de regras de negócio das transações
+// Centraliza as verificações que impedem a alteração de lançamentos protegidos
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+
+/**
+ * Condição SQL que mantém apenas lançamentos efetivos (exclui estornados e seus estornos)
+ * @param {string} alias - Alias da tabela de transações
+ * @returns {string} Condição SQL
+ */
+const effectiveTransactionCondition = (alias = 't') => {
+  return `${alias}.status = 'posted' AND ${alias}.reverses_id IS NULL`;
+};
+
+/**
+ * Condição SQL das transações que entram em relatórios e estatísticas
+ * (fora da lixeira, apenas lançamentos efetivos e sem transferências entre contas,
+ * que não são receita nem despesa)
+ * @param {string} alias - Alias da tabela de transações
+ * @returns {string} Condição SQL
+ */
+const reportableTransactionCondition = (alias = 't') => {
+  return `${alias}.deleted_at IS NULL AND ${effectiveTransactionCondition(alias)} AND ${alias}.transfer_id IS NULL`;
+};
+
+/**
+ * Condição SQL das transações que movimentam o saldo das contas
+ * (fora da lixeira; despesas aguardando aprovação ou rejeitadas não movimentam o saldo)
+ * @param {string} alias - Alias da tabela de transações
+ * @returns {string} Condição SQL
+ */
+const balanceTransactionCondition = (alias = 't') => {
+  return `${alias}.deleted_at IS NULL AND ${alias}.status IN ('posted', 'voided')`;
+};
+
+/**
+ * Garante que a transação ainda pode ser alterada ou excluída
+ * @param {Object} transaction - Transação (precisa de status, reverses_id, transfer_id e reconciliation_id)
+ * @throws {AppError} Se a transação foi estornada ou rejeitada, é um estorno, faz parte de uma transferência ou já foi conciliada
+ */
+const assertTransactionEditable = (transaction) => {
+  if (transaction.status === 'voided') {
+    throw new AppError('Voided transactions cannot be changed', 409, 'TRANSACTION_VOIDED');
+  }
+
+  if (transaction.status === 'rejected') {
+    throw new AppError('Rejected transactions cannot be changed', 409, 'TRANSACTION_REJECTED');
+  }
+
+  if (transaction.reverses_id) {
+    throw new AppError('Reversal entries cannot be changed', 409, 'TRANSACTION_IS_REVERSAL');
+  }
+
+  if (transaction.transfer_id) {
+    throw new AppError('Transfer entries cannot be changed; delete the transfer instead', 409, 'TRANSACTION_IS_TRANSFER');
+  }
+
+  if (transaction.reconciliation_id) {
+    throw new AppError('Reconciled transactions cannot be changed', 409, 'TRANSACTION_RECONCILED');
+  }
+};
+
+/**
+ * Garante que a transação ainda não foi lançada: lançamentos são imutáveis e só se corrigem por estorno
+ * @param {Object} transaction - Transação (precisa de status)
+ * @throws {AppError} Se a transação já estiver lançada
+ */
+const assertTransactionNotPosted = (transaction) => {
+  if (transaction.status === 'posted') {
+    throw new AppError(
+      'Posted transactions cannot be edited; reverse them and record a corrected transaction instead',
+      409,
+      'TRANSACTION_POSTED'
+    );
+  }
+};
+
+/**
+ * Valida que a categoria existe na organização e que a subcategoria pertence a ela (quando informadas)
+ * @param {string} categoryId - ID da categoria
+ * @param {string} subcategoryId - ID da subcategoria
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<void>}
+ * @throws {AppError} Se a categoria ou subcategoria não existir
+ */
+const assertValidCategorization = async (categoryId, subcategoryId, organizationId) => {
+  if (categoryId) {
+    const categories = await executeQuery(
+      'SELECT id FROM categories WHERE id = ? AND organization_id = ?',
+      [categoryId, organizationId]
+    );
+    if (categories.length === 0) {
+      throw new AppError('Category not found', 404, 'CATEGORY_NOT_FOUND');
+    }
+  }
+
+  if (subcategoryId) {
+    let subcategoryQuery = 'SELECT id, category_id FROM subcategories WHERE id = ? AND organization_id = ?';
+    let subcategoryParams = [subcategoryId, organizationId];
+
+    if (categoryId) {
+      subcategoryQuery += ' AND category_id = ?';
+      subcategoryParams.push(categoryId);
+    }
+
+    const subcategories = await executeQuery(subcategoryQuery, subcategoryParams);
+    if (subcategories.length === 0) {
+      throw new AppError('Subcategory not found or does not belong to the specified category', 404, 'SUBCATEGORY_NOT_FOUND');
+    }
+  }
+};
+
+module.exports = {
+  effectiveTransactionCondition,
+  reportableTransactionCondition,
+  balanceTransactionCondition,
+  assertTransactionEditable,
+  assertTransactionNotPosted,
+  assertValidCategorization
+};
@@ -0,0 +1,92 @@
+// Utilitários de viagens (reservas)
+// Rentabilidade por viagem a partir dos lançamentos associados
+
+const { executeQuery } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { reportableTransactionCondition } = require('./transactionUtils');
+
+const TRIP_STATUSES = ['quoted', 'confirmed', 'completed', 'cancelled'];
+
+/**
+ * Garante que a viagem existe na organização (quando informada)
+ * @param {string} tripId - ID da viagem
+ * @param {string} organizationId - ID da organização
+ * @returns {Promise<void>}
+ * @throws {AppError} Se a viagem não existir
+ */
+const assertTripExists = async (tripId, organizationId) => {
+  if (!tripId) {
+    return;
+  }
+
+  const trips = await executeQuery('SELECT id FROM trips WHERE id = ? AND organization_id = ?', [tripId, organizationId]);
+  if (trips.length === 0) {
+    throw new AppError('Trip not found', 404, 'TRIP_NOT_FOUND');
+  }
+};
+
+/**
+ * Calcula a margem e a margem percentual a partir da receita e dos custos
+ * @param {number} revenue - Receita
+ * @param {number} costs - Custos
+ * @returns {Object} { margin, margin_percent } (percentual nulo sem receita)
+ */
+const calculateMargin = (revenue, costs) => {
+  const margin = Math.round((revenue - costs) * 100) / 100;
+  return {
+    margin,
+    margin_percent: revenue > 0 ? Math.round((margin / revenue) * 10000) / 100 : null
+  };
+};
+
+/**
+ * Calcula a rentabilidade de uma viagem na moeda base: receita, custos por categoria e margem
+ * @param {Object} trip - Viagem ({ id, sale_price })
+ * @returns {Promise<Object>} { revenue, costs, costs_by_category, margin, margin_percent, ... }
+ */
+const getTripProfitability = async (trip) => {
+  const totals = await executeQuery(
+    `SELECT
+      COALESCE(SUM(CASE WHEN t.type = 'entrada' THEN t.base_amount ELSE 0 END), 0) as revenue,
+      COALESCE(SUM(CASE WHEN t.type = 'saida' THEN t.base_amount ELSE 0 END), 0) as costs,
+      COUNT(*) as transaction_count
+     FROM transactions t
+     WHERE t.trip_id = ? AND ${reportableTransactionCondition()}`,
+    [trip.id]
+  );
+
+  const costsByCategory = await executeQuery(
+    `SELECT
+      t.category_id,
+      c.name as category_name,
+      SUM(t.base_amount) as total_amount,
+      COUNT(*) as transaction_count
+     FROM transactions t
+     LEFT JOIN categories c ON t.category_id = c.id
+     WHERE t.trip_id = ? AND t.type = 'saida' AND ${reportableTransactionCondition()}
+     GROUP BY t.category_id, c.name
+     ORDER BY total_amount DESC`,
+    [trip.id]
+  );
+
+  const revenue = Number(totals[0].revenue);
+  const costs = Number(totals[0].costs);
+  const salePrice = Number(trip.sale_price);
+
+  return {
+    revenue,
+    costs,
+    costs_by_category: costsByCategory.map(row => ({ ...row, total_amount: Number(row.total_amount) })),
+    ...calculateMargin(revenue, costs),
+    transaction_count: totals[0].transaction_count,
+    sale_price: salePrice,
+    // Part of the sale price not received yet
+    outstanding_revenue: Math.round(Math.max(salePrice - revenue, 0) * 100) / 100
+  };
+};
+
+module.exports = {
+  TRIP_STATUSES,
+  assertTripExists,
+  getTripProfitability
+};
@@ -0,0 +1,393 @@
+// Utilitários de autenticação em dois fatores
+// Códigos TOTP (RFC 6238) de aplicativos autenticadores e códigos de recuperação de uso único
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { executeQuery, executeTransaction } = require('../config/database');
+const { AppError } = require('../middleware/errorMiddleware');
+const { ADMIN_ROLE } = require('./permissionUtils');
+
+// Parâmetros padrão dos aplicativos autenticadores (Google Authenticator, Authy, ...)
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+// Passos aceitos antes e depois do atual, para tolerar relógios dessincronizados
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Codifica bytes em base32 (RFC 4648, sem padding), o formato dos segredos TOTP
+ * @param {Buffer} buffer - Bytes a codificar
+ * @returns {string} Texto em base32
+ */
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.substring(i, i + 5).padEnd(5, '0'), 2)];
+  }
+
+  return output;
+};
+
+/**
+ * Decodifica texto em base32 (ignora espaços, padding e maiúsculas/minúsculas)
+ * @param {string} text - Texto em base32
+ * @returns {Buffer} Bytes decodificados
+ */
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.substring(i, i + 8), 2));
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Gera um novo segredo TOTP (160 bits, como recomenda a RFC 4226)
+ * @returns {string} Segredo em base32
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Calcula o código TOTP de um passo de tempo
+ * @param {string} secret - Segredo em base32
+ * @param {number} step - Passo de tempo (segundos desde a época / 30)
+ * @returns {string} Código de 6 dígitos
+ */
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % (10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Procura o passo de tempo em que um código TOTP é válido
+ * @param {string} secret - Segredo em base32
+ * @param {string} code - Código informado pelo usuário
+ * @param {number|null} lastStep - Último passo aceito (códigos desse passo ou anteriores não valem de novo)
+ * @returns {number|null} Passo do código, ou null se for inválido
+ */
+const findTotpStep = (secret, code, lastStep = null) => {
+  const normalizedCode = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalizedCode)) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    if (lastStep !== null && step <= lastStep) {
+      continue;
+    }
+
+    const expected = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalizedCode))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Monta a URI otpauth:// que os aplicativos autenticadores leem do QR code
+ * @param {string} secret - Segredo em base32
+ * @param {string} email - Email do usuário (nome da conta no aplicativo)
+ * @returns {string} URI de provisionamento
+ */
+const buildProvisioningUri = (secret, email) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || 'javiagens';
+  const label = encodeURIComponent(`${issuer}:${email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Normaliza um código de recuperação (sem hífens nem espaços, minúsculo) e calcula o seu hash
+ * @param {string} code - Código de recuperação
+ * @returns {string} Hash SHA-256 em hexadecimal
+ */
+const hashRecoveryCode = (code) => crypto
+  .createHash('sha256')
+  .update(String(code).replace(/[\s-]/g, '').toLowerCase())
+  .digest('hex');
+
+/**
+ * Verifica se o papel precisa de dois fatores (REQUIRE_ADMIN_2FA=true exige dos administradores)
+ * @param {string} role - Papel do usuário
+ * @returns {boolean} True se o usuário não pode entrar sem dois fatores
+ */
+const isTwoFactorRequired = (role) => {
+  return process.env.REQUIRE_ADMIN_2FA === 'true' && role === ADMIN_ROLE;
+};
+
+/**
+ * Garante que o usuário cumpre a exigência de dois fatores do seu papel
+ * Sessões abertas antes da exigência deixam de valer: o usuário entra de novo e cadastra o autenticador.
+ * @param {Object} profile - Perfil do usuário ({ role, two_factor_enabled })
+ * @returns {void}
+ * @throws {AppError} Se o papel exigir dois fatores e eles não estiverem ativos
+ */
+const assertTwoFactorCompliance = (profile) => {
+  if (isTwoFactorRequired(profile.role) && !profile.two_factor_enabled) {
+    throw new AppError(
+      'Two-factor authentication is required for your role. Sign in again to set it up.',
+      401,
+      'TWO_FACTOR_SETUP_REQUIRED'
+    );
+  }
+};
+
+/**
+ * Busca o estado de dois fatores de um usuário
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} Usuário com segredo, estado e último passo aceito
+ * @throws {AppError} Se o usuário não existir
+ */
+const getTwoFactorState = async (userId) => {
+  const users = await executeQuery(
+    `SELECT u.id, u.email, u.two_factor_secret, u.two_factor_enabled, u.two_factor_enabled_at,
+            u.two_factor_last_step, p.role, p.organization_id
+     FROM users u
+     JOIN profiles p ON u.id = p.id
+     WHERE u.id = ?`,
+    [userId]
+  );
+
+  if (users.length === 0) {
+    throw new AppError('User not found', 404, 'USER_NOT_FOUND');
+  }
+
+  return users[0];
+};
+
+/**
+ * Resume o estado de dois fatores para resposta (sem o segredo)
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} { enabled, enabled_at, required, recovery_codes_remaining }
+ */
+const getTwoFactorStatus = async (userId) => {
+  const user = await getTwoFactorState(userId);
+  const remaining = await executeQuery(
+    'SELECT COUNT(*) as total FROM two_factor_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+    [userId]
+  );
+
+  return {
+    enabled: Boolean(user.two_factor_enabled),
+    enabled_at: user.two_factor_enabled_at,
+    required: isTwoFactorRequired(user.role),
+    recovery_codes_remaining: remaining[0].total
+  };
+};
+
+/**
+ * Inicia (ou reinicia) o cadastro de um aplicativo autenticador
+ * O segredo só passa a valer quando confirmado com um código.
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Object>} { secret, otpauth_url } para exibir como QR code
+ * @throws {AppError} Se os dois fatores já estiverem ativos
+ */
+const startEnrolment = async (userId) => {
+  const user = await getTwoFactorState(userId);
+
+  if (user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  const secret = generateSecret();
+  await executeQuery(
+    'UPDATE users SET two_factor_secret = ?, two_factor_last_step = NULL, updated_at = NOW() WHERE id = ?',
+    [secret, userId]
+  );
+
+  return {
+    secret,
+    otpauth_url: buildProvisioningUri(secret, user.email)
+  };
+};
+
+/**
+ * Queries que substituem os códigos de recuperação de um usuário
+ * @param {string} userId - ID do usuário
+ * @param {Array<string>} codes - Novos códigos em texto plano
+ * @returns {Array<Object>} Queries para executeTransaction
+ */
+const replaceRecoveryCodesQueries = (userId, codes) => [
+  {
+    query: 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+    params: [userId]
+  },
+  ...codes.map(code => ({
+    query: 'INSERT INTO two_factor_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+    params: [uuidv4(), userId, hashRecoveryCode(code)]
+  }))
+];
+
+/**
+ * Gera códigos de recuperação no formato xxxxx-xxxxx
+ * @returns {Array<string>} Códigos em texto plano (só são mostrados uma vez)
+ */
+const generateRecoveryCodes = () => Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+  const code = crypto.randomBytes(5).toString('hex');
+  return `${code.substring(0, 5)}-${code.substring(5)}`;
+});
+
+/**
+ * Confirma o cadastro com um código do aplicativo e ativa os dois fatores
+ * @param {string} userId - ID do usuário
+ * @param {string} code - Código TOTP atual
+ * @returns {Promise<Array<string>>} Códigos de recuperação gerados
+ * @throws {AppError} Se não houver cadastro iniciado ou o código for inválido
+ */
+const confirmEnrolment = async (userId, code) => {
+  const user = await getTwoFactorState(userId);
+
+  if (user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is already enabled', 409, 'TWO_FACTOR_ALREADY_ENABLED');
+  }
+
+  if (!user.two_factor_secret) {
+    throw new AppError('Start the two-factor setup first', 409, 'TWO_FACTOR_SETUP_NOT_STARTED');
+  }
+
+  const step = findTotpStep(user.two_factor_secret, code);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 400, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await executeTransaction([
+    {
+      query: `UPDATE users SET two_factor_enabled = 1, two_factor_enabled_at = NOW(), two_factor_last_step = ?,
+              updated_at = NOW() WHERE id = ?`,
+      params: [step, userId]
+    },
+    ...replaceRecoveryCodesQueries(userId, recoveryCodes)
+  ]);
+
+  return recoveryCodes;
+};
+
+/**
+ * Verifica um código TOTP ou de recuperação de um usuário com dois fatores ativos
+ * Cada código só vale uma vez: o passo TOTP aceito é gravado e o código de recuperação é marcado como usado.
+ * @param {string} userId - ID do usuário
+ * @param {Object} input - Código informado
+ * @param {string} input.code - Código TOTP
+ * @param {string} input.recoveryCode - Código de recuperação (alternativa ao TOTP)
+ * @returns {Promise<string>} Método usado ('totp' ou 'recovery_code')
+ * @throws {AppError} Se os dois fatores não estiverem ativos ou o código for inválido
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+  const user = await getTwoFactorState(userId);
+
+  if (!user.two_factor_enabled) {
+    throw new AppError('Two-factor authentication is not enabled', 409, 'TWO_FACTOR_NOT_ENABLED');
+  }
+
+  if (recoveryCode) {
+    const result = await executeQuery(
+      `UPDATE two_factor_recovery_codes SET used_at = NOW()
+       WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+      [userId, hashRecoveryCode(recoveryCode)]
+    );
+
+    if (result.affectedRows === 0) {
+      throw new AppError('Invalid recovery code', 401, 'INVALID_RECOVERY_CODE');
+    }
+
+    return 'recovery_code';
+  }
+
+  const step = findTotpStep(user.two_factor_secret, code, user.two_factor_last_step);
+  if (step === null) {
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  // Outra requisição pode ter aceitado o mesmo código em paralelo
+  const result = await executeQuery(
+    `UPDATE users SET two_factor_last_step = ?
+     WHERE id = ? AND (two_factor_last_step IS NULL OR two_factor_last_step < ?)`,
+    [step, userId, step]
+  );
+
+  if (result.affectedRows === 0) {
+    throw new AppError('Invalid two-factor code', 401, 'INVALID_TWO_FACTOR_CODE');
+  }
+
+  return 'totp';
+};
+
+/**
+ * Gera novos códigos de recuperação, invalidando os anteriores
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<Array<string>>} Novos códigos em texto plano
+ */
+const regenerateRecoveryCodes = async (userId) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await executeTransaction(replaceRecoveryCodesQueries(userId, recoveryCodes));
+  return recoveryCodes;
+};
+
+/**
+ * Desativa os dois fatores e apaga o segredo e os códigos de recuperação
+ * @param {string} userId - ID do usuário
+ * @returns {Promise<void>}
+ */
+const disableTwoFactor = async (userId) => {
+  await executeTransaction([
+    {
+      query: `UPDATE users SET two_factor_secret = NULL, two_factor_enabled = 0, two_factor_enabled_at = NULL,
+              two_factor_last_step = NULL, updated_at = NOW() WHERE id = ?`,
+      params: [userId]
+    },
+    {
+      query: 'DELETE FROM two_factor_recovery_codes WHERE user_id = ?',
+      params: [userId]
+    }
+  ]);
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateTotp,
+  findTotpStep,
+  hashRecoveryCode,
+  isTwoFactorRequired,
+  assertTwoFactorCompliance,
+  getTwoFactorStatus,
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+};